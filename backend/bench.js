@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+// Uploader for benchmark machines: send result files to a running server with
+// the git state of the benchmarked tree and the host filled in, then print the
+// new run id and how it compares to the session baseline.
+//
+//   sddf-bench upload results.csv results.json --session MAAXBOARD --name "echo, 1 client"
+//   sddf-bench upload results/ --session MAAXBOARD --tag lto
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { parseArgs } from "util";
+import { PARSER_IDS, detectFormat } from "../shared/parsers/index.js";
+
+const DEFAULT_SERVER = "http://localhost:3001";
+const RETRY_DELAY_MS = 1000;
+// Network errors raised before a connection was made, so before the server
+// could have seen the request
+const CONNECT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH", "UND_ERR_CONNECT_TIMEOUT"];
+
+const USAGE = `Usage:
+  sddf-bench upload <throughput file> <cpu file> --session <name> [options]
+  sddf-bench upload <directory> --session <name> [options]
+
+A directory is uploaded as one run per pair of files sharing a base name
+(e.g. 10g.csv and 10g.json), in name order. Files may be in any format the
+server parses: benchmark CSV, ipbench log, sDDF JSON or sDDF serial output.
+
+Options:
+  --session <name>      Session to add the runs to, created if missing
+  --session-id <id>     Existing session to add the runs to, instead of --session
+  --name <name>         Run name (default: the base name of the files)
+  --server <url>        Server URL (default: $SDDF_BENCH_URL or ${DEFAULT_SERVER})
+  --token <token>       API token (default: $SDDF_BENCH_TOKEN)
+  --repo <dir>          Git working tree that was benchmarked (default: current directory)
+  --commit <hash>       Commit, instead of the one checked out in --repo
+  --hardware <text>     Hardware (default: the hostname)
+  --notes <text>        Run notes
+  --tag <tag>           Run tag (repeatable)
+  --field <key=value>   Run metadata field (repeatable)
+  --csv-format <id>     Parser for the throughput files, instead of detecting it
+  --json-format <id>    Parser for the CPU files, instead of detecting it
+  --baseline <run id>   Run to compare against (default: the session run tagged
+                        "baseline", else its first run)
+  --retries <n>         Attempts per request on network and server errors (default: 3);
+                        uploads are only sent again if they cannot have arrived
+  --dry-run             Show what would be uploaded without uploading
+`;
+
+const OPTIONS = {
+  session: { type: "string" },
+  "session-id": { type: "string" },
+  name: { type: "string" },
+  server: { type: "string" },
+  token: { type: "string" },
+  repo: { type: "string" },
+  commit: { type: "string" },
+  hardware: { type: "string" },
+  notes: { type: "string" },
+  tag: { type: "string", multiple: true },
+  field: { type: "string", multiple: true },
+  "csv-format": { type: "string" },
+  "json-format": { type: "string" },
+  baseline: { type: "string" },
+  retries: { type: "string", default: "3" },
+  "dry-run": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+// Error response of the server; 4xx responses are not retried
+class RequestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function git(repo, args) {
+  try {
+    return execFileSync("git", ["-C", repo, ...args], { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Commit, branch and dirty state of the benchmarked tree, or null outside a git tree
+function gitState(repo) {
+  const commit = git(repo, ["rev-parse", "HEAD"]);
+  if (!commit) {
+    return null;
+  }
+  const branch = git(repo, ["rev-parse", "--abbrev-ref", "HEAD"]);
+  const status = git(repo, ["status", "--porcelain", "--untracked-files=no"]);
+  return { commit, branch: branch === "HEAD" ? null : branch, dirty: !!status };
+}
+
+function parseFieldOptions(values = []) {
+  const fields = {};
+  for (const value of values) {
+    const separator = value.indexOf("=");
+    if (separator <= 0) {
+      throw new UsageError(`--field expects key=value, got "${value}"`);
+    }
+    fields[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+  }
+  return fields;
+}
+
+// Run metadata shared by all uploads of this invocation
+function buildMetadata(options) {
+  const repo = path.resolve(options.repo || ".");
+  const state = gitState(repo);
+  if (!state && !options.commit) {
+    console.warn(`[BENCH] ${repo} is not a git working tree; uploading without a commit`);
+  }
+
+  const fields = { host: os.hostname() };
+  if (state?.branch) {
+    fields.branch = state.branch;
+  }
+  if (state) {
+    fields.dirty = String(state.dirty);
+  }
+
+  return {
+    commit: options.commit || (state ? `${state.commit}${state.dirty ? "-dirty" : ""}` : ""),
+    hardware: options.hardware || os.hostname(),
+    notes: options.notes || "",
+    tags: options.tag || [],
+    fields: { ...fields, ...parseFieldOptions(options.field) },
+  };
+}
+
+// Which part of a run a file holds ("data" or "cpuData"), detected from its contents
+const filePart = (file) => detectFormat(fs.readFileSync(file, "utf-8"))?.produces || null;
+
+// Pair the result files of a directory by base name
+function findPairs(dir) {
+  const groups = new Map();
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isFile()) continue;
+    const file = path.join(dir, entry.name);
+    const stem = path.parse(entry.name).name;
+    if (!groups.has(stem)) {
+      groups.set(stem, []);
+    }
+    groups.get(stem).push(file);
+  }
+
+  const pairs = [];
+  for (const [stem, files] of [...groups].sort(([a], [b]) => a.localeCompare(b))) {
+    const parts = files.map(filePart);
+    const data = files.filter((file, index) => parts[index] === "data");
+    const cpuData = files.filter((file, index) => parts[index] === "cpuData");
+    if (data.length !== 1 || cpuData.length !== 1) {
+      console.warn(`[BENCH] Skip ${stem}: needs one throughput and one CPU file, found ${data.length} and ${cpuData.length}`);
+      continue;
+    }
+    pairs.push({ name: stem, csv: data[0], json: cpuData[0] });
+  }
+  return pairs;
+}
+
+function uploadPlan(positionals, options) {
+  if (positionals.length === 1 && fs.statSync(positionals[0], { throwIfNoEntry: false })?.isDirectory()) {
+    const pairs = findPairs(positionals[0]);
+    if (pairs.length === 0) {
+      throw new UsageError(`No result file pairs found in ${positionals[0]}`);
+    }
+    // One --name for several runs would make them indistinguishable, so prefix it
+    return pairs.map((pair) => ({ ...pair, name: options.name ? `${options.name} ${pair.name}` : pair.name }));
+  }
+
+  if (positionals.length !== 2) {
+    throw new UsageError("upload needs a throughput file and a CPU file, or a directory");
+  }
+  const [csv, json] = positionals;
+  for (const file of positionals) {
+    if (!fs.existsSync(file)) {
+      throw new UsageError(`File not found: ${file}`);
+    }
+  }
+  return [{ name: options.name || path.parse(csv).name, csv, json }];
+}
+
+// Client for the server API. Reads (GET) are retried on network errors and on
+// 5xx and 429 responses, waiting twice as long after every attempt. Other
+// requests are not safe to repeat: an upload the server stored before the
+// response was lost would be stored twice. They are only retried when the
+// connection could not be made or the server answered 429 without acting.
+function createClient(options) {
+  const server = (options.server || process.env.SDDF_BENCH_URL || DEFAULT_SERVER).replace(/\/+$/, "");
+  const token = options.token || process.env.SDDF_BENCH_TOKEN;
+  const attempts = Number(options.retries);
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new UsageError("--retries must be a positive integer");
+  }
+
+  return async (route, init = {}) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(`${server}${route}`, {
+          ...init,
+          headers: { ...(token && { Authorization: `Bearer ${token}` }), ...init.headers },
+        });
+        const body = await response.json().catch(() => ({}));
+        if (response.ok) {
+          return body;
+        }
+        const details = body.errors?.map((error) => `${error.path}: ${error.message}`).join("; ") || body.details;
+        throw new RequestError(`${body.error || response.statusText}${details ? ` (${details})` : ""}`, response.status);
+      } catch (error) {
+        const unsent = error instanceof RequestError ? error.status === 429 : CONNECT_ERRORS.includes(error.cause?.code);
+        const safe = (init.method || "GET") === "GET";
+        const retryable = unsent || (safe && (!(error instanceof RequestError) || error.status >= 500));
+        if (!retryable || attempt >= attempts) {
+          throw error;
+        }
+        const delay = RETRY_DELAY_MS * 2 ** (attempt - 1);
+        console.warn(`[BENCH] ${route} failed (${error.message}), retrying in ${delay / 1000}s`);
+        await sleep(delay);
+      }
+    }
+  };
+}
+
+function uploadForm(run, metadata, options) {
+  const form = new FormData();
+  form.append("csv", new Blob([fs.readFileSync(run.csv)]), path.basename(run.csv));
+  form.append("json", new Blob([fs.readFileSync(run.json)]), path.basename(run.json));
+  form.append("name", run.name);
+  if (options["session-id"]) {
+    form.append("sessionId", options["session-id"]);
+  } else {
+    form.append("sessionName", options.session);
+  }
+  if (options["csv-format"]) form.append("csvFormat", options["csv-format"]);
+  if (options["json-format"]) form.append("jsonFormat", options["json-format"]);
+
+  form.append("commit", metadata.commit);
+  form.append("hardware", metadata.hardware);
+  // The data file was written when the benchmark finished
+  form.append("dateTime", fs.statSync(run.csv).mtime.toISOString().slice(0, 16));
+  form.append("notes", metadata.notes);
+  form.append("tags", metadata.tags.join(","));
+  form.append("fields", JSON.stringify(metadata.fields));
+  return form;
+}
+
+// The explicit baseline, else the run tagged "baseline", else the first run
+function pickBaseline(runs, uploadedIds, baselineId) {
+  if (baselineId) {
+    return runs.find((run) => String(run.id) === baselineId) || null;
+  }
+  const candidates = runs.filter((run) => !uploadedIds.includes(run.id));
+  return candidates.find((run) => run.metadata?.tags?.includes("baseline")) || candidates[0] || null;
+}
+
+// Mean relative change, with both means written by `format`
+const formatDelta = (summary, format) => {
+  if (!summary || summary.meanRelDelta === null) {
+    return "no matching points";
+  }
+  const sign = summary.meanRelDelta >= 0 ? "+" : "";
+  return `${sign}${summary.meanRelDelta.toFixed(2)}% (${format(summary.compareMean)} vs ${format(summary.baselineMean)})`;
+};
+
+async function printComparison(request, sessionId, uploaded, options) {
+  const runs = await request(`/api/sessions/${encodeURIComponent(sessionId)}/runs`);
+  const baseline = pickBaseline(runs, uploaded.map((run) => run.id), options.baseline);
+  if (!baseline) {
+    if (options.baseline) {
+      console.warn(`[BENCH] Baseline run ${options.baseline} not found in session ${sessionId}`);
+    } else {
+      console.log("[BENCH] No baseline to compare against: the session has no other runs");
+    }
+    return;
+  }
+
+  const params = new URLSearchParams({
+    baseline: String(baseline.id),
+    runs: uploaded.map((run) => run.id).join(","),
+    metric: "throughput,rtt,cpu",
+  });
+  const { comparisons } = await request(`/api/sessions/${encodeURIComponent(sessionId)}/compare?${params}`);
+
+  console.log(`[BENCH] Compared with baseline ${baseline.name} (${baseline.id}):`);
+  for (const { run, metrics } of comparisons) {
+    console.log(`  ${run.name} (${run.id})`);
+    console.log(`    Throughput: ${formatDelta(metrics.throughput.summary, (bps) => `${(bps / 1e6).toFixed(1)} Mbps`)}`);
+    console.log(`    Avg RTT:    ${formatDelta(metrics.rtt.summary, (us) => `${us.toFixed(1)} us`)}`);
+    console.log(`    CPU:        ${formatDelta(metrics.cpu.summary, (percent) => `${percent.toFixed(2)}%`)}`);
+  }
+}
+
+async function upload(positionals, options) {
+  if (!options.session && !options["session-id"]) {
+    throw new UsageError("upload needs --session or --session-id");
+  }
+
+  for (const option of ["csv-format", "json-format"]) {
+    if (options[option] && !PARSER_IDS.includes(options[option])) {
+      throw new UsageError(`--${option} must be one of ${PARSER_IDS.join(", ")}`);
+    }
+  }
+
+  const plan = uploadPlan(positionals, options);
+  const metadata = buildMetadata(options);
+
+  if (options["dry-run"]) {
+    plan.forEach((run) => console.log(`[BENCH] Would upload ${run.name}: ${run.csv} + ${run.json}`));
+    console.log(`[BENCH] Metadata: ${JSON.stringify(metadata)}`);
+    return true;
+  }
+
+  const request = createClient(options);
+  const uploaded = [];
+  let sessionId = options["session-id"];
+  let failed = 0;
+
+  for (const run of plan) {
+    try {
+      const result = await request("/api/upload-dataset", { method: "POST", body: uploadForm(run, metadata, options) });
+      sessionId = result.sessionId;
+      uploaded.push({ id: result.runId, name: run.name });
+      console.log(`[BENCH] Uploaded ${run.name} as run ${result.runId} in session ${result.sessionId}`);
+    } catch (error) {
+      console.error(`[BENCH] Failed to upload ${run.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  if (uploaded.length > 0) {
+    try {
+      await printComparison(request, sessionId, uploaded, options);
+    } catch (error) {
+      console.warn(`[BENCH] Could not compare with the baseline: ${error.message}`);
+    }
+  }
+
+  console.log(`[BENCH] Upload: ${uploaded.length} uploaded, ${failed} failed`);
+  return failed === 0;
+}
+
+const COMMANDS = { upload };
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const command = COMMANDS[positionals[0]];
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help;
+  }
+  return command(positionals.slice(1), options);
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+      console.error(`Error: ${error.message}\n\n${USAGE}`);
+    } else {
+      console.error("[BENCH] Failed:", error.message);
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// Storage maintenance CLI: copy sessions between storage backends and back
+// them up to / restore them from a single archive file.
+//
+//   node cli.js migrate --from file --to mongo [--session <id>]... [--overwrite] [--dry-run]
+//   node cli.js backup  --from file --out backup.json.gz [--session <id>]... [--dry-run]
+//   node cli.js restore --to sqlite --in backup.json.gz [--session <id>]... [--overwrite] [--dry-run]
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { parseArgs } from "util";
+import { FileStorage } from "./storage/FileStorage.js";
+import { MongoStorage } from "./storage/MongoStorage.js";
+import { SqliteStorage } from "./storage/SqliteStorage.js";
+import { formatValidationErrors, validateSession } from "../shared/schema.js";
+
+const ARCHIVE_FORMAT = "sddf-bench-backup";
+const ARCHIVE_VERSION = 1;
+
+const USAGE = `Usage:
+  node cli.js migrate --from <storage> --to <storage> [options]
+  node cli.js backup  --from <storage> --out <archive.json[.gz]> [options]
+  node cli.js restore --to <storage> --in <archive.json[.gz]> [options]
+
+Storages: file, mongo, sqlite
+
+Options:
+  --session <id>       Only process this session (repeatable)
+  --dry-run            Report what would be done without writing anything
+  --overwrite          Replace sessions that already exist in the target
+  --file-dir <dir>     Data directory for the file storage (default: backend/data)
+  --mongo-uri <uri>    MongoDB connection string (default: $MONGODB_URI)
+  --sqlite-path <file> SQLite database file (default: $SQLITE_PATH or backend/data/benchmarks.sqlite)
+`;
+
+const OPTIONS = {
+  from: { type: "string" },
+  to: { type: "string" },
+  in: { type: "string" },
+  out: { type: "string" },
+  session: { type: "string", multiple: true },
+  "dry-run": { type: "boolean", default: false },
+  overwrite: { type: "boolean", default: false },
+  "file-dir": { type: "string" },
+  "mongo-uri": { type: "string" },
+  "sqlite-path": { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+function createStorage(type, options) {
+  switch (type) {
+    case "file":
+      return new FileStorage(options["file-dir"] && path.resolve(options["file-dir"]));
+    case "mongo":
+      return new MongoStorage(options["mongo-uri"]);
+    case "sqlite":
+      return new SqliteStorage(options["sqlite-path"] && path.resolve(options["sqlite-path"]));
+    default:
+      throw new UsageError(`Unknown storage "${type}" (expected file, mongo or sqlite)`);
+  }
+}
+
+async function closeStorage(storage) {
+  if (typeof storage.close === "function") {
+    await storage.close();
+  }
+}
+
+// Load the sessions to process, limited to `sessionIds` when given
+async function loadSessions(storage, sessionIds) {
+  if (!sessionIds) {
+    return Object.values(await storage.getAllSessions());
+  }
+
+  const sessions = [];
+  for (const id of sessionIds) {
+    const session = await storage.getSession(id);
+    if (session) {
+      sessions.push(session);
+    } else {
+      console.warn(`[CLI] Session not found: ${id}`);
+    }
+  }
+  return sessions;
+}
+
+// Write sessions into a storage. Existing sessions are skipped unless
+// `overwrite` is set. Revisions are per storage, so they are not copied.
+async function writeSessions(storage, sessions, { dryRun, overwrite }) {
+  const summary = { written: 0, skipped: 0, failed: 0, rejected: [] };
+
+  for (const { revision, ...session } of sessions) {
+    const label = `${session.id} (${session.name}, ${session.runs?.length || 0} runs)`;
+
+    // Hold sessions to the same rules as the API, which would refuse to save them again
+    const validationErrors = validateSession(session);
+    if (validationErrors.length > 0) {
+      console.error(`[CLI] Reject ${label}:\n${formatValidationErrors(validationErrors)}`);
+      summary.rejected.push(session.id);
+      continue;
+    }
+
+    const exists = !!(await storage.getSession(session.id));
+
+    if (exists && !overwrite) {
+      console.log(`[CLI] Skip ${label}: already exists (use --overwrite to replace)`);
+      summary.skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`[CLI] Would ${exists ? "replace" : "write"} ${label}`);
+      summary.written++;
+      continue;
+    }
+
+    try {
+      await storage.saveSession(session);
+      console.log(`[CLI] ${exists ? "Replaced" : "Wrote"} ${label}`);
+      summary.written++;
+    } catch (error) {
+      console.error(`[CLI] Failed to write ${label}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+function readArchive(file) {
+  const raw = fs.readFileSync(file);
+  const archive = JSON.parse((file.endsWith(".gz") ? zlib.gunzipSync(raw) : raw).toString("utf-8"));
+
+  if (archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.sessions)) {
+    throw new UsageError(`${file} is not a ${ARCHIVE_FORMAT} archive`);
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new UsageError(`${file} uses archive version ${archive.version}; this CLI supports up to ${ARCHIVE_VERSION}`);
+  }
+  return archive;
+}
+
+function writeArchive(file, archive) {
+  const json = JSON.stringify(archive, null, 2);
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, file.endsWith(".gz") ? zlib.gzipSync(json) : json);
+  fs.renameSync(tempFile, file);
+}
+
+function printSummary(action, { written, skipped, failed, rejected }, dryRun) {
+  console.log(
+    `[CLI] ${action}${dryRun ? " (dry run)" : ""}: ${written} ${dryRun ? "to write" : "written"}, ${skipped} skipped, ${failed} failed, ${rejected.length} rejected as invalid`
+  );
+  if (rejected.length > 0) {
+    console.log(`[CLI] Rejected: ${rejected.join(", ")}`);
+  }
+}
+
+async function migrate(options) {
+  if (!options.from || !options.to) {
+    throw new UsageError("migrate needs --from and --to");
+  }
+  if (options.from === options.to) {
+    throw new UsageError("--from and --to must be different storages");
+  }
+
+  const source = createStorage(options.from, options);
+  const target = createStorage(options.to, options);
+  try {
+    const sessions = await loadSessions(source, options.session);
+    console.log(`[CLI] Migrating ${sessions.length} sessions from ${options.from} to ${options.to}`);
+
+    const summary = await writeSessions(target, sessions, {
+      dryRun: options["dry-run"],
+      overwrite: options.overwrite,
+    });
+    printSummary("Migrate", summary, options["dry-run"]);
+    return summary.failed === 0 && summary.rejected.length === 0;
+  } finally {
+    await closeStorage(source);
+    await closeStorage(target);
+  }
+}
+
+async function backup(options) {
+  if (!options.from || !options.out) {
+    throw new UsageError("backup needs --from and --out");
+  }
+
+  const source = createStorage(options.from, options);
+  try {
+    const sessions = await loadSessions(source, options.session);
+    const runCount = sessions.reduce((sum, session) => sum + (session.runs?.length || 0), 0);
+
+    if (options["dry-run"]) {
+      sessions.forEach((session) => console.log(`[CLI] Would back up ${session.id} (${session.name})`));
+      console.log(`[CLI] Backup (dry run): ${sessions.length} sessions, ${runCount} runs to ${options.out}`);
+      return true;
+    }
+
+    writeArchive(options.out, {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      createdAt: new Date().toISOString(),
+      source: options.from,
+      sessions,
+    });
+    console.log(`[CLI] Backed up ${sessions.length} sessions (${runCount} runs) to ${options.out}`);
+    return true;
+  } finally {
+    await closeStorage(source);
+  }
+}
+
+async function restore(options) {
+  if (!options.to || !options.in) {
+    throw new UsageError("restore needs --to and --in");
+  }
+
+  const archive = readArchive(options.in);
+  const sessions = options.session
+    ? archive.sessions.filter((session) => options.session.includes(session.id))
+    : archive.sessions;
+  console.log(`[CLI] Restoring ${sessions.length} of ${archive.sessions.length} sessions from ${options.in} (backed up ${archive.createdAt} from ${archive.source})`);
+
+  const target = createStorage(options.to, options);
+  try {
+    const summary = await writeSessions(target, sessions, {
+      dryRun: options["dry-run"],
+      overwrite: options.overwrite,
+    });
+    printSummary("Restore", summary, options["dry-run"]);
+    return summary.failed === 0 && summary.rejected.length === 0;
+  } finally {
+    await closeStorage(target);
+  }
+}
+
+const COMMANDS = { migrate, backup, restore };
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const command = COMMANDS[positionals[0]];
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help;
+  }
+  return command(options);
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+      console.error(`Error: ${error.message}\n\n${USAGE}`);
+    } else {
+      console.error("[CLI] Failed:", error);
+    }
+    process.exit(1);
+  });
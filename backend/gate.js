@@ -0,0 +1,257 @@
+import { COMPARE_METRICS, RTT_STATS, compareRuns } from "../shared/compare.js";
+import { ALL_CORES, parseCoreSelection } from "../shared/cores.js";
+import { CPU_TYPES, MISC_METRICS } from "../shared/schema.js";
+
+// Regression gate for CI: compare a candidate run against a baseline run and
+// check the deltas against threshold rules, e.g.
+//
+//   { "metric": "pd", "pd": "ethernet_driver", "maxIncreasePct": 5 }
+//   { "metric": "rtt", "rtt": "Average_RTT", "maxIncreasePct": 10, "min": 500000000 }
+//
+// Rule fields:
+//   metric          throughput, rtt, cpu, pd, pmu or misc (see shared/compare.js)
+//   pd, pmu         protection domain / PMU counter (required for pd / pmu)
+//   cpuType, rtt, miscMetric, miscPD, cycleType   as for GET /compare
+//   core            core id, or "all" (default), for cpu, pd and misc rules
+//   min, max        requested throughput range in bits/s, inclusive
+//   maxIncreasePct, maxDecreasePct, maxIncrease, maxDecrease
+//                   allowed relative (%) or absolute change; at least one
+//   scope           "point" (default): every matched point must pass;
+//                   "mean": the mean delta must pass
+//   name            label in the verdict and JUnit report
+//
+// Any other field is rejected rather than ignored.
+//
+// A rule that matches no points fails, so a renamed PD or a changed
+// throughput sweep cannot silently pass the gate.
+
+const THRESHOLDS = ["maxIncreasePct", "maxDecreasePct", "maxIncrease", "maxDecrease"];
+const SCOPES = ["point", "mean"];
+// Every field a rule may have; anything else is most likely a typo that
+// would silently widen the rule
+const RULE_FIELDS = [
+  "metric",
+  "pd",
+  "pmu",
+  "cpuType",
+  "rtt",
+  "miscMetric",
+  "miscPD",
+  "cycleType",
+  "core",
+  "min",
+  "max",
+  ...THRESHOLDS,
+  "scope",
+  "name",
+];
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Validate gate rules
+ * @param {*} rules - Parsed rules
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export function validateGateRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return [{ path: "rules", message: "must be a non-empty array" }];
+  }
+
+  const errors = [];
+  const oneOf = (rule, key, allowed, path) => {
+    if (rule[key] !== undefined && !allowed.includes(rule[key])) {
+      errors.push({ path: `${path}.${key}`, message: `must be one of: ${allowed.join(", ")}` });
+    }
+  };
+
+  rules.forEach((rule, index) => {
+    const path = `rules[${index}]`;
+    if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+      errors.push({ path, message: "must be an object" });
+      return;
+    }
+
+    Object.keys(rule)
+      .filter((key) => !RULE_FIELDS.includes(key))
+      .forEach((key) => errors.push({ path: `${path}.${key}`, message: "is not a rule field" }));
+    if (!COMPARE_METRICS.includes(rule.metric)) {
+      errors.push({ path: `${path}.metric`, message: `must be one of: ${COMPARE_METRICS.join(", ")}` });
+    }
+    ["pd", "pmu"].forEach((key) => {
+      if (rule.metric === key && (typeof rule[key] !== "string" || !rule[key].trim())) {
+        errors.push({ path: `${path}.${key}`, message: `is required for ${key} rules` });
+      }
+    });
+    oneOf(rule, "cpuType", CPU_TYPES, path);
+    oneOf(rule, "cycleType", CPU_TYPES, path);
+    oneOf(rule, "rtt", RTT_STATS, path);
+    oneOf(rule, "miscMetric", MISC_METRICS, path);
+    oneOf(rule, "scope", SCOPES, path);
+    if (rule.core !== undefined && parseCoreSelection(rule.core) === undefined) {
+      errors.push({ path: `${path}.core`, message: `must be a core id or "${ALL_CORES}"` });
+    }
+
+    ["min", "max"].forEach((key) => {
+      if (rule[key] != null && !isNumber(rule[key])) {
+        errors.push({ path: `${path}.${key}`, message: "must be a number (bits/s)" });
+      }
+    });
+    if (!THRESHOLDS.some((key) => rule[key] !== undefined)) {
+      errors.push({ path, message: `needs at least one of ${THRESHOLDS.join(", ")}` });
+    }
+    THRESHOLDS.forEach((key) => {
+      if (rule[key] !== undefined && !(isNumber(rule[key]) && rule[key] >= 0)) {
+        errors.push({ path: `${path}.${key}`, message: "must be a non-negative number" });
+      }
+    });
+    if (rule.name !== undefined && typeof rule.name !== "string") {
+      errors.push({ path: `${path}.name`, message: "must be a string" });
+    }
+  });
+
+  return errors;
+}
+
+const formatMbps = (bits) => `${Math.round(bits / 1e6)} Mbps`;
+
+// Readable default label, e.g. "ethernet_driver total CPU +5% at any throughput"
+function describeRule(rule) {
+  const subject = {
+    throughput: "Receive throughput",
+    rtt: rule.rtt || "Average_RTT",
+    cpu: `System ${rule.cpuType || "total"} CPU`,
+    pd: `${rule.pd} ${rule.cpuType || "total"} CPU`,
+    pmu: rule.pmu,
+    misc: `${rule.miscMetric || "cycles"} per packet${rule.miscPD ? ` (${rule.miscPD})` : ""}`,
+  }[rule.metric];
+
+  const limits = [
+    rule.maxIncreasePct !== undefined && `+${rule.maxIncreasePct}%`,
+    rule.maxDecreasePct !== undefined && `-${rule.maxDecreasePct}%`,
+    rule.maxIncrease !== undefined && `+${rule.maxIncrease}`,
+    rule.maxDecrease !== undefined && `-${rule.maxDecrease}`,
+  ].filter(Boolean);
+
+  const range =
+    rule.min != null && rule.max != null
+      ? `between ${formatMbps(rule.min)} and ${formatMbps(rule.max)}`
+      : rule.min != null
+        ? `from ${formatMbps(rule.min)}`
+        : rule.max != null
+          ? `up to ${formatMbps(rule.max)}`
+          : "at any throughput";
+
+  const core = parseCoreSelection(rule.core);
+  const onCore = core !== ALL_CORES && ["cpu", "pd", "misc"].includes(rule.metric) ? ` on core ${core}` : "";
+
+  return `${subject}${onCore} ${limits.join("/")} ${rule.scope === "mean" ? "on average " : ""}${range}`;
+}
+
+// Why a change breaks the rule, or null when it is within the limits
+function thresholdViolation(rule, relDelta, absDelta) {
+  if (relDelta !== null && rule.maxIncreasePct !== undefined && relDelta > rule.maxIncreasePct) {
+    return `+${relDelta.toFixed(2)}% exceeds +${rule.maxIncreasePct}%`;
+  }
+  if (relDelta !== null && rule.maxDecreasePct !== undefined && relDelta < -rule.maxDecreasePct) {
+    return `${relDelta.toFixed(2)}% exceeds -${rule.maxDecreasePct}%`;
+  }
+  if (rule.maxIncrease !== undefined && absDelta > rule.maxIncrease) {
+    return `+${absDelta.toFixed(2)} exceeds +${rule.maxIncrease}`;
+  }
+  if (rule.maxDecrease !== undefined && absDelta < -rule.maxDecrease) {
+    return `${absDelta.toFixed(2)} exceeds -${rule.maxDecrease}`;
+  }
+  return null;
+}
+
+function evaluateRule(baselineRun, candidateRun, rule) {
+  const target = {
+    metric: rule.metric,
+    cpuType: rule.cpuType,
+    pd: rule.pd,
+    pmu: rule.pmu,
+    rtt: rule.rtt,
+    core: parseCoreSelection(rule.core),
+    misc: { miscMetric: rule.miscMetric, miscPD: rule.miscPD, cycleType: rule.cycleType },
+  };
+  const { points, summary } = compareRuns(baselineRun, candidateRun, target, { min: rule.min, max: rule.max });
+  const result = { name: rule.name || describeRule(rule), rule, summary, violations: [] };
+
+  if (points.length === 0) {
+    return { ...result, passed: false, message: "No matching points to compare" };
+  }
+
+  if (rule.scope === "mean") {
+    const reason = thresholdViolation(rule, summary.meanRelDelta, summary.meanAbsDelta);
+    return { ...result, passed: !reason, message: reason ? `Mean change ${reason}` : null };
+  }
+
+  result.violations = points
+    .map((point) => ({ ...point, reason: thresholdViolation(rule, point.relDelta, point.absDelta) }))
+    .filter((point) => point.reason);
+  return {
+    ...result,
+    passed: result.violations.length === 0,
+    message: result.violations.length
+      ? `${result.violations.length} of ${points.length} points out of bounds`
+      : null,
+  };
+}
+
+/**
+ * Check a candidate run against a baseline run
+ * @param {Object} baselineRun - Stored baseline run
+ * @param {Object} candidateRun - Uploaded run ({ name, data, cpuData })
+ * @param {Array<Object>} rules - Validated gate rules
+ * @returns {Object} Verdict: { passed, failures, rules: [{ name, passed, message, violations, summary }] }
+ */
+export function evaluateGate(baselineRun, candidateRun, rules) {
+  const results = rules.map((rule) => evaluateRule(baselineRun, candidateRun, rule));
+  const failures = results.filter((result) => !result.passed).length;
+  return {
+    passed: failures === 0,
+    failures,
+    baseline: { id: baselineRun.id, name: baselineRun.name },
+    candidate: { name: candidateRun.name },
+    rules: results,
+  };
+}
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[char]);
+
+/**
+ * Render a verdict as JUnit XML, one test case per rule
+ * @param {Object} verdict - Result of evaluateGate
+ * @param {string} suiteName - Test suite name
+ * @returns {string} JUnit XML document
+ */
+export function renderJUnit(verdict, suiteName) {
+  const cases = verdict.rules.map((result) => {
+    const name = `<testcase classname="${escapeXml(suiteName)}" name="${escapeXml(result.name)}"`;
+    if (result.passed) {
+      return `    ${name}/>`;
+    }
+    // Per-PD points sit at their receive throughput in Mbps, all others at bits/s
+    const pointMbps = (point) => (result.rule.metric === "pd" ? `${Math.round(point.throughput)} Mbps` : formatMbps(point.throughput));
+    const details = result.violations
+      .map((point) => `${pointMbps(point)}: ${point.baseline} -> ${point.value} (${point.reason})`)
+      .join("\n");
+    return [
+      `    ${name}>`,
+      `      <failure message="${escapeXml(result.message)}">${escapeXml(details)}</failure>`,
+      "    </testcase>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${verdict.rules.length}" failures="${verdict.failures}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${verdict.rules.length}" failures="${verdict.failures}">`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
@@ -1,42 +1,510 @@
 import express from "express";
 import cors from "cors";
+import fs from "fs";
 import multer from "multer";
-import { parse } from "csv-parse/sync";
+import os from "os";
+import path from "path";
+import { AuthStore, SESSION_ROLES, hasRole } from "./storage/AuthStore.js";
 import { DualStorage } from "./storage/DualStorage.js";
+import { evaluateGate, renderJUnit, validateGateRules } from "./gate.js";
+import { ShareStore } from "./storage/ShareStore.js";
+import { WebhookStore } from "./storage/WebhookStore.js";
+import { UploadStore } from "./storage/UploadStore.js";
+import { PartialUploadStore } from "./storage/PartialUploadStore.js";
+import { WEBHOOK_EVENTS, WebhookDispatcher } from "./webhooks.js";
+import { SessionEventHub } from "./sessionEvents.js";
+import { assignIds, checkBundle, checkFiles, createBundle, remapPlotRuns, remapViews } from "./sessionBundle.js";
+import { checkMergeRequest, planMerge } from "./sessionMerge.js";
+import { describeHistory } from "./storage/sessionHistory.js";
+import { RUN_SEARCH_FIELDS } from "./storage/runSearch.js";
+import { TRASH_ID_PATTERN, TRASH_RETENTION_DAYS, createTrashEntry, withoutItem } from "./storage/trash.js";
+import { INDEX_SORT_FIELDS } from "./storage/sessionIndex.js";
+import { COMPARE_METRICS, RTT_STATS, compareRuns, runPDNames } from "../shared/compare.js";
+import { PARSERS, parseRunFiles } from "../shared/parsers/index.js";
+import { parseCoreSelection } from "../shared/cores.js";
+import {
+  CPU_TYPES,
+  MISC_METRICS,
+  SESSION_ID_PATTERN,
+  prefixErrors,
+  validateCpuData,
+  validateCsvRows,
+  validatePlot,
+  validatePlotUpdate,
+  validateRun,
+  validateRunUpdate,
+  validateSession,
+  validateSessionMetadata,
+} from "../shared/schema.js";
 
 const app = express();
 const PORT = 3001;
 
-const upload = multer({ storage: multer.memoryStorage() });
+// Parse a size from the environment: bytes, or a number with kb, mb or gb
+const parseSize = (name, fallback) => {
+  const value = process.env[name] || fallback;
+  const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`${name} must be a size such as 512kb or 100mb, got "${value}"`);
+  }
+  return Math.floor(Number(match[1]) * 1024 ** ["b", "kb", "mb", "gb"].indexOf(match[2] || "b"));
+};
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)} MB` : `${+(bytes / 1024).toFixed(1)} KB`;
+
+// Size limits. JSON bodies carry whole sessions and runs, so large result
+// files are better sent as uploads: as files of a multipart form (streamed to
+// a temporary directory) or in chunks of at most UPLOAD_CHUNK_SIZE.
+// The parsers do not stream: a finished upload is read into memory whole to
+// be parsed, once its size is checked against UPLOAD_LIMIT, so parsing a run
+// needs memory for the text of its files (up to twice UPLOAD_LIMIT) on top
+// of the parsed data.
+const JSON_BODY_LIMIT = parseSize("JSON_BODY_LIMIT", "100mb");
+const UPLOAD_LIMIT = parseSize("UPLOAD_LIMIT", "200mb"); // per file
+const UPLOAD_CHUNK_SIZE = parseSize("UPLOAD_CHUNK_SIZE", "4mb");
+// Chunked uploads left unfinished this long are removed
+const PARTIAL_UPLOAD_EXPIRY_HOURS = 24;
+
+const upload = multer({
+  dest: path.join(os.tmpdir(), "sddf-bench-uploads"),
+  limits: { fileSize: UPLOAD_LIMIT },
+});
 
 // Storage configuration
 const ENABLE_FILE_STORAGE = process.env.ENABLE_FILE_STORAGE !== "false"; // default true
 const ENABLE_MONGODB_STORAGE = process.env.ENABLE_MONGODB_STORAGE === "true"; // default false
+const ENABLE_SQLITE_STORAGE = process.env.ENABLE_SQLITE_STORAGE === "true"; // default false
+const ENABLE_AUTH = process.env.ENABLE_AUTH === "true"; // default false
+// Comma-separated origins allowed to call the API from a browser; all when unset
+const CORS_ORIGINS = process.env.CORS_ORIGINS?.split(",").map((origin) => origin.trim()).filter(Boolean);
 
 console.log("[SERVER] Storage Configuration:");
 console.log(`  - File Storage: ${ENABLE_FILE_STORAGE ? "ENABLED" : "DISABLED"}`);
 console.log(`  - MongoDB Storage: ${ENABLE_MONGODB_STORAGE ? "ENABLED" : "DISABLED"}`);
+console.log(`  - SQLite Storage: ${ENABLE_SQLITE_STORAGE ? "ENABLED" : "DISABLED"}`);
+console.log(`[SERVER] Authentication: ${ENABLE_AUTH ? "ENABLED" : "DISABLED"}`);
+console.log(
+  `[SERVER] Size limits: JSON bodies ${formatSize(JSON_BODY_LIMIT)}, uploads ${formatSize(UPLOAD_LIMIT)} per file in chunks of ${formatSize(UPLOAD_CHUNK_SIZE)}`
+);
 
 const storage = new DualStorage({
   enableFile: ENABLE_FILE_STORAGE,
   enableMongo: ENABLE_MONGODB_STORAGE,
+  enableSqlite: ENABLE_SQLITE_STORAGE,
   mongoUri: process.env.MONGODB_URI,
+  sqlitePath: process.env.SQLITE_PATH,
+});
+
+const auth = ENABLE_AUTH ? new AuthStore(process.env.AUTH_DIR) : null;
+const shares = new ShareStore(process.env.SHARE_DIR);
+const webhookStore = new WebhookStore(process.env.WEBHOOK_DIR);
+const uploads = new UploadStore(process.env.UPLOAD_DIR);
+const partialUploads = new PartialUploadStore(process.env.PARTIAL_UPLOAD_DIR);
+const webhooks = new WebhookDispatcher(webhookStore, storage);
+const sessionEvents = new SessionEventHub();
+
+app.use(cors({ origin: CORS_ORIGINS?.length ? CORS_ORIGINS : true, exposedHeaders: ["ETag"] }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// Routes that can be called without a token. Share links carry their own token.
+const PUBLIC_ROUTES = new Set(["/hello", "/auth/status", "/auth/login", "/auth/register"]);
+const isPublicRoute = (path) => PUBLIC_ROUTES.has(path) || path.startsWith("/share/");
+
+// Resolve the bearer token (web login or API token) into req.user and
+// reject anonymous requests to everything but the public routes
+app.use("/api", (req, res, next) => {
+  req.user = null;
+  if (!ENABLE_AUTH) {
+    return next();
+  }
+
+  const match = req.get("Authorization")?.match(/^Bearer\s+(\S+)$/i);
+  const authenticated = match && auth.authenticate(match[1]);
+  if (authenticated) {
+    req.user = authenticated.user;
+    req.authToken = authenticated.token;
+  } else if (!isPublicRoute(req.path)) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
 });
 
-app.use(cors());
-app.use(express.json({ limit: "100mb" }));
+// Role of the requesting user on a session; everyone owns everything
+// when authentication is disabled
+const sessionRole = (req, sessionId) => (ENABLE_AUTH ? auth.getRole(req.user, sessionId) : "owner");
+
+// Only let users with at least `required` access to session :id through
+const requireSessionRole = (required) => (req, res, next) => {
+  if (!hasRole(sessionRole(req, req.params.id), required)) {
+    console.log(`[BACKEND] ${req.user?.username} lacks ${required} access to session ${req.params.id}`);
+    return res.status(403).json({ error: `You need ${required} access to this session` });
+  }
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (ENABLE_AUTH && !req.user.admin) {
+    return res.status(403).json({ error: "Only administrators can do this" });
+  }
+  next();
+};
+
+// Sessions the requesting user can list, or null for all of them
+const visibleSessionIds = (req) => (ENABLE_AUTH ? auth.accessibleSessionIds(req.user) : null);
+
+// Turn an optional expiresInDays body field into an expiry timestamp (null
+// for no expiry). Returns undefined when it is not a positive whole number.
+const expiryFromDays = (expiresInDays) => {
+  if (expiresInDays === undefined || expiresInDays === null) {
+    return null;
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays <= 0) {
+    return undefined;
+  }
+  return new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Make the requesting user the owner of a session they just created
+const claimSession = (req, sessionId) => {
+  if (ENABLE_AUTH && !auth.hasOwner(sessionId)) {
+    auth.setOwner(sessionId, req.user.id);
+  }
+};
+
+// Queue webhook events for the runs a write added or removed. `before` comes
+// from webhooks.snapshot() and is null when the session has no webhooks.
+const notifyWebhooks = (sessionId, before) => {
+  webhooks.sessionWritten(sessionId, before).catch((error) => {
+    console.error(`[WEBHOOKS] Failed to queue events for ${sessionId}:`, error.message);
+  });
+};
+
+// Tell the clients following a session what a write changed
+const publishChange = (req, sessionId, event, payload = {}) => {
+  sessionEvents.publish(sessionId, event, {
+    ...payload,
+    user: req.user?.username ?? null,
+    clientId: req.get("X-Client-Id") ?? null,
+  });
+};
+
+// Keep a copy of a session, run or plot in the trash before deleting it.
+// The deletion is expected to follow; undo it with discardTrash() if it fails.
+const moveToTrash = async (req, type, session, item, position = null) => {
+  const entry = createTrashEntry({
+    type,
+    sessionId: session.id,
+    sessionName: session.name,
+    item,
+    position,
+    deletedBy: req.user?.username ?? null,
+  });
+  await storage.addTrash(entry);
+  return entry;
+};
+
+const discardTrash = (entry) =>
+  storage.deleteTrash(entry.id).catch((error) => {
+    console.error(`[BACKEND] Failed to discard trash entry ${entry.id}:`, error.message);
+  });
+
+// Trashed sessions keep their members, share links, webhooks and original
+// files so that a restore brings them back; drop them once the session is
+// purged for good
+const forgetTrashed = async (entry) => {
+  if (entry.type === "plot") {
+    shares.removeShares(entry.sessionId, entry.itemId);
+  }
+  if (entry.type === "run") {
+    uploads.removeFiles(entry.sessionId, entry.itemId);
+  }
+  if (entry.type !== "session") {
+    return;
+  }
+  uploads.removeFiles(entry.sessionId);
+  if (ENABLE_AUTH) {
+    auth.removeSession(entry.sessionId);
+  }
+  shares.removeShares(entry.sessionId);
+  webhookStore.removeSession(entry.sessionId);
+
+  // Runs and plots trashed earlier can no longer be restored
+  const orphans = (await storage.listTrash()).filter((other) => other.sessionId === entry.sessionId);
+  for (const orphan of orphans) {
+    await storage.deleteTrash(orphan.id);
+  }
+};
+
+// Purge trash entries past the retention period
+const purgeExpiredTrash = async () => {
+  try {
+    const { purged } = await storage.purgeTrash();
+    for (const entry of purged) {
+      await forgetTrashed(entry);
+    }
+    if (purged.length > 0) {
+      console.log(`[BACKEND] Purged ${purged.length} expired trash entries`);
+    }
+  } catch (error) {
+    console.error("[BACKEND] Trash purge failed:", error);
+  }
+};
+
+// Remove chunked uploads that were started but never finished
+const purgeStaleUploads = () => {
+  try {
+    const olderThan = new Date(Date.now() - PARTIAL_UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+    const purged = partialUploads.purgeStale(olderThan);
+    if (purged.length > 0) {
+      console.log(`[UPLOADS] Removed ${purged.length} unfinished uploads`);
+    }
+  } catch (error) {
+    console.error("[UPLOADS] Purging unfinished uploads failed:", error);
+  }
+};
+
+// Restoring or purging a session takes owner access, a run or plot editor access
+const canManageTrash = (req, entry) =>
+  hasRole(sessionRole(req, entry.sessionId), entry.type === "session" ? "owner" : "editor");
+
+// Run and plot ids are millisecond timestamps; route params arrive as strings
+const parseItemId = (param) => (/^\d+$/.test(param) ? Number(param) : param);
+
+// Map an unsuccessful storage result to a 404 (missing) or 409 (duplicate
+// item or revision conflict). Conflicts carry the server copy of the session.
+const sendStorageFailure = (res, result) => {
+  console.log(`[BACKEND] Request failed: ${result.error}`);
+  if (result.conflict) {
+    return res.status(409).json({
+      error: "Session has been modified since it was loaded",
+      current: result.current,
+    });
+  }
+  const status = result.error?.endsWith("already exists") ? 409 : 404;
+  return res.status(status).json({ error: result.error });
+};
+
+// Reject a body that does not match the shared schema. Each error has the
+// path of the offending field, e.g. runs[0].data[3].Receive_Throughput.
+const sendValidationErrors = (res, errors) => {
+  console.log(`[BACKEND] Validation failed: ${errors.length} errors, first at ${errors[0].path || "(root)"}`);
+  return res.status(422).json({ error: "Validation failed", errors });
+};
+
+// Reject a body, file or chunk over one of the size limits
+const sendTooLarge = (res, message, limit) => {
+  console.log(`[BACKEND] Too large: ${message}`);
+  return res.status(413).json({ error: message, limit });
+};
+
+// Sessions carry a revision that is bumped on every write and exposed as the ETag
+const setRevisionHeader = (res, revision) => {
+  if (revision !== undefined) {
+    res.set("ETag", `"${revision}"`);
+  }
+};
+
+// Parse an If-Match header ("3", W/"3" or 3) into the expected revision.
+// Returns undefined when absent and NaN when malformed.
+const parseIfMatch = (req) => {
+  const header = req.get("If-Match");
+  if (!header || header === "*") {
+    return undefined;
+  }
+  const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? Number(match[1]) : NaN;
+};
 
 app.get("/api/hello", (req, res) => {
   res.json({ message: "Hello World from Backend!" });
 });
 
-app.post("/api/upload", upload.single("file"), (req, res) => {
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{2,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Field errors for the username and password of a new account
+const credentialErrors = ({ username, password }) => {
+  const errors = [];
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    errors.push({ path: "username", message: "must be 2-64 letters, digits, dots, dashes or underscores" });
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({ path: "password", message: `must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  return errors;
+};
+
+const requireAuthEnabled = (req, res, next) => {
+  if (!ENABLE_AUTH) {
+    return res.status(404).json({ error: "Authentication is disabled" });
+  }
+  next();
+};
+
+// Whether authentication is on, whether the first account still has to be
+// created, and who the token (if any) belongs to
+app.get("/api/auth/status", (req, res) => {
+  res.json({
+    enabled: ENABLE_AUTH,
+    needsSetup: ENABLE_AUTH && !auth.hasUsers(),
+    user: ENABLE_AUTH ? auth.publicUser(req.user) : null,
+  });
+});
+
+// Create an account. The first account is an administrator and can be
+// created without a token; later ones can only be created by administrators.
+app.post("/api/auth/register", requireAuthEnabled, async (req, res) => {
+  try {
+    const firstUser = !auth.hasUsers();
+    if (!firstUser && !req.user?.admin) {
+      return res.status(403).json({ error: "Only administrators can create users" });
+    }
+
+    const { username, password, admin } = req.body || {};
+    const validationErrors = credentialErrors({ username, password });
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const result = await auth.createUser(username, password, { admin: admin === true, setup: firstUser });
+    if (!result.success) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    // Log the first administrator straight in
+    if (firstUser) {
+      const { token, record } = auth.issueToken(result.user.id, { kind: "login" });
+      return res.status(201).json({ ...result, token, expiresAt: record.expiresAt });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("[BACKEND] Register error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to create user", details: error.message });
+  }
+});
+
+// Exchange a username and password for a login token
+app.post("/api/auth/login", requireAuthEnabled, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user =
+      typeof username === "string" && typeof password === "string"
+        ? await auth.checkPassword(username, password)
+        : null;
+
+    if (!user) {
+      console.log(`[BACKEND] Failed login for ${username}`);
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    const { token, record } = auth.issueToken(user.id, { kind: "login" });
+    console.log(`[BACKEND] ${user.username} logged in`);
+    res.json({ success: true, token, expiresAt: record.expiresAt, user: auth.publicUser(user) });
+  } catch (error) {
+    console.error("[BACKEND] Login error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to log in", details: error.message });
+  }
+});
+
+// Revoke the token used for this request
+app.post("/api/auth/logout", requireAuthEnabled, (req, res) => {
+  auth.revokeToken(req.user.id, req.authToken.id);
+  res.json({ success: true });
+});
+
+app.get("/api/auth/users", requireAuthEnabled, requireAdmin, (req, res) => {
+  res.json(auth.listUsers());
+});
+
+// API tokens of the requesting user, for CI uploaders and scripts
+app.get("/api/auth/tokens", requireAuthEnabled, (req, res) => {
+  res.json(auth.listTokens(req.user.id));
+});
+
+// Create an API token. The token is only returned in this response.
+app.post("/api/auth/tokens", requireAuthEnabled, (req, res) => {
+  const { name, expiresInDays } = req.body || {};
+  const expiresAt = expiryFromDays(expiresInDays);
+
+  const validationErrors = [];
+  if (typeof name !== "string" || !name.trim()) {
+    validationErrors.push({ path: "name", message: "must be a non-empty string" });
+  }
+  if (expiresAt === undefined) {
+    validationErrors.push({ path: "expiresInDays", message: "must be a positive whole number of days" });
+  }
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
+
+  const { token, record } = auth.issueToken(req.user.id, { name: name.trim(), kind: "api", expiresAt });
+  console.log(`[BACKEND] ${req.user.username} created API token ${record.id} (${record.name})`);
+  res.status(201).json({ ...record, token });
+});
+
+app.delete("/api/auth/tokens/:tokenId", requireAuthEnabled, (req, res) => {
+  if (!auth.revokeToken(req.user.id, req.params.tokenId)) {
+    return res.status(404).json({ error: "Token not found" });
+  }
+  console.log(`[BACKEND] ${req.user.username} revoked token ${req.params.tokenId}`);
+  res.json({ success: true });
+});
+
+// Report unreadable session files and unreachable storages
+app.get("/api/storage/health", async (req, res) => {
+  try {
+    const health = await storage.getHealth();
+    res.status(health.ok ? 200 : 503).json(health);
+  } catch (error) {
+    console.error("[BACKEND] Storage health error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to check storage health", details: error.message });
+  }
+});
+
+// Compare sessions across the enabled storages and repair stale copies.
+// ?dryRun=true only reports what is out of sync.
+app.post("/api/storage/reconcile", requireAdmin, async (req, res) => {
+  try {
+    const report = await storage.reconcile({ dryRun: req.query.dryRun === "true" });
+    res.json(report);
+  } catch (error) {
+    console.error("[BACKEND] Reconcile error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to reconcile storages", details: error.message });
+  }
+});
+
+// Formats the dataset uploads accept, see shared/parsers
+app.get("/api/parsers", (req, res) => {
+  res.json({ parsers: PARSERS.map(({ id, label, produces }) => ({ id, label, produces })) });
+});
+
+// Multer streams the files of a form to a temporary directory; remove them
+// once the request has been answered
+const removeUploadedFiles = (req, res, next) => {
+  res.on("close", () => {
+    [req.file, ...Object.values(req.files || {}).flat()]
+      .filter(Boolean)
+      .forEach((file) => fs.rm(file.path, { force: true }, () => {}));
+  });
+  next();
+};
+
+app.post("/api/upload", removeUploadedFiles, upload.single("file"), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
-    const fileContent = req.file.buffer.toString("utf-8");
+    const fileContent = fs.readFileSync(req.file.path, "utf-8");
     const jsonData = JSON.parse(fileContent);
 
     res.json({ success: true, data: jsonData });
@@ -47,44 +515,109 @@ app.post("/api/upload", upload.single("file"), (req, res) => {
   }
 });
 
-// Upload CSV + JSON dataset (for automation)
-app.post("/api/upload-dataset", upload.fields([
-  { name: "csv", maxCount: 1 },
-  { name: "json", maxCount: 1 }
-]), (req, res) => {
+const datasetUpload = [
+  removeUploadedFiles,
+  upload.fields([
+    { name: "csv", maxCount: 1 },
+    { name: "json", maxCount: 1 }
+  ]),
+];
+
+// Parse and validate the two files of a dataset upload. Returns
+// { csvData, jsonData, files }, or null once an error response has been sent.
+// Each file may be in any format of shared/parsers, which is detected from
+// its contents unless the csvFormat / jsonFormat form field names it.
+const readDataset = (req, res) => {
+  let csvData;
+  let jsonData;
+  let files;
   try {
     if (!req.files || !req.files.csv || !req.files.json) {
-      return res.status(400).json({
+      res.status(400).json({
         error: "Both CSV and JSON files are required",
         received: {
           csv: !!req.files?.csv,
           json: !!req.files?.json
         }
       });
+      return null;
     }
 
-    // Parse CSV file
-    const csvContent = req.files.csv[0].buffer.toString("utf-8");
-    const csvData = parse(csvContent, {
-      columns: true,
-      skip_empty_lines: true,
-      cast: true,
-      cast_date: false
-    });
+    // multer has already refused files over UPLOAD_LIMIT
+    const fields = ["csv", "json"];
+    const uploaded = fields.map((field) => req.files[field][0]);
+    // parseRunFiles rejects two files of the same kind, so both parts are set
+    const run = parseRunFiles(
+      uploaded.map((file, index) => ({
+        name: file.originalname,
+        text: fs.readFileSync(file.path, "utf-8"),
+        format: req.body?.[`${fields[index]}Format`] || undefined,
+      }))
+    );
+    csvData = run.data;
+    jsonData = run.cpuData;
+    // Kept by copying the uploaded files rather than writing out their text
+    files = run.files.map(({ text, ...file }) => ({ ...file, path: uploaded[file.index].path }));
+    console.log(`[BACKEND] Parsed dataset as ${run.formats.data} + ${run.formats.cpuData}`);
+  } catch (error) {
+    console.error("[BACKEND] Upload dataset error:", error);
+    res
+      .status(400)
+      .json({ error: "Failed to parse dataset", details: error.message });
+    return null;
+  }
 
-    // Parse JSON file
-    const jsonContent = req.files.json[0].buffer.toString("utf-8");
-    const jsonData = JSON.parse(jsonContent);
+  const validationErrors = [
+    ...prefixErrors(validateCsvRows(csvData), "csv"),
+    ...prefixErrors(validateCpuData(jsonData), "json"),
+  ];
+  if (validationErrors.length > 0) {
+    sendValidationErrors(res, validationErrors);
+    return null;
+  }
 
-    // Optional metadata from form fields
-    const metadata = {
-      commit: req.body.commit || "",
-      hardware: req.body.hardware || "",
-      dateTime: req.body.dateTime || new Date().toISOString(),
-      notes: req.body.notes || ""
-    };
+  return { csvData, jsonData, files };
+};
 
-    res.json({
+// Upload a dataset (for automation): the throughput data and the CPU data,
+// each as a file in any format of shared/parsers.
+// With a sessionId (or a sessionName, created if missing) the parsed run is
+// appended to that session; otherwise the parsed dataset is echoed back.
+// Metadata form fields: commit, hardware, dateTime, notes, tags (comma- or
+// space-separated) and fields (a JSON object of string values).
+app.post("/api/upload-dataset", datasetUpload, async (req, res) => {
+  const dataset = readDataset(req, res);
+  if (!dataset) {
+    return;
+  }
+  const { csvData, jsonData, files } = dataset;
+
+  // Optional metadata from form fields
+  const metadata = {
+    commit: req.body.commit || "",
+    hardware: req.body.hardware || "",
+    dateTime: req.body.dateTime || new Date().toISOString().slice(0, 16),
+    notes: req.body.notes || ""
+  };
+  if (req.body.tags) {
+    metadata.tags = [...new Set(req.body.tags.split(/[,\s]+/).filter(Boolean))];
+  }
+  if (req.body.fields) {
+    try {
+      metadata.fields = JSON.parse(req.body.fields);
+    } catch (error) {
+      return sendValidationErrors(res, [{ path: "fields", message: `must be a JSON object (${error.message})` }]);
+    }
+  }
+  const metadataErrors = validateRunUpdate({ metadata });
+  if (metadataErrors.length > 0) {
+    return sendValidationErrors(res, metadataErrors);
+  }
+
+  const { sessionId, sessionName } = req.body;
+
+  if (!sessionId && !sessionName) {
+    return res.json({
       success: true,
       data: {
         csv: csvData,
@@ -92,27 +625,203 @@ app.post("/api/upload-dataset", upload.fields([
         metadata: metadata
       }
     });
+  }
+
+  try {
+    let session;
+    if (sessionId) {
+      if (!hasRole(sessionRole(req, sessionId), "editor")) {
+        return res.status(403).json({ error: "You need editor access to this session" });
+      }
+      session = await storage.getSession(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+    } else {
+      const visible = visibleSessionIds(req);
+      const sessions = await storage.getAllSessions();
+      session = Object.values(sessions).find(
+        (s) => s.name === sessionName && (!visible || visible.includes(s.id))
+      );
+      if (session && !hasRole(sessionRole(req, session.id), "editor")) {
+        return res.status(403).json({ error: "You need editor access to this session" });
+      }
+      if (!session) {
+        const now = new Date().toISOString();
+        session = {
+          id: `session-${Date.now()}`,
+          name: sessionName,
+          runs: [],
+          customPlots: [],
+          createdAt: now,
+          updatedAt: now,
+        };
+        console.log(`[BACKEND] Creating session for upload: ${session.id} (${sessionName})`);
+        await storage.saveSession(session);
+        claimSession(req, session.id);
+      }
+    }
+
+    const newRun = {
+      id: Date.now(),
+      name: req.body.name || `Run ${(session.runs?.length || 0) + 1}`,
+      data: csvData,
+      cpuData: jsonData,
+      metadata: metadata,
+    };
+
+    console.log(`[BACKEND] Adding uploaded run ${newRun.id} (${newRun.name}) to session ${session.id}`);
+
+    const before = await webhooks.snapshot(session.id);
+    let result = await storage.addRun(session.id, newRun);
+    // Run ids are millisecond timestamps; bump on collision with an existing run
+    while (!result.success && result.error === "Run already exists") {
+      newRun.id++;
+      result = await storage.addRun(session.id, newRun);
+    }
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    uploads.saveFiles(session.id, newRun.id, files);
+    notifyWebhooks(session.id, before);
+    publishChange(req, session.id, "run.added", { run: result.run, revision: result.revision });
+
+    res.json({ success: true, sessionId: session.id, runId: newRun.id });
   } catch (error) {
-    console.error("[BACKEND] Upload dataset error:", error);
+    console.error("[BACKEND] Upload dataset save error:", error);
     res
-      .status(400)
-      .json({ error: "Failed to parse dataset", details: error.message });
+      .status(500)
+      .json({ error: "Failed to save uploaded run", details: error.message });
+  }
+});
+
+// Chunked uploads, for result files too large to send in one request. Start
+// one with the file's name and size, send its bytes in order with
+// PUT ?offset=<bytes received so far> (as application/octet-stream, at most
+// chunkSize bytes each), then make a run of it with
+// POST /api/sessions/:id/runs/from-uploads. After a failed chunk, GET the
+// upload to see where to carry on.
+
+// The upload of :uploadId if it belongs to the requesting user
+const ownUpload = (req, uploadId = req.params.uploadId) => {
+  const found = typeof uploadId === "string" ? partialUploads.get(uploadId) : null;
+  return found && found.owner === (req.user?.id ?? null) ? found : null;
+};
+
+app.post("/api/uploads", (req, res) => {
+  try {
+    const { name, size } = req.body || {};
+    const validationErrors = [];
+    if (typeof name !== "string" || !name.trim()) {
+      validationErrors.push({ path: "name", message: "must be a non-empty string" });
+    }
+    if (!Number.isInteger(size) || size < 0) {
+      validationErrors.push({ path: "size", message: "must be a number of bytes" });
+    }
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+    if (size > UPLOAD_LIMIT) {
+      return sendTooLarge(res, `${name} is larger than the upload limit of ${formatSize(UPLOAD_LIMIT)}`, UPLOAD_LIMIT);
+    }
+
+    const created = partialUploads.create({ name: name.trim(), size, owner: req.user?.id ?? null });
+    console.log(`[UPLOADS] Started upload ${created.id} of ${created.name} (${formatSize(size)})`);
+    res.status(201).json({ ...created, chunkSize: UPLOAD_CHUNK_SIZE });
+  } catch (error) {
+    console.error("[UPLOADS] Start upload error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to start upload", details: error.message });
+  }
+});
+
+app.get("/api/uploads/:uploadId", (req, res) => {
+  const found = ownUpload(req);
+  if (!found) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+  res.json({ ...found, chunkSize: UPLOAD_CHUNK_SIZE });
+});
+
+app.put("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const found = ownUpload(req);
+    if (!found) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset)) {
+      return res.status(400).json({ error: "offset must be the number of bytes already received" });
+    }
+
+    // Refuse an oversized chunk before reading it when it says how long it is
+    const maxBytes = Math.min(UPLOAD_CHUNK_SIZE, found.size - found.received);
+    const length = Number(req.get("Content-Length"));
+    if (length > UPLOAD_CHUNK_SIZE) {
+      res.set("Connection", "close");
+      return sendTooLarge(res, `Chunks must be at most ${formatSize(UPLOAD_CHUNK_SIZE)}`, UPLOAD_CHUNK_SIZE);
+    }
+    if (length > maxBytes) {
+      res.set("Connection", "close");
+      return sendTooLarge(res, `Chunk runs past the end of ${found.name} (${found.size} bytes)`, maxBytes);
+    }
+
+    const result = await partialUploads.append(found.id, req, { offset, maxBytes });
+    if (!result.success) {
+      if (result.tooLarge) {
+        return sendTooLarge(res, result.error, maxBytes);
+      }
+      if (result.conflict) {
+        return res.status(409).json({ error: result.error, received: result.upload.received });
+      }
+      return res.status(404).json({ error: result.error });
+    }
+    res.json({ ...result.upload, chunkSize: UPLOAD_CHUNK_SIZE });
+  } catch (error) {
+    console.error("[UPLOADS] Upload chunk error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to receive chunk", details: error.message });
   }
 });
 
+app.delete("/api/uploads/:uploadId", (req, res) => {
+  const found = ownUpload(req);
+  if (!found) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+  partialUploads.remove(found.id);
+  console.log(`[UPLOADS] Cancelled upload ${found.id} of ${found.name}`);
+  res.json({ success: true });
+});
+
 // Save or update session
 app.post("/api/sessions", async (req, res) => {
   try {
-    const { id, name, runs, customPlots, createdAt, updatedAt } = req.body;
+    const validationErrors = validateSession(req.body);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
 
-    if (!id || !name) {
-      console.log("[BACKEND] Save failed: missing id or name");
-      return res.status(400).json({ error: "Session id and name are required" });
+    const { id, name, metadata, runs, customPlots, createdAt, updatedAt } = req.body;
+
+    const expectedRevision = parseIfMatch(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: "If-Match must be a session revision" });
+    }
+
+    // Overwriting needs editor access; anyone can create a new session.
+    // A session nobody owns yet (e.g. restored with the CLI) is left to admins.
+    const role = sessionRole(req, id);
+    if (role ? !hasRole(role, "editor") : await storage.getSession(id)) {
+      return res.status(403).json({ error: "You need editor access to this session" });
     }
 
     const sessionData = {
       id,
       name,
+      ...(metadata && { metadata }),
       runs,
       customPlots,
       createdAt: createdAt || new Date().toISOString(),
@@ -121,7 +830,16 @@ app.post("/api/sessions", async (req, res) => {
 
     console.log(`[BACKEND] Saving session: ${id} (${name}) - ${runs?.length || 0} runs, ${customPlots?.length || 0} plots`);
 
-    const result = await storage.saveSession(sessionData);
+    const before = await webhooks.snapshot(id);
+    const result = await storage.saveSession(sessionData, { expectedRevision });
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    claimSession(req, id);
+    notifyWebhooks(id, before);
+    publishChange(req, id, "session.updated", { revision: result.session.revision });
+
+    setRevisionHeader(res, result.session.revision);
     res.json(result);
   } catch (error) {
     console.error("[BACKEND] Save error:", error);
@@ -135,7 +853,12 @@ app.post("/api/sessions", async (req, res) => {
 app.get("/api/sessions", async (req, res) => {
   try {
     const sessions = await storage.getAllSessions();
-    res.json(sessions);
+    const visible = visibleSessionIds(req);
+    res.json(
+      visible
+        ? Object.fromEntries(Object.entries(sessions).filter(([id]) => visible.includes(id)))
+        : sessions
+    );
   } catch (error) {
     console.error("[BACKEND] List sessions error:", error);
     res
@@ -144,8 +867,80 @@ app.get("/api/sessions", async (req, res) => {
   }
 });
 
+// List session summaries (no run data) for the session picker.
+// Query: q (name search), sort, order (asc|desc), page, pageSize
+app.get("/api/sessions/index", async (req, res) => {
+  try {
+    const { q, sort = "updatedAt", order = "desc" } = req.query;
+    const page = Number(req.query.page || 1);
+    const pageSize = Number(req.query.pageSize || 50);
+
+    if (!INDEX_SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${INDEX_SORT_FIELDS.join(", ")}` });
+    }
+    if (order !== "asc" && order !== "desc") {
+      return res.status(400).json({ error: "order must be asc or desc" });
+    }
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > 500) {
+      return res.status(400).json({ error: "page must be >= 1 and pageSize between 1 and 500" });
+    }
+
+    const result = await storage.getSessionIndex({
+      q: q?.trim() || undefined,
+      ids: visibleSessionIds(req) ?? undefined,
+      sort,
+      order,
+      page,
+      pageSize,
+    });
+    // Let the session menu hide actions the user is not allowed to take
+    const sessions = result.sessions.map((summary) => ({ ...summary, role: sessionRole(req, summary.id) }));
+    res.json({ ...result, sessions, page, pageSize });
+  } catch (error) {
+    console.error("[BACKEND] Session index error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list sessions", details: error.message });
+  }
+});
+
+// Search runs across all sessions the user can see.
+// Query: hardware, name, notes (substring), commit (prefix), from and to
+// (metadata.dateTime bounds, e.g. 2025-10-01 or 2025-10), limit, offset
+app.get("/api/runs/search", async (req, res) => {
+  try {
+    const filters = Object.fromEntries(
+      RUN_SEARCH_FIELDS.map((field) => [field, req.query[field]?.trim() || undefined])
+    );
+    const limit = Number(req.query.limit || 100);
+    const offset = Number(req.query.offset || 0);
+
+    const dateBound = /^\d{4}(-\d{2}(-\d{2}([T ]\d{2}(:\d{2})?)?)?)?$/;
+    const badDate = ["from", "to"].find((field) => filters[field] && !dateBound.test(filters[field]));
+    if (badDate) {
+      return res.status(400).json({ error: `${badDate} must be a date such as 2025-10-01 or 2025-10-01T12:00` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500 || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "limit must be between 1 and 500 and offset >= 0" });
+    }
+
+    const result = await storage.searchRuns({
+      ...filters,
+      ids: visibleSessionIds(req) ?? undefined,
+      limit,
+      offset,
+    });
+    res.json({ ...result, limit, offset });
+  } catch (error) {
+    console.error("[BACKEND] Run search error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to search runs", details: error.message });
+  }
+});
+
 // Load a specific session
-app.get("/api/sessions/:id", async (req, res) => {
+app.get("/api/sessions/:id", requireSessionRole("viewer"), async (req, res) => {
   try {
     const { id } = req.params;
     const sessionData = await storage.getSession(id);
@@ -154,7 +949,8 @@ app.get("/api/sessions/:id", async (req, res) => {
       return res.status(404).json({ error: "Session not found" });
     }
 
-    res.json(sessionData);
+    setRevisionHeader(res, sessionData.revision || 0);
+    res.json({ ...sessionData, role: sessionRole(req, id) });
   } catch (error) {
     console.error("[BACKEND] Load session error:", error);
     res
@@ -163,26 +959,1234 @@ app.get("/api/sessions/:id", async (req, res) => {
   }
 });
 
-// Delete a session
-app.delete("/api/sessions/:id", async (req, res) => {
+// Export a session as a portable bundle (see sessionBundle.js) with the
+// original files of its runs. Per-plot view settings live in the UI, which
+// adds them to the bundle before saving it.
+app.get("/api/sessions/:id/export", requireSessionRole("viewer"), async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await storage.deleteSession(id);
-
-    if (!result.success) {
-      console.log(`[BACKEND] Delete failed: ${result.error}`);
-      return res.status(404).json({ error: result.error });
+    const session = await storage.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
     }
 
-    res.json(result);
+    const bundle = createBundle(session, (runId) => uploads.getFiles(session.id, runId));
+    console.log(
+      `[BACKEND] Exporting session ${session.id} (${session.name}): ${bundle.runs.length} runs, ${Object.keys(bundle.files).length} with original files`
+    );
+    res.attachment(`${session.name.replace(/[^a-z0-9]/gi, "_")}.sddf-session.json`).json(bundle);
   } catch (error) {
-    console.error("[BACKEND] Delete error:", error);
+    console.error("[BACKEND] Export session error:", error);
     res
       .status(500)
-      .json({ error: "Failed to delete session", details: error.message });
+      .json({ error: "Failed to export session", details: error.message });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Backend server running on http://localhost:${PORT}`);
+// Import a session bundle as a new session. The session keeps its id unless
+// that is taken here (by a live or a trashed session); run and plot ids are
+// kept unless the bundle repeats them. Answers with the new session id, the
+// old => new run and plot ids, and the view settings under the new plot ids.
+app.post("/api/sessions/import", async (req, res) => {
+  try {
+    const bundle = req.body;
+    const bundleErrors = checkBundle(bundle);
+    if (bundleErrors.length > 0) {
+      return sendValidationErrors(res, bundleErrors);
+    }
+
+    const trashedIds = (await storage.listTrash())
+      .filter((entry) => entry.type === "session")
+      .map((entry) => entry.sessionId);
+    let sessionId = bundle.session.id;
+    if (
+      typeof sessionId !== "string" ||
+      !SESSION_ID_PATTERN.test(sessionId) ||
+      trashedIds.includes(sessionId) ||
+      (await storage.getSession(sessionId))
+    ) {
+      sessionId = `session-${Date.now()}`;
+    }
+
+    const { ids: runIds, idMap: runIdMap } = assignIds(bundle.runs, []);
+    const { ids: plotIds, idMap: plotIdMap } = assignIds(bundle.customPlots, []);
+    const now = new Date().toISOString();
+    const session = {
+      id: sessionId,
+      name: bundle.session.name,
+      ...(bundle.session.metadata && { metadata: bundle.session.metadata }),
+      runs: bundle.runs.map((run, index) => ({ ...run, id: runIds[index] })),
+      customPlots: bundle.customPlots.map((plot, index) => remapPlotRuns({ ...plot, id: plotIds[index] }, runIdMap)),
+      createdAt: bundle.session.createdAt || now,
+      updatedAt: now,
+    };
+
+    const validationErrors = validateSession(session);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    console.log(
+      `[BACKEND] Importing session ${bundle.session.id} as ${sessionId} (${session.name}) - ${session.runs.length} runs, ${session.customPlots.length} plots`
+    );
+
+    const result = await storage.saveSession(session);
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    claimSession(req, sessionId);
+    bundle.runs.forEach((run, index) => uploads.saveFiles(sessionId, runIds[index], bundle.files?.[run.id]));
+
+    setRevisionHeader(res, result.session.revision);
+    res.status(201).json({
+      success: true,
+      sessionId,
+      revision: result.session.revision,
+      runIds: Object.fromEntries(runIdMap),
+      plotIds: Object.fromEntries(plotIdMap),
+      views: remapViews(bundle.views, plotIdMap),
+    });
+  } catch (error) {
+    console.error("[BACKEND] Import session error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to import session", details: error.message });
+  }
+});
+
+// Copy runs and custom plots of another session into session :id (see
+// sessionMerge.js). With `dryRun` only the plan is returned, listing the
+// duplicates that will be skipped and the names that clash; otherwise the
+// target is written in one save, guarded by If-Match (or by the revision the
+// plan was made against), and refused with 422 while clashes remain.
+app.post("/api/sessions/:id/merge", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceSessionId, runIds, plotIds, renames, dryRun = false } = req.body || {};
+
+    const requestErrors = checkMergeRequest({ sourceSessionId, runIds, plotIds, renames });
+    if (requestErrors.length === 0 && sourceSessionId === id) {
+      requestErrors.push({ path: "sourceSessionId", message: "must be another session" });
+    }
+    if (requestErrors.length > 0) {
+      return sendValidationErrors(res, requestErrors);
+    }
+    if (!hasRole(sessionRole(req, sourceSessionId), "viewer")) {
+      return res.status(403).json({ error: "You need viewer access to the source session" });
+    }
+
+    let expectedRevision = parseIfMatch(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: "If-Match must be a session revision" });
+    }
+
+    const [source, target] = await Promise.all([storage.getSession(sourceSessionId), storage.getSession(id)]);
+    if (!source || !target) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const plan = planMerge(source, target, { runIds, plotIds, renames });
+    const summary = {
+      targetRevision: target.revision || 0,
+      runs: plan.runs,
+      plots: plan.plots,
+      errors: plan.errors,
+    };
+    if (dryRun) {
+      return res.json(summary);
+    }
+    if (plan.errors.length > 0) {
+      return sendValidationErrors(res, plan.errors);
+    }
+
+    const merged = { ...plan.session, updatedAt: new Date().toISOString() };
+    const validationErrors = validateSession(merged);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    // Without If-Match, still refuse to overwrite a write that lands in between
+    if (expectedRevision === undefined) {
+      expectedRevision = summary.targetRevision;
+    }
+
+    const copied = plan.runs.filter((run) => run.duplicateOf === null);
+    console.log(
+      `[BACKEND] Merging ${copied.length} runs (${plan.runs.length - copied.length} duplicates) and ${plan.plots.length} plots from session ${sourceSessionId} into ${id}`
+    );
+
+    const before = await webhooks.snapshot(id);
+    const result = await storage.saveSession(merged, { expectedRevision });
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    copied.forEach((run) => uploads.copyFiles(sourceSessionId, run.sourceId, id, run.id));
+    notifyWebhooks(id, before);
+    publishChange(req, id, "session.updated", { revision: result.session.revision });
+
+    setRevisionHeader(res, result.session.revision);
+    res.json({
+      ...summary,
+      success: true,
+      revision: result.session.revision,
+      runIds: Object.fromEntries(plan.runIdMap),
+      plotIds: Object.fromEntries(plan.plotIdMap),
+    });
+  } catch (error) {
+    console.error("[BACKEND] Merge sessions error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to merge sessions", details: error.message });
+  }
+});
+
+// Follow the changes to a session as Server-Sent Events, see sessionEvents.js
+app.get("/api/sessions/:id/events", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await storage.getSession(id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const unsubscribe = sessionEvents.subscribe(id, res, session.revision || 0);
+    req.on("close", unsubscribe);
+  } catch (error) {
+    console.error("[BACKEND] Session events error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to follow session", details: error.message });
+  }
+});
+
+// Move a session to the trash
+app.delete("/api/sessions/:id", requireSessionRole("owner"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await storage.getSession(id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const entry = await moveToTrash(req, "session", session, session);
+    const result = await storage.deleteSession(id);
+    if (!result.success) {
+      console.log(`[BACKEND] Delete failed: ${result.error}`);
+      await discardTrash(entry);
+      return res.status(404).json({ error: result.error });
+    }
+    publishChange(req, id, "session.deleted");
+    sessionEvents.close(id);
+
+    res.json({ ...result, trashId: entry.id, expiresAt: entry.expiresAt });
+  } catch (error) {
+    console.error("[BACKEND] Delete error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to delete session", details: error.message });
+  }
+});
+
+// Update session-level fields: name, metadata (tags and key/value fields),
+// run order and plot order
+app.patch("/api/sessions/:id", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, metadata, runOrder, plotOrder } = req.body;
+
+    const validationErrors = validateSessionMetadata(metadata);
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      validationErrors.push({ path: "name", message: "must be a non-empty string" });
+    }
+    for (const [field, order] of Object.entries({ runOrder, plotOrder })) {
+      if (order !== undefined && !Array.isArray(order)) {
+        validationErrors.push({ path: field, message: "must be an array of ids" });
+      }
+    }
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const expectedRevision = parseIfMatch(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: "If-Match must be a session revision" });
+    }
+
+    const result = await storage.updateSession(
+      id,
+      { name: name?.trim(), metadata, runOrder, plotOrder },
+      { expectedRevision }
+    );
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    publishChange(req, id, "session.updated", { revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.json(result);
+  } catch (error) {
+    console.error("[BACKEND] Update session error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to update session", details: error.message });
+  }
+});
+
+// List the owner and members of a session with their roles
+app.get("/api/sessions/:id/members", requireAuthEnabled, requireSessionRole("viewer"), (req, res) => {
+  res.json({ sessionId: req.params.id, members: auth.getMembers(req.params.id) });
+});
+
+// Give a user a role on a session. Making someone the owner demotes the
+// current owner to editor.
+app.put("/api/sessions/:id/members/:username", requireAuthEnabled, requireSessionRole("owner"), async (req, res) => {
+  try {
+    const { id, username } = req.params;
+    const { role } = req.body || {};
+
+    if (!SESSION_ROLES.includes(role)) {
+      return sendValidationErrors(res, [{ path: "role", message: `must be one of: ${SESSION_ROLES.join(", ")}` }]);
+    }
+
+    const user = auth.findUser(username);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!(await storage.getSession(id))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    // Admins managing a session nobody owns take it over first
+    claimSession(req, id);
+    if (auth.getMembers(id)[0].userId === user.id && role !== "owner") {
+      return sendValidationErrors(res, [
+        { path: "role", message: "make another user the owner before changing the owner's role" },
+      ]);
+    }
+
+    console.log(`[BACKEND] ${req.user.username} made ${user.username} ${role} of session ${id}`);
+    auth.setMemberRole(id, user.id, role);
+    res.json({ sessionId: id, members: auth.getMembers(id) });
+  } catch (error) {
+    console.error("[BACKEND] Set member role error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to update session members", details: error.message });
+  }
+});
+
+app.delete("/api/sessions/:id/members/:username", requireAuthEnabled, requireSessionRole("owner"), (req, res) => {
+  const { id, username } = req.params;
+  const user = auth.findUser(username);
+
+  if (!user || !auth.removeMember(id, user.id)) {
+    return res.status(404).json({ error: "Member not found" });
+  }
+
+  console.log(`[BACKEND] ${req.user.username} removed ${user.username} from session ${id}`);
+  res.json({ sessionId: id, members: auth.getMembers(id) });
+});
+
+// List the revision history of a session with the changes made by each revision
+app.get("/api/sessions/:id/history", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await storage.getSession(id);
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const archived = await storage.getHistory(id);
+    res.json({ sessionId: id, history: describeHistory(session, archived) });
+  } catch (error) {
+    console.error("[BACKEND] List history error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list session history", details: error.message });
+  }
+});
+
+// Load a complete archived revision of a session
+app.get("/api/sessions/:id/history/:revision", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const entry = await storage.getHistoryRevision(req.params.id, Number(req.params.revision));
+
+    if (!entry) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error("[BACKEND] Load revision error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to load revision", details: error.message });
+  }
+});
+
+// Restore an archived revision. The restore is saved as a new revision, so
+// the state it replaces stays in the history.
+app.post("/api/sessions/:id/history/:revision/restore", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+
+    let expectedRevision = parseIfMatch(req);
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({ error: "If-Match must be a session revision" });
+    }
+
+    const [current, entry] = await Promise.all([
+      storage.getSession(id),
+      storage.getHistoryRevision(id, Number(revision)),
+    ]);
+    if (!current) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (!entry) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    // Without If-Match, still refuse to overwrite a write that lands in between
+    if (expectedRevision === undefined) {
+      expectedRevision = current.revision || 0;
+    }
+
+    const restored = {
+      ...entry.session,
+      id,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+
+    // Revisions archived before validation was enforced may not be valid
+    const validationErrors = validateSession(restored);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    console.log(`[BACKEND] Restoring session ${id} to revision ${revision}`);
+
+    const before = await webhooks.snapshot(id);
+    const result = await storage.saveSession(restored, { expectedRevision });
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    notifyWebhooks(id, before);
+    publishChange(req, id, "session.updated", { revision: result.session.revision });
+
+    setRevisionHeader(res, result.session.revision);
+    res.json(result);
+  } catch (error) {
+    console.error("[BACKEND] Restore revision error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to restore revision", details: error.message });
+  }
+});
+
+// List the runs of a session
+app.get("/api/sessions/:id/runs", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const runs = await storage.getRuns(req.params.id);
+
+    if (!runs) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json(runs);
+  } catch (error) {
+    console.error("[BACKEND] List runs error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list runs", details: error.message });
+  }
+});
+
+// Add a run to a session. The original files it was parsed from may be sent
+// along as `sourceFiles` ([{ part, name, format, text }]); they are kept
+// apart from the run, for session exports.
+app.post("/api/sessions/:id/runs", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceFiles, ...run } = req.body || {};
+
+    const newRun = {
+      ...run,
+      id: run.id ?? Date.now(),
+      cpuData: run.cpuData ?? null,
+      metadata: run.metadata || {},
+    };
+
+    const validationErrors = [
+      ...validateRun(newRun),
+      ...(sourceFiles !== undefined ? checkFiles(sourceFiles, "sourceFiles") : []),
+    ];
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    console.log(`[BACKEND] Adding run ${newRun.id} (${newRun.name}) to session ${id}`);
+
+    const before = await webhooks.snapshot(id);
+    const result = await storage.addRun(id, newRun);
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    uploads.saveFiles(id, newRun.id, sourceFiles);
+    notifyWebhooks(id, before);
+    publishChange(req, id, "run.added", { run: result.run, revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("[BACKEND] Add run error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to add run", details: error.message });
+  }
+});
+
+// Append a run made of finished chunked uploads (see /api/uploads). The files
+// are parsed like those of a dataset upload and kept as the run's original
+// files. Body: the run without data and cpuData, plus
+// files: [{ uploadId, format }] with an optional parser id per file.
+app.post("/api/sessions/:id/runs/from-uploads", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { files, ...run } = req.body || {};
+
+    if (!Array.isArray(files) || files.length === 0 || files.length > 2) {
+      return sendValidationErrors(res, [{ path: "files", message: "must list one or two uploads" }]);
+    }
+    const fileErrors = [];
+    const finished = files.map((file, index) => {
+      const found = ownUpload(req, file?.uploadId);
+      if (!found) {
+        fileErrors.push({ path: `files[${index}].uploadId`, message: "is not an upload of yours" });
+      } else if (found.received < found.size) {
+        fileErrors.push({
+          path: `files[${index}].uploadId`,
+          message: `is not finished (${found.received} of ${found.size} bytes received)`,
+        });
+      }
+      return { found, format: file?.format || undefined };
+    });
+    if (fileErrors.length > 0) {
+      return sendValidationErrors(res, fileErrors);
+    }
+    // Check the size before reading the files in, as the limit may have been
+    // lowered since the uploads began
+    const oversized = finished.find(({ found }) => found.received > UPLOAD_LIMIT);
+    if (oversized) {
+      return sendTooLarge(
+        res,
+        `${oversized.found.name} is larger than the upload limit of ${formatSize(UPLOAD_LIMIT)}`,
+        UPLOAD_LIMIT
+      );
+    }
+
+    let parsed;
+    try {
+      parsed = parseRunFiles(
+        finished.map(({ found, format }) => ({ name: found.name, text: partialUploads.readText(found.id), format }))
+      );
+    } catch (error) {
+      return res.status(400).json({ error: "Failed to parse uploads", details: error.message });
+    }
+    if (!parsed.data) {
+      return sendValidationErrors(res, [{ path: "files", message: "neither file holds throughput data" }]);
+    }
+
+    const newRun = {
+      ...run,
+      id: run.id ?? Date.now(),
+      data: parsed.data,
+      cpuData: parsed.cpuData ?? null,
+      metadata: run.metadata || {},
+    };
+    const validationErrors = validateRun(newRun);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    console.log(
+      `[BACKEND] Adding run ${newRun.id} (${newRun.name}) to session ${id} from uploads (${Object.values(parsed.formats).join(" + ")})`
+    );
+
+    const before = await webhooks.snapshot(id);
+    const result = await storage.addRun(id, newRun);
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    uploads.saveFiles(
+      id,
+      newRun.id,
+      parsed.files.map(({ text, ...file }) => ({ ...file, path: partialUploads.partPath(finished[file.index].found.id) }))
+    );
+    finished.forEach(({ found }) => partialUploads.remove(found.id));
+    notifyWebhooks(id, before);
+    publishChange(req, id, "run.added", { run: result.run, revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("[BACKEND] Add run from uploads error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to add run", details: error.message });
+  }
+});
+
+// Load a single run
+app.get("/api/sessions/:id/runs/:runId", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const run = await storage.getRun(req.params.id, parseItemId(req.params.runId));
+
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error("[BACKEND] Load run error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to load run", details: error.message });
+  }
+});
+
+// Update fields of a run (name, metadata, data, cpuData)
+app.patch("/api/sessions/:id/runs/:runId", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id, ...updates } = req.body || {};
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No run fields to update" });
+    }
+
+    const validationErrors = validateRunUpdate(updates);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const result = await storage.updateRun(req.params.id, parseItemId(req.params.runId), updates);
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    publishChange(req, req.params.id, "run.updated", { run: result.run, revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.json(result);
+  } catch (error) {
+    console.error("[BACKEND] Update run error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to update run", details: error.message });
+  }
+});
+
+// Remove a run from a session
+app.delete("/api/sessions/:id/runs/:runId", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const runId = parseItemId(req.params.runId);
+    const session = await storage.getSession(req.params.id);
+    const position = session ? session.runs.findIndex((run) => run.id === runId) : -1;
+    if (position === -1) {
+      return res.status(404).json({ error: session ? "Run not found" : "Session not found" });
+    }
+
+    const before = await webhooks.snapshot(req.params.id);
+    const entry = await moveToTrash(req, "run", session, session.runs[position], position);
+    const result = await storage.deleteRun(req.params.id, runId);
+    if (!result.success) {
+      await discardTrash(entry);
+      return sendStorageFailure(res, result);
+    }
+    notifyWebhooks(req.params.id, before);
+    publishChange(req, req.params.id, "run.deleted", { runId, revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.json({ ...result, trashId: entry.id, expiresAt: entry.expiresAt });
+  } catch (error) {
+    console.error("[BACKEND] Delete run error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to delete run", details: error.message });
+  }
+});
+
+// Compare runs of a session against a baseline run, pairing points the same
+// way as the plot statistics in the UI.
+// Query: baseline (run id), runs (comma-separated run ids, default all other
+// runs), metric (comma-separated, default all), cpuType, rtt, pds, pmu,
+// miscMetric, miscPD, cycleType, core (core id or "all", the default) and
+// min and max (requested throughput in bits/s)
+app.get("/api/sessions/:id/compare", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const list = (param) => (param ? String(param).split(",").map((item) => item.trim()).filter(Boolean) : null);
+    const {
+      baseline: baselineParam,
+      cpuType = "total",
+      rtt = "Average_RTT",
+      miscMetric = "cycles",
+      miscPD = null,
+      cycleType = "total",
+    } = req.query;
+    const metrics = list(req.query.metric) || COMPARE_METRICS;
+    const range = {
+      min: req.query.min !== undefined ? Number(req.query.min) : null,
+      max: req.query.max !== undefined ? Number(req.query.max) : null,
+    };
+
+    if (!baselineParam) {
+      return res.status(400).json({ error: "baseline (run id) is required" });
+    }
+    const unknownMetrics = metrics.filter((metric) => !COMPARE_METRICS.includes(metric));
+    if (unknownMetrics.length > 0) {
+      return res.status(400).json({ error: `Unknown metric ${unknownMetrics.join(", ")}; expected ${COMPARE_METRICS.join(", ")}` });
+    }
+    if (!CPU_TYPES.includes(cpuType) || !CPU_TYPES.includes(cycleType)) {
+      return res.status(400).json({ error: `cpuType and cycleType must be one of: ${CPU_TYPES.join(", ")}` });
+    }
+    if (!RTT_STATS.includes(rtt)) {
+      return res.status(400).json({ error: `rtt must be one of: ${RTT_STATS.join(", ")}` });
+    }
+    if (!MISC_METRICS.includes(miscMetric)) {
+      return res.status(400).json({ error: `miscMetric must be one of: ${MISC_METRICS.join(", ")}` });
+    }
+    if (Number.isNaN(range.min) || Number.isNaN(range.max)) {
+      return res.status(400).json({ error: "min and max must be numbers (bits/s)" });
+    }
+    const core = parseCoreSelection(req.query.core);
+    if (core === undefined) {
+      return res.status(400).json({ error: 'core must be a core id or "all"' });
+    }
+
+    const session = await storage.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const findRun = (runId) => session.runs.find((run) => run.id === parseItemId(runId));
+    const baselineRun = findRun(baselineParam);
+    if (!baselineRun) {
+      return res.status(404).json({ error: `Baseline run not found: ${baselineParam}` });
+    }
+    const runIds = list(req.query.runs);
+    const missingRuns = (runIds || []).filter((runId) => !findRun(runId));
+    if (missingRuns.length > 0) {
+      return res.status(404).json({ error: `Run not found: ${missingRuns.join(", ")}` });
+    }
+    const compared = runIds ? runIds.map(findRun) : session.runs.filter((run) => run !== baselineRun);
+
+    // PDs and PMU counters default to those recorded for the baseline
+    const pds = list(req.query.pds) || runPDNames(baselineRun, core);
+    const pmuMetrics = list(req.query.pmu) || Object.keys(baselineRun.cpuData?.pmu_data || {});
+    const misc = { miscMetric, miscPD, cycleType };
+
+    const compareMetric = (run, metric) => {
+      switch (metric) {
+        case "pd":
+          return Object.fromEntries(
+            pds.map((pd) => [pd, compareRuns(baselineRun, run, { metric, pd, cpuType, core }, range)])
+          );
+        case "pmu":
+          return Object.fromEntries(
+            pmuMetrics.map((pmu) => [pmu, compareRuns(baselineRun, run, { metric, pmu }, range)])
+          );
+        default:
+          return compareRuns(baselineRun, run, { metric, cpuType, rtt, misc, core }, range);
+      }
+    };
+
+    res.json({
+      sessionId: session.id,
+      baseline: { id: baselineRun.id, name: baselineRun.name },
+      options: { metrics, cpuType, rtt, pds, pmu: pmuMetrics, misc, core, range },
+      comparisons: compared.map((run) => ({
+        run: { id: run.id, name: run.name },
+        metrics: Object.fromEntries(metrics.map((metric) => [metric, compareMetric(run, metric)])),
+      })),
+    });
+  } catch (error) {
+    console.error("[BACKEND] Compare runs error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to compare runs", details: error.message });
+  }
+});
+
+// Regression gate for CI: check an uploaded CSV + JSON pair against a
+// baseline run of the session with threshold rules (see gate.js). Nothing is
+// saved. Form fields: csv, json, baseline (run id), rules (JSON array), name,
+// format ("json" or "junit"). The verdict is returned with status 200 whether
+// the gate passed or not.
+app.post("/api/sessions/:id/gate", requireSessionRole("viewer"), datasetUpload, async (req, res) => {
+  const dataset = readDataset(req, res);
+  if (!dataset) {
+    return;
+  }
+
+  const { baseline, name = "Candidate" } = req.body;
+  const format = req.body.format || req.query.format || "json";
+  if (!baseline) {
+    return res.status(400).json({ error: "baseline (run id) is required" });
+  }
+  if (format !== "json" && format !== "junit") {
+    return res.status(400).json({ error: "format must be json or junit" });
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(req.body.rules || "null");
+  } catch (error) {
+    return res.status(400).json({ error: "rules must be a JSON array", details: error.message });
+  }
+  const validationErrors = validateGateRules(rules);
+  if (validationErrors.length > 0) {
+    return sendValidationErrors(res, validationErrors);
+  }
+
+  try {
+    const baselineRun = await storage.getRun(req.params.id, parseItemId(String(baseline)));
+    if (!baselineRun) {
+      return res.status(404).json({ error: `Baseline run not found: ${baseline}` });
+    }
+
+    const candidateRun = { name, data: dataset.csvData, cpuData: dataset.jsonData };
+    const verdict = { sessionId: req.params.id, ...evaluateGate(baselineRun, candidateRun, rules) };
+    console.log(
+      `[BACKEND] Gate ${verdict.passed ? "passed" : "failed"} for ${name} vs ${baselineRun.name}: ${verdict.failures} of ${rules.length} rules failed`
+    );
+
+    if (format === "junit") {
+      return res.type("application/xml").send(renderJUnit(verdict, `sddf-bench gate: ${name} vs ${baselineRun.name}`));
+    }
+    res.json(verdict);
+  } catch (error) {
+    console.error("[BACKEND] Regression gate error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to evaluate regression gate", details: error.message });
+  }
+});
+
+// List the custom plots of a session
+app.get("/api/sessions/:id/plots", requireSessionRole("viewer"), async (req, res) => {
+  try {
+    const plots = await storage.getPlots(req.params.id);
+
+    if (!plots) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json(plots);
+  } catch (error) {
+    console.error("[BACKEND] List plots error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list plots", details: error.message });
+  }
+});
+
+// Add a custom plot to a session
+app.post("/api/sessions/:id/plots", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const plot = req.body || {};
+    const newPlot = { ...plot, id: plot.id ?? Date.now() };
+
+    const validationErrors = validatePlot(newPlot);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const result = await storage.addPlot(req.params.id, newPlot);
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    publishChange(req, req.params.id, "plot.added", { plot: result.plot, revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("[BACKEND] Add plot error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to add plot", details: error.message });
+  }
+});
+
+// Update fields of a custom plot
+app.patch("/api/sessions/:id/plots/:plotId", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id, ...updates } = req.body || {};
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No plot fields to update" });
+    }
+
+    const validationErrors = validatePlotUpdate(updates);
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const result = await storage.updatePlot(req.params.id, parseItemId(req.params.plotId), updates);
+    if (!result.success) {
+      return sendStorageFailure(res, result);
+    }
+    publishChange(req, req.params.id, "plot.updated", { plot: result.plot, revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.json(result);
+  } catch (error) {
+    console.error("[BACKEND] Update plot error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to update plot", details: error.message });
+  }
+});
+
+// Remove a custom plot from a session
+app.delete("/api/sessions/:id/plots/:plotId", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const plotId = parseItemId(req.params.plotId);
+    const session = await storage.getSession(req.params.id);
+    const customPlots = session?.customPlots || [];
+    const position = customPlots.findIndex((plot) => plot.id === plotId);
+    if (position === -1) {
+      return res.status(404).json({ error: session ? "Plot not found" : "Session not found" });
+    }
+
+    // Share links of the plot are dropped when the trash entry is purged
+    const entry = await moveToTrash(req, "plot", session, customPlots[position], position);
+    const result = await storage.deletePlot(req.params.id, plotId);
+    if (!result.success) {
+      await discardTrash(entry);
+      return sendStorageFailure(res, result);
+    }
+    publishChange(req, req.params.id, "plot.deleted", { plotId, revision: result.revision });
+
+    setRevisionHeader(res, result.revision);
+    res.json({ ...result, trashId: entry.id, expiresAt: entry.expiresAt });
+  } catch (error) {
+    console.error("[BACKEND] Delete plot error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to delete plot", details: error.message });
+  }
+});
+
+// List the trash entries the user may restore or purge, newest first
+app.get("/api/trash", async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const entries = (await storage.listTrash()).filter(
+      (entry) => entry.expiresAt > now && canManageTrash(req, entry)
+    );
+    res.json({ entries, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    console.error("[BACKEND] Trash listing error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list trash", details: error.message });
+  }
+});
+
+// Load a trash entry the user may manage, or answer 404
+const loadTrashEntry = async (req, res) => {
+  const entry = TRASH_ID_PATTERN.test(req.params.entryId) ? await storage.getTrash(req.params.entryId) : null;
+  if (!entry || !canManageTrash(req, entry)) {
+    res.status(404).json({ error: "Trash entry not found" });
+    return null;
+  }
+  return entry;
+};
+
+// Put a trashed session, run or plot back where it was
+app.post("/api/trash/:entryId/restore", async (req, res) => {
+  try {
+    const entry = await loadTrashEntry(req, res);
+    if (!entry) {
+      return;
+    }
+    const { sessionId, item } = entry;
+    const session = await storage.getSession(sessionId);
+    let result;
+
+    if (entry.type === "session") {
+      if (session) {
+        return res.status(409).json({ error: "Session already exists" });
+      }
+      const { revision, ...restored } = item;
+      const saved = await storage.saveSession({ ...restored, updatedAt: new Date().toISOString() });
+      // Keep the entry when the save failed; it is the only copy left
+      if (!saved.success) {
+        return sendStorageFailure(res, saved);
+      }
+      result = { revision: saved.session.revision };
+      claimSession(req, sessionId);
+    } else {
+      if (!session) {
+        return res.status(409).json({ error: "The session this belonged to is gone; restore it first" });
+      }
+      const isRun = entry.type === "run";
+      const before = isRun ? await webhooks.snapshot(sessionId) : null;
+      result = isRun ? await storage.addRun(sessionId, item) : await storage.addPlot(sessionId, item);
+      if (!result.success) {
+        return sendStorageFailure(res, result);
+      }
+
+      // Items are appended; move it back to its old position
+      const ids = (isRun ? session.runs : session.customPlots || []).map((other) => other.id);
+      if (entry.position !== null && entry.position < ids.length) {
+        ids.splice(entry.position, 0, item.id);
+        result = await storage.updateSession(sessionId, isRun ? { runOrder: ids } : { plotOrder: ids });
+      }
+      notifyWebhooks(sessionId, before);
+      publishChange(req, sessionId, "session.updated", { revision: result.revision });
+    }
+
+    await storage.deleteTrash(entry.id);
+    console.log(`[BACKEND] Restored ${entry.type} ${entry.itemId} of session ${sessionId} from the trash`);
+
+    setRevisionHeader(res, result.revision);
+    res.json({ success: true, restored: withoutItem(entry), revision: result.revision });
+  } catch (error) {
+    console.error("[BACKEND] Trash restore error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to restore from trash", details: error.message });
+  }
+});
+
+// Delete a trash entry for good
+app.delete("/api/trash/:entryId", async (req, res) => {
+  try {
+    const entry = await loadTrashEntry(req, res);
+    if (!entry) {
+      return;
+    }
+    const result = await storage.deleteTrash(entry.id);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+    await forgetTrashed(entry);
+
+    console.log(`[BACKEND] Purged ${entry.type} ${entry.itemId} of session ${entry.sessionId} from the trash`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("[BACKEND] Trash purge error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to purge trash entry", details: error.message });
+  }
+});
+
+// The part of a session a share link grants access to: the whole session, or
+// one custom plot with the runs it shows. Null when the plot is gone.
+const sharedView = (session, share) => {
+  const { id, name, runs = [], customPlots = [], createdAt, updatedAt } = session;
+  if (share.plotId === null) {
+    return { id, name, runs, customPlots, createdAt, updatedAt };
+  }
+
+  const plot = customPlots.find((candidate) => candidate.id === share.plotId);
+  if (!plot) {
+    return null;
+  }
+  const runIds = new Set([...plot.selectedRuns, plot.baselineRunId]);
+  return {
+    id,
+    name,
+    runs: runs.filter((run) => runIds.has(run.id)),
+    customPlots: [plot],
+    createdAt,
+    updatedAt,
+  };
+};
+
+// Create a read-only share link for a session, or for one of its custom
+// plots when plotId is given. Body: { plotId?, expiresInDays? }
+app.post("/api/sessions/:id/shares", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { plotId = null, expiresInDays } = req.body || {};
+    const expiresAt = expiryFromDays(expiresInDays);
+
+    if (expiresAt === undefined) {
+      return sendValidationErrors(res, [{ path: "expiresInDays", message: "must be a positive whole number of days" }]);
+    }
+
+    const session = await storage.getSession(id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (plotId !== null && !(session.customPlots || []).some((plot) => plot.id === plotId)) {
+      return res.status(404).json({ error: "Plot not found" });
+    }
+
+    const share = shares.createShare({ sessionId: id, plotId, createdBy: req.user?.id ?? null, expiresAt });
+    console.log(`[BACKEND] Shared ${plotId === null ? "session" : `plot ${plotId} of session`} ${id}`);
+    res.status(201).json(share);
+  } catch (error) {
+    console.error("[BACKEND] Create share error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to create share link", details: error.message });
+  }
+});
+
+// List the share links of a session and its plots
+app.get("/api/sessions/:id/shares", requireSessionRole("editor"), (req, res) => {
+  res.json({ sessionId: req.params.id, shares: shares.listShares(req.params.id) });
+});
+
+app.delete("/api/sessions/:id/shares/:token", requireSessionRole("editor"), (req, res) => {
+  if (!shares.revokeShare(req.params.id, req.params.token)) {
+    return res.status(404).json({ error: "Share link not found" });
+  }
+  console.log(`[BACKEND] Revoked a share link of session ${req.params.id}`);
+  res.json({ success: true });
+});
+
+// Load what a share link points at. No login needed: the token is the credential.
+app.get("/api/share/:token", async (req, res) => {
+  try {
+    const share = shares.getShare(req.params.token);
+    const session = share && (await storage.getSession(share.sessionId));
+    const view = session && sharedView(session, share);
+
+    if (!view) {
+      return res.status(404).json({ error: "Share link not found or expired" });
+    }
+
+    const { sessionId, plotId, createdAt, expiresAt } = share;
+    res.json({ share: { sessionId, plotId, createdAt, expiresAt }, session: view });
+  } catch (error) {
+    console.error("[BACKEND] Load share error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to load share link", details: error.message });
+  }
+});
+
+// Webhook fields that are safe to return, plus whether deliveries are pending
+const webhookInfo = (webhook) => ({
+  ...webhookStore.publicWebhook(webhook),
+  queued: webhookStore.queue.filter((delivery) => delivery.webhookId === webhook.id).length,
+});
+
+// Create a webhook for a session.
+// Body: { url, secret?, events?, rules?, baselineRunId? }. Without a secret
+// one is generated; either way the secret is only returned here. Regression
+// events need gate rules (see gate.js) and are checked for every added run
+// against baselineRunId, or the first other run of the session.
+app.post("/api/sessions/:id/webhooks", requireSessionRole("editor"), async (req, res) => {
+  try {
+    const { url, secret, rules = null, baselineRunId = null } = req.body || {};
+    const events = req.body?.events ?? (rules ? WEBHOOK_EVENTS : ["run.added", "run.deleted"]);
+
+    const errors = [];
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+      errors.push({ path: "url", message: "must be an http(s) URL" });
+    }
+    if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+      errors.push({ path: "secret", message: "must be a string of at least 16 characters" });
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+      errors.push({ path: "events", message: `must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}` });
+    } else if (events.includes("regression") && !rules) {
+      errors.push({ path: "rules", message: "are required for regression events" });
+    }
+    if (rules !== null) {
+      errors.push(...validateGateRules(rules));
+    }
+
+    const session = await storage.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (baselineRunId !== null && !session.runs.some((run) => run.id === baselineRunId)) {
+      errors.push({ path: "baselineRunId", message: "must be a run of this session" });
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const webhook = webhookStore.createWebhook({
+      sessionId: session.id,
+      url,
+      secret,
+      events,
+      rules,
+      baselineRunId,
+      createdBy: req.user?.username || null,
+    });
+    console.log(`[WEBHOOKS] Created webhook ${webhook.id} for session ${session.id} (${events.join(", ")})`);
+    res.status(201).json({ webhook: { ...webhookInfo(webhook), secret: webhook.secret } });
+  } catch (error) {
+    console.error("[WEBHOOKS] Create webhook error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to create webhook", details: error.message });
+  }
+});
+
+app.get("/api/sessions/:id/webhooks", requireSessionRole("editor"), (req, res) => {
+  res.json({ sessionId: req.params.id, webhooks: webhookStore.listWebhooks(req.params.id).map(webhookInfo) });
+});
+
+app.delete("/api/sessions/:id/webhooks/:webhookId", requireSessionRole("editor"), (req, res) => {
+  if (!webhookStore.deleteWebhook(req.params.id, req.params.webhookId)) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  console.log(`[WEBHOOKS] Deleted webhook ${req.params.webhookId} of session ${req.params.id}`);
+  res.json({ success: true });
+});
+
+// Bodies and form files over the size limits are rejected before a route
+// sees them; answer with 413 and the limit instead of Express' error page
+app.use((error, req, res, next) => {
+  if (error.type === "entity.too.large") {
+    return sendTooLarge(res, `Request body is larger than the limit of ${formatSize(error.limit)}`, error.limit);
+  }
+  if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+    return sendTooLarge(res, `The ${error.field} file is larger than the upload limit of ${formatSize(UPLOAD_LIMIT)}`, UPLOAD_LIMIT);
+  }
+  next(error);
+});
+
+app.listen(PORT, () => {
+  console.log(`Backend server running on http://localhost:${PORT}`);
+
+  // Resume deliveries that were still queued when the server stopped
+  webhooks.start();
+  sessionEvents.start();
+
+  // Empty the trash of entries past the retention period and remove
+  // unfinished uploads, then hourly
+  purgeExpiredTrash();
+  purgeStaleUploads();
+  setInterval(() => {
+    purgeExpiredTrash();
+    purgeStaleUploads();
+  }, 60 * 60 * 1000);
+
+  // Repair copies that diverged while the server was down or a write failed
+  if (storage.storages.length > 1) {
+    storage
+      .reconcile()
+      .then((report) => {
+        report.outOfSync.forEach(({ id, source, stale }) =>
+          console.log(`[SERVER] Reconciled ${id} from ${source}: ${stale.map((s) => `${s.storage} (${s.reason})`).join(", ")}`)
+        );
+      })
+      .catch((error) => console.error("[SERVER] Startup reconcile failed:", error));
+  }
 });
@@ -0,0 +1,160 @@
+// Portable session bundles, for handing a session to someone running their
+// own instance. A bundle is one JSON document:
+//
+//   { format: "sddf-bench-session", version: 1, exportedAt,
+//     session: { id, name, metadata, createdAt, updatedAt },
+//     runs, customPlots,
+//     views: { <plot id>: { cpuType, pdPlotType, miscCycleType } },
+//     files: { <run id>: [{ part, name, format, text }] } }
+//
+// `views` are the per-plot display toggles of the UI, added by the client
+// that exports; `files` are the original uploads kept by UploadStore.
+//
+// Ids in the bundle are those of the exporting instance. On import, an id
+// that is already taken gets a new one and the plots' references to runs
+// (selectedRuns, baselineRunId) are remapped to match.
+
+export const BUNDLE_FORMAT = "sddf-bench-session";
+export const BUNDLE_VERSION = 1;
+
+const VIEW_FIELDS = ["cpuType", "pdPlotType", "miscCycleType"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Bundle a session with the original files of its runs
+ * @param {Object} session - Session with runs and customPlots
+ * @param {Function} filesOf - Run id => the run's original files
+ * @returns {Object} Bundle without views
+ */
+export function createBundle(session, filesOf) {
+  const { id, name, metadata, createdAt, updatedAt, runs = [], customPlots = [] } = session;
+  const files = {};
+  for (const run of runs) {
+    const runFiles = filesOf(run.id);
+    if (runFiles.length > 0) {
+      files[run.id] = runFiles;
+    }
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: { id, name, ...(metadata && { metadata }), createdAt, updatedAt },
+    runs,
+    customPlots,
+    views: {},
+    files,
+  };
+}
+
+/**
+ * Check the envelope of a bundle; the session inside is validated like any
+ * other once its ids are assigned
+ * @param {Object} bundle - Parsed bundle
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export function checkBundle(bundle) {
+  if (!isObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    return [{ path: "format", message: `must be "${BUNDLE_FORMAT}"` }];
+  }
+  const errors = [];
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    errors.push({ path: "version", message: "must be a positive integer" });
+  } else if (bundle.version > BUNDLE_VERSION) {
+    errors.push({ path: "version", message: `${bundle.version} is newer than this server supports (${BUNDLE_VERSION})` });
+  }
+  if (!isObject(bundle.session)) {
+    errors.push({ path: "session", message: "must be an object" });
+  }
+  for (const field of ["runs", "customPlots"]) {
+    if (!Array.isArray(bundle[field])) {
+      errors.push({ path: field, message: "must be an array" });
+    }
+  }
+  for (const field of ["views", "files"]) {
+    if (bundle[field] !== undefined && !isObject(bundle[field])) {
+      errors.push({ path: field, message: "must be an object" });
+    }
+  }
+  for (const [runId, files] of Object.entries(isObject(bundle.files) ? bundle.files : {})) {
+    errors.push(...checkFiles(files, `files["${runId}"]`));
+  }
+  return errors;
+}
+
+/**
+ * Check the original files of a run, as sent with an upload or in a bundle
+ * @param {Array<Object>} files - Files as `{part, name, format, text}`
+ * @param {string} path - Path for the error
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export function checkFiles(files, path) {
+  const valid =
+    Array.isArray(files) &&
+    files.every((file) => isObject(file) && typeof file.name === "string" && typeof file.text === "string");
+  return valid ? [] : [{ path, message: "must be a list of { part, name, format, text }" }];
+}
+
+/**
+ * Ids for incoming items: each keeps its id unless it is taken (by the
+ * target or by an earlier item), in which case it gets the next free
+ * millisecond timestamp, like newly created runs and plots
+ * @param {Array<Object>} items - Items with an `id`
+ * @param {Iterable} takenIds - Ids already in use
+ * @returns {{ids: Array, idMap: Map}} The new id of each item, and old id =>
+ *   new id (for duplicate ids, that of the first item)
+ */
+export function assignIds(items, takenIds) {
+  const taken = new Set(takenIds);
+  const idMap = new Map();
+  let next = Date.now();
+  const ids = items.map((item) => {
+    let id = item.id;
+    if (taken.has(id)) {
+      while (taken.has(next)) next++;
+      id = next;
+    }
+    taken.add(id);
+    if (!idMap.has(item.id)) {
+      idMap.set(item.id, id);
+    }
+    return id;
+  });
+  return { ids, idMap };
+}
+
+/**
+ * Point a custom plot at the new ids of its runs. Runs that are not in
+ * `runIdMap` are dropped from the plot.
+ * @param {Object} plot - Custom plot
+ * @param {Map} runIdMap - Old run id => new run id
+ * @returns {Object} The plot with remapped selectedRuns and baselineRunId
+ */
+export function remapPlotRuns(plot, runIdMap) {
+  return {
+    ...plot,
+    selectedRuns: (plot.selectedRuns || []).filter((id) => runIdMap.has(id)).map((id) => runIdMap.get(id)),
+    baselineRunId: runIdMap.get(plot.baselineRunId) ?? null,
+  };
+}
+
+/**
+ * The per-plot view settings of a bundle under the new plot ids, keeping only
+ * known settings
+ * @param {Object} views - Bundle views, keyed by old plot id
+ * @param {Map} plotIdMap - Old plot id => new plot id
+ * @returns {Object} Views keyed by new plot id
+ */
+export function remapViews(views = {}, plotIdMap) {
+  const remapped = {};
+  for (const [plotId, view] of Object.entries(views)) {
+    // Object keys are strings, plot ids usually numbers
+    const oldId = [...plotIdMap.keys()].find((id) => String(id) === plotId);
+    if (oldId === undefined || !isObject(view)) continue;
+    remapped[plotIdMap.get(oldId)] = Object.fromEntries(
+      VIEW_FIELDS.filter((field) => typeof view[field] === "string").map((field) => [field, view[field]])
+    );
+  }
+  return remapped;
+}
@@ -0,0 +1,89 @@
+// Live session updates over Server-Sent Events. A client follows a session
+// with GET /api/sessions/:id/events and receives one event per write to it,
+// named after the change:
+//
+//   ready                       { revision }  sent once when the stream opens
+//   run.added, run.updated      { run }
+//   run.deleted                 { runId }
+//   plot.added, plot.updated    { plot }
+//   plot.deleted                { plotId }
+//   session.updated             {}  name, metadata, order or a whole-session write
+//   session.deleted             {}  the stream is closed afterwards
+//
+// Change payloads also carry the session id, its revision after the write,
+// the user who made it and the X-Client-Id header of the request, so the tab
+// that made a change can recognise its own events.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+export class SessionEventHub {
+  constructor() {
+    this.subscribers = new Map(); // sessionId -> Set of open responses
+    this.nextEventId = 1;
+  }
+
+  // Keep idle streams from being closed by proxies
+  start() {
+    this.timer = setInterval(() => this.heartbeat(), HEARTBEAT_MS);
+  }
+
+  /**
+   * Turn a response into an event stream for a session
+   * @param {string} sessionId - Session id
+   * @param {Object} res - Express response, kept open until the client leaves
+   * @param {number} revision - Current session revision, sent as "ready"
+   * @returns {Function} Removes the subscriber
+   */
+  subscribe(sessionId, res, revision) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(this.format("ready", { sessionId, revision }));
+
+    if (!this.subscribers.has(sessionId)) {
+      this.subscribers.set(sessionId, new Set());
+    }
+    this.subscribers.get(sessionId).add(res);
+
+    return () => {
+      const clients = this.subscribers.get(sessionId);
+      clients?.delete(res);
+      if (clients?.size === 0) {
+        this.subscribers.delete(sessionId);
+      }
+    };
+  }
+
+  format(event, payload) {
+    return `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  /**
+   * Send an event to everyone following a session
+   * @param {string} sessionId - Session id
+   * @param {string} event - Event name, see above
+   * @param {Object} payload - Event data
+   */
+  publish(sessionId, event, payload) {
+    const clients = this.subscribers.get(sessionId);
+    if (!clients) {
+      return;
+    }
+    const message = this.format(event, { sessionId, ...payload });
+    clients.forEach((res) => res.write(message));
+  }
+
+  // End every stream of a session that no longer exists
+  close(sessionId) {
+    const clients = this.subscribers.get(sessionId);
+    this.subscribers.delete(sessionId);
+    clients?.forEach((res) => res.end());
+  }
+
+  heartbeat() {
+    this.subscribers.forEach((clients) => clients.forEach((res) => res.write(": keep-alive\n\n")));
+  }
+}
@@ -0,0 +1,175 @@
+import { assignIds, remapPlotRuns } from "./sessionBundle.js";
+
+// Copying runs and custom plots from one session into another. The merge is
+// planned first, so the UI can show what will happen and let the user rename
+// clashing items, and then written as one save of the target session.
+//
+// A selected run with the same name and metadata as a run of the target is a
+// duplicate: it is not copied, and copied plots use the target's run instead.
+// Giving a duplicate a new name copies it anyway. A copied run or plot whose
+// name is already used in the target (or by another copied item) clashes and
+// must be renamed before the merge goes ahead.
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// JSON with object keys sorted, so metadata compares equal whatever order its
+// fields were written in
+const canonicalJson = (value) =>
+  JSON.stringify(value ?? {}, (key, nested) =>
+    isObject(nested)
+      ? Object.fromEntries(Object.entries(nested).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : nested
+  );
+
+const isSameRun = (a, b) => a.name === b.name && canonicalJson(a.metadata) === canonicalJson(b.metadata);
+
+/**
+ * Check the body of a merge request
+ * @param {Object} request - `{sourceSessionId, runIds, plotIds, renames}`
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export function checkMergeRequest({ sourceSessionId, runIds, plotIds, renames } = {}) {
+  const errors = [];
+  if (typeof sourceSessionId !== "string" || !sourceSessionId) {
+    errors.push({ path: "sourceSessionId", message: "must be a session id" });
+  }
+  for (const [field, ids] of Object.entries({ runIds, plotIds })) {
+    if (ids !== undefined && !Array.isArray(ids)) {
+      errors.push({ path: field, message: "must be an array of ids" });
+    }
+  }
+  if (renames !== undefined && !isObject(renames)) {
+    errors.push({ path: "renames", message: "must be an object" });
+    return errors;
+  }
+  for (const kind of ["runs", "plots"]) {
+    const names = renames?.[kind];
+    if (names === undefined) continue;
+    if (!isObject(names)) {
+      errors.push({ path: `renames.${kind}`, message: "must map ids to new names" });
+      continue;
+    }
+    for (const [id, name] of Object.entries(names)) {
+      if (typeof name !== "string" || !name.trim()) {
+        errors.push({ path: `renames.${kind}["${id}"]`, message: "must be a non-empty string" });
+      }
+    }
+  }
+  return errors;
+}
+
+// Items of `items` picked by `ids` (all of them without), plus errors for the
+// ids that are not there. Ids from JSON may come as strings.
+function pick(items, ids, path) {
+  if (ids === undefined) {
+    return { picked: items, errors: [] };
+  }
+  const wanted = ids.map(String);
+  const errors = wanted
+    .filter((id) => !items.some((item) => String(item.id) === id))
+    .map((id) => ({ path, message: `${id} is not in the source session` }));
+  return { picked: items.filter((item) => wanted.includes(String(item.id))), errors };
+}
+
+/**
+ * Plan copying runs and plots of one session into another
+ * @param {Object} source - Session to copy from
+ * @param {Object} target - Session to copy into
+ * @param {Object} [options]
+ * @param {Array} [options.runIds] - Runs to copy; all of them when omitted
+ * @param {Array} [options.plotIds] - Plots to copy; all of them when omitted
+ * @param {Object} [options.renames] - `{runs, plots}`, each source id => new name
+ * @returns {{runs: Array<Object>, plots: Array<Object>, errors: Array<Object>, session: Object,
+ *   runIdMap: Map, plotIdMap: Map}} Per item `{sourceId, id, name, duplicateOf, clash}`;
+ *   errors for unknown ids and unresolved clashes; the merged target session
+ */
+export function planMerge(source, target, { runIds, plotIds, renames = {} } = {}) {
+  const targetRuns = target.runs || [];
+  const targetPlots = target.customPlots || [];
+  const runPick = pick(source.runs || [], runIds, "runIds");
+  const plotPick = pick(source.customPlots || [], plotIds, "plotIds");
+  const errors = [...runPick.errors, ...plotPick.errors];
+  const renamed = (kind, item) => renames[kind]?.[item.id]?.trim() || item.name;
+
+  // Duplicates are matched on the source name, unless the user renamed the run
+  const runs = runPick.picked.map((run) => {
+    const name = renamed("runs", run);
+    const duplicate = name === run.name ? targetRuns.find((candidate) => isSameRun(candidate, run)) : undefined;
+    return { run, name, duplicateOf: duplicate?.id ?? null };
+  });
+  const copiedRuns = runs.filter(({ duplicateOf }) => duplicateOf === null);
+  const { ids: newRunIds } = assignIds(
+    copiedRuns.map(({ run }) => run),
+    targetRuns.map((run) => run.id)
+  );
+  const runIdMap = new Map();
+  runs.forEach(({ run, duplicateOf }) => {
+    runIdMap.set(run.id, duplicateOf ?? newRunIds[copiedRuns.findIndex((copied) => copied.run === run)]);
+  });
+
+  const { ids: newPlotIds, idMap: plotIdMap } = assignIds(
+    plotPick.picked,
+    targetPlots.map((plot) => plot.id)
+  );
+
+  // Names taken by the target and by the copies already placed. Duplicates
+  // stay out of the target, so their names cannot clash.
+  const flagClashes = (kind, entries, takenNames) => {
+    const taken = new Set(takenNames);
+    return entries.map((entry) => {
+      if (entry.duplicateOf !== null) {
+        return { ...entry, clash: false };
+      }
+      const clash = taken.has(entry.name);
+      if (clash) {
+        errors.push({ path: `renames.${kind}["${entry.sourceId}"]`, message: `"${entry.name}" is already used in the target session` });
+      }
+      taken.add(entry.name);
+      return { ...entry, clash };
+    });
+  };
+
+  const runResults = flagClashes(
+    "runs",
+    runs.map(({ run, name, duplicateOf }) => ({
+      sourceId: run.id,
+      id: runIdMap.get(run.id),
+      name,
+      duplicateOf,
+    })),
+    targetRuns.map((run) => run.name)
+  );
+  const plotResults = flagClashes(
+    "plots",
+    plotPick.picked.map((plot, index) => ({
+      sourceId: plot.id,
+      id: newPlotIds[index],
+      name: renamed("plots", plot),
+      duplicateOf: null,
+    })),
+    targetPlots.map((plot) => plot.name)
+  );
+
+  const session = {
+    ...target,
+    runs: [
+      ...targetRuns,
+      ...copiedRuns.map(({ run, name }, index) => ({ ...run, id: newRunIds[index], name })),
+    ],
+    customPlots: [
+      ...targetPlots,
+      ...plotPick.picked.map((plot, index) =>
+        remapPlotRuns({ ...plot, id: newPlotIds[index], name: plotResults[index].name }, runIdMap)
+      ),
+    ],
+  };
+
+  return {
+    runs: runResults,
+    plots: plotResults,
+    errors,
+    session,
+    runIdMap,
+    plotIdMap,
+  };
+}
@@ -0,0 +1,290 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { writeJsonAtomic } from "./FileStorage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const scrypt = promisify(crypto.scrypt);
+
+// Session roles, weakest first. Owners can also delete the session and manage members.
+export const SESSION_ROLES = ["viewer", "editor", "owner"];
+
+// Whether `role` grants at least the access of `required`
+export const hasRole = (role, required) =>
+  SESSION_ROLES.includes(role) && SESSION_ROLES.indexOf(role) >= SESSION_ROLES.indexOf(required);
+
+// Lifetime of tokens issued by logging in; API tokens do not expire unless asked to
+const LOGIN_TOKEN_TTL_MS = (Number(process.env.AUTH_LOGIN_TTL_HOURS) || 168) * 60 * 60 * 1000;
+
+// Only persist a token's lastUsedAt when it moves by more than this
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+
+const TOKEN_PREFIX = "sdb_";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const newId = (prefix) => `${prefix}-${crypto.randomBytes(6).toString("hex")}`;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = stored.split(":");
+  if (scheme !== "scrypt" || !salt || !expected) {
+    return false;
+  }
+  const hash = await scrypt(password, Buffer.from(salt, "hex"), 64);
+  // A truncated or hand-edited hash would make timingSafeEqual throw
+  const expectedHash = Buffer.from(expected, "hex");
+  return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function readJson(filepath, fallback) {
+  if (!fs.existsSync(filepath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+}
+
+// User accounts, access tokens and per-session roles, kept in JSON files
+// under data/auth. Tokens are stored as SHA-256 hashes and passwords as
+// salted scrypt hashes, so the files never contain usable credentials.
+//
+// users.json:  [{ id, username, passwordHash, admin, createdAt }]
+// tokens.json: [{ id, userId, name, kind: "login" | "api", hash, createdAt, expiresAt, lastUsedAt }]
+// acl.json:    { <sessionId>: { owner: <userId>, members: { <userId>: "editor" | "viewer" } } }
+export class AuthStore {
+  constructor(authDir) {
+    this.authDir = authDir || path.join(__dirname, "..", "data", "auth");
+    this.usersPath = path.join(this.authDir, "users.json");
+    this.tokensPath = path.join(this.authDir, "tokens.json");
+    this.aclPath = path.join(this.authDir, "acl.json");
+    fs.mkdirSync(this.authDir, { recursive: true });
+
+    this.users = readJson(this.usersPath, []);
+    this.tokens = readJson(this.tokensPath, []);
+    this.acl = readJson(this.aclPath, {});
+    console.log(`[AUTH] Initialized with directory: ${this.authDir} (${this.users.length} users)`);
+  }
+
+  saveUsers() {
+    writeJsonAtomic(this.usersPath, this.users);
+  }
+
+  saveTokens() {
+    writeJsonAtomic(this.tokensPath, this.tokens);
+  }
+
+  saveAcl() {
+    writeJsonAtomic(this.aclPath, this.acl);
+  }
+
+  // User fields that are safe to return from the API
+  publicUser(user) {
+    return user && { id: user.id, username: user.username, admin: !!user.admin, createdAt: user.createdAt };
+  }
+
+  hasUsers() {
+    return this.users.length > 0;
+  }
+
+  listUsers() {
+    return this.users.map((user) => this.publicUser(user));
+  }
+
+  findUser(username) {
+    const needle = username?.toLowerCase();
+    return this.users.find((user) => user.username.toLowerCase() === needle) || null;
+  }
+
+  // Create a user. With `setup` it is the first account, which is always an
+  // administrator, and creating it fails once any account exists.
+  async createUser(username, password, { admin = false, setup = false } = {}) {
+    // Hash first, so that the checks and the insert below run without an
+    // await in between and concurrent registrations cannot both pass them
+    const passwordHash = await hashPassword(password);
+    if (setup && this.hasUsers()) {
+      return { success: false, error: "The first account has already been created" };
+    }
+    if (this.findUser(username)) {
+      return { success: false, error: "User already exists" };
+    }
+
+    const user = {
+      id: newId("user"),
+      username,
+      passwordHash,
+      admin: admin || setup,
+      createdAt: new Date().toISOString(),
+    };
+    this.users.push(user);
+    this.saveUsers();
+    console.log(`[AUTH] Created ${admin ? "admin " : ""}user ${username}`);
+    return { success: true, user: this.publicUser(user) };
+  }
+
+  // The user with these credentials, or null
+  async checkPassword(username, password) {
+    const user = this.findUser(username);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return null;
+    }
+    return user;
+  }
+
+  // Token fields that are safe to return from the API
+  publicToken({ hash, ...token }) {
+    return token;
+  }
+
+  // Issue a new token for a user. The token itself is only returned here.
+  issueToken(userId, { name, kind = "api", expiresAt = null } = {}) {
+    const now = Date.now();
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const record = {
+      id: newId("token"),
+      userId,
+      name: name || (kind === "login" ? "Web login" : "API token"),
+      kind,
+      hash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: kind === "login" ? new Date(now + LOGIN_TOKEN_TTL_MS).toISOString() : expiresAt,
+      lastUsedAt: null,
+    };
+
+    // Drop expired tokens while we are writing the file anyway
+    this.tokens = this.tokens.filter((existing) => !existing.expiresAt || Date.parse(existing.expiresAt) > now);
+    this.tokens.push(record);
+    this.saveTokens();
+    return { token, record: this.publicToken(record) };
+  }
+
+  // Resolve a bearer token to { user, token }, or null when it is unknown or expired
+  authenticate(token) {
+    if (!token?.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const hash = hashToken(token);
+    const record = this.tokens.find((candidate) => candidate.hash === hash);
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) {
+      return null;
+    }
+    const user = this.users.find((candidate) => candidate.id === record.userId);
+    if (!user) {
+      return null;
+    }
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date().toISOString();
+      this.saveTokens();
+    }
+    return { user, token: this.publicToken(record) };
+  }
+
+  // API tokens of a user (login tokens are not listed)
+  listTokens(userId) {
+    return this.tokens
+      .filter((token) => token.userId === userId && token.kind === "api")
+      .map((token) => this.publicToken(token));
+  }
+
+  revokeToken(userId, tokenId) {
+    const count = this.tokens.length;
+    this.tokens = this.tokens.filter((token) => !(token.id === tokenId && token.userId === userId));
+    if (this.tokens.length === count) {
+      return false;
+    }
+    this.saveTokens();
+    return true;
+  }
+
+  // Role of a user on a session: "owner", "editor", "viewer" or null.
+  // Admins own every session, including ones nobody has claimed.
+  getRole(user, sessionId) {
+    if (!user) {
+      return null;
+    }
+    if (user.admin) {
+      return "owner";
+    }
+    const entry = this.acl[sessionId];
+    if (!entry) {
+      return null;
+    }
+    return entry.owner === user.id ? "owner" : entry.members[user.id] || null;
+  }
+
+  // Ids of the sessions a user can see, or null when they can see all of them
+  accessibleSessionIds(user) {
+    if (user?.admin) {
+      return null;
+    }
+    return Object.entries(this.acl)
+      .filter(([, entry]) => entry.owner === user?.id || entry.members[user?.id])
+      .map(([sessionId]) => sessionId);
+  }
+
+  hasOwner(sessionId) {
+    return !!this.acl[sessionId];
+  }
+
+  setOwner(sessionId, userId) {
+    const entry = this.acl[sessionId] || { owner: userId, members: {} };
+    // A previous owner stays on as an editor
+    if (entry.owner !== userId) {
+      entry.members[entry.owner] = "editor";
+    }
+    delete entry.members[userId];
+    entry.owner = userId;
+    this.acl[sessionId] = entry;
+    this.saveAcl();
+  }
+
+  // Set a member's role; "owner" transfers ownership
+  setMemberRole(sessionId, userId, role) {
+    if (role === "owner") {
+      this.setOwner(sessionId, userId);
+      return;
+    }
+    const entry = this.acl[sessionId];
+    entry.members[userId] = role;
+    this.saveAcl();
+  }
+
+  removeMember(sessionId, userId) {
+    const entry = this.acl[sessionId];
+    if (!entry?.members[userId]) {
+      return false;
+    }
+    delete entry.members[userId];
+    this.saveAcl();
+    return true;
+  }
+
+  // Owner and members of a session with their usernames
+  getMembers(sessionId) {
+    const entry = this.acl[sessionId];
+    if (!entry) {
+      return [];
+    }
+    const username = (userId) => this.users.find((user) => user.id === userId)?.username || null;
+    return [
+      { userId: entry.owner, username: username(entry.owner), role: "owner" },
+      ...Object.entries(entry.members).map(([userId, role]) => ({ userId, username: username(userId), role })),
+    ];
+  }
+
+  removeSession(sessionId) {
+    if (this.acl[sessionId]) {
+      delete this.acl[sessionId];
+      this.saveAcl();
+    }
+  }
+}
@@ -1,22 +1,44 @@
 import { FileStorage } from "./FileStorage.js";
 import { MongoStorage } from "./MongoStorage.js";
+import { SqliteStorage } from "./SqliteStorage.js";
+
+// JSON with object keys sorted, so copies compare equal whatever order each
+// storage returns fields in
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.fromEntries(Object.entries(nested).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : nested
+  );
+}
 
 export class DualStorage {
   constructor(config = {}) {
     this.enableFile = config.enableFile !== false; // default true
     this.enableMongo = config.enableMongo === true; // default false
+    this.enableSqlite = config.enableSqlite === true; // default false
     this.mongoUri = config.mongoUri;
+    this.sqlitePath = config.sqlitePath;
+    this.dataDir = config.dataDir; // File storage directory, data/ when unset
 
     this.storages = [];
 
     if (this.enableFile) {
-      this.fileStorage = new FileStorage();
+      this.fileStorage = new FileStorage(this.dataDir);
       this.storages.push({ name: "FILE", storage: this.fileStorage });
       console.log("[DUAL STORAGE] File storage ENABLED");
     } else {
       console.log("[DUAL STORAGE] File storage DISABLED");
     }
 
+    if (this.enableSqlite) {
+      this.sqliteStorage = new SqliteStorage(this.sqlitePath);
+      this.storages.push({ name: "SQLITE", storage: this.sqliteStorage });
+      console.log("[DUAL STORAGE] SQLite storage ENABLED");
+    } else {
+      console.log("[DUAL STORAGE] SQLite storage DISABLED");
+    }
+
     if (this.enableMongo) {
       this.mongoStorage = new MongoStorage(this.mongoUri);
       this.storages.push({ name: "MONGO", storage: this.mongoStorage });
@@ -32,55 +54,312 @@ export class DualStorage {
     console.log(`[DUAL STORAGE] Active storages: ${this.storages.map(s => s.name).join(", ")}`);
   }
 
-  async saveSession(sessionData) {
-    const results = await Promise.allSettled(
-      this.storages.map(({ name, storage }) =>
-        storage.saveSession(sessionData).then(() => ({ name, success: true }))
-      )
-    );
+  // The revision check (if any) is made by the primary storage only, see
+  // writeToAll(); the remaining storages mirror the write once it is accepted
+  async saveSession(sessionData, { expectedRevision } = {}) {
+    return this.writeToAll("Save session", (storage, options) => storage.saveSession(sessionData, options), {
+      expectedRevision,
+    });
+  }
 
-    const failures = results.filter(r => r.status === "rejected");
-    if (failures.length > 0) {
-      console.error("[DUAL STORAGE] Some saves failed:", failures);
-    }
+  // Read from the storages in order (file, then SQLite, then MongoDB). A
+  // storage that fails or does not have the data (null) falls through to the
+  // next one; the read only fails if every storage failed.
+  async readWithFallback(action, read) {
+    let lastError = null;
+    let anyAnswered = false;
 
-    const successes = results.filter(r => r.status === "fulfilled").map(r => r.value.name);
-    console.log(`[DUAL STORAGE] Saved to: ${successes.join(", ")}`);
+    for (const [index, { name, storage }] of this.storages.entries()) {
+      try {
+        const result = await read(storage);
+        anyAnswered = true;
+        if (result !== null && result !== undefined) {
+          console.log(`[DUAL STORAGE] ${action} from: ${name}${index > 0 ? " (fallback)" : ""}`);
+          return result;
+        }
+      } catch (error) {
+        console.error(`[DUAL STORAGE] ${action} failed on ${name}:`, error.message);
+        lastError = error;
+      }
+    }
 
-    // Return success if at least one succeeded
-    return { success: successes.length > 0, session: sessionData };
+    if (!anyAnswered) {
+      throw lastError;
+    }
+    return null;
   }
 
   async getAllSessions() {
-    // Use first available storage (file takes priority if both enabled)
-    const { name, storage } = this.storages[0];
-    console.log(`[DUAL STORAGE] Listing from: ${name}`);
-    return await storage.getAllSessions();
+    return this.readWithFallback("Listing", (storage) => storage.getAllSessions());
+  }
+
+  async getSessionIndex(options) {
+    return this.readWithFallback("Index", (storage) => storage.getSessionIndex(options));
+  }
+
+  async searchRuns(options) {
+    return this.readWithFallback("Run search", (storage) => storage.searchRuns(options));
   }
 
   async getSession(id) {
-    // Use first available storage
-    const { name, storage } = this.storages[0];
-    console.log(`[DUAL STORAGE] Loading from: ${name}`);
-    return await storage.getSession(id);
+    return this.readWithFallback("Loading", (storage) => storage.getSession(id));
   }
 
-  async deleteSession(id) {
-    const results = await Promise.allSettled(
-      this.storages.map(({ name, storage }) =>
-        storage.deleteSession(id).then(() => ({ name, success: true }))
-      )
+  // Compare every session across the storages and copy the newest version
+  // (by updatedAt, the earlier storage winning ties) over copies that are
+  // missing, older or different. With `dryRun` nothing is written. A session
+  // missing from one storage is restored there, even if a delete that only
+  // partly succeeded removed it.
+  async reconcile({ dryRun = false } = {}) {
+    const report = {
+      checkedAt: new Date().toISOString(),
+      dryRun,
+      storages: this.storages.map(({ name }) => name),
+      unavailable: [],
+      sessions: 0,
+      outOfSync: [],
+    };
+
+    if (this.storages.length < 2) {
+      return report;
+    }
+
+    const copies = [];
+    for (const { name, storage } of this.storages) {
+      try {
+        copies.push({ name, storage, sessions: await storage.getAllSessions() });
+      } catch (error) {
+        console.error(`[DUAL STORAGE] Reconcile: cannot read ${name}:`, error.message);
+        report.unavailable.push({ name, error: error.message });
+      }
+    }
+
+    // Content that must match between copies; revisions are counted per storage
+    const fingerprint = ({ revision, runs = [], customPlots = [], ...session }) =>
+      canonicalJson({ ...session, runs, customPlots });
+    const ids = new Set(copies.flatMap(({ sessions }) => Object.keys(sessions)));
+    report.sessions = ids.size;
+
+    for (const id of ids) {
+      let source = null;
+      copies.forEach((copy) => {
+        const session = copy.sessions[id];
+        if (session && (!source || new Date(session.updatedAt) > new Date(source.sessions[id].updatedAt))) {
+          source = copy;
+        }
+      });
+      const newest = source.sessions[id];
+
+      const stale = copies
+        .filter((copy) => copy !== source)
+        .map((copy) => {
+          const session = copy.sessions[id];
+          if (!session) {
+            return { copy, reason: "missing" };
+          }
+          if (new Date(session.updatedAt) < new Date(newest.updatedAt)) {
+            return { copy, reason: "older", updatedAt: session.updatedAt };
+          }
+          if (fingerprint(session) !== fingerprint(newest)) {
+            return { copy, reason: "different", updatedAt: session.updatedAt };
+          }
+          return null;
+        })
+        .filter(Boolean);
+
+      if (stale.length === 0) {
+        continue;
+      }
+
+      const entry = {
+        id,
+        name: newest.name,
+        source: source.name,
+        updatedAt: newest.updatedAt,
+        stale: [],
+      };
+      for (const { copy, reason, updatedAt } of stale) {
+        const staleCopy = { storage: copy.name, reason, updatedAt: updatedAt || null, repaired: false };
+        if (!dryRun) {
+          try {
+            // Take over the revision too, so that clients keep their If-Match
+            const { revision, ...session } = newest;
+            await copy.storage.saveSession(session, { revision: revision || 0 });
+            staleCopy.repaired = true;
+          } catch (error) {
+            staleCopy.error = error.message;
+          }
+        }
+        entry.stale.push(staleCopy);
+      }
+      report.outOfSync.push(entry);
+    }
+
+    console.log(`[DUAL STORAGE] Reconcile: ${report.outOfSync.length} of ${report.sessions} sessions out of sync${dryRun ? " (dry run)" : ""}`);
+    return report;
+  }
+
+  // Health of every enabled storage; a storage that cannot be reached is
+  // reported as not ok rather than failing the whole report
+  async getHealth() {
+    const storages = await Promise.all(
+      this.storages.map(async ({ name, storage }) => {
+        try {
+          return { name, ...(await storage.getHealth()) };
+        } catch (error) {
+          return { name, ok: false, error: error.message };
+        }
+      })
     );
 
-    const failures = results.filter(r => r.status === "rejected");
-    if (failures.length > 0) {
-      console.error("[DUAL STORAGE] Some deletes failed:", failures);
+    return { ok: storages.every((s) => s.ok), storages };
+  }
+
+  // Delete a session from every storage; it counts as deleted if any storage
+  // had it. Storages that failed or did not have it are reported.
+  async deleteSession(id) {
+    const results = await Promise.allSettled(this.storages.map(({ storage }) => storage.deleteSession(id)));
+    this.reportFailures("Delete session", results);
+
+    const fulfilled = results.filter(r => r.status === "fulfilled");
+    if (fulfilled.length === 0) {
+      throw results[0].reason;
+    }
+    const deleted = this.appliedOn(results);
+    console.log(`[DUAL STORAGE] Delete session: ${deleted.join(", ") || "no changes"}`);
+    return deleted.length > 0 ? { success: true } : fulfilled[0].value;
+  }
+
+  // Names of the storages whose result in `results` (one per storage) succeeded
+  appliedOn(results) {
+    return results
+      .map((r, i) => (r.status === "fulfilled" && r.value.success ? this.storages[i].name : null))
+      .filter(Boolean);
+  }
+
+  // Log the storages that threw or refused a write; `results` holds one
+  // settled result per storage, up to the last one the write was sent to
+  reportFailures(action, results) {
+    results.forEach((result, i) => {
+      const { name } = this.storages[i];
+      if (result.status === "rejected") {
+        console.error(`[DUAL STORAGE] ${action} failed on ${name}:`, result.reason?.message || result.reason);
+      } else if (!result.value.success) {
+        console.warn(`[DUAL STORAGE] ${action} not applied on ${name}: ${result.value.error}`);
+      }
+    });
+  }
+
+  // Apply a write to every storage, in the order file, SQLite, MongoDB. The
+  // first storage that does not throw acts as the primary: it alone makes
+  // the revision check for `expectedRevision`, and its result is returned. A
+  // revision conflict on the primary stops the write there. Otherwise the
+  // remaining storages mirror the write, stamped with the same updatedAt and
+  // the revision the primary reached, so that the copies stay identical.
+  // `write(storage, options)` performs the write on one storage.
+  async writeToAll(action, write, { expectedRevision } = {}) {
+    const updatedAt = new Date().toISOString();
+
+    const results = [];
+    for (const { storage } of this.storages) {
+      try {
+        results.push({ status: "fulfilled", value: await write(storage, { expectedRevision, updatedAt }) });
+        break;
+      } catch (reason) {
+        results.push({ status: "rejected", reason });
+      }
+    }
+
+    const primaryIndex = results.length - 1;
+    const primary = results[primaryIndex];
+    if (primary.status === "rejected") {
+      this.reportFailures(action, results);
+      throw results[0].reason;
     }
+    if (primary.value.conflict) {
+      console.log(`[DUAL STORAGE] ${action}: revision conflict on ${this.storages[primaryIndex].name}`);
+      return primary.value;
+    }
+
+    const revision = primary.value.revision ?? primary.value.session?.revision;
+    results.push(...await Promise.allSettled(
+      this.storages.slice(primaryIndex + 1).map(({ storage }) => write(storage, { updatedAt, revision }))
+    ));
+
+    this.reportFailures(action, results);
+    console.log(`[DUAL STORAGE] ${action}: ${this.appliedOn(results).join(", ") || "no changes"}`);
+
+    return primary.value;
+  }
+
+  async updateSession(id, updates, { expectedRevision } = {}) {
+    return this.writeToAll("Update session", (storage, options) => storage.updateSession(id, updates, options), {
+      expectedRevision,
+    });
+  }
+
+  // Each storage keeps its own history; the first readable one is reported
+  async getHistory(id) {
+    return this.readWithFallback("History", (storage) => storage.getHistory(id));
+  }
+
+  async getHistoryRevision(id, revision) {
+    return this.readWithFallback("History revision", (storage) => storage.getHistoryRevision(id, revision));
+  }
+
+  async getRuns(sessionId) {
+    return this.readWithFallback("Runs", (storage) => storage.getRuns(sessionId));
+  }
+
+  async getRun(sessionId, runId) {
+    return this.readWithFallback("Run", (storage) => storage.getRun(sessionId, runId));
+  }
+
+  async addRun(sessionId, run) {
+    return this.writeToAll("Add run", (storage, options) => storage.addRun(sessionId, run, options));
+  }
 
-    const successes = results.filter(r => r.status === "fulfilled").map(r => r.value.name);
-    console.log(`[DUAL STORAGE] Deleted from: ${successes.join(", ")}`);
+  async updateRun(sessionId, runId, updates) {
+    return this.writeToAll("Update run", (storage, options) => storage.updateRun(sessionId, runId, updates, options));
+  }
+
+  async deleteRun(sessionId, runId) {
+    return this.writeToAll("Delete run", (storage, options) => storage.deleteRun(sessionId, runId, options));
+  }
+
+  async getPlots(sessionId) {
+    return this.readWithFallback("Plots", (storage) => storage.getPlots(sessionId));
+  }
+
+  async addPlot(sessionId, plot) {
+    return this.writeToAll("Add plot", (storage, options) => storage.addPlot(sessionId, plot, options));
+  }
+
+  async updatePlot(sessionId, plotId, updates) {
+    return this.writeToAll("Update plot", (storage, options) => storage.updatePlot(sessionId, plotId, updates, options));
+  }
+
+  async deletePlot(sessionId, plotId) {
+    return this.writeToAll("Delete plot", (storage, options) => storage.deletePlot(sessionId, plotId, options));
+  }
+
+  async addTrash(entry) {
+    return this.writeToAll("Trash", (storage) => storage.addTrash(entry));
+  }
+
+  async listTrash() {
+    return this.readWithFallback("Trash", (storage) => storage.listTrash());
+  }
+
+  async getTrash(entryId) {
+    return this.readWithFallback("Trash entry", (storage) => storage.getTrash(entryId));
+  }
+
+  async deleteTrash(entryId) {
+    return this.writeToAll("Delete trash entry", (storage) => storage.deleteTrash(entryId));
+  }
 
-    // Return success if at least one succeeded
-    return { success: successes.length > 0 };
+  async purgeTrash(now) {
+    return this.writeToAll("Purge trash", (storage) => storage.purgeTrash(now));
   }
 }
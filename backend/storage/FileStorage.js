@@ -1,28 +1,283 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { HISTORY_LIMIT, withoutRunData } from "./sessionHistory.js";
+import { searchRunSummaries, summarizeRuns } from "./runSearch.js";
+import { queryIndex, summarizeSession } from "./sessionIndex.js";
+import { compareTrashEntries, withoutItem } from "./trash.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Reorder items to follow `order` (a list of ids); unlisted items keep their
+// relative order at the end
+function orderById(items, order) {
+  const ordered = order
+    .map((id) => items.find((item) => item.id === id))
+    .filter(Boolean);
+  return [...ordered, ...items.filter((item) => !order.includes(item.id))];
+}
+
+// Write JSON so that a crash leaves either the old or the new file, never a
+// truncated one: write a temp file, fsync it, then rename it into place
+export function writeJsonAtomic(filepath, data) {
+  const tempPath = `${filepath}.tmp`;
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filepath);
+
+  // Persist the rename itself; directories cannot be fsynced on every platform
+  try {
+    const dirFd = fs.openSync(path.dirname(filepath), "r");
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch {
+    // Best effort
+  }
+}
+
 export class FileStorage {
-  constructor() {
-    this.dataDir = path.join(__dirname, "..", "data");
+  constructor(dataDir) {
+    this.dataDir = dataDir || path.join(__dirname, "..", "data");
+    this.historyDir = path.join(this.dataDir, "history");
+    this.trashDir = path.join(this.dataDir, "trash");
+    this.indexPath = path.join(this.dataDir, "index", "sessions.json");
+    this.index = null; // Loaded on first use, see loadIndex()
+    // Session files found corrupt and read from their backup instead
+    this.recoveredFiles = new Map();
     if (!fs.existsSync(this.dataDir)) {
       fs.mkdirSync(this.dataDir, { recursive: true });
     }
     console.log("[FILE STORAGE] Initialized with directory:", this.dataDir);
   }
 
-  async saveSession(sessionData) {
+  // Path of `name` directly inside `dir`. Names are built from session ids,
+  // which come from clients, so refuse any that would lead elsewhere.
+  pathIn(dir, name) {
+    const resolved = path.resolve(dir, name);
+    if (path.dirname(resolved) !== path.resolve(dir)) {
+      throw new Error(`Invalid session id: ${name}`);
+    }
+    return resolved;
+  }
+
+  // Keep a copy of a session revision that is about to be overwritten in
+  // data/history/<id>/<revision>.json, pruning the oldest beyond the limit
+  archiveRevision(session) {
+    const sessionHistoryDir = this.pathIn(this.historyDir, session.id);
+    fs.mkdirSync(sessionHistoryDir, { recursive: true });
+
+    const revision = session.revision || 0;
+    const entry = { revision, archivedAt: new Date().toISOString(), session };
+    writeJsonAtomic(path.join(sessionHistoryDir, `${revision}.json`), entry);
+
+    this.listHistoryRevisions(session.id)
+      .slice(HISTORY_LIMIT)
+      .forEach((stale) => fs.unlinkSync(path.join(sessionHistoryDir, `${stale}.json`)));
+  }
+
+  // Archived revision numbers of a session, newest first
+  listHistoryRevisions(id) {
+    const sessionHistoryDir = this.pathIn(this.historyDir, id);
+    if (!fs.existsSync(sessionHistoryDir)) {
+      return [];
+    }
+    return fs
+      .readdirSync(sessionHistoryDir)
+      .filter((file) => /^\d+\.json$/.test(file))
+      .map((file) => Number(file.slice(0, -".json".length)))
+      .sort((a, b) => b - a);
+  }
+
+  // Archived revisions of a session, newest first, without run data
+  async getHistory(id) {
+    try {
+      return this.listHistoryRevisions(id).map((revision) => {
+        const entry = JSON.parse(
+          fs.readFileSync(path.join(this.pathIn(this.historyDir, id), `${revision}.json`), "utf-8")
+        );
+        return { ...entry, session: withoutRunData(entry.session) };
+      });
+    } catch (error) {
+      console.error("[FILE STORAGE] History error:", error);
+      throw error;
+    }
+  }
+
+  async getHistoryRevision(id, revision) {
+    try {
+      const filepath = path.join(this.pathIn(this.historyDir, id), `${revision}.json`);
+      if (!fs.existsSync(filepath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+    } catch (error) {
+      console.error("[FILE STORAGE] History load error:", error);
+      throw error;
+    }
+  }
+
+  // Parse a session file, falling back to its last-good backup
+  // (<id>.json.bak) when the file is truncated or corrupt. Returns null if
+  // the session file does not exist.
+  readSessionFile(filepath) {
+    if (!fs.existsSync(filepath)) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+      this.recoveredFiles.delete(filepath);
+      return session;
+    } catch (error) {
+      const backupPath = `${filepath}.bak`;
+      if (!fs.existsSync(backupPath)) {
+        throw error;
+      }
+
+      const session = JSON.parse(fs.readFileSync(backupPath, "utf-8"));
+      if (!this.recoveredFiles.has(filepath)) {
+        console.error(`[FILE STORAGE] ${path.basename(filepath)} is unreadable (${error.message}), using backup from revision ${session.revision || 0}`);
+      }
+      this.recoveredFiles.set(filepath, error.message);
+      return session;
+    }
+  }
+
+  // Atomically replace a session file, first keeping the current file as the
+  // last-good backup unless it is the corrupt one being recovered from
+  writeSessionFile(filepath, session) {
+    if (fs.existsSync(filepath) && !this.recoveredFiles.has(filepath)) {
+      fs.copyFileSync(filepath, `${filepath}.bak`);
+    }
+    writeJsonAtomic(filepath, session);
+    this.recoveredFiles.delete(filepath);
+    this.indexSession(session, filepath);
+  }
+
+  // Load the session index (data/index/sessions.json), bringing it up to date
+  // with session files that were added, removed or edited outside the server
+  // (e.g. by cli.js restore). The directory is checked on every load; only
+  // files whose mtime changed are read again.
+  loadIndex() {
+    let index = this.index;
+    if (!index) {
+      index = {};
+      try {
+        if (fs.existsSync(this.indexPath)) {
+          index = JSON.parse(fs.readFileSync(this.indexPath, "utf-8"));
+        }
+      } catch (error) {
+        console.error("[FILE STORAGE] Session index unreadable, rebuilding:", error.message);
+      }
+    }
+
+    let changed = false;
+    const seen = new Set();
+    fs.readdirSync(this.dataDir)
+      .filter((file) => file.endsWith(".json"))
+      .forEach((file) => {
+        const filepath = path.join(this.dataDir, file);
+        const id = file.slice(0, -".json".length);
+        const { mtimeMs } = fs.statSync(filepath);
+        seen.add(id);
+        // Entries written before run search and session tags existed lack `runs` and `tags`
+        if (index[id]?.mtimeMs === mtimeMs && index[id].runs && index[id].tags) {
+          return;
+        }
+        try {
+          const session = this.readSessionFile(filepath);
+          index[id] = { ...summarizeSession(session), runs: summarizeRuns(session), mtimeMs };
+          changed = true;
+        } catch (error) {
+          console.error(`[FILE STORAGE] Failed to index file ${file}:`, error);
+        }
+      });
+
+    Object.keys(index)
+      .filter((id) => !seen.has(id))
+      .forEach((id) => {
+        delete index[id];
+        changed = true;
+      });
+
+    this.index = index;
+    if (changed) {
+      this.saveIndex();
+      console.log(`[FILE STORAGE] Indexed ${Object.keys(index).length} sessions`);
+    }
+    return index;
+  }
+
+  saveIndex() {
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    writeJsonAtomic(this.indexPath, this.index);
+  }
+
+  // Record a session the server just wrote; no need to check the directory
+  indexSession(session, filepath) {
+    (this.index || this.loadIndex())[session.id] = {
+      ...summarizeSession(session),
+      runs: summarizeRuns(session),
+      mtimeMs: fs.statSync(filepath).mtimeMs,
+    };
+    this.saveIndex();
+  }
+
+  async getSessionIndex(options) {
+    try {
+      const summaries = Object.values(this.loadIndex()).map(({ mtimeMs, runs, ...summary }) => summary);
+      return queryIndex(summaries, options);
+    } catch (error) {
+      console.error("[FILE STORAGE] Index error:", error);
+      throw error;
+    }
+  }
+
+  // Search runs of all sessions by name and metadata, see runSearch.js.
+  // The index keeps each run's name and metadata, so no session is loaded.
+  async searchRuns(options) {
+    try {
+      return searchRunSummaries(Object.values(this.loadIndex()), options);
+    } catch (error) {
+      console.error("[FILE STORAGE] Run search error:", error);
+      throw error;
+    }
+  }
+
+  // Save a whole session. When `expectedRevision` is given the save only
+  // goes ahead if the stored revision still matches it. `revision` sets the
+  // revision saved instead of the next one (DualStorage mirroring a write).
+  async saveSession(sessionData, { expectedRevision, revision } = {}) {
     try {
       const filename = `${sessionData.id}.json`;
-      const filepath = path.join(this.dataDir, filename);
+      const filepath = this.pathIn(this.dataDir, filename);
+
+      const existing = this.readSessionFile(filepath);
+      const currentRevision = existing?.revision || 0;
 
-      fs.writeFileSync(filepath, JSON.stringify(sessionData, null, 2));
-      console.log(`[FILE STORAGE] Saved session: ${sessionData.id} (${sessionData.name})`);
+      if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+        console.log(`[FILE STORAGE] Revision conflict on ${sessionData.id}: expected ${expectedRevision}, found ${currentRevision}`);
+        return { success: false, conflict: true, error: "Revision conflict", current: existing };
+      }
+
+      if (existing) {
+        this.archiveRevision(existing);
+      }
 
-      return { success: true, session: sessionData };
+      const savedSession = { ...sessionData, revision: revision ?? currentRevision + 1 };
+      this.writeSessionFile(filepath, savedSession);
+      console.log(`[FILE STORAGE] Saved session: ${sessionData.id} (${sessionData.name}) at revision ${savedSession.revision}`);
+
+      return { success: true, session: savedSession };
     } catch (error) {
       console.error("[FILE STORAGE] Save error:", error);
       throw error;
@@ -39,7 +294,7 @@ export class FileStorage {
         .forEach((file) => {
           const filepath = path.join(this.dataDir, file);
           try {
-            const content = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+            const content = this.readSessionFile(filepath);
             sessions[content.id] = content;
           } catch (err) {
             console.error(`[FILE STORAGE] Failed to read file ${file}:`, err);
@@ -54,16 +309,57 @@ export class FileStorage {
     }
   }
 
+  // Check every session file. Reports files that fail to parse (and whether
+  // their backup can stand in for them) and temp files left behind by an
+  // interrupted write.
+  async getHealth() {
+    const files = fs.readdirSync(this.dataDir);
+    const unreadable = [];
+    let sessions = 0;
+
+    files
+      .filter((file) => file.endsWith(".json"))
+      .forEach((file) => {
+        const filepath = path.join(this.dataDir, file);
+        try {
+          JSON.parse(fs.readFileSync(filepath, "utf-8"));
+          sessions++;
+        } catch (error) {
+          let backupRevision = null;
+          try {
+            backupRevision = JSON.parse(fs.readFileSync(`${filepath}.bak`, "utf-8")).revision || 0;
+            sessions++;
+          } catch {
+            // No usable backup either
+          }
+          unreadable.push({
+            file,
+            error: error.message,
+            recoveredFromBackup: backupRevision !== null,
+            backupRevision,
+          });
+        }
+      });
+
+    return {
+      ok: unreadable.length === 0,
+      directory: this.dataDir,
+      sessions,
+      unreadable,
+      leftoverTempFiles: files.filter((file) => file.endsWith(".tmp")),
+    };
+  }
+
   async getSession(id) {
     try {
       const filename = `${id}.json`;
-      const filepath = path.join(this.dataDir, filename);
+      const filepath = this.pathIn(this.dataDir, filename);
 
-      if (!fs.existsSync(filepath)) {
+      const sessionData = this.readSessionFile(filepath);
+      if (!sessionData) {
         return null;
       }
 
-      const sessionData = JSON.parse(fs.readFileSync(filepath, "utf-8"));
       console.log(`[FILE STORAGE] Loaded session: ${id}`);
       return sessionData;
     } catch (error) {
@@ -72,16 +368,201 @@ export class FileStorage {
     }
   }
 
+  // Read a session, apply `mutate` to it and write it back with the next
+  // revision. `mutate` returns the value handed back to the caller, or an
+  // { error } object to abort. `updatedAt` and `revision` stamp the write
+  // instead of the time now and the next revision (DualStorage mirroring it).
+  async updateSessionFile(id, mutate, { expectedRevision, updatedAt, revision } = {}) {
+    const filepath = this.pathIn(this.dataDir, `${id}.json`);
+
+    const sessionData = this.readSessionFile(filepath);
+    if (!sessionData) {
+      return { success: false, error: "Session not found" };
+    }
+
+    const previous = structuredClone(sessionData);
+    const currentRevision = sessionData.revision || 0;
+    if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+      console.log(`[FILE STORAGE] Revision conflict on ${id}: expected ${expectedRevision}, found ${currentRevision}`);
+      return { success: false, conflict: true, error: "Revision conflict", current: sessionData };
+    }
+
+    const result = mutate(sessionData);
+    if (result?.error) {
+      return { success: false, error: result.error };
+    }
+
+    this.archiveRevision(previous);
+
+    sessionData.revision = revision ?? currentRevision + 1;
+    sessionData.updatedAt = updatedAt || new Date().toISOString();
+    this.writeSessionFile(filepath, sessionData);
+    return { success: true, revision: sessionData.revision, ...result };
+  }
+
+  async updateSession(id, updates, options = {}) {
+    try {
+      const result = await this.updateSessionFile(id, (session) => {
+        if (updates.name !== undefined) {
+          session.name = updates.name;
+        }
+        if (updates.metadata !== undefined) {
+          session.metadata = updates.metadata;
+        }
+        if (updates.runOrder) {
+          session.runs = orderById(session.runs || [], updates.runOrder);
+        }
+        if (updates.plotOrder) {
+          session.customPlots = orderById(session.customPlots || [], updates.plotOrder);
+        }
+        return {};
+      }, options);
+      console.log(`[FILE STORAGE] Updated session: ${id}`);
+      return result;
+    } catch (error) {
+      console.error("[FILE STORAGE] Update error:", error);
+      throw error;
+    }
+  }
+
+  async getRuns(sessionId) {
+    const session = await this.getSession(sessionId);
+    return session ? session.runs || [] : null;
+  }
+
+  async getRun(sessionId, runId) {
+    const runs = await this.getRuns(sessionId);
+    return runs?.find((run) => run.id === runId) || null;
+  }
+
+  async addRun(sessionId, run, options = {}) {
+    try {
+      const result = await this.updateSessionFile(sessionId, (session) => {
+        session.runs = session.runs || [];
+        if (session.runs.some((r) => r.id === run.id)) {
+          return { error: "Run already exists" };
+        }
+        session.runs.push(run);
+        return { run };
+      }, options);
+      console.log(`[FILE STORAGE] Added run ${run.id} to session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[FILE STORAGE] Add run error:", error);
+      throw error;
+    }
+  }
+
+  async updateRun(sessionId, runId, updates, options = {}) {
+    try {
+      const result = await this.updateSessionFile(sessionId, (session) => {
+        const index = (session.runs || []).findIndex((r) => r.id === runId);
+        if (index === -1) {
+          return { error: "Run not found" };
+        }
+        session.runs[index] = { ...session.runs[index], ...updates, id: runId };
+        return { run: session.runs[index] };
+      }, options);
+      console.log(`[FILE STORAGE] Updated run ${runId} in session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[FILE STORAGE] Update run error:", error);
+      throw error;
+    }
+  }
+
+  async deleteRun(sessionId, runId, options = {}) {
+    try {
+      const result = await this.updateSessionFile(sessionId, (session) => {
+        const runs = session.runs || [];
+        if (!runs.some((r) => r.id === runId)) {
+          return { error: "Run not found" };
+        }
+        session.runs = runs.filter((r) => r.id !== runId);
+        return {};
+      }, options);
+      console.log(`[FILE STORAGE] Deleted run ${runId} from session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[FILE STORAGE] Delete run error:", error);
+      throw error;
+    }
+  }
+
+  async getPlots(sessionId) {
+    const session = await this.getSession(sessionId);
+    return session ? session.customPlots || [] : null;
+  }
+
+  async addPlot(sessionId, plot, options = {}) {
+    try {
+      const result = await this.updateSessionFile(sessionId, (session) => {
+        session.customPlots = session.customPlots || [];
+        if (session.customPlots.some((p) => p.id === plot.id)) {
+          return { error: "Plot already exists" };
+        }
+        session.customPlots.push(plot);
+        return { plot };
+      }, options);
+      console.log(`[FILE STORAGE] Added plot ${plot.id} to session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[FILE STORAGE] Add plot error:", error);
+      throw error;
+    }
+  }
+
+  async updatePlot(sessionId, plotId, updates, options = {}) {
+    try {
+      const result = await this.updateSessionFile(sessionId, (session) => {
+        const index = (session.customPlots || []).findIndex((p) => p.id === plotId);
+        if (index === -1) {
+          return { error: "Plot not found" };
+        }
+        session.customPlots[index] = { ...session.customPlots[index], ...updates, id: plotId };
+        return { plot: session.customPlots[index] };
+      }, options);
+      console.log(`[FILE STORAGE] Updated plot ${plotId} in session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[FILE STORAGE] Update plot error:", error);
+      throw error;
+    }
+  }
+
+  async deletePlot(sessionId, plotId, options = {}) {
+    try {
+      const result = await this.updateSessionFile(sessionId, (session) => {
+        const plots = session.customPlots || [];
+        if (!plots.some((p) => p.id === plotId)) {
+          return { error: "Plot not found" };
+        }
+        session.customPlots = plots.filter((p) => p.id !== plotId);
+        return {};
+      }, options);
+      console.log(`[FILE STORAGE] Deleted plot ${plotId} from session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[FILE STORAGE] Delete plot error:", error);
+      throw error;
+    }
+  }
+
   async deleteSession(id) {
     try {
       const filename = `${id}.json`;
-      const filepath = path.join(this.dataDir, filename);
+      const filepath = this.pathIn(this.dataDir, filename);
 
       if (!fs.existsSync(filepath)) {
         return { success: false, error: "Session not found" };
       }
 
       fs.unlinkSync(filepath);
+      fs.rmSync(`${filepath}.bak`, { force: true });
+      this.recoveredFiles.delete(filepath);
+      delete (this.index || this.loadIndex())[id];
+      this.saveIndex();
+      fs.rmSync(this.pathIn(this.historyDir, id), { recursive: true, force: true });
       console.log(`[FILE STORAGE] Deleted session: ${id}`);
       return { success: true };
     } catch (error) {
@@ -89,4 +570,75 @@ export class FileStorage {
       throw error;
     }
   }
+
+  // Trash entries live in data/trash/<entry id>.json, see trash.js
+  readTrashEntries() {
+    if (!fs.existsSync(this.trashDir)) {
+      return [];
+    }
+    return fs
+      .readdirSync(this.trashDir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => JSON.parse(fs.readFileSync(path.join(this.trashDir, file), "utf-8")));
+  }
+
+  async addTrash(entry) {
+    try {
+      fs.mkdirSync(this.trashDir, { recursive: true });
+      writeJsonAtomic(path.join(this.trashDir, `${entry.id}.json`), entry);
+      console.log(`[FILE STORAGE] Moved ${entry.type} ${entry.itemId} to the trash (${entry.id})`);
+      return { success: true };
+    } catch (error) {
+      console.error("[FILE STORAGE] Trash error:", error);
+      throw error;
+    }
+  }
+
+  async listTrash() {
+    try {
+      return this.readTrashEntries().map(withoutItem).sort(compareTrashEntries);
+    } catch (error) {
+      console.error("[FILE STORAGE] Trash listing error:", error);
+      throw error;
+    }
+  }
+
+  async getTrash(entryId) {
+    try {
+      const filepath = path.join(this.trashDir, `${entryId}.json`);
+      if (!fs.existsSync(filepath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+    } catch (error) {
+      console.error("[FILE STORAGE] Trash load error:", error);
+      throw error;
+    }
+  }
+
+  async deleteTrash(entryId) {
+    try {
+      const filepath = path.join(this.trashDir, `${entryId}.json`);
+      if (!fs.existsSync(filepath)) {
+        return { success: false, error: "Trash entry not found" };
+      }
+      fs.unlinkSync(filepath);
+      return { success: true };
+    } catch (error) {
+      console.error("[FILE STORAGE] Trash delete error:", error);
+      throw error;
+    }
+  }
+
+  // Remove the entries that expired before `now`; returns them without their items
+  async purgeTrash(now = new Date().toISOString()) {
+    try {
+      const expired = this.readTrashEntries().filter((entry) => entry.expiresAt <= now);
+      expired.forEach((entry) => fs.unlinkSync(path.join(this.trashDir, `${entry.id}.json`)));
+      return { success: true, purged: expired.map(withoutItem) };
+    } catch (error) {
+      console.error("[FILE STORAGE] Trash purge error:", error);
+      throw error;
+    }
+  }
 }
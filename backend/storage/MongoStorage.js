@@ -1,4 +1,72 @@
 import { MongoClient } from "mongodb";
+import { dateTimeUpperBound } from "./runSearch.js";
+import { HISTORY_LIMIT } from "./sessionHistory.js";
+import { withoutItem } from "./trash.js";
+
+// Projection computing a session summary (see summarizeSession() in sessionIndex.js)
+const SUMMARY_PROJECTION = {
+  _id: 0,
+  id: 1,
+  name: 1,
+  runCount: { $size: { $ifNull: ["$runs", []] } },
+  plotCount: { $size: { $ifNull: ["$customPlots", []] } },
+  createdAt: { $ifNull: ["$createdAt", null] },
+  updatedAt: { $ifNull: ["$updatedAt", null] },
+  revision: { $ifNull: ["$revision", 0] },
+  tags: { $ifNull: ["$metadata.tags", []] },
+  hardware: {
+    $setDifference: [
+      { $setUnion: [{ $map: { input: { $ifNull: ["$runs", []] }, in: "$$this.metadata.hardware" } }] },
+      [null, ""],
+    ],
+  },
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Aggregation expression reordering an array field to follow `order` (a list
+// of ids); unlisted items keep their relative order at the end
+function orderByIdExpression(field, order) {
+  return {
+    $concatArrays: [
+      {
+        $filter: {
+          input: {
+            $map: {
+              input: order,
+              as: "itemId",
+              in: {
+                $first: {
+                  $filter: {
+                    input: { $ifNull: [`$${field}`, []] },
+                    cond: { $eq: ["$$this.id", "$$itemId"] },
+                  },
+                },
+              },
+            },
+          },
+          cond: { $ne: ["$$this", null] },
+        },
+      },
+      {
+        $filter: {
+          input: { $ifNull: [`$${field}`, []] },
+          cond: { $not: [{ $in: ["$$this.id", order] }] },
+        },
+      },
+    ],
+  };
+}
+
+// Update operators stamping a write with the time now and the next revision,
+// or with the `updatedAt` and `revision` given (DualStorage mirroring a write)
+function stampUpdate(set, { updatedAt, revision } = {}) {
+  const stamped = { ...set, updatedAt: updatedAt || new Date().toISOString() };
+  return revision === undefined ? { $set: stamped, $inc: { revision: 1 } } : { $set: { ...stamped, revision } };
+}
+
+// Revision of a session after a write, given its copy from before the write
+const nextRevision = (previous, revision) => revision ?? (previous?.revision || 0) + 1;
 
 export class MongoStorage {
   constructor(uri) {
@@ -6,14 +74,26 @@ export class MongoStorage {
     this.client = null;
     this.db = null;
     this.collection = null;
+    this.history = null;
+    this.index = null;
+    this.connecting = null; // See connect()
     console.log("[MONGO STORAGE] Initializing with URI:", this.uri.replace(/\/\/.*@/, "//***:***@"));
   }
 
-  async connect() {
-    if (this.client) {
-      return; // Already connected
+  // Connect on first use. Every method awaits this; calls made while the
+  // connection is being set up wait for that same attempt, and a failed
+  // attempt is dropped so that the next call tries again.
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.openConnection().catch((error) => {
+        this.connecting = null;
+        throw error;
+      });
     }
+    return this.connecting;
+  }
 
+  async openConnection() {
     try {
       this.client = new MongoClient(this.uri);
       await this.client.connect();
@@ -23,25 +103,83 @@ export class MongoStorage {
       // Create index on id field for faster lookups
       await this.collection.createIndex({ id: 1 }, { unique: true });
 
+      // Prior revisions of each session, see archiveRevision()
+      this.history = this.db.collection("session_history");
+      await this.history.createIndex({ sessionId: 1, revision: -1 }, { unique: true });
+
+      // Deleted sessions, runs and plots, see trash.js
+      this.trash = this.db.collection("trash");
+      await this.trash.createIndex({ id: 1 }, { unique: true });
+      await this.trash.createIndex({ expiresAt: 1 });
+
+      // Session summaries for listing, kept in step by updateWithHistory()
+      this.index = this.db.collection("session_index");
+      await this.index.createIndex({ id: 1 }, { unique: true });
+      await this.index.createIndex({ updatedAt: -1 });
+      const [sessionCount, indexCount] = await Promise.all([
+        this.collection.countDocuments(),
+        this.index.countDocuments(),
+      ]);
+      if (sessionCount !== indexCount) {
+        await this.rebuildIndex();
+      }
+
       console.log("[MONGO STORAGE] Connected successfully");
     } catch (error) {
       console.error("[MONGO STORAGE] Connection error:", error);
+      await this.client.close().catch(() => {});
+      this.client = null;
       throw error;
     }
   }
 
-  async saveSession(sessionData) {
+  // Save a whole session. When `expectedRevision` is given the save only
+  // goes ahead if the stored revision still matches it. `revision` sets the
+  // revision saved instead of the next one (DualStorage mirroring a write).
+  async saveSession(sessionData, { expectedRevision, ...stamp } = {}) {
     try {
       await this.connect();
 
-      const result = await this.collection.updateOne(
-        { id: sessionData.id },
-        { $set: sessionData },
-        { upsert: true }
-      );
+      const { revision, ...fields } = sessionData;
+      const filter = { id: sessionData.id };
+      if (expectedRevision !== undefined) {
+        // Sessions saved before revisions existed have no revision field
+        filter.revision = expectedRevision === 0 ? { $in: [0, null] } : expectedRevision;
+      }
+
+      const upsert = expectedRevision === undefined || expectedRevision === 0;
+      let previous;
+      try {
+        // Replace the whole document like the other storages do, so that
+        // fields left out of the save (e.g. cleared metadata) are dropped
+        previous = await this.updateWithHistory(
+          filter,
+          [
+            {
+              $replaceWith: {
+                $mergeObjects: [
+                  { $literal: fields },
+                  { revision: stamp.revision ?? { $add: [{ $ifNull: ["$revision", 0] }, 1] } },
+                ],
+              },
+            },
+          ],
+          { upsert }
+        );
+      } catch (error) {
+        // An upsert racing an existing document trips the unique id index
+        if (error.code !== 11000) throw error;
+        return this.conflictResult(sessionData.id, expectedRevision);
+      }
+
+      // Nothing matched: either a new session was inserted or the revision moved on
+      if (!previous && !upsert) {
+        return this.conflictResult(sessionData.id, expectedRevision);
+      }
 
-      console.log(`[MONGO STORAGE] Saved session: ${sessionData.id} (${sessionData.name})`);
-      return { success: true, session: sessionData };
+      const savedRevision = nextRevision(previous, stamp.revision);
+      console.log(`[MONGO STORAGE] Saved session: ${sessionData.id} (${sessionData.name}) at revision ${savedRevision}`);
+      return { success: true, session: { ...fields, revision: savedRevision } };
     } catch (error) {
       console.error("[MONGO STORAGE] Save error:", error);
       throw error;
@@ -68,6 +206,17 @@ export class MongoStorage {
     }
   }
 
+  async getHealth() {
+    await this.connect();
+    await this.db.command({ ping: 1 });
+
+    return {
+      ok: true,
+      sessions: await this.collection.countDocuments(),
+      unreadable: [],
+    };
+  }
+
   async getSession(id) {
     try {
       await this.connect();
@@ -87,6 +236,431 @@ export class MongoStorage {
     }
   }
 
+  async updateSession(id, updates, { expectedRevision, updatedAt, revision } = {}) {
+    try {
+      await this.connect();
+
+      const set = {
+        updatedAt: updatedAt || new Date().toISOString(),
+        revision: revision ?? { $add: [{ $ifNull: ["$revision", 0] }, 1] },
+      };
+      if (updates.name !== undefined) {
+        set.name = { $literal: updates.name };
+      }
+      if (updates.metadata !== undefined) {
+        set.metadata = { $literal: updates.metadata };
+      }
+      if (updates.runOrder) {
+        set.runs = orderByIdExpression("runs", updates.runOrder);
+      }
+      if (updates.plotOrder) {
+        set.customPlots = orderByIdExpression("customPlots", updates.plotOrder);
+      }
+
+      const filter = { id };
+      if (expectedRevision !== undefined) {
+        filter.revision = expectedRevision === 0 ? { $in: [0, null] } : expectedRevision;
+      }
+
+      // Pipeline update so reordering happens server-side without sending run data
+      const previous = await this.updateWithHistory(filter, [{ $set: set }]);
+
+      if (!previous) {
+        return expectedRevision === undefined
+          ? { success: false, error: "Session not found" }
+          : this.conflictResult(id, expectedRevision);
+      }
+
+      console.log(`[MONGO STORAGE] Updated session: ${id}`);
+      return { success: true, revision: nextRevision(previous, revision) };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Update error:", error);
+      throw error;
+    }
+  }
+
+  async getRuns(sessionId) {
+    try {
+      await this.connect();
+
+      const session = await this.collection.findOne(
+        { id: sessionId },
+        { projection: { _id: 0, runs: 1 } }
+      );
+      return session ? session.runs || [] : null;
+    } catch (error) {
+      console.error("[MONGO STORAGE] Get runs error:", error);
+      throw error;
+    }
+  }
+
+  async getRun(sessionId, runId) {
+    try {
+      await this.connect();
+
+      const session = await this.collection.findOne(
+        { id: sessionId },
+        { projection: { _id: 0, runs: { $elemMatch: { id: runId } } } }
+      );
+      return session?.runs?.[0] || null;
+    } catch (error) {
+      console.error("[MONGO STORAGE] Get run error:", error);
+      throw error;
+    }
+  }
+
+  async addRun(sessionId, run, options = {}) {
+    try {
+      await this.connect();
+
+      const previous = await this.updateWithHistory(
+        { id: sessionId, "runs.id": { $ne: run.id } },
+        { $push: { runs: run }, ...stampUpdate({}, options) }
+      );
+
+      if (!previous) {
+        return this.missingItemResult(sessionId, "Run already exists");
+      }
+
+      console.log(`[MONGO STORAGE] Added run ${run.id} to session: ${sessionId}`);
+      return { success: true, revision: nextRevision(previous, options.revision), run };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Add run error:", error);
+      throw error;
+    }
+  }
+
+  async updateRun(sessionId, runId, updates, options = {}) {
+    try {
+      await this.connect();
+
+      const set = {};
+      Object.entries(updates).forEach(([key, value]) => {
+        if (key !== "id") {
+          set[`runs.$[run].${key}`] = value;
+        }
+      });
+
+      const previous = await this.updateWithHistory(
+        { id: sessionId, "runs.id": runId },
+        stampUpdate(set, options),
+        { arrayFilters: [{ "run.id": runId }] }
+      );
+
+      if (!previous) {
+        return this.missingItemResult(sessionId, "Run not found");
+      }
+
+      const run = { ...previous.runs.find((r) => r.id === runId), ...updates, id: runId };
+      console.log(`[MONGO STORAGE] Updated run ${runId} in session: ${sessionId}`);
+      return { success: true, revision: nextRevision(previous, options.revision), run };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Update run error:", error);
+      throw error;
+    }
+  }
+
+  async deleteRun(sessionId, runId, options = {}) {
+    try {
+      await this.connect();
+
+      const previous = await this.updateWithHistory(
+        { id: sessionId, "runs.id": runId },
+        { $pull: { runs: { id: runId } }, ...stampUpdate({}, options) }
+      );
+
+      if (!previous) {
+        return this.missingItemResult(sessionId, "Run not found");
+      }
+
+      console.log(`[MONGO STORAGE] Deleted run ${runId} from session: ${sessionId}`);
+      return { success: true, revision: nextRevision(previous, options.revision) };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Delete run error:", error);
+      throw error;
+    }
+  }
+
+  async getPlots(sessionId) {
+    try {
+      await this.connect();
+
+      const session = await this.collection.findOne(
+        { id: sessionId },
+        { projection: { _id: 0, customPlots: 1 } }
+      );
+      return session ? session.customPlots || [] : null;
+    } catch (error) {
+      console.error("[MONGO STORAGE] Get plots error:", error);
+      throw error;
+    }
+  }
+
+  async addPlot(sessionId, plot, options = {}) {
+    try {
+      await this.connect();
+
+      const previous = await this.updateWithHistory(
+        { id: sessionId, "customPlots.id": { $ne: plot.id } },
+        { $push: { customPlots: plot }, ...stampUpdate({}, options) }
+      );
+
+      if (!previous) {
+        return this.missingItemResult(sessionId, "Plot already exists");
+      }
+
+      console.log(`[MONGO STORAGE] Added plot ${plot.id} to session: ${sessionId}`);
+      return { success: true, revision: nextRevision(previous, options.revision), plot };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Add plot error:", error);
+      throw error;
+    }
+  }
+
+  async updatePlot(sessionId, plotId, updates, options = {}) {
+    try {
+      await this.connect();
+
+      const set = {};
+      Object.entries(updates).forEach(([key, value]) => {
+        if (key !== "id") {
+          set[`customPlots.$[plot].${key}`] = value;
+        }
+      });
+
+      const previous = await this.updateWithHistory(
+        { id: sessionId, "customPlots.id": plotId },
+        stampUpdate(set, options),
+        { arrayFilters: [{ "plot.id": plotId }] }
+      );
+
+      if (!previous) {
+        return this.missingItemResult(sessionId, "Plot not found");
+      }
+
+      const plot = { ...previous.customPlots.find((p) => p.id === plotId), ...updates, id: plotId };
+      console.log(`[MONGO STORAGE] Updated plot ${plotId} in session: ${sessionId}`);
+      return { success: true, revision: nextRevision(previous, options.revision), plot };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Update plot error:", error);
+      throw error;
+    }
+  }
+
+  async deletePlot(sessionId, plotId, options = {}) {
+    try {
+      await this.connect();
+
+      const previous = await this.updateWithHistory(
+        { id: sessionId, "customPlots.id": plotId },
+        { $pull: { customPlots: { id: plotId } }, ...stampUpdate({}, options) }
+      );
+
+      if (!previous) {
+        return this.missingItemResult(sessionId, "Plot not found");
+      }
+
+      console.log(`[MONGO STORAGE] Deleted plot ${plotId} from session: ${sessionId}`);
+      return { success: true, revision: nextRevision(previous, options.revision) };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Delete plot error:", error);
+      throw error;
+    }
+  }
+
+  // Apply an update to a single session, archive the session as it was
+  // before the update and refresh its index entry. Resolves with the
+  // previous copy, or null when nothing matched the filter.
+  async updateWithHistory(filter, update, options = {}) {
+    const previous = await this.collection.findOneAndUpdate(filter, update, {
+      ...options,
+      projection: { _id: 0 },
+      returnDocument: "before",
+    });
+
+    if (previous) {
+      await this.archiveRevision(previous);
+    }
+    if (previous || options.upsert) {
+      await this.refreshIndexEntry(filter.id);
+    }
+    return previous;
+  }
+
+  async refreshIndexEntry(id) {
+    await this.collection
+      .aggregate([
+        { $match: { id } },
+        { $project: SUMMARY_PROJECTION },
+        { $merge: { into: "session_index", on: "id", whenMatched: "replace", whenNotMatched: "insert" } },
+      ])
+      .toArray();
+  }
+
+  async rebuildIndex() {
+    await this.index.deleteMany({});
+    await this.collection
+      .aggregate([
+        { $project: SUMMARY_PROJECTION },
+        { $merge: { into: "session_index", on: "id", whenMatched: "replace", whenNotMatched: "insert" } },
+      ])
+      .toArray();
+    console.log("[MONGO STORAGE] Rebuilt session index");
+  }
+
+  async getSessionIndex({ q, ids, sort = "updatedAt", order = "desc", page = 1, pageSize = 50 } = {}) {
+    try {
+      await this.connect();
+
+      const filter = {};
+      if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: "i" };
+        filter.$or = [{ name: pattern }, { tags: pattern }];
+      }
+      if (ids) {
+        filter.id = { $in: ids };
+      }
+      const [sessions, total] = await Promise.all([
+        this.index
+          .find(filter, { projection: { _id: 0 } })
+          .collation({ locale: "en", strength: 2 })
+          .sort({ [sort]: order === "asc" ? 1 : -1, id: 1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .toArray(),
+        this.index.countDocuments(filter),
+      ]);
+
+      return { sessions, total };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Index error:", error);
+      throw error;
+    }
+  }
+
+  // Search runs of all sessions by name and metadata, see runSearch.js
+  async searchRuns({ hardware, commit, from, to, notes, name, ids, limit = 100, offset = 0 } = {}) {
+    try {
+      await this.connect();
+
+      const contains = (text) => ({ $regex: escapeRegex(text), $options: "i" });
+      const match = {};
+      if (hardware) {
+        match["run.metadata.hardware"] = contains(hardware);
+      }
+      if (commit) {
+        match["run.metadata.commit"] = { $regex: `^${escapeRegex(commit)}`, $options: "i" };
+      }
+      if (from || to) {
+        match["run.metadata.dateTime"] = {
+          $type: "string",
+          ...(from && { $gte: from }),
+          ...(to && { $lte: dateTimeUpperBound(to) }),
+        };
+      }
+      if (notes) {
+        match["run.metadata.notes"] = contains(notes);
+      }
+      if (name) {
+        match["run.name"] = contains(name);
+      }
+
+      const [result] = await this.collection
+        .aggregate([
+          ...(ids ? [{ $match: { id: { $in: ids } } }] : []),
+          // Drop run data before unwinding; only names and metadata are searched
+          {
+            $project: {
+              _id: 0,
+              sessionId: "$id",
+              sessionName: "$name",
+              run: {
+                $map: {
+                  input: { $ifNull: ["$runs", []] },
+                  in: { id: "$$this.id", name: "$$this.name", metadata: { $ifNull: ["$$this.metadata", {}] } },
+                },
+              },
+            },
+          },
+          { $unwind: "$run" },
+          { $match: match },
+          { $sort: { "run.metadata.dateTime": -1, sessionId: 1, "run.id": 1 } },
+          { $facet: { runs: [{ $skip: offset }, { $limit: limit }], total: [{ $count: "count" }] } },
+        ])
+        .toArray();
+
+      return { runs: result.runs, total: result.total[0]?.count || 0 };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Run search error:", error);
+      throw error;
+    }
+  }
+
+  // Keep a copy of a superseded session revision, pruning the oldest beyond the limit
+  async archiveRevision(session) {
+    const revision = session.revision || 0;
+    await this.history.updateOne(
+      { sessionId: session.id, revision },
+      { $set: { sessionId: session.id, revision, archivedAt: new Date().toISOString(), session } },
+      { upsert: true }
+    );
+
+    const oldestKept = await this.history
+      .find({ sessionId: session.id }, { projection: { revision: 1 } })
+      .sort({ revision: -1 })
+      .skip(HISTORY_LIMIT - 1)
+      .limit(1)
+      .next();
+    if (oldestKept) {
+      await this.history.deleteMany({ sessionId: session.id, revision: { $lt: oldestKept.revision } });
+    }
+  }
+
+  // Archived revisions of a session, newest first, without run data
+  async getHistory(id) {
+    try {
+      await this.connect();
+
+      return await this.history
+        .find(
+          { sessionId: id },
+          { projection: { _id: 0, sessionId: 0, "session.runs.data": 0, "session.runs.cpuData": 0 } }
+        )
+        .sort({ revision: -1 })
+        .toArray();
+    } catch (error) {
+      console.error("[MONGO STORAGE] History error:", error);
+      throw error;
+    }
+  }
+
+  async getHistoryRevision(id, revision) {
+    try {
+      await this.connect();
+
+      return await this.history.findOne(
+        { sessionId: id, revision },
+        { projection: { _id: 0, sessionId: 0 } }
+      );
+    } catch (error) {
+      console.error("[MONGO STORAGE] History load error:", error);
+      throw error;
+    }
+  }
+
+  // Build the conflict result for a write whose expected revision did not match
+  async conflictResult(id, expectedRevision) {
+    const current = await this.getSession(id);
+    console.log(`[MONGO STORAGE] Revision conflict on ${id}: expected ${expectedRevision}, found ${current?.revision || 0}`);
+    return { success: false, conflict: true, error: "Revision conflict", current };
+  }
+
+  // Work out why a run/plot update matched nothing: the session itself may be missing
+  async missingItemResult(sessionId, error) {
+    const exists = await this.collection.countDocuments({ id: sessionId }, { limit: 1 });
+    return { success: false, error: exists ? error : "Session not found" };
+  }
+
   async deleteSession(id) {
     try {
       await this.connect();
@@ -96,6 +670,8 @@ export class MongoStorage {
       if (result.deletedCount === 0) {
         return { success: false, error: "Session not found" };
       }
+      await this.history.deleteMany({ sessionId: id });
+      await this.index.deleteOne({ id });
 
       console.log(`[MONGO STORAGE] Deleted session: ${id}`);
       return { success: true };
@@ -105,9 +681,68 @@ export class MongoStorage {
     }
   }
 
+  async addTrash(entry) {
+    try {
+      await this.connect();
+      await this.trash.insertOne({ ...entry });
+      console.log(`[MONGO STORAGE] Moved ${entry.type} ${entry.itemId} to the trash (${entry.id})`);
+      return { success: true };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Trash error:", error);
+      throw error;
+    }
+  }
+
+  async listTrash() {
+    try {
+      await this.connect();
+      return await this.trash.find({}, { projection: { _id: 0, item: 0 } }).sort({ deletedAt: -1 }).toArray();
+    } catch (error) {
+      console.error("[MONGO STORAGE] Trash listing error:", error);
+      throw error;
+    }
+  }
+
+  async getTrash(entryId) {
+    try {
+      await this.connect();
+      return await this.trash.findOne({ id: entryId }, { projection: { _id: 0 } });
+    } catch (error) {
+      console.error("[MONGO STORAGE] Trash load error:", error);
+      throw error;
+    }
+  }
+
+  async deleteTrash(entryId) {
+    try {
+      await this.connect();
+      const result = await this.trash.deleteOne({ id: entryId });
+      return result.deletedCount > 0 ? { success: true } : { success: false, error: "Trash entry not found" };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Trash delete error:", error);
+      throw error;
+    }
+  }
+
+  // Remove the entries that expired before `now`; returns them without their items
+  async purgeTrash(now = new Date().toISOString()) {
+    try {
+      await this.connect();
+      const filter = { expiresAt: { $lte: now } };
+      const expired = await this.trash.find(filter, { projection: { _id: 0, item: 0 } }).toArray();
+      await this.trash.deleteMany({ id: { $in: expired.map((entry) => entry.id) } });
+      return { success: true, purged: expired.map(withoutItem) };
+    } catch (error) {
+      console.error("[MONGO STORAGE] Trash purge error:", error);
+      throw error;
+    }
+  }
+
   async close() {
     if (this.client) {
       await this.client.close();
+      this.client = null;
+      this.connecting = null;
       console.log("[MONGO STORAGE] Connection closed");
     }
   }
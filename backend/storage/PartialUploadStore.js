@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+import { writeJsonAtomic } from "./FileStorage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOAD_ID_PATTERN = /^upload-[0-9a-f]{16}$/;
+
+// Files sent in chunks, kept in data/partial-uploads until a run is made from
+// them. Chunks are appended in order and streamed straight to disk, so a
+// client that lost its connection asks how much arrived and carries on from
+// there. Each upload has two files:
+//
+//   <id>.json: { id, name, size, received, owner, createdAt, updatedAt }
+//   <id>.part: the bytes received so far
+//
+// Uploads nobody finished are removed once they have not changed for a while.
+// Receiving is streamed, but parsing is not: readText returns a finished
+// upload's whole text, so callers check its size against their limit first.
+export class PartialUploadStore {
+  constructor(partialUploadDir) {
+    this.partialUploadDir = partialUploadDir || path.join(__dirname, "..", "data", "partial-uploads");
+    fs.mkdirSync(this.partialUploadDir, { recursive: true });
+    // Uploads a chunk is being received for
+    this.receiving = new Set();
+    console.log(`[UPLOADS] Partial uploads in directory: ${this.partialUploadDir}`);
+  }
+
+  metaPath(id) {
+    return path.join(this.partialUploadDir, `${id}.json`);
+  }
+
+  partPath(id) {
+    return path.join(this.partialUploadDir, `${id}.part`);
+  }
+
+  create({ name, size, owner }) {
+    const now = new Date().toISOString();
+    const upload = {
+      id: `upload-${crypto.randomBytes(8).toString("hex")}`,
+      name,
+      size,
+      received: 0,
+      owner,
+      createdAt: now,
+      updatedAt: now,
+    };
+    fs.writeFileSync(this.partPath(upload.id), "");
+    writeJsonAtomic(this.metaPath(upload.id), upload);
+    return upload;
+  }
+
+  get(id) {
+    if (!UPLOAD_ID_PATTERN.test(id) || !fs.existsSync(this.metaPath(id))) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.metaPath(id), "utf-8"));
+  }
+
+  // Append the chunk in `stream` at `offset`, which must be where the upload
+  // stands. A chunk over `maxBytes` is dropped entirely.
+  async append(id, stream, { offset, maxBytes }) {
+    const upload = this.get(id);
+    if (!upload) {
+      return { success: false, error: "Upload not found" };
+    }
+    if (this.receiving.has(id)) {
+      return { success: false, conflict: true, error: "A chunk of this upload is still being received", upload };
+    }
+    if (offset !== upload.received) {
+      return { success: false, conflict: true, error: `Chunk starts at ${offset}, upload is at ${upload.received}`, upload };
+    }
+
+    this.receiving.add(id);
+    let length = 0;
+    let tooLarge = false;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        length += chunk.length;
+        tooLarge = length > maxBytes;
+        callback(tooLarge ? new Error(`Chunk is larger than ${maxBytes} bytes`) : null, chunk);
+      },
+    });
+    try {
+      await pipeline(stream, limit, fs.createWriteStream(this.partPath(id), { flags: "a" }));
+    } catch (error) {
+      // Drop what arrived of the failed chunk, so that it can be sent again
+      fs.truncateSync(this.partPath(id), upload.received);
+      if (tooLarge) {
+        return { success: false, tooLarge: true, error: error.message };
+      }
+      throw error;
+    } finally {
+      this.receiving.delete(id);
+    }
+
+    const updated = { ...upload, received: upload.received + length, updatedAt: new Date().toISOString() };
+    writeJsonAtomic(this.metaPath(id), updated);
+    return { success: true, upload: updated };
+  }
+
+  readText(id) {
+    return fs.readFileSync(this.partPath(id), "utf-8");
+  }
+
+  remove(id) {
+    fs.rmSync(this.metaPath(id), { force: true });
+    fs.rmSync(this.partPath(id), { force: true });
+  }
+
+  // Remove uploads last changed before `olderThan` (an ISO timestamp)
+  purgeStale(olderThan) {
+    const stale = fs
+      .readdirSync(this.partialUploadDir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => this.get(path.basename(file, ".json")))
+      .filter((upload) => upload && upload.updatedAt < olderThan && !this.receiving.has(upload.id));
+    stale.forEach((upload) => this.remove(upload.id));
+    return stale.map((upload) => upload.id);
+  }
+}
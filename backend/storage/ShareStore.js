@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { writeJsonAtomic } from "./FileStorage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Read-only share links, kept in data/shares/shares.json. A share grants
+// anyone holding its token read access to a whole session or, when `plotId`
+// is set, to one custom plot and the runs it shows.
+//
+// [{ token, sessionId, plotId, createdBy, createdAt, expiresAt }]
+export class ShareStore {
+  constructor(shareDir) {
+    this.shareDir = shareDir || path.join(__dirname, "..", "data", "shares");
+    this.sharesPath = path.join(this.shareDir, "shares.json");
+    fs.mkdirSync(this.shareDir, { recursive: true });
+
+    this.shares = fs.existsSync(this.sharesPath)
+      ? JSON.parse(fs.readFileSync(this.sharesPath, "utf-8"))
+      : [];
+    console.log(`[SHARES] Initialized with directory: ${this.shareDir} (${this.shares.length} share links)`);
+  }
+
+  save() {
+    writeJsonAtomic(this.sharesPath, this.shares);
+  }
+
+  createShare({ sessionId, plotId = null, createdBy = null, expiresAt = null }) {
+    const share = {
+      token: crypto.randomBytes(24).toString("base64url"),
+      sessionId,
+      plotId,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+    };
+    this.shares.push(share);
+    this.save();
+    return share;
+  }
+
+  // The share for a token, or null when it is unknown, revoked or expired
+  getShare(token) {
+    const share = this.shares.find((candidate) => candidate.token === token);
+    if (!share || (share.expiresAt && Date.parse(share.expiresAt) <= Date.now())) {
+      return null;
+    }
+    return share;
+  }
+
+  listShares(sessionId) {
+    return this.shares.filter((share) => share.sessionId === sessionId);
+  }
+
+  revokeShare(sessionId, token) {
+    const count = this.shares.length;
+    this.shares = this.shares.filter((share) => !(share.token === token && share.sessionId === sessionId));
+    if (this.shares.length === count) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+
+  // Revoke every share of a session, or only those of one of its plots
+  removeShares(sessionId, plotId) {
+    const count = this.shares.length;
+    this.shares = this.shares.filter(
+      (share) => !(share.sessionId === sessionId && (plotId === undefined || share.plotId === plotId))
+    );
+    if (this.shares.length !== count) {
+      this.save();
+    }
+  }
+}
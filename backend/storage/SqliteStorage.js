@@ -0,0 +1,758 @@
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { HISTORY_LIMIT, withoutRunData } from "./sessionHistory.js";
+import { dateTimeUpperBound } from "./runSearch.js";
+import { queryIndex } from "./sessionIndex.js";
+import { withoutItem } from "./trash.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Runs and their CSV rows are normalized so they can be queried directly, e.g.
+//   SELECT r.name, d.value FROM data_points d JOIN runs r ON ...
+//   WHERE r.hardware = 'maaxboard2' AND d.field = 'Receive_Throughput'
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at TEXT,
+    updated_at TEXT,
+    revision INTEGER NOT NULL DEFAULT 0,
+    extra TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS runs (
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    id NOT NULL,
+    position INTEGER NOT NULL,
+    name TEXT,
+    metadata TEXT,
+    cpu_data TEXT,
+    extra TEXT,
+    commit_hash TEXT GENERATED ALWAYS AS (json_extract(metadata, '$.commit')) VIRTUAL,
+    hardware TEXT GENERATED ALWAYS AS (json_extract(metadata, '$.hardware')) VIRTUAL,
+    date_time TEXT GENERATED ALWAYS AS (json_extract(metadata, '$.dateTime')) VIRTUAL,
+    PRIMARY KEY (session_id, id)
+  );
+  CREATE INDEX IF NOT EXISTS runs_hardware ON runs(hardware);
+  CREATE INDEX IF NOT EXISTS runs_date_time ON runs(date_time);
+
+  CREATE TABLE IF NOT EXISTS data_points (
+    session_id TEXT NOT NULL,
+    run_id NOT NULL,
+    row_index INTEGER NOT NULL,
+    column_index INTEGER NOT NULL,
+    field TEXT NOT NULL,
+    value,
+    is_json INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (session_id, run_id, row_index, field),
+    FOREIGN KEY (session_id, run_id) REFERENCES runs(session_id, id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS data_points_field ON data_points(field);
+
+  CREATE TABLE IF NOT EXISTS custom_plots (
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    id NOT NULL,
+    position INTEGER NOT NULL,
+    definition TEXT NOT NULL,
+    PRIMARY KEY (session_id, id)
+  );
+
+  CREATE TABLE IF NOT EXISTS trash (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    deleted_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    item TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS session_history (
+    session_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    archived_at TEXT NOT NULL,
+    session TEXT NOT NULL,
+    PRIMARY KEY (session_id, revision)
+  );
+`;
+
+const SESSION_FIELDS = ["id", "name", "runs", "customPlots", "createdAt", "updatedAt", "revision"];
+const RUN_FIELDS = ["id", "name", "data", "cpuData", "metadata"];
+
+const toJson = (value) => (value === undefined ? null : JSON.stringify(value));
+const fromJson = (text) => (text === null ? undefined : JSON.parse(text));
+
+// Fields of `object` not covered by dedicated columns, as JSON (null if none)
+function extraFields(object, known) {
+  const extra = Object.fromEntries(Object.entries(object).filter(([key]) => !known.includes(key)));
+  return Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+}
+
+// Reorder items to follow `order` (a list of ids); unlisted items keep their
+// relative order at the end
+function orderById(items, order) {
+  const ordered = order
+    .map((id) => items.find((item) => item.id === id))
+    .filter(Boolean);
+  return [...ordered, ...items.filter((item) => !order.includes(item.id))];
+}
+
+export class SqliteStorage {
+  constructor(filename) {
+    this.filename = filename || process.env.SQLITE_PATH || path.join(__dirname, "..", "data", "benchmarks.sqlite");
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+    this.db = new Database(this.filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      getSession: this.db.prepare("SELECT * FROM sessions WHERE id = ?"),
+      listSessionIds: this.db.prepare("SELECT id FROM sessions"),
+      upsertSession: this.db.prepare(`
+        INSERT INTO sessions (id, name, created_at, updated_at, revision, extra)
+        VALUES (@id, @name, @created_at, @updated_at, @revision, @extra)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name, created_at = excluded.created_at, updated_at = excluded.updated_at,
+          revision = excluded.revision, extra = excluded.extra
+      `),
+      touchSession: this.db.prepare("UPDATE sessions SET revision = @revision, updated_at = @updated_at WHERE id = @id"),
+      renameSession: this.db.prepare("UPDATE sessions SET name = ? WHERE id = ?"),
+      setSessionExtra: this.db.prepare("UPDATE sessions SET extra = ? WHERE id = ?"),
+      deleteSession: this.db.prepare("DELETE FROM sessions WHERE id = ?"),
+
+      getRuns: this.db.prepare("SELECT * FROM runs WHERE session_id = ? ORDER BY position"),
+      getRun: this.db.prepare("SELECT * FROM runs WHERE session_id = ? AND id = ?"),
+      insertRun: this.db.prepare(`
+        INSERT INTO runs (session_id, id, position, name, metadata, cpu_data, extra)
+        VALUES (@session_id, @id, @position, @name, @metadata, @cpu_data, @extra)
+      `),
+      updateRun: this.db.prepare(`
+        UPDATE runs SET name = @name, metadata = @metadata, cpu_data = @cpu_data, extra = @extra
+        WHERE session_id = @session_id AND id = @id
+      `),
+      moveRun: this.db.prepare("UPDATE runs SET position = ? WHERE session_id = ? AND id = ?"),
+      deleteRun: this.db.prepare("DELETE FROM runs WHERE session_id = ? AND id = ?"),
+      deleteRuns: this.db.prepare("DELETE FROM runs WHERE session_id = ?"),
+
+      getSessionPoints: this.db.prepare(
+        "SELECT * FROM data_points WHERE session_id = ? ORDER BY run_id, row_index, column_index"
+      ),
+      getRunPoints: this.db.prepare(
+        "SELECT * FROM data_points WHERE session_id = ? AND run_id = ? ORDER BY row_index, column_index"
+      ),
+      insertPoint: this.db.prepare(`
+        INSERT INTO data_points (session_id, run_id, row_index, column_index, field, value, is_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      deleteRunPoints: this.db.prepare("DELETE FROM data_points WHERE session_id = ? AND run_id = ?"),
+
+      getPlots: this.db.prepare("SELECT definition FROM custom_plots WHERE session_id = ? ORDER BY position"),
+      insertPlot: this.db.prepare(
+        "INSERT INTO custom_plots (session_id, id, position, definition) VALUES (?, ?, ?, ?)"
+      ),
+      updatePlot: this.db.prepare("UPDATE custom_plots SET definition = ? WHERE session_id = ? AND id = ?"),
+      movePlot: this.db.prepare("UPDATE custom_plots SET position = ? WHERE session_id = ? AND id = ?"),
+      deletePlot: this.db.prepare("DELETE FROM custom_plots WHERE session_id = ? AND id = ?"),
+      deletePlots: this.db.prepare("DELETE FROM custom_plots WHERE session_id = ?"),
+
+      archiveRevision: this.db.prepare(`
+        INSERT OR REPLACE INTO session_history (session_id, revision, archived_at, session)
+        VALUES (?, ?, ?, ?)
+      `),
+      pruneHistory: this.db.prepare(`
+        DELETE FROM session_history WHERE session_id = @id AND revision NOT IN (
+          SELECT revision FROM session_history WHERE session_id = @id ORDER BY revision DESC LIMIT @limit
+        )
+      `),
+      getHistory: this.db.prepare(
+        "SELECT * FROM session_history WHERE session_id = ? ORDER BY revision DESC"
+      ),
+      getHistoryRevision: this.db.prepare(
+        "SELECT * FROM session_history WHERE session_id = ? AND revision = ?"
+      ),
+      deleteHistory: this.db.prepare("DELETE FROM session_history WHERE session_id = ?"),
+
+      insertTrash: this.db.prepare(`
+        INSERT INTO trash (id, session_id, deleted_at, expires_at, entry, item)
+        VALUES (@id, @session_id, @deleted_at, @expires_at, @entry, @item)
+      `),
+      listTrash: this.db.prepare("SELECT entry FROM trash ORDER BY deleted_at DESC"),
+      getTrash: this.db.prepare("SELECT entry, item FROM trash WHERE id = ?"),
+      deleteTrash: this.db.prepare("DELETE FROM trash WHERE id = ?"),
+      listExpiredTrash: this.db.prepare("SELECT entry FROM trash WHERE expires_at <= ?"),
+      purgeTrash: this.db.prepare("DELETE FROM trash WHERE expires_at <= ?"),
+
+      listSummaries: this.db.prepare(`
+        SELECT s.id, s.name, s.created_at, s.updated_at, s.revision,
+          json_extract(s.extra, '$.metadata.tags') AS tags,
+          (SELECT COUNT(*) FROM runs r WHERE r.session_id = s.id) AS run_count,
+          (SELECT COUNT(*) FROM custom_plots p WHERE p.session_id = s.id) AS plot_count,
+          (SELECT json_group_array(DISTINCT r.hardware) FROM runs r
+            WHERE r.session_id = s.id AND r.hardware IS NOT NULL AND r.hardware <> '') AS hardware
+        FROM sessions s
+      `),
+    };
+
+    console.log("[SQLITE STORAGE] Initialized with database:", this.filename);
+  }
+
+  // Rebuild a run object from its row and CSV rows
+  runFromRow(row, data) {
+    return {
+      id: row.id,
+      name: row.name,
+      data,
+      cpuData: fromJson(row.cpu_data),
+      metadata: fromJson(row.metadata),
+      ...fromJson(row.extra),
+    };
+  }
+
+  // Group data points back into CSV rows
+  rowsFromPoints(points) {
+    const rows = [];
+    points.forEach((point) => {
+      rows[point.row_index] = rows[point.row_index] || {};
+      rows[point.row_index][point.field] = point.is_json ? JSON.parse(point.value) : point.value;
+    });
+    return rows.filter(Boolean);
+  }
+
+  loadRuns(sessionId) {
+    const pointsByRun = new Map();
+    this.statements.getSessionPoints.all(sessionId).forEach((point) => {
+      if (!pointsByRun.has(point.run_id)) {
+        pointsByRun.set(point.run_id, []);
+      }
+      pointsByRun.get(point.run_id).push(point);
+    });
+
+    return this.statements.getRuns
+      .all(sessionId)
+      .map((row) => this.runFromRow(row, this.rowsFromPoints(pointsByRun.get(row.id) || [])));
+  }
+
+  loadPlots(sessionId) {
+    return this.statements.getPlots.all(sessionId).map((row) => JSON.parse(row.definition));
+  }
+
+  loadSession(id) {
+    const row = this.statements.getSession.get(id);
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      runs: this.loadRuns(id),
+      customPlots: this.loadPlots(id),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      revision: row.revision,
+      ...fromJson(row.extra),
+    };
+  }
+
+  insertDataPoints(sessionId, runId, rows = []) {
+    rows.forEach((row, rowIndex) => {
+      Object.entries(row).forEach(([field, value], columnIndex) => {
+        const plain = value === null || typeof value === "number" || typeof value === "string";
+        this.statements.insertPoint.run(
+          sessionId, runId, rowIndex, columnIndex, field,
+          plain ? value : JSON.stringify(value), plain ? 0 : 1
+        );
+      });
+    });
+  }
+
+  runParams(sessionId, run) {
+    return {
+      session_id: sessionId,
+      id: run.id,
+      name: run.name ?? null,
+      metadata: toJson(run.metadata),
+      cpu_data: toJson(run.cpuData),
+      extra: extraFields(run, RUN_FIELDS),
+    };
+  }
+
+  insertRun(sessionId, run, position) {
+    this.statements.insertRun.run({ ...this.runParams(sessionId, run), position });
+    this.insertDataPoints(sessionId, run.id, run.data);
+  }
+
+  insertPlot(sessionId, plot, position) {
+    this.statements.insertPlot.run(sessionId, plot.id, position, JSON.stringify(plot));
+  }
+
+  // Replace every row of a session with `session`
+  writeSession(session) {
+    this.statements.upsertSession.run({
+      id: session.id,
+      name: session.name,
+      created_at: session.createdAt ?? null,
+      updated_at: session.updatedAt ?? null,
+      revision: session.revision || 0,
+      extra: extraFields(session, SESSION_FIELDS),
+    });
+
+    this.statements.deleteRuns.run(session.id);
+    this.statements.deletePlots.run(session.id);
+    (session.runs || []).forEach((run, index) => this.insertRun(session.id, run, index));
+    (session.customPlots || []).forEach((plot, index) => this.insertPlot(session.id, plot, index));
+  }
+
+  // Keep a copy of a session revision that is about to be overwritten,
+  // pruning the oldest beyond the limit
+  archiveRevision(session) {
+    this.statements.archiveRevision.run(
+      session.id, session.revision || 0, new Date().toISOString(), JSON.stringify(session)
+    );
+    this.statements.pruneHistory.run({ id: session.id, limit: HISTORY_LIMIT });
+  }
+
+  // Save a whole session. When `expectedRevision` is given the save only
+  // goes ahead if the stored revision still matches it. `revision` sets the
+  // revision saved instead of the next one (DualStorage mirroring a write).
+  async saveSession(sessionData, { expectedRevision, revision } = {}) {
+    try {
+      const result = this.db.transaction(() => {
+        const existing = this.loadSession(sessionData.id);
+        const currentRevision = existing?.revision || 0;
+
+        if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+          console.log(`[SQLITE STORAGE] Revision conflict on ${sessionData.id}: expected ${expectedRevision}, found ${currentRevision}`);
+          return { success: false, conflict: true, error: "Revision conflict", current: existing };
+        }
+
+        if (existing) {
+          this.archiveRevision(existing);
+        }
+
+        const savedSession = { ...sessionData, revision: revision ?? currentRevision + 1 };
+        this.writeSession(savedSession);
+        return { success: true, session: savedSession };
+      })();
+
+      if (result.success) {
+        console.log(`[SQLITE STORAGE] Saved session: ${sessionData.id} (${sessionData.name}) at revision ${result.session.revision}`);
+      }
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Save error:", error);
+      throw error;
+    }
+  }
+
+  async getAllSessions() {
+    try {
+      const sessions = {};
+      this.statements.listSessionIds.all().forEach(({ id }) => {
+        sessions[id] = this.loadSession(id);
+      });
+
+      console.log(`[SQLITE STORAGE] Listed ${Object.keys(sessions).length} sessions`);
+      return sessions;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] List error:", error);
+      throw error;
+    }
+  }
+
+  async getSessionIndex(options) {
+    try {
+      const summaries = this.statements.listSummaries.all().map((row) => ({
+        id: row.id,
+        name: row.name,
+        runCount: row.run_count,
+        plotCount: row.plot_count,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        revision: row.revision,
+        tags: row.tags ? JSON.parse(row.tags) : [],
+        hardware: JSON.parse(row.hardware),
+      }));
+      return queryIndex(summaries, options);
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Index error:", error);
+      throw error;
+    }
+  }
+
+  // Search runs of all sessions by name and metadata, see runSearch.js.
+  // Uses the generated hardware, commit_hash and date_time columns.
+  async searchRuns({ hardware, commit, from, to, notes, name, ids, limit = 100, offset = 0 } = {}) {
+    try {
+      const like = (text) => text.replace(/[\\%_]/g, "\\$&");
+      const filters = [
+        [hardware, "r.hardware LIKE ? ESCAPE '\\'", () => `%${like(hardware)}%`],
+        [commit, "r.commit_hash LIKE ? ESCAPE '\\'", () => `${like(commit)}%`],
+        [from, "typeof(r.date_time) = 'text' AND r.date_time >= ?", () => from],
+        [to, "typeof(r.date_time) = 'text' AND r.date_time <= ?", () => dateTimeUpperBound(to)],
+        [notes, "json_extract(r.metadata, '$.notes') LIKE ? ESCAPE '\\'", () => `%${like(notes)}%`],
+        [name, "r.name LIKE ? ESCAPE '\\'", () => `%${like(name)}%`],
+        [ids, "r.session_id IN (SELECT value FROM json_each(?))", () => JSON.stringify(ids)],
+      ].filter(([value]) => value);
+      const where = filters.length > 0 ? `WHERE ${filters.map(([, condition]) => condition).join(" AND ")}` : "";
+      const params = filters.map(([, , param]) => param());
+
+      const source = `FROM runs r JOIN sessions s ON s.id = r.session_id ${where}`;
+      const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${source}`).get(...params);
+      const rows = this.db
+        .prepare(`
+          SELECT r.session_id, s.name AS session_name, r.id, r.name, r.metadata ${source}
+          ORDER BY COALESCE(r.date_time, '') DESC, r.session_id, CAST(r.id AS TEXT)
+          LIMIT ? OFFSET ?
+        `)
+        .all(...params, limit, offset);
+
+      return {
+        runs: rows.map((row) => ({
+          sessionId: row.session_id,
+          sessionName: row.session_name,
+          run: { id: row.id, name: row.name, metadata: fromJson(row.metadata) || {} },
+        })),
+        total,
+      };
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Run search error:", error);
+      throw error;
+    }
+  }
+
+  async getHealth() {
+    const [{ quick_check: check }] = this.db.pragma("quick_check");
+    return {
+      ok: check === "ok",
+      database: this.filename,
+      sessions: this.statements.listSessionIds.all().length,
+      unreadable: check === "ok" ? [] : [{ file: this.filename, error: check }],
+    };
+  }
+
+  async getSession(id) {
+    try {
+      const session = this.loadSession(id);
+      if (session) {
+        console.log(`[SQLITE STORAGE] Loaded session: ${id}`);
+      }
+      return session;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Load error:", error);
+      throw error;
+    }
+  }
+
+  // Apply `mutate` to a session inside a transaction and bump its revision.
+  // `mutate` receives the current session and returns the value handed back
+  // to the caller, or an { error } object (before changing anything) to abort.
+  // `updatedAt` and `revision` stamp the write instead of the time now and
+  // the next revision (DualStorage mirroring it).
+  updateSessionRows(id, mutate, { expectedRevision, updatedAt, revision } = {}) {
+    return this.db.transaction(() => {
+      const session = this.loadSession(id);
+      if (!session) {
+        return { success: false, error: "Session not found" };
+      }
+
+      const currentRevision = session.revision || 0;
+      if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+        console.log(`[SQLITE STORAGE] Revision conflict on ${id}: expected ${expectedRevision}, found ${currentRevision}`);
+        return { success: false, conflict: true, error: "Revision conflict", current: session };
+      }
+
+      const result = mutate(session);
+      if (result?.error) {
+        return { success: false, error: result.error };
+      }
+
+      this.archiveRevision(session);
+      const savedRevision = revision ?? currentRevision + 1;
+      this.statements.touchSession.run({
+        id,
+        revision: savedRevision,
+        updated_at: updatedAt || new Date().toISOString(),
+      });
+      return { success: true, revision: savedRevision, ...result };
+    })();
+  }
+
+  async updateSession(id, updates, options = {}) {
+    try {
+      const result = this.updateSessionRows(id, (session) => {
+        if (updates.name !== undefined) {
+          this.statements.renameSession.run(updates.name, id);
+        }
+        if (updates.metadata !== undefined) {
+          this.statements.setSessionExtra.run(extraFields({ ...session, metadata: updates.metadata }, SESSION_FIELDS), id);
+        }
+        if (updates.runOrder) {
+          orderById(session.runs, updates.runOrder).forEach((run, index) =>
+            this.statements.moveRun.run(index, id, run.id)
+          );
+        }
+        if (updates.plotOrder) {
+          orderById(session.customPlots, updates.plotOrder).forEach((plot, index) =>
+            this.statements.movePlot.run(index, id, plot.id)
+          );
+        }
+        return {};
+      }, options);
+      console.log(`[SQLITE STORAGE] Updated session: ${id}`);
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Update error:", error);
+      throw error;
+    }
+  }
+
+  async getRuns(sessionId) {
+    return this.statements.getSession.get(sessionId) ? this.loadRuns(sessionId) : null;
+  }
+
+  async getRun(sessionId, runId) {
+    const row = this.statements.getRun.get(sessionId, runId);
+    if (!row) {
+      return null;
+    }
+    return this.runFromRow(row, this.rowsFromPoints(this.statements.getRunPoints.all(sessionId, runId)));
+  }
+
+  async addRun(sessionId, run, options = {}) {
+    try {
+      const result = this.updateSessionRows(sessionId, (session) => {
+        if (session.runs.some((r) => r.id === run.id)) {
+          return { error: "Run already exists" };
+        }
+        this.insertRun(sessionId, run, session.runs.length);
+        return { run };
+      }, options);
+      console.log(`[SQLITE STORAGE] Added run ${run.id} to session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Add run error:", error);
+      throw error;
+    }
+  }
+
+  async updateRun(sessionId, runId, updates, options = {}) {
+    try {
+      const result = this.updateSessionRows(sessionId, (session) => {
+        const existing = session.runs.find((r) => r.id === runId);
+        if (!existing) {
+          return { error: "Run not found" };
+        }
+
+        const run = { ...existing, ...updates, id: runId };
+        this.statements.updateRun.run(this.runParams(sessionId, run));
+        if (updates.data) {
+          this.statements.deleteRunPoints.run(sessionId, runId);
+          this.insertDataPoints(sessionId, runId, run.data);
+        }
+        return { run };
+      }, options);
+      console.log(`[SQLITE STORAGE] Updated run ${runId} in session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Update run error:", error);
+      throw error;
+    }
+  }
+
+  async deleteRun(sessionId, runId, options = {}) {
+    try {
+      const result = this.updateSessionRows(sessionId, (session) => {
+        if (!session.runs.some((r) => r.id === runId)) {
+          return { error: "Run not found" };
+        }
+        this.statements.deleteRun.run(sessionId, runId);
+        return {};
+      }, options);
+      console.log(`[SQLITE STORAGE] Deleted run ${runId} from session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Delete run error:", error);
+      throw error;
+    }
+  }
+
+  async getPlots(sessionId) {
+    return this.statements.getSession.get(sessionId) ? this.loadPlots(sessionId) : null;
+  }
+
+  async addPlot(sessionId, plot, options = {}) {
+    try {
+      const result = this.updateSessionRows(sessionId, (session) => {
+        if (session.customPlots.some((p) => p.id === plot.id)) {
+          return { error: "Plot already exists" };
+        }
+        this.insertPlot(sessionId, plot, session.customPlots.length);
+        return { plot };
+      }, options);
+      console.log(`[SQLITE STORAGE] Added plot ${plot.id} to session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Add plot error:", error);
+      throw error;
+    }
+  }
+
+  async updatePlot(sessionId, plotId, updates, options = {}) {
+    try {
+      const result = this.updateSessionRows(sessionId, (session) => {
+        const existing = session.customPlots.find((p) => p.id === plotId);
+        if (!existing) {
+          return { error: "Plot not found" };
+        }
+
+        const plot = { ...existing, ...updates, id: plotId };
+        this.statements.updatePlot.run(JSON.stringify(plot), sessionId, plotId);
+        return { plot };
+      }, options);
+      console.log(`[SQLITE STORAGE] Updated plot ${plotId} in session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Update plot error:", error);
+      throw error;
+    }
+  }
+
+  async deletePlot(sessionId, plotId, options = {}) {
+    try {
+      const result = this.updateSessionRows(sessionId, (session) => {
+        if (!session.customPlots.some((p) => p.id === plotId)) {
+          return { error: "Plot not found" };
+        }
+        this.statements.deletePlot.run(sessionId, plotId);
+        return {};
+      }, options);
+      console.log(`[SQLITE STORAGE] Deleted plot ${plotId} from session: ${sessionId}`);
+      return result;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Delete plot error:", error);
+      throw error;
+    }
+  }
+
+  // Archived revisions of a session, newest first, without run data
+  async getHistory(id) {
+    try {
+      return this.statements.getHistory.all(id).map((row) => ({
+        revision: row.revision,
+        archivedAt: row.archived_at,
+        session: withoutRunData(JSON.parse(row.session)),
+      }));
+    } catch (error) {
+      console.error("[SQLITE STORAGE] History error:", error);
+      throw error;
+    }
+  }
+
+  async getHistoryRevision(id, revision) {
+    try {
+      const row = this.statements.getHistoryRevision.get(id, revision);
+      if (!row) {
+        return null;
+      }
+      return { revision: row.revision, archivedAt: row.archived_at, session: JSON.parse(row.session) };
+    } catch (error) {
+      console.error("[SQLITE STORAGE] History load error:", error);
+      throw error;
+    }
+  }
+
+  async deleteSession(id) {
+    try {
+      const deleted = this.db.transaction(() => {
+        const { changes } = this.statements.deleteSession.run(id);
+        if (changes > 0) {
+          this.statements.deleteHistory.run(id);
+        }
+        return changes > 0;
+      })();
+
+      if (!deleted) {
+        return { success: false, error: "Session not found" };
+      }
+
+      console.log(`[SQLITE STORAGE] Deleted session: ${id}`);
+      return { success: true };
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Delete error:", error);
+      throw error;
+    }
+  }
+
+  // Trash entries keep the deleted item apart from the rest, see trash.js
+  async addTrash(entry) {
+    try {
+      this.statements.insertTrash.run({
+        id: entry.id,
+        session_id: entry.sessionId,
+        deleted_at: entry.deletedAt,
+        expires_at: entry.expiresAt,
+        entry: JSON.stringify(withoutItem(entry)),
+        item: JSON.stringify(entry.item),
+      });
+      console.log(`[SQLITE STORAGE] Moved ${entry.type} ${entry.itemId} to the trash (${entry.id})`);
+      return { success: true };
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Trash error:", error);
+      throw error;
+    }
+  }
+
+  async listTrash() {
+    try {
+      return this.statements.listTrash.all().map((row) => JSON.parse(row.entry));
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Trash listing error:", error);
+      throw error;
+    }
+  }
+
+  async getTrash(entryId) {
+    try {
+      const row = this.statements.getTrash.get(entryId);
+      return row ? { ...JSON.parse(row.entry), item: JSON.parse(row.item) } : null;
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Trash load error:", error);
+      throw error;
+    }
+  }
+
+  async deleteTrash(entryId) {
+    try {
+      const { changes } = this.statements.deleteTrash.run(entryId);
+      return changes > 0 ? { success: true } : { success: false, error: "Trash entry not found" };
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Trash delete error:", error);
+      throw error;
+    }
+  }
+
+  // Remove the entries that expired before `now`; returns them without their items
+  async purgeTrash(now = new Date().toISOString()) {
+    try {
+      const purged = this.db.transaction(() => {
+        const expired = this.statements.listExpiredTrash.all(now).map((row) => JSON.parse(row.entry));
+        this.statements.purgeTrash.run(now);
+        return expired;
+      })();
+      return { success: true, purged };
+    } catch (error) {
+      console.error("[SQLITE STORAGE] Trash purge error:", error);
+      throw error;
+    }
+  }
+
+  close() {
+    this.db.close();
+    console.log("[SQLITE STORAGE] Database closed");
+  }
+}
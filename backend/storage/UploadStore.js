@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { writeJsonAtomic } from "./FileStorage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Ids come from clients, so encode them before using them as file names
+const safeName = (id) => encodeURIComponent(String(id));
+
+// The original files runs were parsed from, kept in data/uploads next to the
+// session data so that an exported session carries them. Each run has its own
+// directory, data/uploads/<session id>/<run id>/, holding the files as they
+// were uploaded (named after the part they provide, "data" or "cpuData") and
+// files.json:
+//
+//   [{ part: "data" | "cpuData", name, format }]
+//
+// Uploaded files are copied on disk rather than passed through memory.
+// Files outlive the run in the trash and are removed when it is purged.
+export class UploadStore {
+  constructor(uploadDir) {
+    this.uploadDir = uploadDir || path.join(__dirname, "..", "data", "uploads");
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+    console.log(`[UPLOADS] Initialized with directory: ${this.uploadDir}`);
+  }
+
+  sessionDir(sessionId) {
+    return path.join(this.uploadDir, safeName(sessionId));
+  }
+
+  runDir(sessionId, runId) {
+    return path.join(this.sessionDir(sessionId), safeName(runId));
+  }
+
+  // Files of a run with their text, or an empty list when none were kept
+  getFiles(sessionId, runId) {
+    const dir = this.runDir(sessionId, runId);
+    const manifestPath = path.join(dir, "files.json");
+    if (!fs.existsSync(manifestPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, "utf-8")).map((file) => ({
+      ...file,
+      text: fs.readFileSync(path.join(dir, file.part), "utf-8"),
+    }));
+  }
+
+  // Keep the files of a run, each given as `{part, name, format}` with either
+  // its `text` or the `path` of a file to copy
+  saveFiles(sessionId, runId, files) {
+    if (!files || files.length === 0) {
+      return;
+    }
+    const dir = this.runDir(sessionId, runId);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of files) {
+      const target = path.join(dir, file.part);
+      if (file.path) {
+        fs.copyFileSync(file.path, target);
+      } else {
+        fs.writeFileSync(target, file.text);
+      }
+    }
+    writeJsonAtomic(
+      path.join(dir, "files.json"),
+      files.map(({ part, name, format }) => ({ part, name, format }))
+    );
+  }
+
+  // Copy the files of a run to another run, e.g. when merging sessions
+  copyFiles(fromSessionId, fromRunId, toSessionId, toRunId) {
+    const source = this.runDir(fromSessionId, fromRunId);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, this.runDir(toSessionId, toRunId), { recursive: true });
+    }
+  }
+
+  // Remove the files of one run, or of the whole session without a run id
+  removeFiles(sessionId, runId) {
+    const target = runId === undefined ? this.sessionDir(sessionId) : this.runDir(sessionId, runId);
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { writeJsonAtomic } from "./FileStorage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const newId = (prefix) => `${prefix}-${crypto.randomBytes(6).toString("hex")}`;
+
+function readJson(filepath, fallback) {
+  if (!fs.existsSync(filepath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+}
+
+// Per-session outgoing webhooks and their pending deliveries, kept in
+// data/webhooks next to the session data. Deliveries stay queued across
+// restarts until they succeed or run out of attempts.
+//
+// webhooks.json: [{ id, sessionId, url, secret, events, rules, baselineRunId,
+//                   createdBy, createdAt, lastDelivery }]
+// queue.json:    [{ id, webhookId, event, body, attempts, nextAttemptAt, lastError }]
+export class WebhookStore {
+  constructor(webhookDir) {
+    this.webhookDir = webhookDir || path.join(__dirname, "..", "data", "webhooks");
+    this.webhooksPath = path.join(this.webhookDir, "webhooks.json");
+    this.queuePath = path.join(this.webhookDir, "queue.json");
+    fs.mkdirSync(this.webhookDir, { recursive: true });
+
+    this.webhooks = readJson(this.webhooksPath, []);
+    this.queue = readJson(this.queuePath, []);
+    console.log(
+      `[WEBHOOKS] Initialized with directory: ${this.webhookDir} (${this.webhooks.length} webhooks, ${this.queue.length} queued deliveries)`
+    );
+  }
+
+  saveWebhooks() {
+    writeJsonAtomic(this.webhooksPath, this.webhooks);
+  }
+
+  saveQueue() {
+    writeJsonAtomic(this.queuePath, this.queue);
+  }
+
+  // Webhook fields that are safe to return from the API
+  publicWebhook({ secret, ...webhook }) {
+    return webhook;
+  }
+
+  hasWebhooks(sessionId) {
+    return this.webhooks.some((webhook) => webhook.sessionId === sessionId);
+  }
+
+  listWebhooks(sessionId) {
+    return this.webhooks.filter((webhook) => webhook.sessionId === sessionId);
+  }
+
+  getWebhook(webhookId) {
+    return this.webhooks.find((webhook) => webhook.id === webhookId) || null;
+  }
+
+  // Create a webhook; a secret is generated when none is given
+  createWebhook({ sessionId, url, secret, events, rules = null, baselineRunId = null, createdBy = null }) {
+    const webhook = {
+      id: newId("webhook"),
+      sessionId,
+      url,
+      secret: secret || crypto.randomBytes(24).toString("base64url"),
+      events,
+      rules,
+      baselineRunId,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastDelivery: null,
+    };
+    this.webhooks.push(webhook);
+    this.saveWebhooks();
+    return webhook;
+  }
+
+  deleteWebhook(sessionId, webhookId) {
+    const count = this.webhooks.length;
+    this.webhooks = this.webhooks.filter((webhook) => !(webhook.id === webhookId && webhook.sessionId === sessionId));
+    if (this.webhooks.length === count) {
+      return false;
+    }
+    this.saveWebhooks();
+    this.dropDeliveries((delivery) => delivery.webhookId === webhookId);
+    return true;
+  }
+
+  // Remove every webhook of a deleted session along with its queued deliveries
+  removeSession(sessionId) {
+    const ids = new Set(this.listWebhooks(sessionId).map((webhook) => webhook.id));
+    if (ids.size === 0) {
+      return;
+    }
+    this.webhooks = this.webhooks.filter((webhook) => !ids.has(webhook.id));
+    this.saveWebhooks();
+    this.dropDeliveries((delivery) => ids.has(delivery.webhookId));
+  }
+
+  // Record the outcome of the latest delivery attempt, shown in the webhook list
+  setLastDelivery(webhookId, lastDelivery) {
+    const webhook = this.getWebhook(webhookId);
+    if (webhook) {
+      webhook.lastDelivery = lastDelivery;
+      this.saveWebhooks();
+    }
+  }
+
+  enqueue({ webhookId, event, body }) {
+    const delivery = {
+      id: newId("delivery"),
+      webhookId,
+      event,
+      body,
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null,
+    };
+    this.queue.push(delivery);
+    this.saveQueue();
+    return delivery;
+  }
+
+  // Deliveries whose next attempt is due
+  dueDeliveries(now = Date.now()) {
+    return this.queue.filter((delivery) => Date.parse(delivery.nextAttemptAt) <= now);
+  }
+
+  updateDelivery(deliveryId, updates) {
+    const delivery = this.queue.find((candidate) => candidate.id === deliveryId);
+    if (delivery) {
+      Object.assign(delivery, updates);
+      this.saveQueue();
+    }
+  }
+
+  dropDeliveries(predicate) {
+    const count = this.queue.length;
+    this.queue = this.queue.filter((delivery) => !predicate(delivery));
+    if (this.queue.length !== count) {
+      this.saveQueue();
+    }
+  }
+}
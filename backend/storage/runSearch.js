@@ -0,0 +1,64 @@
+// Run search across sessions by run name and metadata, shared by the
+// storages that search in memory. Every storage applies the same rules:
+//
+//   hardware, name, notes  case-insensitive substring
+//   commit                 case-insensitive prefix
+//   from, to               inclusive bounds on metadata.dateTime; `to` may be
+//                          a date or a prefix, e.g. "2025-10" for all of October
+//
+// Results are ordered newest dateTime first (runs without one last).
+
+export const RUN_SEARCH_FIELDS = ["hardware", "commit", "from", "to", "notes", "name"];
+
+// Upper bound matching every dateTime that starts with `to`
+export const dateTimeUpperBound = (to) => `${to}\uffff`;
+
+// Run fields kept in indexes and returned by searches
+export function summarizeRuns(session) {
+  return (session.runs || []).map(({ id, name, metadata }) => ({ id, name, metadata: metadata || {} }));
+}
+
+const includesText = (value, needle) =>
+  typeof value === "string" && value.toLowerCase().includes(needle.toLowerCase());
+
+// Whether a run summary matches the search filters
+export function runMatches(run, { hardware, commit, from, to, notes, name } = {}) {
+  const metadata = run.metadata || {};
+  const dateTime = typeof metadata.dateTime === "string" ? metadata.dateTime : null;
+  return (
+    (!hardware || includesText(metadata.hardware, hardware)) &&
+    (!commit || (typeof metadata.commit === "string" && metadata.commit.toLowerCase().startsWith(commit.toLowerCase()))) &&
+    (!from || (dateTime !== null && dateTime >= from)) &&
+    (!to || (dateTime !== null && dateTime <= dateTimeUpperBound(to))) &&
+    (!notes || includesText(metadata.notes, notes)) &&
+    (!name || includesText(run.name, name))
+  );
+}
+
+// Newest dateTime first, then by session and run id for a stable order
+export function compareSearchResults(a, b) {
+  const left = a.run.metadata?.dateTime || "";
+  const right = b.run.metadata?.dateTime || "";
+  return (
+    right.localeCompare(left) ||
+    String(a.sessionId).localeCompare(String(b.sessionId)) ||
+    String(a.run.id).localeCompare(String(b.run.id))
+  );
+}
+
+// Search run summaries of many sessions in memory.
+// `sessions` is a list of { id, name, runs } with summarized runs; `ids`,
+// when given, limits the search to those sessions.
+export function searchRunSummaries(sessions, { ids, limit = 100, offset = 0, ...filters } = {}) {
+  const allowed = ids && new Set(ids);
+  const matches = sessions
+    .filter((session) => !allowed || allowed.has(session.id))
+    .flatMap((session) =>
+      (session.runs || [])
+        .filter((run) => runMatches(run, filters))
+        .map((run) => ({ sessionId: session.id, sessionName: session.name, run }))
+    )
+    .sort(compareSearchResults);
+
+  return { runs: matches.slice(offset, offset + limit), total: matches.length };
+}
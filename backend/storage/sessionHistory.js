@@ -0,0 +1,82 @@
+// Helpers shared by the storage backends and the history routes
+
+// Number of prior revisions kept per session
+export const HISTORY_LIMIT = Number(process.env.SESSION_HISTORY_LIMIT) || 20;
+
+// Drop the bulky CSV rows and CPU JSON from a session's runs; listings and
+// diffs only need run ids, names and metadata
+export function withoutRunData(session) {
+  return {
+    ...session,
+    runs: (session.runs || []).map(({ data, cpuData, ...run }) => run),
+  };
+}
+
+const itemLabel = ({ id, name }) => ({ id, name });
+
+// Compare two lists of items by id. `fingerprint` picks the fields whose
+// change counts as an edit.
+function diffItems(olderItems = [], newerItems = [], fingerprint) {
+  const olderById = new Map(olderItems.map((item) => [item.id, item]));
+  const newerIds = new Set(newerItems.map((item) => item.id));
+
+  const added = newerItems.filter((item) => !olderById.has(item.id));
+  const removed = olderItems.filter((item) => !newerIds.has(item.id));
+  const modified = newerItems.filter(
+    (item) =>
+      olderById.has(item.id) &&
+      JSON.stringify(fingerprint(olderById.get(item.id))) !== JSON.stringify(fingerprint(item))
+  );
+
+  const keptOrder = (items) => items.map((item) => item.id).filter((id) => olderById.has(id) && newerIds.has(id));
+  const reordered = keptOrder(olderItems).join() !== keptOrder(newerItems).join();
+
+  return {
+    added: added.map(itemLabel),
+    removed: removed.map(itemLabel),
+    modified: modified.map(itemLabel),
+    reordered,
+  };
+}
+
+// Describe what changed going from `older` to `newer`
+export function diffSessions(older, newer) {
+  const runs = diffItems(older.runs, newer.runs, ({ name, metadata }) => ({ name, metadata }));
+  const plots = diffItems(older.customPlots, newer.customPlots, ({ id, ...plot }) => plot);
+
+  return {
+    renamed: older.name !== newer.name ? { from: older.name, to: newer.name } : null,
+    runsAdded: runs.added,
+    runsRemoved: runs.removed,
+    runsModified: runs.modified,
+    runsReordered: runs.reordered,
+    plotsAdded: plots.added,
+    plotsRemoved: plots.removed,
+    plotsModified: plots.modified,
+    plotsReordered: plots.reordered,
+  };
+}
+
+// Build the history listing for a session: the current revision followed by
+// the archived ones (newest first), each with the changes it introduced over
+// the revision before it. The oldest archived revision has no `changes`.
+export function describeHistory(session, archived) {
+  const revisions = [
+    { revision: session.revision || 0, current: true, session: withoutRunData(session) },
+    ...archived.map((entry) => ({ ...entry, current: false })),
+  ];
+
+  return revisions.map((entry, index) => {
+    const previous = revisions[index + 1];
+    return {
+      revision: entry.revision,
+      current: entry.current,
+      archivedAt: entry.archivedAt || null,
+      updatedAt: entry.session.updatedAt || null,
+      name: entry.session.name,
+      runCount: (entry.session.runs || []).length,
+      plotCount: (entry.session.customPlots || []).length,
+      changes: previous ? diffSessions(previous.session, entry.session) : null,
+    };
+  });
+}
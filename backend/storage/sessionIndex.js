@@ -0,0 +1,48 @@
+// Session summaries used to list sessions without loading their runs
+
+export const INDEX_SORT_FIELDS = ["updatedAt", "createdAt", "name", "runCount", "plotCount"];
+
+// Summary of a session as stored in the index
+export function summarizeSession(session) {
+  const runs = session.runs || [];
+  return {
+    id: session.id,
+    name: session.name,
+    runCount: runs.length,
+    plotCount: (session.customPlots || []).length,
+    createdAt: session.createdAt || null,
+    updatedAt: session.updatedAt || null,
+    revision: session.revision || 0,
+    tags: session.metadata?.tags || [],
+    hardware: [...new Set(runs.map((run) => run.metadata?.hardware).filter(Boolean))],
+  };
+}
+
+// Filter, sort and page a list of summaries in memory.
+// `q` matches session names and tags case-insensitively; `ids`, when given, limits
+// the listing to those sessions.
+export function queryIndex(summaries, { q, ids, sort = "updatedAt", order = "desc", page = 1, pageSize = 50 } = {}) {
+  const needle = q?.toLowerCase();
+  const allowed = ids && new Set(ids);
+  const matching = summaries.filter(
+    (summary) =>
+      (!needle ||
+        summary.name?.toLowerCase().includes(needle) ||
+        summary.tags?.some((tag) => tag.toLowerCase().includes(needle))) &&
+      (!allowed || allowed.has(summary.id))
+  );
+
+  const direction = order === "asc" ? 1 : -1;
+  matching.sort((a, b) => {
+    const left = a[sort] ?? "";
+    const right = b[sort] ?? "";
+    const compared =
+      typeof left === "number" && typeof right === "number"
+        ? left - right
+        : String(left).localeCompare(String(right), undefined, { sensitivity: "base" });
+    return compared * direction || String(a.id).localeCompare(String(b.id));
+  });
+
+  const start = (page - 1) * pageSize;
+  return { sessions: matching.slice(start, start + pageSize), total: matching.length };
+}
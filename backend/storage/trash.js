@@ -0,0 +1,49 @@
+import crypto from "crypto";
+
+// Deleted sessions, runs and custom plots go to a trash and stay there until
+// they are restored, purged, or older than the retention period. Every
+// storage keeps the same entries:
+//
+//   { id, type, sessionId, sessionName, itemId, name, position,
+//     deletedAt, deletedBy, expiresAt, item }
+//
+// `type` is "session", "run" or "plot", `item` the deleted object itself and
+// `position` its index in the session's runs or customPlots. Listings leave
+// `item` out.
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Trash entry ids end up in file names, so keep them to a safe alphabet
+export const TRASH_ID_PATTERN = /^trash-[a-z0-9-]+$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the trash entry for an item that is about to be deleted
+ * @param {Object} options - type, sessionId, sessionName, item, position and deletedBy
+ * @returns {Object} Trash entry expiring after the retention period
+ */
+export function createTrashEntry({ type, sessionId, sessionName, item, position = null, deletedBy = null }) {
+  const deletedAt = new Date();
+  return {
+    id: `trash-${deletedAt.getTime()}-${crypto.randomBytes(4).toString("hex")}`,
+    type,
+    sessionId,
+    sessionName,
+    itemId: item.id,
+    name: item.name,
+    position,
+    deletedAt: deletedAt.toISOString(),
+    deletedBy,
+    expiresAt: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString(),
+    item,
+  };
+}
+
+// A trash entry without the deleted item, for listings
+export function withoutItem({ item, ...entry }) {
+  return entry;
+}
+
+// Newest deletion first
+export const compareTrashEntries = (a, b) => b.deletedAt.localeCompare(a.deletedAt);
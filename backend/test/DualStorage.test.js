@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, afterEach, test } from "node:test";
+import { DualStorage } from "../storage/DualStorage.js";
+
+let dir;
+let storage;
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "dual-storage-"));
+  storage = new DualStorage({
+    enableSqlite: true,
+    dataDir: path.join(dir, "data"),
+    sqlitePath: path.join(dir, "benchmarks.sqlite"),
+  });
+  const now = new Date().toISOString();
+  await storage.saveSession({ id: "session-1", name: "Session", runs: [], customPlots: [], createdAt: now, updatedAt: now });
+});
+
+afterEach(() => {
+  storage.sqliteStorage.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const run = { id: 1, name: "Run 1", data: [{ Requested_Throughput: 1000000 }], cpuData: null, metadata: {} };
+
+// Both copies of the session, read straight from each storage
+const copies = () => Promise.all(storage.storages.map(({ storage: copy }) => copy.getSession("session-1")));
+
+test("a run write leaves the copies in sync", async () => {
+  const result = await storage.addRun("session-1", run);
+  assert.equal(result.success, true);
+
+  const report = await storage.reconcile({ dryRun: true });
+  assert.deepEqual(report.outOfSync, []);
+
+  const [file, sqlite] = await copies();
+  assert.equal(sqlite.updatedAt, file.updatedAt);
+  assert.equal(sqlite.revision, file.revision);
+});
+
+test("session updates and run deletes leave the copies in sync", async () => {
+  await storage.addRun("session-1", run);
+  await storage.updateSession("session-1", { name: "Renamed" }, { expectedRevision: 2 });
+  await storage.deleteRun("session-1", run.id);
+
+  const report = await storage.reconcile({ dryRun: true });
+  assert.deepEqual(report.outOfSync, []);
+
+  const [file, sqlite] = await copies();
+  assert.equal(file.revision, 4);
+  assert.equal(sqlite.revision, 4);
+});
+
+test("a storage standing in for a failed primary makes the revision check", async () => {
+  storage.fileStorage.updateSession = async () => {
+    throw new Error("disk full");
+  };
+
+  const result = await storage.updateSession("session-1", { name: "Renamed" }, { expectedRevision: 0 });
+  assert.equal(result.conflict, true);
+  assert.equal((await storage.sqliteStorage.getSession("session-1")).name, "Session");
+});
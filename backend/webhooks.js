@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import { compareRuns } from "../shared/compare.js";
+import { evaluateGate } from "./gate.js";
+
+// Outgoing webhooks: after a write changes the runs of a session, every
+// webhook of that session subscribed to the event gets a JSON payload,
+// signed with its secret:
+//
+//   X-Sddf-Bench-Event:     run.added | run.deleted | regression
+//   X-Sddf-Bench-Delivery:  delivery id (the same on every retry)
+//   X-Sddf-Bench-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+//
+// Deliveries go through the persisted queue in WebhookStore and are retried
+// with exponential backoff until the receiver answers with a 2xx.
+
+export const WEBHOOK_EVENTS = ["run.added", "run.deleted", "regression"];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = 30 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// Metrics summarised in run payloads, each against the baseline run
+const KEY_DELTAS = {
+  throughput: { metric: "throughput" },
+  averageRtt: { metric: "rtt", rtt: "Average_RTT" },
+  systemCpu: { metric: "cpu", cpuType: "total" },
+};
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex digest>"
+ */
+export const signPayload = (secret, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+const runSummary = ({ id, name, metadata }) => ({ id, name, metadata: metadata || null });
+
+// Mean deltas of the key metrics of a run against the baseline
+function keyDeltas(baselineRun, run) {
+  return Object.fromEntries(
+    Object.entries(KEY_DELTAS).map(([key, target]) => [key, compareRuns(baselineRun, run, target).summary])
+  );
+}
+
+// The webhook's baseline run if it is still in the session, otherwise the
+// first run that is not `run` itself
+function baselineFor(webhook, session, run) {
+  const others = session.runs.filter((candidate) => candidate.id !== run.id);
+  return others.find((candidate) => candidate.id === webhook.baselineRunId) || others[0] || null;
+}
+
+export class WebhookDispatcher {
+  constructor(store, storage) {
+    this.store = store;
+    this.storage = storage;
+    this.processing = false;
+  }
+
+  // Retry whatever was left in the queue, then poll for due retries
+  start() {
+    this.timer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+    this.processQueue();
+  }
+
+  /**
+   * Runs of a session before a write, to find out what the write changed.
+   * Only loaded when the session has webhooks.
+   * @param {string} sessionId - Session id
+   * @returns {Promise<?Array<Object>>} Run summaries, or null when nothing listens
+   */
+  async snapshot(sessionId) {
+    if (!this.store.hasWebhooks(sessionId)) {
+      return null;
+    }
+    const session = await this.storage.getSession(sessionId);
+    return (session?.runs || []).map(runSummary);
+  }
+
+  /**
+   * Queue the events for the runs a write added or removed
+   * @param {string} sessionId - Session id
+   * @param {?Array<Object>} before - Result of snapshot() taken before the write
+   */
+  async sessionWritten(sessionId, before) {
+    if (!before) {
+      return;
+    }
+    const session = await this.storage.getSession(sessionId);
+    if (!session) {
+      return;
+    }
+
+    const beforeIds = new Set(before.map((run) => run.id));
+    const afterIds = new Set(session.runs.map((run) => run.id));
+    const added = session.runs.filter((run) => !beforeIds.has(run.id));
+    const removed = before.filter((run) => !afterIds.has(run.id));
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    const sessionInfo = { id: session.id, name: session.name };
+    this.store.listWebhooks(sessionId).forEach((webhook) => {
+      const send = (event, payload) => {
+        if (webhook.events.includes(event)) {
+          this.queueEvent(webhook, event, { session: sessionInfo, ...payload });
+        }
+      };
+
+      added.forEach((run) => {
+        const baselineRun = baselineFor(webhook, session, run);
+        send("run.added", {
+          run: runSummary(run),
+          baseline: baselineRun && runSummary(baselineRun),
+          deltas: baselineRun && keyDeltas(baselineRun, run),
+        });
+
+        if (baselineRun && webhook.rules?.length) {
+          const verdict = evaluateGate(baselineRun, run, webhook.rules);
+          if (!verdict.passed) {
+            send("regression", {
+              run: runSummary(run),
+              baseline: runSummary(baselineRun),
+              failures: verdict.failures,
+              rules: verdict.rules
+                .filter((result) => !result.passed)
+                .map(({ name, message, summary, violations }) => ({ name, message, summary, violations })),
+            });
+          }
+        }
+      });
+
+      removed.forEach((run) => send("run.deleted", { run }));
+    });
+
+    await this.processQueue();
+  }
+
+  queueEvent(webhook, event, payload) {
+    const body = JSON.stringify({ event, createdAt: new Date().toISOString(), ...payload });
+    const delivery = this.store.enqueue({ webhookId: webhook.id, event, body });
+    console.log(`[WEBHOOKS] Queued ${event} for ${webhook.url} (${delivery.id})`);
+  }
+
+  // Attempt every due delivery once. Overlapping calls are skipped; the next
+  // poll picks up anything queued in the meantime.
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+    try {
+      for (const delivery of this.store.dueDeliveries()) {
+        await this.attempt(delivery);
+      }
+    } catch (error) {
+      console.error("[WEBHOOKS] Queue processing failed:", error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async attempt(delivery) {
+    const webhook = this.store.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      this.store.dropDeliveries((candidate) => candidate.id === delivery.id);
+      return;
+    }
+
+    let error = null;
+    let status = null;
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "sddf-bench-webhooks",
+          "X-Sddf-Bench-Event": delivery.event,
+          "X-Sddf-Bench-Delivery": delivery.id,
+          "X-Sddf-Bench-Signature": signPayload(webhook.secret, delivery.body),
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      status = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const lastDelivery = { at: new Date().toISOString(), event: delivery.event, status, error, attempts };
+
+    if (!error) {
+      console.log(`[WEBHOOKS] Delivered ${delivery.event} to ${webhook.url} (${delivery.id})`);
+      this.store.dropDeliveries((candidate) => candidate.id === delivery.id);
+    } else if (attempts >= MAX_ATTEMPTS) {
+      console.error(`[WEBHOOKS] Giving up on ${delivery.id} to ${webhook.url} after ${attempts} attempts: ${error}`);
+      this.store.dropDeliveries((candidate) => candidate.id === delivery.id);
+      lastDelivery.gaveUp = true;
+    } else {
+      const delay = RETRY_BASE_MS * 2 ** (attempts - 1);
+      console.log(`[WEBHOOKS] Delivery ${delivery.id} to ${webhook.url} failed (${error}); retrying in ${delay / 1000}s`);
+      this.store.updateDelivery(delivery.id, {
+        attempts,
+        lastError: error,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      });
+    }
+    this.store.setLastDelivery(webhook.id, lastDelivery);
+  }
+}
@@ -1,8 +1,25 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import "./App.css";
 import Plot from "react-plotly.js";
 import RunDataTable from "./components/RunDataTable";
+import LoginScreen from "./components/LoginScreen";
 import { exportBenchmarkReport } from "./utils/pdfExport";
+import * as api from "./utils/api";
+import { mergeSessions } from "./utils/sessionMerge";
+import { formatBytes, formatSessionChanges } from "./utils/formatters";
+import {
+  describeMetadata,
+  formatFields,
+  formatTags,
+  matchesMetadataFilter,
+  parseFields,
+  parseTags,
+  withTagsAndFields,
+} from "./utils/metadata";
+import { formatValidationErrors, validateRun } from "../../shared/schema.js";
+import { compareRuns } from "../../shared/compare.js";
+import { ALL_CORES, findProtectionDomain, runCoreIds, testCpu, testProtectionDomains } from "../../shared/cores.js";
+import { parseRunFiles } from "../../shared/parsers/index.js";
 import {
   DndContext,
   closestCenter,
@@ -116,6 +133,7 @@ function SortableRunItem({ run, index, colors, onDelete, onRename, onMoveUp, onM
       <div
         className="run-info"
         onClick={onClick}
+        title={describeMetadata(run.metadata) || undefined}
         style={{ cursor: "pointer", borderLeftColor: colors[index % colors.length] }}
       >
         <div style={{ display: "flex", alignItems: "center", gap: "0.5rem", marginBottom: "0.2rem" }}>
@@ -144,6 +162,7 @@ function SortableRunItem({ run, index, colors, onDelete, onRename, onMoveUp, onM
         </div>
         <span className="run-details">
           {run.data.length} points{run.cpuData ? " + CPU data" : ""}
+          {run.metadata?.tags?.length > 0 && ` • ${run.metadata.tags.map((tag) => `#${tag}`).join(" ")}`}
         </span>
       </div>
       <button
@@ -170,8 +189,9 @@ function SortableRunItem({ run, index, colors, onDelete, onRename, onMoveUp, onM
   );
 }
 
-// Sortable Tab Item Component for custom plot tabs
-function SortableTabItem({ plot, activeTab, onTabClick, onDelete, onEdit }) {
+// Sortable Tab Item Component for custom plot tabs. Without onDelete/onShare
+// (read-only share links) the tab has no close or share buttons.
+function SortableTabItem({ plot, activeTab, onTabClick, onDelete, onShare, onEdit }) {
   const {
     attributes,
     listeners,
@@ -197,49 +217,100 @@ function SortableTabItem({ plot, activeTab, onTabClick, onDelete, onEdit }) {
       onClick={onTabClick}
     >
       {plot.name}
-      <span
-        className="tab-close"
-        onClick={(e) => {
-          e.stopPropagation();
-          onDelete();
-        }}
-      >
-        ×
-      </span>
+      {onShare && (
+        <span
+          className="tab-close"
+          title="Share this plot"
+          onClick={(e) => {
+            e.stopPropagation();
+            onShare();
+          }}
+        >
+          ⇗
+        </span>
+      )}
+      {onDelete && (
+        <span
+          className="tab-close"
+          onClick={(e) => {
+            e.stopPropagation();
+            onDelete();
+          }}
+        >
+          ×
+        </span>
+      )}
     </button>
   );
 }
 
-// CSV parsing function
-function parseCSV(csvText) {
-  const lines = csvText.trim().split("\n");
-  if (lines.length < 2) throw new Error("CSV must have headers and data");
+// Number of sessions fetched per page of the session menu
+const SESSION_PAGE_SIZE = 50;
 
-  const headers = lines[0].split(",").map((h) => h.trim());
-  const data = [];
+// Token of the read-only share link (/share/<token>) the app was opened with, if any
+const SHARE_TOKEN = window.location.pathname.match(/^\/share\/([^/]+)/)?.[1] ?? null;
 
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(",").map((v) => v.trim());
-    const row = {};
-    headers.forEach((header, index) => {
-      const value = values[index];
-      row[header] = isNaN(value) ? value : Number(value);
-    });
-    data.push(row);
-  }
+const shareUrl = (token) => `${window.location.origin}/share/${token}`;
 
-  return data;
-}
+// Events a session webhook can subscribe to, with their labels
+const WEBHOOK_EVENT_LABELS = {
+  "run.added": "Run added",
+  "run.deleted": "Run deleted",
+  regression: "Regression threshold crossed",
+};
+const EMPTY_WEBHOOK = { url: "", events: ["run.added", "run.deleted"], rules: "", baselineRunId: "" };
+
+// Add-run form; tags and fields are edited as text, see utils/metadata.js
+const EMPTY_RUN_METADATA = { commit: "", hardware: "", dateTime: "", notes: "", tags: "", fields: "" };
+
+const EMPTY_RUN_SEARCH = { hardware: "", commit: "", from: "", to: "", notes: "", name: "" };
+const RUN_SEARCH_PAGE_SIZE = 50;
+
+// How long the undo toast stays up after a deletion
+const UNDO_TOAST_MS = 10 * 1000;
+
+const TRASH_TYPE_LABELS = { session: "Session", run: "Run", plot: "Plot" };
 
 function App() {
   const [message, setMessage] = useState("");
 
   // Session management
   const [currentSessionId, setCurrentSessionId] = useState(null);
+  // Session summaries from the index, replaced by the full session once loaded
   const [sessions, setSessions] = useState({});
+  const [sessionListing, setSessionListing] = useState({ ids: [], total: 0, page: 0 });
+  const [sessionCount, setSessionCount] = useState(0);
+  const [sessionQuery, setSessionQuery] = useState("");
+  const latestSessionQuery = useRef("");
   const [showSessionMenu, setShowSessionMenu] = useState(false);
   const [showRenameDialog, setShowRenameDialog] = useState(false);
   const [renameValue, setRenameValue] = useState("");
+  const [sessionDetails, setSessionDetails] = useState(null); // { tags, fields } text while editing
+  const [sessionHistory, setSessionHistory] = useState(null);
+  const [trash, setTrash] = useState(null); // { entries, retentionDays } while the trash dialog is open
+  const [undoToast, setUndoToast] = useState(null); // { message, entryId } after a deletion
+  const [sessionMembers, setSessionMembers] = useState(null); // { sessionId, members } while the dialog is open
+  const [newMember, setNewMember] = useState({ username: "", role: "viewer" });
+  const [mergeDialog, setMergeDialog] = useState(null); // selection, renames and the last checked plan while open
+
+  // Authentication: { enabled, needsSetup, user } once the backend has answered
+  const [authStatus, setAuthStatus] = useState(null);
+  const [apiTokens, setApiTokens] = useState(null); // list while the tokens dialog is open
+  const [newApiToken, setNewApiToken] = useState({ name: "", expiresInDays: "" });
+  const [createdApiToken, setCreatedApiToken] = useState(null); // secret of the token just created
+
+  // Share links: the share the app was opened with, and the share dialog
+  const [openedShare, setOpenedShare] = useState(null); // { share } or { error }
+  const [shareDialog, setShareDialog] = useState(null); // { sessionId, plotId, title, shares }
+  const [shareExpiresInDays, setShareExpiresInDays] = useState("");
+
+  // Webhooks dialog: { sessionId, webhooks, createdSecret } while open
+  const [webhookDialog, setWebhookDialog] = useState(null);
+  const [newWebhook, setNewWebhook] = useState(EMPTY_WEBHOOK);
+
+  // Cross-session run search: { results, total } once searched, null while closed
+  const [runSearch, setRunSearch] = useState(null);
+  const [runSearchFilters, setRunSearchFilters] = useState(EMPTY_RUN_SEARCH);
 
   // Run renaming
   const [showRunRenameDialog, setShowRunRenameDialog] = useState(false);
@@ -251,13 +322,11 @@ function App() {
   const [csvFile, setCsvFile] = useState(null);
   const [jsonFile, setJsonFile] = useState(null);
   const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // { sent, total } bytes while the files are sent
   const [showMetadataForm, setShowMetadataForm] = useState(false);
-  const [newRunMetadata, setNewRunMetadata] = useState({
-    commit: "",
-    hardware: "",
-    dateTime: "",
-    notes: "",
-  });
+  const [newRunMetadata, setNewRunMetadata] = useState(EMPTY_RUN_METADATA);
+  const [runFilter, setRunFilter] = useState(""); // metadata filter for the run list
+  const [plotRunFilter, setPlotRunFilter] = useState(""); // metadata filter in the custom plot dialog
   const [activeTab, setActiveTab] = useState("throughput");
   const [customPlots, setCustomPlots] = useState([]);
   const [showPlotDialog, setShowPlotDialog] = useState(false);
@@ -275,6 +344,7 @@ function App() {
   });
   const [defaultCpuType, setDefaultCpuType] = useState("total"); // total, kernel, user for default throughput plot
   const [pdCpuType, setPdCpuType] = useState("total"); // total, kernel, user
+  const [selectedCore, setSelectedCore] = useState(ALL_CORES); // core id, or ALL_CORES for every core
   const [customPlotCpuTypes, setCustomPlotCpuTypes] = useState({}); // { plotId: cpuType }
   const [customPlotPdTypes, setCustomPlotPdTypes] = useState({}); // { plotId: "bar" or "line" }
   const [customPlotMiscCycleTypes, setCustomPlotMiscCycleTypes] = useState({}); // { plotId: "total" | "kernel" | "user" }
@@ -310,54 +380,100 @@ function App() {
   const handleDragEnd = (event) => {
     const { active, over } = event;
 
-    if (active.id !== over.id) {
-      setRuns((items) => {
-        const oldIndex = items.findIndex((item) => item.id === active.id);
-        const newIndex = items.findIndex((item) => item.id === over.id);
-
-        return arrayMove(items, oldIndex, newIndex);
-      });
+    if (over && active.id !== over.id) {
+      const oldIndex = runs.findIndex((item) => item.id === active.id);
+      const newIndex = runs.findIndex((item) => item.id === over.id);
+      reorderRuns(arrayMove(runs, oldIndex, newIndex));
     }
   };
 
   const handleTabDragEnd = (event) => {
     const { active, over } = event;
 
-    if (active.id !== over.id) {
-      setCustomPlots((items) => {
-        const oldIndex = items.findIndex((item) => item.id === active.id);
-        const newIndex = items.findIndex((item) => item.id === over.id);
-
-        return arrayMove(items, oldIndex, newIndex);
-      });
+    if (over && active.id !== over.id) {
+      const oldIndex = customPlots.findIndex((item) => item.id === active.id);
+      const newIndex = customPlots.findIndex((item) => item.id === over.id);
+      const newPlots = arrayMove(customPlots, oldIndex, newIndex);
+
+      setCustomPlots(newPlots);
+      persist(
+        `Reordering plots in session: ${currentSessionId}`,
+        () => api.updateSession(
+          currentSessionId,
+          { plotOrder: newPlots.map((plot) => plot.id) },
+          sessions[currentSessionId]?.revision
+        )
+      );
     }
   };
 
-  // Initialize sessions from backend
+  // Initialize sessions from backend once logged in (or right away when
+  // authentication is disabled)
   useEffect(() => {
-    fetch("http://localhost:3001/api/hello")
-      .then((res) => res.json())
+    api.apiRequest("/api/hello")
       .then((data) => setMessage(data.message))
       .catch((err) => console.error(err));
 
-    // Load sessions from backend
-    console.log("[PERSISTENCE] Loading sessions from backend...");
-    fetch("http://localhost:3001/api/sessions")
-      .then((res) => res.json())
-      .then((loadedSessions) => {
-        console.log("[PERSISTENCE] Loaded sessions:", Object.keys(loadedSessions).length, "sessions");
-        if (Object.keys(loadedSessions).length > 0) {
-          setSessions(loadedSessions);
-
-          // Load the last updated session or first available
-          const sortedIds = Object.keys(loadedSessions).sort(
-            (a, b) => new Date(loadedSessions[b].updatedAt) - new Date(loadedSessions[a].updatedAt)
-          );
-          const sessionId = sortedIds[0];
-          console.log("[PERSISTENCE] Loading most recent session:", sessionId);
+    if (SHARE_TOKEN) {
+      loadSharedSession();
+      return;
+    }
+
+    // An expired or revoked token sends the user back to the login screen
+    api.onUnauthorized(() => setAuthStatus((prev) => prev && { ...prev, user: null }));
+
+    api.fetchAuthStatus()
+      .then((status) => {
+        setAuthStatus(status);
+        if (!status.enabled || status.user) {
+          initializeSessions();
+        }
+      })
+      .catch((err) => console.error("[AUTH] Failed to check authentication:", err));
+  }, []);
+
+  // Show the session or plot behind a share link, read-only
+  const loadSharedSession = () => {
+    console.log("[PERSISTENCE] Loading shared session...");
+    api.fetchShare(SHARE_TOKEN)
+      .then(({ share, session }) => {
+        setSessions({ [session.id]: session });
+        setCurrentSessionId(session.id);
+        setRuns(session.runs || []);
+        setCustomPlots(session.customPlots || []);
+        setActiveTab(share.plotId !== null ? `custom-${share.plotId}` : "throughput");
+        setOpenedShare({ share });
+      })
+      .catch((err) => {
+        console.error("[PERSISTENCE] Failed to load shared session:", err);
+        setOpenedShare({ error: err.message });
+      });
+  };
+
+  const handleLoggedIn = (user) => {
+    setAuthStatus((prev) => ({ ...prev, needsSetup: false, user }));
+    initializeSessions();
+  };
+
+  const handleLogout = () => {
+    api.logout()
+      .catch((err) => console.error("[AUTH] Logout failed:", err))
+      // Start over so nothing from the previous user stays in memory
+      .finally(() => window.location.reload());
+  };
 
-          setCurrentSessionId(sessionId);
-          loadSession(sessionId, loadedSessions);
+  // Load the session index and open the most recent session, creating a
+  // default session with test data if there are none
+  const initializeSessions = () => {
+    console.log("[PERSISTENCE] Loading session index from backend...");
+    loadSessionIndex(1, "")
+      .then((index) => {
+        console.log("[PERSISTENCE] Found", index.total, "sessions");
+        if (index.total > 0) {
+          // The index is sorted by last update
+          const sessionId = index.sessions[0].id;
+          console.log("[PERSISTENCE] Loading most recent session:", sessionId);
+          switchSession(sessionId);
         } else {
           console.log("[PERSISTENCE] No existing sessions, creating default session");
           // Create default session with test data if no sessions exist
@@ -366,7 +482,7 @@ function App() {
             fetch("/test_data.json").then((res) => res.json()),
           ])
             .then(([csvText, jsonData]) => {
-              const data = parseCSV(csvText);
+              const { data } = parseRunFiles([{ name: "test_data.csv", text: csvText }]);
               const defaultSessionId = `session-${Date.now()}`;
               const defaultSession = {
                 id: defaultSessionId,
@@ -392,17 +508,14 @@ function App() {
 
               const newSessions = { [defaultSessionId]: defaultSession };
               setSessions(newSessions);
+              addToSessionListing(defaultSessionId);
               setCurrentSessionId(defaultSessionId);
               setRuns(defaultSession.runs);
               setCustomPlots(defaultSession.customPlots);
 
               // Save to backend
               console.log("[PERSISTENCE] Saving default session to backend");
-              fetch("http://localhost:3001/api/sessions", {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify(defaultSession),
-              })
+              api.saveSession(defaultSession)
                 .then(() => console.log("[PERSISTENCE] Default session saved"))
                 .catch((err) => console.error("[PERSISTENCE] Failed to save default session:", err));
             })
@@ -412,7 +525,49 @@ function App() {
       .catch((err) => {
         console.error("Failed to load sessions from backend:", err);
       });
-  }, []);
+  };
+
+  // Fetch a page of session summaries for the session menu. Sessions already
+  // loaded in full are kept; responses to superseded searches are ignored.
+  const loadSessionIndex = (page, query = latestSessionQuery.current) => {
+    latestSessionQuery.current = query;
+    return api.fetchSessionIndex({ q: query, page, pageSize: SESSION_PAGE_SIZE })
+      .then((index) => {
+        if (query !== latestSessionQuery.current) return index;
+
+        setSessions((prev) => {
+          const next = { ...prev };
+          index.sessions.forEach((summary) => {
+            if (!next[summary.id]?.runs) {
+              next[summary.id] = summary;
+            }
+          });
+          return next;
+        });
+        const ids = index.sessions.map((summary) => summary.id);
+        setSessionListing((prev) => ({
+          ids: page === 1 ? ids : [...prev.ids, ...ids.filter((id) => !prev.ids.includes(id))],
+          total: index.total,
+          page,
+        }));
+        if (!query) {
+          setSessionCount(index.total);
+        }
+        return index;
+      });
+  };
+
+  const searchSessions = (query) => {
+    setSessionQuery(query);
+    loadSessionIndex(1, query.trim())
+      .catch((err) => console.error("[PERSISTENCE] Failed to search sessions:", err));
+  };
+
+  // Show a session created in this tab at the top of the session menu
+  const addToSessionListing = (sessionId) => {
+    setSessionListing((prev) => ({ ...prev, ids: [sessionId, ...prev.ids], total: prev.total + 1 }));
+    setSessionCount((count) => count + 1);
+  };
 
   // Helper to load a session's data
   const loadSession = (sessionId, sessionsData = sessions) => {
@@ -424,38 +579,183 @@ function App() {
     }
   };
 
-  // Auto-save current session whenever runs or customPlots change
+  // Keep the cached copy of the current session in sync with local edits.
+  // Changes are persisted individually through the run/plot endpoints.
   const [lastSaved, setLastSaved] = useState(null);
+  // Latest change another tab or user made to the open session: { message, at }
+  const [remoteChange, setRemoteChange] = useState(null);
   useEffect(() => {
-    if (currentSessionId && sessions[currentSessionId]) {
-      const updatedSession = {
-        ...sessions[currentSessionId],
-        runs,
-        customPlots,
-        updatedAt: new Date().toISOString(),
-      };
-
-      const updatedSessions = {
-        ...sessions,
-        [currentSessionId]: updatedSession,
-      };
+    if (!currentSessionId) return;
+    setSessions((prev) =>
+      prev[currentSessionId]
+        ? { ...prev, [currentSessionId]: { ...prev[currentSessionId], runs, customPlots } }
+        : prev
+    );
+  }, [runs, customPlots, currentSessionId]);
 
-      setSessions(updatedSessions);
+  useEffect(() => {
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  // Revision of each session as last seen by this client, sent as If-Match
+  // on session-level updates so concurrent edits are detected
+  const [sessionConflict, setSessionConflict] = useState(null);
+
+  const recordRevision = (sessionId, result) => {
+    const revision = result?.revision ?? result?.session?.revision;
+    if (revision === undefined) return;
+    setSessions((prev) => {
+      const session = prev[sessionId];
+      if (!session) return prev;
+      // Only advance when this write is the next revision; a larger jump means
+      // another client saved in between, so keep the stale revision and let
+      // the next guarded update raise a conflict
+      if (session.revision !== undefined && revision !== session.revision + 1) return prev;
+      return { ...prev, [sessionId]: { ...session, revision } };
+    });
+  };
 
-      // Save to backend
-      console.log("[PERSISTENCE] Autosaving session:", currentSessionId);
-      fetch("http://localhost:3001/api/sessions", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(updatedSession),
+  // Send a single change to the backend and record when it was saved.
+  // `send` starts the request, so nothing goes out when the change is refused.
+  // Resolves with the server's response, or undefined when the change failed.
+  const persist = (description, send) => {
+    // Share links are read-only; nothing they show can be changed
+    if (SHARE_TOKEN) return;
+    const sessionId = currentSessionId;
+    console.log(`[PERSISTENCE] ${description}`);
+    return send()
+      .then((result) => {
+        console.log(`[PERSISTENCE] ${description} complete`);
+        recordRevision(sessionId, result);
+        setLastSaved(new Date());
+        return result;
       })
-        .then(() => {
-          console.log("[PERSISTENCE] Autosave complete");
-          setLastSaved(new Date());
-        })
-        .catch((err) => console.error("[PERSISTENCE] Autosave failed:", err));
+      .catch((err) => {
+        if (err.status === 409 && err.data?.current) {
+          console.warn(`[PERSISTENCE] ${description} conflicts with a newer server copy`);
+          setSessionConflict({ sessionId, server: err.data.current });
+          return;
+        }
+        if (err.status === 403) {
+          alert(`${err.message}. Your change was not saved.`);
+          return;
+        }
+        if (err.status === 422 && err.data?.errors) {
+          console.error(
+            `[PERSISTENCE] ${description} rejected by the server:\n${formatValidationErrors(err.data.errors)}`
+          );
+          return;
+        }
+        console.error(`[PERSISTENCE] ${description} failed:`, err);
+      });
+  };
+
+  // Replace the cached copy of an open session with the server copy
+  const reloadSession = (sessionId) =>
+    api.fetchSession(sessionId).then((session) => {
+      setSessions((prev) => ({ ...prev, [sessionId]: session }));
+      setRuns(session.runs || []);
+      setCustomPlots(session.customPlots || []);
+    });
+
+  // Merge a live event of the open session (see api.subscribeSessionEvents).
+  // Runs and plots are patched in place; other session changes reload it.
+  const applySessionEvent = (event, data) => {
+    const sessionId = currentSessionId;
+    if (data.sessionId !== sessionId) return;
+
+    if (event === "ready") {
+      // Catch up on changes made while the stream was down
+      const known = sessions[sessionId]?.revision;
+      if (known !== undefined && data.revision !== known) {
+        reloadSession(sessionId).catch((err) => console.error("[EVENTS] Failed to reload session:", err));
+      }
+      return;
     }
-  }, [runs, customPlots, currentSessionId]);
+    // Changes made from this tab are already in state
+    if (data.clientId === api.CLIENT_ID) return;
+
+    const replaceItem = (items, item) => items.map((existing) => (existing.id === item.id ? item : existing));
+    switch (event) {
+      case "run.added":
+        setRuns((prev) => (prev.some((run) => run.id === data.run.id) ? prev : [...prev, data.run]));
+        break;
+      case "run.updated":
+        setRuns((prev) => replaceItem(prev, data.run));
+        break;
+      case "run.deleted":
+        setRuns((prev) => prev.filter((run) => run.id !== data.runId));
+        break;
+      case "plot.added":
+        setCustomPlots((prev) => (prev.some((plot) => plot.id === data.plot.id) ? prev : [...prev, data.plot]));
+        break;
+      case "plot.updated":
+        setCustomPlots((prev) => replaceItem(prev, data.plot));
+        break;
+      case "plot.deleted":
+        setCustomPlots((prev) => prev.filter((plot) => plot.id !== data.plotId));
+        break;
+      case "session.updated":
+        reloadSession(sessionId).catch((err) => console.error("[EVENTS] Failed to reload session:", err));
+        break;
+      case "session.deleted":
+        setRemoteChange({ message: `Moved to the trash by ${data.user || "another client"}`, at: new Date() });
+        return;
+      default:
+        return;
+    }
+
+    console.log(`[EVENTS] ${event} in session ${sessionId} from ${data.user || data.clientId || "another client"}`);
+    setRemoteChange({ message: `Updated by ${data.user || "another client"}`, at: new Date() });
+    // Take over the server revision so later guarded updates do not conflict
+    setSessions((prev) => {
+      const session = prev[sessionId];
+      if (!session || (session.revision ?? 0) >= data.revision) return prev;
+      return { ...prev, [sessionId]: { ...session, revision: data.revision } };
+    });
+  };
+
+  // The event stream outlives renders; hand it the latest handler
+  const sessionEventHandler = useRef(applySessionEvent);
+  useEffect(() => {
+    sessionEventHandler.current = applySessionEvent;
+  });
+
+  useEffect(() => {
+    if (!currentSessionId || SHARE_TOKEN) return;
+    return api.subscribeSessionEvents(currentSessionId, (event, data) => sessionEventHandler.current(event, data));
+  }, [currentSessionId]);
+
+  // Resolve a save conflict by reloading the server copy, merging it with the
+  // local copy, or overwriting it with the local copy
+  const resolveSessionConflict = (strategy) => {
+    const { sessionId, server } = sessionConflict;
+    setSessionConflict(null);
+    if (sessionId !== currentSessionId) return;
+
+    const local = { ...sessions[sessionId], runs, customPlots };
+    const resolved =
+      strategy === "reload"
+        ? server
+        : {
+            ...(strategy === "merge" ? mergeSessions(local, server) : local),
+            updatedAt: new Date().toISOString(),
+            revision: server.revision,
+          };
+
+    setSessions((prev) => ({ ...prev, [sessionId]: resolved }));
+    setRuns(resolved.runs || []);
+    setCustomPlots(resolved.customPlots || []);
+
+    if (strategy !== "reload") {
+      persist(
+        `Saving ${strategy === "merge" ? "merged" : "local"} copy of session: ${sessionId}`,
+        () => api.saveSession(resolved, server.revision)
+      );
+    }
+  };
 
   const handleCsvFileSelect = (event) => {
     const file = event.target.files[0];
@@ -473,19 +773,27 @@ function App() {
 
   const handleAddRun = async () => {
     if (!csvFile) {
-      alert("Please select a CSV file");
+      alert("Please select the throughput data");
       return;
     }
 
     setUploading(true);
     try {
-      const csvText = await csvFile.text();
-      const data = parseCSV(csvText);
+      // Either file may be in any supported format; see shared/parsers
+      const files = [csvFile, jsonFile].filter(Boolean);
+      const { data, cpuData, formats } = parseRunFiles(
+        await Promise.all(files.map(async (file) => ({ name: file.name, text: await file.text() })))
+      );
+      if (!data) {
+        alert("Neither file holds throughput data (a benchmark CSV or an ipbench log)");
+        return;
+      }
+      console.log(`[UPLOAD] Parsed run as ${formats.data}${formats.cpuData ? ` + ${formats.cpuData}` : ""}`);
 
-      let cpuData = null;
-      if (jsonFile) {
-        const jsonText = await jsonFile.text();
-        cpuData = JSON.parse(jsonText);
+      const { fields, invalid } = parseFields(newRunMetadata.fields);
+      if (invalid.length > 0) {
+        alert(`Fields must be written as key=value, one per line:\n\n${invalid.join("\n")}`);
+        return;
       }
 
       const newRun = {
@@ -493,19 +801,55 @@ function App() {
         name: runName || `Run ${runs.length + 1}`,
         data: data,
         cpuData: cpuData,
-        metadata: {
-          commit: newRunMetadata.commit,
-          hardware: newRunMetadata.hardware,
-          dateTime: newRunMetadata.dateTime || new Date().toISOString().slice(0, 16),
-          notes: newRunMetadata.notes,
-        },
+        metadata: withTagsAndFields(
+          {
+            commit: newRunMetadata.commit,
+            hardware: newRunMetadata.hardware,
+            dateTime: newRunMetadata.dateTime || new Date().toISOString().slice(0, 16),
+            notes: newRunMetadata.notes,
+          },
+          parseTags(newRunMetadata.tags),
+          fields
+        ),
       };
 
-      setRuns([...runs, newRun]);
+      const validationErrors = validateRun(newRun);
+      if (validationErrors.length > 0) {
+        alert(`The uploaded files do not match the expected format:\n\n${formatValidationErrors(validationErrors)}`);
+        return;
+      }
+
+      // Send the files themselves, in chunks so that large ones show progress;
+      // the server parses them again and keeps them for exports
+      const total = files.reduce((sum, file) => sum + file.size, 0);
+      setUploadProgress({ sent: 0, total });
+      const uploadIds = [];
+      try {
+        let sent = 0;
+        for (const file of files) {
+          const offset = sent;
+          uploadIds.push(await api.uploadFile(file, (received) => setUploadProgress({ sent: offset + received, total })));
+          sent += file.size;
+        }
+      } catch (error) {
+        console.error("[UPLOAD] Failed to upload files:", error);
+        alert(`Failed to upload files: ${error.message}`);
+        return;
+      }
+
+      const { id, name, metadata } = newRun;
+      const result = await persist(
+        `Adding run ${id}`,
+        () => api.addRunFromUploads(currentSessionId, { id, name, metadata }, uploadIds)
+      );
+      if (!result) {
+        return;
+      }
+      setRuns((prev) => [...prev, result.run]);
       setRunName("");
       setCsvFile(null);
       setJsonFile(null);
-      setNewRunMetadata({ commit: "", hardware: "", dateTime: "", notes: "" });
+      setNewRunMetadata(EMPTY_RUN_METADATA);
       setShowMetadataForm(false);
       // Reset file inputs
       document.getElementById("csv-upload").value = "";
@@ -514,25 +858,48 @@ function App() {
       alert("Failed to parse files: " + error.message);
     } finally {
       setUploading(false);
+      setUploadProgress(null);
     }
   };
 
   const deleteRun = (id) => {
+    const name = runs.find((run) => run.id === id)?.name;
     setRuns(runs.filter((run) => run.id !== id));
+    persist(`Deleting run ${id}`, () => api.deleteRun(currentSessionId, id))
+      ?.then((result) => offerUndo(`Run "${name}" moved to the trash`, result?.trashId));
+  };
+
+  const reorderRuns = (newRuns) => {
+    setRuns(newRuns);
+    persist(
+      `Reordering runs in session: ${currentSessionId}`,
+      () => api.updateSession(
+        currentSessionId,
+        { runOrder: newRuns.map((run) => run.id) },
+        sessions[currentSessionId]?.revision
+      )
+    );
   };
 
   const moveRunUp = (index) => {
     if (index === 0) return;
     const newRuns = [...runs];
     [newRuns[index - 1], newRuns[index]] = [newRuns[index], newRuns[index - 1]];
-    setRuns(newRuns);
+    reorderRuns(newRuns);
   };
 
   const moveRunDown = (index) => {
     if (index === runs.length - 1) return;
     const newRuns = [...runs];
     [newRuns[index], newRuns[index + 1]] = [newRuns[index + 1], newRuns[index]];
-    setRuns(newRuns);
+    reorderRuns(newRuns);
+  };
+
+  const updateRunMetadata = (runId, metadata) => {
+    setRuns(runs.map(run =>
+      run.id === runId ? { ...run, metadata } : run
+    ));
+    persist(`Updating metadata of run ${runId}`, () => api.updateRun(currentSessionId, runId, { metadata }));
   };
 
   const renameRun = () => {
@@ -543,6 +910,10 @@ function App() {
         ? { ...run, name: runRenameValue.trim() }
         : run
     ));
+    persist(
+      `Renaming run ${runToRename.id}`,
+      () => api.updateRun(currentSessionId, runToRename.id, { name: runRenameValue.trim() })
+    );
 
     setShowRunRenameDialog(false);
     setRunRenameValue("");
@@ -572,6 +943,7 @@ function App() {
           ? { ...plot, ...newPlot }
           : plot
       ));
+      persist(`Updating plot ${editingPlotId}`, () => api.updatePlot(currentSessionId, editingPlotId, newPlot));
       setEditingPlotId(null);
     } else {
       // Creating new plot
@@ -580,6 +952,7 @@ function App() {
         ...newPlot,
       };
       setCustomPlots([...customPlots, plot]);
+      persist(`Adding plot ${plot.id}`, () => api.addPlot(currentSessionId, plot));
       setActiveTab(`custom-${plot.id}`);
     }
 
@@ -614,7 +987,10 @@ function App() {
   };
 
   const deleteCustomPlot = (id) => {
+    const name = customPlots.find((plot) => plot.id === id)?.name;
     setCustomPlots(customPlots.filter((plot) => plot.id !== id));
+    persist(`Deleting plot ${id}`, () => api.deletePlot(currentSessionId, id))
+      ?.then((result) => offerUndo(`Plot "${name}" moved to the trash`, result?.trashId));
     if (activeTab === `custom-${id}`) {
       setActiveTab("throughput");
     }
@@ -629,6 +1005,15 @@ function App() {
     });
   };
 
+  // Add every run matching the plot dialog's metadata filter to the selection
+  const selectFilteredRuns = () => {
+    const matching = runs.filter((run) => matchesMetadataFilter(run, plotRunFilter)).map((run) => run.id);
+    setNewPlot({
+      ...newPlot,
+      selectedRuns: [...newPlot.selectedRuns, ...matching.filter((id) => !newPlot.selectedRuns.includes(id))],
+    });
+  };
+
   const togglePDSelection = (pdName) => {
     setNewPlot({
       ...newPlot,
@@ -652,7 +1037,7 @@ function App() {
     const newSessionId = `session-${Date.now()}`;
     const newSession = {
       id: newSessionId,
-      name: `Benchmark ${Object.keys(sessions).length + 1}`,
+      name: `Benchmark ${sessionCount + 1}`,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       runs: [],
@@ -661,27 +1046,37 @@ function App() {
 
     const updatedSessions = { ...sessions, [newSessionId]: newSession };
     setSessions(updatedSessions);
+    addToSessionListing(newSessionId);
     setCurrentSessionId(newSessionId);
     setRuns([]);
     setCustomPlots([]);
 
     // Save to backend
     console.log("[PERSISTENCE] Creating new session:", newSessionId);
-    fetch("http://localhost:3001/api/sessions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(newSession),
-    })
-      .then(() => console.log("[PERSISTENCE] New session created"))
+    api.saveSession(newSession)
+      .then((result) => {
+        console.log("[PERSISTENCE] New session created");
+        recordRevision(newSessionId, result);
+      })
       .catch((err) => console.error("[PERSISTENCE] Failed to create session:", err));
 
     setShowSessionMenu(false);
   };
 
+  // Sessions are listed from the index; the full session is fetched here
   const switchSession = (sessionId) => {
-    setCurrentSessionId(sessionId);
-    loadSession(sessionId);
     setShowSessionMenu(false);
+
+    console.log("[PERSISTENCE] Loading session:", sessionId);
+    api.fetchSession(sessionId)
+      .then((session) => {
+        const updatedSessions = { ...sessions, [sessionId]: session };
+        setSessions((prev) => ({ ...prev, [sessionId]: session }));
+        setCurrentSessionId(sessionId);
+        setRemoteChange(null);
+        loadSession(sessionId, updatedSessions);
+      })
+      .catch((err) => console.error("[PERSISTENCE] Failed to load session:", err));
   };
 
   const renameSession = () => {
@@ -697,19 +1092,287 @@ function App() {
     setSessions(updatedSessions);
 
     // Save to backend
-    console.log("[PERSISTENCE] Renaming session:", currentSessionId);
-    fetch("http://localhost:3001/api/sessions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(updatedSession),
-    })
-      .then(() => console.log("[PERSISTENCE] Session renamed"))
-      .catch((err) => console.error("[PERSISTENCE] Failed to rename session:", err));
+    persist(
+      `Renaming session: ${currentSessionId}`,
+      () => api.updateSession(currentSessionId, { name: updatedSession.name }, sessions[currentSessionId].revision)
+    );
 
     setShowRenameDialog(false);
     setRenameValue("");
   };
 
+  const openSessionDetails = () => {
+    setShowSessionMenu(false);
+    const metadata = sessions[currentSessionId]?.metadata;
+    setSessionDetails({ tags: formatTags(metadata?.tags), fields: formatFields(metadata?.fields) });
+  };
+
+  const saveSessionDetails = () => {
+    const { fields, invalid } = parseFields(sessionDetails.fields);
+    if (invalid.length > 0) {
+      alert(`Fields must be written as key=value, one per line:\n\n${invalid.join("\n")}`);
+      return;
+    }
+
+    const metadata = withTagsAndFields(sessions[currentSessionId].metadata, parseTags(sessionDetails.tags), fields);
+    setSessions((prev) => ({
+      ...prev,
+      [currentSessionId]: { ...prev[currentSessionId], metadata, updatedAt: new Date().toISOString() },
+    }));
+    persist(
+      `Updating metadata of session: ${currentSessionId}`,
+      () => api.updateSession(currentSessionId, { metadata }, sessions[currentSessionId].revision)
+    );
+    setSessionDetails(null);
+  };
+
+  const openSessionHistory = () => {
+    setShowSessionMenu(false);
+    setSessionHistory({ sessionId: currentSessionId, entries: null });
+
+    api.fetchHistory(currentSessionId)
+      .then((data) => setSessionHistory({ sessionId: currentSessionId, entries: data.history }))
+      .catch((err) => {
+        console.error("[PERSISTENCE] Failed to load session history:", err);
+        setSessionHistory(null);
+      });
+  };
+
+  const restoreSessionRevision = (revision) => {
+    if (!confirm(`Restore revision ${revision}? The current state stays in the history.`)) {
+      return;
+    }
+
+    const sessionId = currentSessionId;
+    console.log(`[PERSISTENCE] Restoring session ${sessionId} to revision ${revision}`);
+    api.restoreRevision(sessionId, revision, sessions[sessionId]?.revision)
+      .then((result) => {
+        console.log("[PERSISTENCE] Session restored");
+        setSessions((prev) => ({ ...prev, [sessionId]: result.session }));
+        setRuns(result.session.runs || []);
+        setCustomPlots(result.session.customPlots || []);
+        setLastSaved(new Date());
+        setSessionHistory(null);
+      })
+      .catch((err) => {
+        if (err.status === 409 && err.data?.current) {
+          setSessionHistory(null);
+          setSessionConflict({ sessionId, server: err.data.current });
+          return;
+        }
+        console.error("[PERSISTENCE] Failed to restore session:", err);
+      });
+  };
+
+  const openSessionMembers = () => {
+    setShowSessionMenu(false);
+    setSessionMembers({ sessionId: currentSessionId, members: null });
+
+    api.fetchMembers(currentSessionId)
+      .then((data) => setSessionMembers(data))
+      .catch((err) => {
+        console.error("[AUTH] Failed to load session members:", err);
+        setSessionMembers(null);
+      });
+  };
+
+  const changeSessionMember = (username, role) => {
+    const { sessionId } = sessionMembers;
+    if (role === "owner" && !confirm(`Make ${username} the owner? You will become an editor.`)) {
+      return;
+    }
+
+    (role ? api.setMemberRole(sessionId, username, role) : api.removeMember(sessionId, username))
+      .then((data) => {
+        setSessionMembers(data);
+        setNewMember({ username: "", role: "viewer" });
+        if (role === "owner" && !authStatus.user.admin) {
+          setSessions((prev) => ({ ...prev, [sessionId]: { ...prev[sessionId], role: "editor" } }));
+        }
+      })
+      .catch((err) => {
+        const details = err.data?.errors?.map(({ message }) => message).join("\n");
+        alert(`Failed to update members: ${details || err.message}`);
+      });
+  };
+
+  // Open the share dialog for the current session, or for one of its plots
+  const openShareDialog = (plot = null) => {
+    setShowSessionMenu(false);
+    setShareExpiresInDays("");
+    const sessionId = currentSessionId;
+    const plotId = plot ? plot.id : null;
+    const title = plot ? `Plot "${plot.name}"` : `Session "${sessions[sessionId].name}"`;
+    setShareDialog({ sessionId, plotId, title, shares: null });
+
+    api.fetchShares(sessionId)
+      .then((data) =>
+        setShareDialog({ sessionId, plotId, title, shares: data.shares.filter((share) => share.plotId === plotId) })
+      )
+      .catch((err) => {
+        console.error("[PERSISTENCE] Failed to load share links:", err);
+        alert(`Failed to load share links: ${err.message}`);
+        setShareDialog(null);
+      });
+  };
+
+  const createShareLink = () => {
+    const { sessionId, plotId } = shareDialog;
+    api.createShare(sessionId, {
+      plotId: plotId ?? undefined,
+      expiresInDays: shareExpiresInDays ? Number(shareExpiresInDays) : undefined,
+    })
+      .then((share) => {
+        setShareDialog((prev) => prev && { ...prev, shares: [...prev.shares, share] });
+        navigator.clipboard?.writeText(shareUrl(share.token)).catch(() => {});
+      })
+      .catch((err) => alert(`Failed to create share link: ${err.message}`));
+  };
+
+  const revokeShareLink = (token) => {
+    if (!confirm("Revoke this link? Anyone using it will lose access.")) {
+      return;
+    }
+    api.revokeShare(shareDialog.sessionId, token)
+      .then(() =>
+        setShareDialog((prev) => prev && { ...prev, shares: prev.shares.filter((share) => share.token !== token) })
+      )
+      .catch((err) => alert(`Failed to revoke share link: ${err.message}`));
+  };
+
+  const openWebhooks = () => {
+    setShowSessionMenu(false);
+    setNewWebhook(EMPTY_WEBHOOK);
+    const sessionId = currentSessionId;
+    setWebhookDialog({ sessionId, webhooks: null, createdSecret: null });
+
+    api.fetchWebhooks(sessionId)
+      .then((data) => setWebhookDialog((prev) => prev && { ...prev, webhooks: data.webhooks }))
+      .catch((err) => {
+        console.error("[PERSISTENCE] Failed to load webhooks:", err);
+        alert(`Failed to load webhooks: ${err.message}`);
+        setWebhookDialog(null);
+      });
+  };
+
+  const toggleWebhookEvent = (event) => {
+    setNewWebhook((prev) => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter((e) => e !== event) : [...prev.events, event],
+    }));
+  };
+
+  const createWebhook = () => {
+    let rules;
+    try {
+      rules = newWebhook.rules.trim() ? JSON.parse(newWebhook.rules) : undefined;
+    } catch (err) {
+      alert(`Regression rules are not valid JSON: ${err.message}`);
+      return;
+    }
+
+    api.createWebhook(webhookDialog.sessionId, {
+      url: newWebhook.url.trim(),
+      events: newWebhook.events,
+      rules,
+      baselineRunId: newWebhook.baselineRunId ? Number(newWebhook.baselineRunId) : undefined,
+    })
+      .then(({ webhook: { secret, ...webhook } }) => {
+        setWebhookDialog((prev) => prev && { ...prev, webhooks: [...prev.webhooks, webhook], createdSecret: secret });
+        setNewWebhook(EMPTY_WEBHOOK);
+      })
+      .catch((err) => {
+        const details = err.data?.errors?.map(({ path, message }) => `${path} ${message}`).join("\n");
+        alert(`Failed to create webhook: ${details || err.message}`);
+      });
+  };
+
+  const deleteWebhook = (webhookId) => {
+    if (!confirm("Delete this webhook? Pending deliveries are dropped.")) {
+      return;
+    }
+    api.deleteWebhook(webhookDialog.sessionId, webhookId)
+      .then(() =>
+        setWebhookDialog((prev) => prev && { ...prev, webhooks: prev.webhooks.filter((w) => w.id !== webhookId) })
+      )
+      .catch((err) => alert(`Failed to delete webhook: ${err.message}`));
+  };
+
+  const openRunSearch = () => {
+    setRunSearch({ results: null, total: 0, loading: false });
+  };
+
+  const searchRuns = (offset = 0) => {
+    setRunSearch((prev) => prev && { ...prev, loading: true });
+    api.searchRuns({ ...runSearchFilters, limit: RUN_SEARCH_PAGE_SIZE, offset })
+      .then((data) =>
+        setRunSearch((prev) =>
+          prev && {
+            results: offset === 0 ? data.runs : [...(prev.results || []), ...data.runs],
+            total: data.total,
+            loading: false,
+          }
+        )
+      )
+      .catch((err) => {
+        console.error("[PERSISTENCE] Run search failed:", err);
+        alert(`Run search failed: ${err.message}`);
+        setRunSearch((prev) => prev && { ...prev, loading: false });
+      });
+  };
+
+  // Copy a run found in another session into the current one
+  const addSearchResult = ({ sessionId, run: { id } }) => {
+    api.fetchRun(sessionId, id)
+      .then((run) => {
+        const newRun = { ...run, id: Date.now() };
+        setRuns((prev) => [...prev, newRun]);
+        persist(`Adding run ${newRun.id} from session ${sessionId}`, () => api.addRun(currentSessionId, newRun));
+      })
+      .catch((err) => alert(`Failed to load run: ${err.message}`));
+  };
+
+  const openSearchResult = ({ sessionId }) => {
+    setRunSearch(null);
+    if (sessionId !== currentSessionId) {
+      switchSession(sessionId);
+    }
+  };
+
+  const openApiTokens = () => {
+    setApiTokens([]);
+    setCreatedApiToken(null);
+    api.fetchApiTokens()
+      .then((tokens) => setApiTokens(tokens))
+      .catch((err) => {
+        console.error("[AUTH] Failed to load API tokens:", err);
+        setApiTokens(null);
+      });
+  };
+
+  const createApiToken = () => {
+    const expiresInDays = newApiToken.expiresInDays ? Number(newApiToken.expiresInDays) : undefined;
+    api.createApiToken(newApiToken.name.trim(), expiresInDays)
+      .then(({ token, ...record }) => {
+        setApiTokens((prev) => [...prev, record]);
+        setCreatedApiToken(token);
+        setNewApiToken({ name: "", expiresInDays: "" });
+      })
+      .catch((err) => {
+        const details = err.data?.errors?.map(({ path, message }) => `${path} ${message}`).join("\n");
+        alert(`Failed to create token: ${details || err.message}`);
+      });
+  };
+
+  const revokeApiToken = (token) => {
+    if (!confirm(`Revoke token "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+    api.revokeApiToken(token.id)
+      .then(() => setApiTokens((prev) => prev.filter((existing) => existing.id !== token.id)))
+      .catch((err) => alert(`Failed to revoke token: ${err.message}`));
+  };
+
   const duplicateSession = () => {
     const currentSession = sessions[currentSessionId];
     const newSessionId = `session-${Date.now()}`;
@@ -717,35 +1380,38 @@ function App() {
       ...currentSession,
       id: newSessionId,
       name: `${currentSession.name} (Copy)`,
+      revision: undefined,
+      role: undefined, // The copy belongs to whoever made it
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
     const updatedSessions = { ...sessions, [newSessionId]: duplicatedSession };
     setSessions(updatedSessions);
+    addToSessionListing(newSessionId);
     setCurrentSessionId(newSessionId);
     loadSession(newSessionId, updatedSessions);
 
     // Save to backend
     console.log("[PERSISTENCE] Duplicating session:", newSessionId);
-    fetch("http://localhost:3001/api/sessions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(duplicatedSession),
-    })
-      .then(() => console.log("[PERSISTENCE] Session duplicated"))
+    api.saveSession(duplicatedSession)
+      .then((result) => {
+        console.log("[PERSISTENCE] Session duplicated");
+        recordRevision(newSessionId, result);
+      })
       .catch((err) => console.error("[PERSISTENCE] Failed to duplicate session:", err));
 
     setShowSessionMenu(false);
   };
 
   const deleteSession = (sessionId) => {
-    if (Object.keys(sessions).length === 1) {
+    if (sessionCount === 1) {
       alert("Cannot delete the only session");
       return;
     }
 
-    if (!confirm(`Delete session "${sessions[sessionId].name}"?`)) {
+    const name = sessions[sessionId].name;
+    if (!confirm(`Move session "${name}" to the trash?`)) {
       return;
     }
 
@@ -753,50 +1419,262 @@ function App() {
     delete updatedSessions[sessionId];
 
     // Switch to another session if deleting current
-    if (sessionId === currentSessionId) {
-      const newCurrentId = Object.keys(updatedSessions)[0];
-      setCurrentSessionId(newCurrentId);
-      loadSession(newCurrentId, updatedSessions);
+    const deletingCurrent = sessionId === currentSessionId;
+    const nextSessionId = sessionListing.ids.find((id) => id !== sessionId);
+    if (deletingCurrent && nextSessionId) {
+      switchSession(nextSessionId);
     }
 
     setSessions(updatedSessions);
+    setSessionListing((prev) => ({
+      ...prev,
+      ids: prev.ids.filter((id) => id !== sessionId),
+      total: prev.total - 1,
+    }));
+    setSessionCount((count) => count - 1);
 
     // Delete from backend
     console.log("[PERSISTENCE] Deleting session:", sessionId);
-    fetch(`http://localhost:3001/api/sessions/${sessionId}`, {
-      method: "DELETE",
-    })
-      .then(() => console.log("[PERSISTENCE] Session deleted"))
+    api.deleteSession(sessionId)
+      .then((result) => {
+        console.log("[PERSISTENCE] Session deleted");
+        offerUndo(`Session "${name}" moved to the trash`, result.trashId);
+        // The listing was filtered down to this session; pick the most recent one
+        if (deletingCurrent && !nextSessionId) {
+          loadSessionIndex(1, "").then((index) => {
+            if (index.sessions[0]) switchSession(index.sessions[0].id);
+          });
+        }
+      })
       .catch((err) => console.error("[PERSISTENCE] Failed to delete session:", err));
 
     setShowSessionMenu(false);
   };
 
+  // Download a session bundle, with the view settings of its plots added
+  const exportSession = (sessionId) => {
+    setShowSessionMenu(false);
+    console.log("[PERSISTENCE] Exporting session:", sessionId);
+    api.exportSession(sessionId)
+      .then((bundle) => {
+        const views = {};
+        bundle.customPlots.forEach((plot) => {
+          const view = {
+            cpuType: customPlotCpuTypes[plot.id],
+            pdPlotType: customPlotPdTypes[plot.id],
+            miscCycleType: customPlotMiscCycleTypes[plot.id],
+          };
+          const settings = Object.entries(view).filter(([, value]) => value !== undefined);
+          if (settings.length > 0) {
+            views[plot.id] = Object.fromEntries(settings);
+          }
+        });
+
+        const blob = new Blob([JSON.stringify({ ...bundle, views }, null, 2)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `${bundle.session.name.replace(/[^a-z0-9]/gi, "_")}.sddf-session.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+      })
+      .catch((err) => {
+        console.error("[PERSISTENCE] Failed to export session:", err);
+        alert(`Failed to export session: ${err.message}`);
+      });
+  };
 
-  // Research-quality color schemes and styling configurations
-  const getPlotStyling = (mode) => {
-    const configs = {
-      current: {
-        colors: [
-          "#8884d8", "#82ca9d", "#ffc658", "#ff7c7c", "#a28bd4",
-          "#4db8ff", "#ff8c94", "#95e1d3", "#f9ca24", "#c56cf0"
-        ],
-        lineWidth: 3,
-        markerSize: 8,
-        fontSize: { title: 24, axis: 16, tick: 12, legend: 12 },
-        plotBg: "#fafafa",
-        paperBg: "white",
-        gridColor: "#e0e0e0",
-        lineStyles: Array(10).fill("solid"),
-        markerSymbols: Array(10).fill("circle"),
-        fontFamily: "Arial, sans-serif"
-      },
-      paper: {
-        // Original vibrant colors - solid lines only, different markers
-        colors: [
-          "#8884d8", // blue
-          "#82ca9d", // green
-          "#ffc658", // orange
+  // Import a bundle as a new session and open it
+  const importSession = async (file) => {
+    setShowSessionMenu(false);
+    try {
+      const result = await api.importSession(JSON.parse(await file.text()));
+      console.log(`[PERSISTENCE] Imported session as ${result.sessionId}`);
+
+      const viewSetting = (field) =>
+        Object.fromEntries(
+          Object.entries(result.views)
+            .filter(([, view]) => view[field] !== undefined)
+            .map(([plotId, view]) => [plotId, view[field]])
+        );
+      setCustomPlotCpuTypes((prev) => ({ ...prev, ...viewSetting("cpuType") }));
+      setCustomPlotPdTypes((prev) => ({ ...prev, ...viewSetting("pdPlotType") }));
+      setCustomPlotMiscCycleTypes((prev) => ({ ...prev, ...viewSetting("miscCycleType") }));
+
+      addToSessionListing(result.sessionId);
+      switchSession(result.sessionId);
+    } catch (err) {
+      console.error("[PERSISTENCE] Failed to import session:", err);
+      const details = err.data?.errors?.map(({ path, message }) => `${path} ${message}`).join("\n");
+      alert(`Failed to import session: ${details || err.message}`);
+    }
+  };
+
+  // Copy runs and plots of the current session into another one. The server
+  // checks the merge first (dry run) so that clashing names can be renamed
+  // before anything is written.
+  const openMergeDialog = () => {
+    setShowSessionMenu(false);
+    setMergeDialog({
+      targetSessionId: "",
+      runIds: runs.map((run) => run.id),
+      plotIds: customPlots.map((plot) => plot.id),
+      renames: { runs: {}, plots: {} },
+      plan: null,
+      stale: true,
+    });
+  };
+
+  // Any change to the selection needs a new check before merging
+  const updateMergeDialog = (changes) => setMergeDialog((prev) => prev && { ...prev, ...changes, stale: true });
+
+  const toggleMergeItem = (field, id) => {
+    const ids = mergeDialog[field];
+    updateMergeDialog({ [field]: ids.includes(id) ? ids.filter((other) => other !== id) : [...ids, id] });
+  };
+
+  const renameMergeItem = (kind, id, name) => {
+    updateMergeDialog({ renames: { ...mergeDialog.renames, [kind]: { ...mergeDialog.renames[kind], [id]: name } } });
+  };
+
+  const mergeRequest = ({ runIds, plotIds, renames }, dryRun) => {
+    const named = (names) => Object.fromEntries(Object.entries(names).filter(([, name]) => name.trim()));
+    return {
+      sourceSessionId: currentSessionId,
+      runIds,
+      plotIds,
+      renames: { runs: named(renames.runs), plots: named(renames.plots) },
+      dryRun,
+    };
+  };
+
+  const checkMerge = () => {
+    const dialog = mergeDialog;
+    api.mergeIntoSession(dialog.targetSessionId, mergeRequest(dialog, true))
+      .then((plan) => setMergeDialog((prev) => prev && { ...prev, plan, stale: false }))
+      .catch((err) => {
+        console.error("[PERSISTENCE] Failed to check merge:", err);
+        alert(`Failed to check merge: ${err.message}`);
+      });
+  };
+
+  const commitMerge = () => {
+    const dialog = mergeDialog;
+    const targetName = sessions[dialog.targetSessionId]?.name || dialog.targetSessionId;
+    console.log(`[PERSISTENCE] Merging into session ${dialog.targetSessionId}`);
+    api.mergeIntoSession(dialog.targetSessionId, mergeRequest(dialog, false), dialog.plan.targetRevision)
+      .then((result) => {
+        // Copied plots keep the view settings they had here
+        const copyView = (prev) => {
+          const next = { ...prev };
+          Object.entries(result.plotIds).forEach(([sourceId, plotId]) => {
+            if (prev[sourceId] !== undefined) next[plotId] = prev[sourceId];
+          });
+          return next;
+        };
+        setCustomPlotCpuTypes(copyView);
+        setCustomPlotPdTypes(copyView);
+        setCustomPlotMiscCycleTypes(copyView);
+        setMergeDialog(null);
+
+        const copied = result.runs.filter((run) => run.duplicateOf === null).length;
+        if (confirm(`Copied ${copied} runs and ${result.plots.length} plots into "${targetName}". Open it now?`)) {
+          switchSession(dialog.targetSessionId);
+        }
+      })
+      .catch((err) => {
+        if (err.status === 409) {
+          alert(`"${targetName}" has changed since the merge was checked. Check it again.`);
+          updateMergeDialog({});
+          return;
+        }
+        console.error("[PERSISTENCE] Failed to merge sessions:", err);
+        const details = err.data?.errors?.map(({ path, message }) => `${path} ${message}`).join("\n");
+        alert(`Failed to merge sessions: ${details || err.message}`);
+      });
+  };
+
+  // Deleted items go to the trash; let the user take the deletion back for a moment
+  const offerUndo = (message, entryId) => {
+    if (entryId) setUndoToast({ message, entryId });
+  };
+
+  const openTrash = () => {
+    setShowSessionMenu(false);
+    setTrash({ entries: null });
+
+    api.fetchTrash()
+      .then((data) => setTrash(data))
+      .catch((err) => {
+        console.error("[PERSISTENCE] Failed to load the trash:", err);
+        setTrash(null);
+      });
+  };
+
+  const restoreFromTrash = (entryId) => {
+    console.log(`[PERSISTENCE] Restoring ${entryId} from the trash`);
+    api.restoreTrash(entryId)
+      .then(({ restored }) => {
+        console.log("[PERSISTENCE] Restored from the trash");
+        setUndoToast((toast) => (toast?.entryId === entryId ? null : toast));
+        setTrash((prev) => prev && { ...prev, entries: prev.entries?.filter((entry) => entry.id !== entryId) });
+        setLastSaved(new Date());
+
+        if (restored.type === "session") {
+          return loadSessionIndex(1);
+        }
+        // A run or plot came back into its session; reload it if it is open
+        if (restored.sessionId === currentSessionId) {
+          return reloadSession(restored.sessionId);
+        }
+      })
+      .catch((err) => {
+        if (err.status === 409) {
+          alert(err.message);
+          return;
+        }
+        console.error("[PERSISTENCE] Failed to restore from the trash:", err);
+      });
+  };
+
+  const purgeFromTrash = (entry) => {
+    if (!confirm(`Permanently delete ${entry.type} "${entry.name}"? This cannot be undone.`)) {
+      return;
+    }
+
+    console.log(`[PERSISTENCE] Purging ${entry.id} from the trash`);
+    api.purgeTrash(entry.id)
+      .then(() => {
+        setTrash((prev) => prev && { ...prev, entries: prev.entries?.filter((candidate) => candidate.id !== entry.id) });
+      })
+      .catch((err) => console.error("[PERSISTENCE] Failed to purge from the trash:", err));
+  };
+
+
+  // Research-quality color schemes and styling configurations
+  const getPlotStyling = (mode) => {
+    const configs = {
+      current: {
+        colors: [
+          "#8884d8", "#82ca9d", "#ffc658", "#ff7c7c", "#a28bd4",
+          "#4db8ff", "#ff8c94", "#95e1d3", "#f9ca24", "#c56cf0"
+        ],
+        lineWidth: 3,
+        markerSize: 8,
+        fontSize: { title: 24, axis: 16, tick: 12, legend: 12 },
+        plotBg: "#fafafa",
+        paperBg: "white",
+        gridColor: "#e0e0e0",
+        lineStyles: Array(10).fill("solid"),
+        markerSymbols: Array(10).fill("circle"),
+        fontFamily: "Arial, sans-serif"
+      },
+      paper: {
+        // Original vibrant colors - solid lines only, different markers
+        colors: [
+          "#8884d8", // blue
+          "#82ca9d", // green
+          "#ffc658", // orange
           "#ff7c7c", // coral
           "#a28bd4", // purple
           "#4db8ff", // sky blue
@@ -888,6 +1766,10 @@ function App() {
     return Array.from(allValues).sort((a, b) => a - b);
   })() : [];
 
+  // Cores used by any run; a core that no run of this session has falls back to all cores
+  const availableCoreIds = Array.from(new Set(runs.flatMap(runCoreIds))).sort((a, b) => a - b);
+  const coreSelection = availableCoreIds.includes(selectedCore) ? selectedCore : ALL_CORES;
+
   // Format throughput value for display
   const formatThroughputValue = (val) => {
     if (val >= 1e9) return `${(val / 1e9).toFixed(1)}G`;
@@ -939,10 +1821,11 @@ function App() {
     if (run.cpuData?.tests) {
       // System CPU utilization
       const getCpuValue = (test) => {
-        if (!test.system) return 0;
-        if (defaultCpuType === "kernel") return test.system.kernel_cpu_utilization || 0;
-        if (defaultCpuType === "user") return test.system.user_cpu_utilization || 0;
-        return test.system.cpu_utilization || 0;
+        const cpu = testCpu(test, coreSelection);
+        if (!cpu) return 0;
+        if (defaultCpuType === "kernel") return cpu.kernel_cpu_utilization || 0;
+        if (defaultCpuType === "user") return cpu.user_cpu_utilization || 0;
+        return cpu.cpu_utilization || 0;
       };
       const cpuTypeLabel = defaultCpuType.charAt(0).toUpperCase() + defaultCpuType.slice(1);
 
@@ -993,7 +1876,7 @@ function App() {
   // Collect all unique protection domains across all runs
   const allProtectionDomains = new Map();
   runs.forEach((run) => {
-    run.cpuData?.tests?.[0]?.cores?.[0]?.protection_domains?.forEach((pd) => {
+    testProtectionDomains(run.cpuData?.tests?.[0], coreSelection).forEach((pd) => {
       if (!allProtectionDomains.has(pd.name)) {
         allProtectionDomains.set(pd.name, true);
       }
@@ -1016,13 +1899,9 @@ function App() {
   protectionDomainsList.forEach((pdName, pdIndex) => {
     runs.forEach((run, runIndex) => {
       if (run.cpuData?.tests) {
-        const allPDs =
-          run.cpuData.tests[0]?.cores?.[0]?.protection_domains || [];
-        const pdIndexInRun = allPDs.findIndex((pd) => pd.name === pdName);
-
-        if (pdIndexInRun !== -1) {
+        if (findProtectionDomain(run.cpuData.tests[0], pdName, coreSelection)) {
           const getCpuValue = (test) => {
-            const pd = test.cores?.[0]?.protection_domains?.[pdIndexInRun];
+            const pd = findProtectionDomain(test, pdName, coreSelection);
             if (!pd) return 0;
             if (pdCpuType === "kernel") return pd.kernel_cpu_utilization || 0;
             if (pdCpuType === "user") return pd.user_cpu_utilization || 0;
@@ -1293,8 +2172,28 @@ function App() {
     },
   };
 
+  if (openedShare?.error) {
+    return (
+      <div className="login-screen">
+        <div className="dialog">
+          <h2>Share Link Unavailable</h2>
+          <p style={{ color: "#555", fontSize: "0.8rem", lineHeight: 1.5 }}>
+            {openedShare.error}. The link may have been revoked or may have expired.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!SHARE_TOKEN && authStatus?.enabled && !authStatus.user) {
+    return <LoginScreen needsSetup={authStatus.needsSetup} onLoggedIn={handleLoggedIn} />;
+  }
+
+  // Viewers can look at a session but not change or share it
+  const canEditSession = !SHARE_TOKEN && (sessions[currentSessionId]?.role ?? "owner") !== "viewer";
+
   return (
-    <div className="app-container">
+    <div className={`app-container ${SHARE_TOKEN ? "read-only" : ""}`}>
       <div className="header">
         <div style={{ display: "flex", alignItems: "center", gap: "1rem" }}>
           <h1>Benchmark Visualisation</h1>
@@ -1308,15 +2207,46 @@ function App() {
               Saved {lastSaved.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit' })}
             </span>
           )}
+          {remoteChange && (
+            <span
+              onClick={() => setRemoteChange(null)}
+              title="Click to dismiss"
+              style={{
+                fontSize: "0.7rem",
+                color: "#191918",
+                fontWeight: "600",
+                padding: "0.15rem 0.4rem",
+                border: "1px solid #c0c0b8",
+                background: "#f4f4f2",
+                cursor: "pointer"
+              }}
+            >
+              ● {remoteChange.message} {remoteChange.at.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit' })}
+            </span>
+          )}
         </div>
         <div className="header-actions" style={{ display: "flex", alignItems: "center", gap: "1rem" }}>
+          {SHARE_TOKEN && sessions[currentSessionId] && (
+            <span style={{ fontSize: "0.8rem", color: "#c0c0b8", fontFamily: "monospace" }}>
+              {sessions[currentSessionId].name} • read-only
+              {openedShare?.share?.expiresAt &&
+                ` • link expires ${new Date(openedShare.share.expiresAt).toLocaleDateString("en-AU")}`}
+            </span>
+          )}
+
           {/* Session Selector */}
-          {currentSessionId && sessions[currentSessionId] && (
+          {!SHARE_TOKEN && currentSessionId && sessions[currentSessionId] && (
             <div style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
               <span style={{ fontSize: "0.75rem", color: "#6b6b68", fontWeight: "500", textTransform: "uppercase", letterSpacing: "0.5px" }}>Session:</span>
               <div style={{ position: "relative" }}>
                 <button
-                  onClick={() => setShowSessionMenu(!showSessionMenu)}
+                  onClick={() => {
+                    if (!showSessionMenu) {
+                      loadSessionIndex(1)
+                        .catch((err) => console.error("[PERSISTENCE] Failed to load session index:", err));
+                    }
+                    setShowSessionMenu(!showSessionMenu);
+                  }}
                   style={{
                     padding: "0.35rem 0.65rem",
                     background: "#fafaf8",
@@ -1416,12 +2346,41 @@ function App() {
                         </button>
                       </div>
 
+                      {/* Session Search */}
+                      <div style={{ padding: "0.75rem 1rem 0" }}>
+                        <input
+                          type="text"
+                          value={sessionQuery}
+                          onChange={(e) => searchSessions(e.target.value)}
+                          placeholder="Search sessions..."
+                          style={{
+                            width: "100%",
+                            boxSizing: "border-box",
+                            padding: "0.4rem 0.5rem",
+                            background: "#fff",
+                            border: "1px solid #c0c0b8",
+                            borderRadius: "0",
+                            fontSize: "0.75rem",
+                            fontFamily: "monospace"
+                          }}
+                        />
+                      </div>
+
                       {/* Session List */}
                       <div style={{ padding: "0.5rem 0.75rem" }}>
-                        {Object.values(sessions)
-                          .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+                        {sessionQuery && sessionListing.ids.length === 0 && (
+                          <div style={{ padding: "0.5rem 0.25rem", fontSize: "0.7rem", color: "#6b6b68" }}>
+                            No sessions match "{sessionQuery}"
+                          </div>
+                        )}
+                        {sessionListing.ids
+                          .map((id) => sessions[id])
+                          .filter(Boolean)
                           .map((session) => {
                             const isActive = session.id === currentSessionId;
+                            const runCount = session.runs ? session.runs.length : session.runCount || 0;
+                            // Index summaries carry the tags; loaded sessions their metadata
+                            const sessionTags = (session.runs ? session.metadata?.tags : session.tags) || [];
                             return (
                               <div
                                 key={session.id}
@@ -1470,8 +2429,12 @@ function App() {
                                       </span>
                                     )}
                                   </div>
-                                  <div style={{ fontSize: "0.65rem", color: "#6b6b68", letterSpacing: "0.3px" }}>
-                                    {session.runs?.length || 0} run{(session.runs?.length || 0) !== 1 ? 's' : ''} • {new Date(session.updatedAt).toLocaleDateString('en-AU', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                                  <div
+                                    style={{ fontSize: "0.65rem", color: "#6b6b68", letterSpacing: "0.3px" }}
+                                    title={describeMetadata(session.metadata) || undefined}
+                                  >
+                                    {runCount} run{runCount !== 1 ? 's' : ''} • {new Date(session.updatedAt).toLocaleDateString('en-AU', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                                    {sessionTags.length > 0 && ` • ${sessionTags.map((tag) => `#${tag}`).join(" ")}`}
                                   </div>
                                 </div>
 
@@ -1543,215 +2506,589 @@ function App() {
                                   >
                                     Copy
                                   </button>
-                                  {Object.keys(sessions).length > 1 && (
+                                  {isActive && canEditSession && (
                                     <button
                                       onClick={(e) => {
                                         e.stopPropagation();
-                                        deleteSession(session.id);
+                                        openSessionDetails();
                                       }}
                                       style={{
-                                        padding: "0.35rem 0.5rem",
+                                        flex: 1,
+                                        padding: "0.35rem",
                                         background: "transparent",
                                         border: "1px solid #c0c0b8",
                                         borderRadius: "0",
                                         fontSize: "0.65rem",
                                         cursor: "pointer",
                                         fontWeight: "600",
-                                        color: "#8b0000",
+                                        color: "#191918",
                                         transition: "all 0.15s",
                                         textTransform: "uppercase",
                                         letterSpacing: "0.3px"
                                       }}
                                       onMouseEnter={(e) => {
-                                        e.currentTarget.style.background = "#8b0000";
+                                        e.currentTarget.style.background = "#191918";
                                         e.currentTarget.style.color = "#f4f4f2";
-                                        e.currentTarget.style.borderColor = "#8b0000";
+                                        e.currentTarget.style.borderColor = "#191918";
                                       }}
                                       onMouseLeave={(e) => {
                                         e.currentTarget.style.background = "transparent";
-                                        e.currentTarget.style.color = "#8b0000";
+                                        e.currentTarget.style.color = "#191918";
                                         e.currentTarget.style.borderColor = "#c0c0b8";
                                       }}
                                     >
-                                      Del
+                                      Tags
                                     </button>
                                   )}
-                                </div>
-                              </div>
-                            );
-                          })}
-                      </div>
-                    </div>
-                  </>
-                )}
-              </div>
-            </div>
-          )}
-
-          {/* Plot Style Mode Selector */}
-          <div style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
-            <span style={{ fontSize: "0.75rem", color: "#6b6b68", fontWeight: "500", textTransform: "uppercase", letterSpacing: "0.5px" }}>Plot Style:</span>
-            <select
-              value={plotStyleMode}
-              onChange={(e) => setPlotStyleMode(e.target.value)}
-              style={{
-                padding: "0.35rem 0.65rem",
-                background: "#fafaf8",
-                border: "1px solid #e0e0d8",
-                borderRadius: "2px",
-                fontSize: "0.8rem",
-                fontWeight: "600",
-                color: "#191918",
-                cursor: "pointer",
-                transition: "all 0.15s",
-                fontFamily: "monospace"
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.background = "#f4f4f2";
-                e.currentTarget.style.borderColor = "#191918";
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.background = "#fafaf8";
-                e.currentTarget.style.borderColor = "#e0e0d8";
-              }}
-              title="Choose plot styling: Current (colorful), Paper (publication-ready), or Presentation (high-contrast)"
-            >
-              <option value="current">Current</option>
-              <option value="paper">Paper</option>
-              <option value="presentation">Presentation</option>
-            </select>
-          </div>
-
-          <button
-            onClick={async (event) => {
-              const btn = event.currentTarget;
-              const originalText = btn.textContent;
-
-              try {
-                btn.disabled = true;
-                btn.textContent = "Generating PDF...";
-
-                console.log("Exporting PDF with", runs.length, "runs");
-                await exportBenchmarkReport(runs, customPlots);
-                console.log("PDF export completed");
-
-                btn.textContent = "PDF Generated!";
-                setTimeout(() => {
-                  btn.textContent = originalText;
-                  btn.disabled = false;
-                }, 2000);
-              } catch (error) {
-                console.error("PDF export failed:", error);
-                alert("Failed to export PDF: " + error.message);
-
-                btn.textContent = "Export Failed";
-                setTimeout(() => {
-                  btn.textContent = originalText;
-                  btn.disabled = runs.length === 0;
-                }, 2000);
-              }
-            }}
-            className="header-btn"
-            disabled={runs.length === 0}
-            title="Export complete report with plots and data"
-          >
-            Export PDF Report
-          </button>
-        </div>
-      </div>
-
-      <div className="sidebar">
-        <div className="upload-section">
-          <h2>Add New Run</h2>
-
-          <div className="input-group">
-            <label>Run Name</label>
-            <input
-              type="text"
-              placeholder="Optional"
-              value={runName}
-              onChange={(e) => setRunName(e.target.value)}
-            />
-          </div>
-
-          <div style={{
-            background: "#ffffff",
-            padding: "0.75rem",
-            border: "2px solid #191918",
-            marginTop: "0.75rem",
-            boxShadow: "2px 2px 0 rgba(25, 25, 24, 0.1)"
-          }}>
-            <div style={{ marginBottom: "0.75rem" }}>
-              <label
-                htmlFor="csv-upload"
-                style={{
-                  display: "block",
-                  fontSize: "0.65rem",
-                  fontWeight: "700",
-                  color: "#191918",
-                  marginBottom: "0.4rem",
-                  textTransform: "uppercase",
-                  letterSpacing: "0.8px",
-                }}
-              >
-                [1] CSV File *
-              </label>
-              <label
-                htmlFor="csv-upload"
-                style={{
-                  display: "block",
-                  padding: "0.5rem",
-                  background: csvFile ? "#f4f4f2" : "#fafaf8",
-                  border: `1px solid ${csvFile ? "#191918" : "#c0c0b8"}`,
-                  borderRadius: "0",
-                  cursor: uploading ? "not-allowed" : "pointer",
-                  transition: "all 0.15s",
-                  fontSize: "0.7rem",
-                  fontWeight: csvFile ? "700" : "500",
-                  color: "#191918",
-                  textAlign: "center",
-                }}
-                onMouseEnter={(e) => {
-                  if (!uploading && !csvFile) {
-                    e.currentTarget.style.borderColor = "#191918";
-                    e.currentTarget.style.background = "#f4f4f2";
-                  }
-                }}
-                onMouseLeave={(e) => {
-                  if (!csvFile) {
-                    e.currentTarget.style.borderColor = "#c0c0b8";
-                    e.currentTarget.style.background = "#fafaf8";
-                  }
-                }}
-              >
-                {csvFile ? `[✓] ${csvFile.name}` : "[ SELECT CSV FILE ]"}
-              </label>
-              <input
-                id="csv-upload"
-                type="file"
-                accept=".csv"
-                onChange={handleCsvFileSelect}
-                disabled={uploading}
-                style={{ display: "none" }}
-              />
+                                  {isActive && (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        openSessionHistory();
+                                      }}
+                                      style={{
+                                        flex: 1,
+                                        padding: "0.35rem",
+                                        background: "transparent",
+                                        border: "1px solid #c0c0b8",
+                                        borderRadius: "0",
+                                        fontSize: "0.65rem",
+                                        cursor: "pointer",
+                                        fontWeight: "600",
+                                        color: "#191918",
+                                        transition: "all 0.15s",
+                                        textTransform: "uppercase",
+                                        letterSpacing: "0.3px"
+                                      }}
+                                      onMouseEnter={(e) => {
+                                        e.currentTarget.style.background = "#191918";
+                                        e.currentTarget.style.color = "#f4f4f2";
+                                        e.currentTarget.style.borderColor = "#191918";
+                                      }}
+                                      onMouseLeave={(e) => {
+                                        e.currentTarget.style.background = "transparent";
+                                        e.currentTarget.style.color = "#191918";
+                                        e.currentTarget.style.borderColor = "#c0c0b8";
+                                      }}
+                                    >
+                                      History
+                                    </button>
+                                  )}
+                                  {isActive && authStatus?.enabled && (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        openSessionMembers();
+                                      }}
+                                      style={{
+                                        flex: 1,
+                                        padding: "0.35rem",
+                                        background: "transparent",
+                                        border: "1px solid #c0c0b8",
+                                        borderRadius: "0",
+                                        fontSize: "0.65rem",
+                                        cursor: "pointer",
+                                        fontWeight: "600",
+                                        color: "#191918",
+                                        transition: "all 0.15s",
+                                        textTransform: "uppercase",
+                                        letterSpacing: "0.3px"
+                                      }}
+                                      onMouseEnter={(e) => {
+                                        e.currentTarget.style.background = "#191918";
+                                        e.currentTarget.style.color = "#f4f4f2";
+                                        e.currentTarget.style.borderColor = "#191918";
+                                      }}
+                                      onMouseLeave={(e) => {
+                                        e.currentTarget.style.background = "transparent";
+                                        e.currentTarget.style.color = "#191918";
+                                        e.currentTarget.style.borderColor = "#c0c0b8";
+                                      }}
+                                    >
+                                      Members
+                                    </button>
+                                  )}
+                                  {isActive && (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        exportSession(session.id);
+                                      }}
+                                      style={{
+                                        flex: 1,
+                                        padding: "0.35rem",
+                                        background: "transparent",
+                                        border: "1px solid #c0c0b8",
+                                        borderRadius: "0",
+                                        fontSize: "0.65rem",
+                                        cursor: "pointer",
+                                        fontWeight: "600",
+                                        color: "#191918",
+                                        transition: "all 0.15s",
+                                        textTransform: "uppercase",
+                                        letterSpacing: "0.3px"
+                                      }}
+                                      onMouseEnter={(e) => {
+                                        e.currentTarget.style.background = "#191918";
+                                        e.currentTarget.style.color = "#f4f4f2";
+                                        e.currentTarget.style.borderColor = "#191918";
+                                      }}
+                                      onMouseLeave={(e) => {
+                                        e.currentTarget.style.background = "transparent";
+                                        e.currentTarget.style.color = "#191918";
+                                        e.currentTarget.style.borderColor = "#c0c0b8";
+                                      }}
+                                      title="Download this session with its original files"
+                                    >
+                                      Export
+                                    </button>
+                                  )}
+                                  {isActive && sessionCount > 1 && (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        openMergeDialog();
+                                      }}
+                                      style={{
+                                        flex: 1,
+                                        padding: "0.35rem",
+                                        background: "transparent",
+                                        border: "1px solid #c0c0b8",
+                                        borderRadius: "0",
+                                        fontSize: "0.65rem",
+                                        cursor: "pointer",
+                                        fontWeight: "600",
+                                        color: "#191918",
+                                        transition: "all 0.15s",
+                                        textTransform: "uppercase",
+                                        letterSpacing: "0.3px"
+                                      }}
+                                      onMouseEnter={(e) => {
+                                        e.currentTarget.style.background = "#191918";
+                                        e.currentTarget.style.color = "#f4f4f2";
+                                        e.currentTarget.style.borderColor = "#191918";
+                                      }}
+                                      onMouseLeave={(e) => {
+                                        e.currentTarget.style.background = "transparent";
+                                        e.currentTarget.style.color = "#191918";
+                                        e.currentTarget.style.borderColor = "#c0c0b8";
+                                      }}
+                                      title="Copy runs and plots of this session into another one"
+                                    >
+                                      Merge into...
+                                    </button>
+                                  )}
+                                  {isActive && canEditSession && (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        openShareDialog();
+                                      }}
+                                      style={{
+                                        flex: 1,
+                                        padding: "0.35rem",
+                                        background: "transparent",
+                                        border: "1px solid #c0c0b8",
+                                        borderRadius: "0",
+                                        fontSize: "0.65rem",
+                                        cursor: "pointer",
+                                        fontWeight: "600",
+                                        color: "#191918",
+                                        transition: "all 0.15s",
+                                        textTransform: "uppercase",
+                                        letterSpacing: "0.3px"
+                                      }}
+                                      onMouseEnter={(e) => {
+                                        e.currentTarget.style.background = "#191918";
+                                        e.currentTarget.style.color = "#f4f4f2";
+                                        e.currentTarget.style.borderColor = "#191918";
+                                      }}
+                                      onMouseLeave={(e) => {
+                                        e.currentTarget.style.background = "transparent";
+                                        e.currentTarget.style.color = "#191918";
+                                        e.currentTarget.style.borderColor = "#c0c0b8";
+                                      }}
+                                    >
+                                      Share
+                                    </button>
+                                  )}
+                                  {isActive && canEditSession && (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        openWebhooks();
+                                      }}
+                                      style={{
+                                        flex: 1,
+                                        padding: "0.35rem",
+                                        background: "transparent",
+                                        border: "1px solid #c0c0b8",
+                                        borderRadius: "0",
+                                        fontSize: "0.65rem",
+                                        cursor: "pointer",
+                                        fontWeight: "600",
+                                        color: "#191918",
+                                        transition: "all 0.15s",
+                                        textTransform: "uppercase",
+                                        letterSpacing: "0.3px"
+                                      }}
+                                      onMouseEnter={(e) => {
+                                        e.currentTarget.style.background = "#191918";
+                                        e.currentTarget.style.color = "#f4f4f2";
+                                        e.currentTarget.style.borderColor = "#191918";
+                                      }}
+                                      onMouseLeave={(e) => {
+                                        e.currentTarget.style.background = "transparent";
+                                        e.currentTarget.style.color = "#191918";
+                                        e.currentTarget.style.borderColor = "#c0c0b8";
+                                      }}
+                                    >
+                                      Hooks
+                                    </button>
+                                  )}
+                                  {sessionCount > 1 && (session.role ?? "owner") === "owner" && (
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        deleteSession(session.id);
+                                      }}
+                                      style={{
+                                        padding: "0.35rem 0.5rem",
+                                        background: "transparent",
+                                        border: "1px solid #c0c0b8",
+                                        borderRadius: "0",
+                                        fontSize: "0.65rem",
+                                        cursor: "pointer",
+                                        fontWeight: "600",
+                                        color: "#8b0000",
+                                        transition: "all 0.15s",
+                                        textTransform: "uppercase",
+                                        letterSpacing: "0.3px"
+                                      }}
+                                      onMouseEnter={(e) => {
+                                        e.currentTarget.style.background = "#8b0000";
+                                        e.currentTarget.style.color = "#f4f4f2";
+                                        e.currentTarget.style.borderColor = "#8b0000";
+                                      }}
+                                      onMouseLeave={(e) => {
+                                        e.currentTarget.style.background = "transparent";
+                                        e.currentTarget.style.color = "#8b0000";
+                                        e.currentTarget.style.borderColor = "#c0c0b8";
+                                      }}
+                                    >
+                                      Del
+                                    </button>
+                                  )}
+                                </div>
+                              </div>
+                            );
+                          })}
+                        {sessionListing.ids.length < sessionListing.total && (
+                          <button
+                            onClick={() =>
+                              loadSessionIndex(sessionListing.page + 1)
+                                .catch((err) => console.error("[PERSISTENCE] Failed to load more sessions:", err))
+                            }
+                            style={{
+                              width: "100%",
+                              margin: "0.35rem 0",
+                              padding: "0.4rem",
+                              background: "transparent",
+                              border: "1px dashed #c0c0b8",
+                              borderRadius: "0",
+                              fontSize: "0.65rem",
+                              fontWeight: "600",
+                              color: "#6b6b68",
+                              cursor: "pointer",
+                              textTransform: "uppercase",
+                              letterSpacing: "0.3px"
+                            }}
+                          >
+                            Load more ({sessionListing.ids.length} of {sessionListing.total})
+                          </button>
+                        )}
+                      </div>
+
+                      {/* Import and Trash */}
+                      <div style={{ display: "flex", gap: "0.35rem", padding: "0.5rem 0.75rem 0.75rem", borderTop: "1px solid #e0e0d8" }}>
+                        <label
+                          style={{
+                            flex: 1,
+                            padding: "0.4rem",
+                            background: "transparent",
+                            border: "1px solid #c0c0b8",
+                            borderRadius: "0",
+                            fontSize: "0.65rem",
+                            fontWeight: "600",
+                            color: "#191918",
+                            cursor: "pointer",
+                            textAlign: "center",
+                            textTransform: "uppercase",
+                            letterSpacing: "0.3px"
+                          }}
+                          title="Import a session exported from this or another instance"
+                        >
+                          Import
+                          <input
+                            type="file"
+                            accept=".json"
+                            style={{ display: "none" }}
+                            onChange={(e) => {
+                              const file = e.target.files[0];
+                              e.target.value = "";
+                              if (file) importSession(file);
+                            }}
+                          />
+                        </label>
+                        <button
+                          onClick={openTrash}
+                          style={{
+                            flex: 1,
+                            padding: "0.4rem",
+                            background: "transparent",
+                            border: "1px solid #c0c0b8",
+                            borderRadius: "0",
+                            fontSize: "0.65rem",
+                            fontWeight: "600",
+                            color: "#191918",
+                            cursor: "pointer",
+                            textTransform: "uppercase",
+                            letterSpacing: "0.3px"
+                          }}
+                        >
+                          Trash
+                        </button>
+                      </div>
+                    </div>
+                  </>
+                )}
+              </div>
             </div>
+          )}
 
-            <div>
-              <label
-                htmlFor="json-upload"
+          {/* Core Selector, only for runs measured on several cores */}
+          {availableCoreIds.length > 1 && (
+            <div style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
+              <span style={{ fontSize: "0.75rem", color: "#6b6b68", fontWeight: "500", textTransform: "uppercase", letterSpacing: "0.5px" }}>Cores:</span>
+              <select
+                value={coreSelection}
+                onChange={(e) => setSelectedCore(e.target.value === ALL_CORES ? ALL_CORES : Number(e.target.value))}
                 style={{
-                  display: "block",
-                  fontSize: "0.65rem",
-                  fontWeight: "700",
+                  padding: "0.35rem 0.65rem",
+                  background: "#fafaf8",
+                  border: "1px solid #e0e0d8",
+                  borderRadius: "2px",
+                  fontSize: "0.8rem",
+                  fontWeight: "600",
                   color: "#191918",
-                  marginBottom: "0.4rem",
-                  textTransform: "uppercase",
-                  letterSpacing: "0.8px",
+                  cursor: "pointer",
+                  transition: "all 0.15s",
+                  fontFamily: "monospace"
                 }}
+                title="CPU and protection domain data of one core, or of all cores together"
               >
-                [2] JSON File *
-              </label>
-              <label
+                <option value={ALL_CORES}>All</option>
+                {availableCoreIds.map((id) => (
+                  <option key={id} value={id}>
+                    Core {id}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Plot Style Mode Selector */}
+          <div style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
+            <span style={{ fontSize: "0.75rem", color: "#6b6b68", fontWeight: "500", textTransform: "uppercase", letterSpacing: "0.5px" }}>Plot Style:</span>
+            <select
+              value={plotStyleMode}
+              onChange={(e) => setPlotStyleMode(e.target.value)}
+              style={{
+                padding: "0.35rem 0.65rem",
+                background: "#fafaf8",
+                border: "1px solid #e0e0d8",
+                borderRadius: "2px",
+                fontSize: "0.8rem",
+                fontWeight: "600",
+                color: "#191918",
+                cursor: "pointer",
+                transition: "all 0.15s",
+                fontFamily: "monospace"
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.background = "#f4f4f2";
+                e.currentTarget.style.borderColor = "#191918";
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.background = "#fafaf8";
+                e.currentTarget.style.borderColor = "#e0e0d8";
+              }}
+              title="Choose plot styling: Current (colorful), Paper (publication-ready), or Presentation (high-contrast)"
+            >
+              <option value="current">Current</option>
+              <option value="paper">Paper</option>
+              <option value="presentation">Presentation</option>
+            </select>
+          </div>
+
+          <button
+            onClick={async (event) => {
+              const btn = event.currentTarget;
+              const originalText = btn.textContent;
+
+              try {
+                btn.disabled = true;
+                btn.textContent = "Generating PDF...";
+
+                console.log("Exporting PDF with", runs.length, "runs");
+                await exportBenchmarkReport(runs, customPlots, coreSelection);
+                console.log("PDF export completed");
+
+                btn.textContent = "PDF Generated!";
+                setTimeout(() => {
+                  btn.textContent = originalText;
+                  btn.disabled = false;
+                }, 2000);
+              } catch (error) {
+                console.error("PDF export failed:", error);
+                alert("Failed to export PDF: " + error.message);
+
+                btn.textContent = "Export Failed";
+                setTimeout(() => {
+                  btn.textContent = originalText;
+                  btn.disabled = runs.length === 0;
+                }, 2000);
+              }
+            }}
+            className="header-btn"
+            disabled={runs.length === 0}
+            title="Export complete report with plots and data"
+          >
+            Export PDF Report
+          </button>
+
+          {!SHARE_TOKEN && (
+            <button
+              onClick={openRunSearch}
+              className="header-btn"
+              title="Find runs in any session by hardware, commit, date or notes"
+            >
+              Search Runs
+            </button>
+          )}
+
+          {authStatus?.user && (
+            <div style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
+              <span style={{ fontSize: "0.75rem", color: "#c0c0b8", fontFamily: "monospace" }}>
+                {authStatus.user.username}{authStatus.user.admin && " (admin)"}
+              </span>
+              <button
+                onClick={openApiTokens}
+                className="header-btn"
+                title="Create tokens for upload scripts and CI"
+              >
+                API Tokens
+              </button>
+              <button onClick={handleLogout} className="header-btn">
+                Log Out
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="sidebar">
+        <div className="upload-section">
+          <h2>Add New Run</h2>
+
+          <div className="input-group">
+            <label>Run Name</label>
+            <input
+              type="text"
+              placeholder="Optional"
+              value={runName}
+              onChange={(e) => setRunName(e.target.value)}
+            />
+          </div>
+
+          <div style={{
+            background: "#ffffff",
+            padding: "0.75rem",
+            border: "2px solid #191918",
+            marginTop: "0.75rem",
+            boxShadow: "2px 2px 0 rgba(25, 25, 24, 0.1)"
+          }}>
+            <div style={{ marginBottom: "0.75rem" }}>
+              <label
+                htmlFor="csv-upload"
+                style={{
+                  display: "block",
+                  fontSize: "0.65rem",
+                  fontWeight: "700",
+                  color: "#191918",
+                  marginBottom: "0.4rem",
+                  textTransform: "uppercase",
+                  letterSpacing: "0.8px",
+                }}
+              >
+                [1] Throughput Data *
+              </label>
+              <label
+                htmlFor="csv-upload"
+                style={{
+                  display: "block",
+                  padding: "0.5rem",
+                  background: csvFile ? "#f4f4f2" : "#fafaf8",
+                  border: `1px solid ${csvFile ? "#191918" : "#c0c0b8"}`,
+                  borderRadius: "0",
+                  cursor: uploading ? "not-allowed" : "pointer",
+                  transition: "all 0.15s",
+                  fontSize: "0.7rem",
+                  fontWeight: csvFile ? "700" : "500",
+                  color: "#191918",
+                  textAlign: "center",
+                }}
+                onMouseEnter={(e) => {
+                  if (!uploading && !csvFile) {
+                    e.currentTarget.style.borderColor = "#191918";
+                    e.currentTarget.style.background = "#f4f4f2";
+                  }
+                }}
+                onMouseLeave={(e) => {
+                  if (!csvFile) {
+                    e.currentTarget.style.borderColor = "#c0c0b8";
+                    e.currentTarget.style.background = "#fafaf8";
+                  }
+                }}
+              >
+                {csvFile ? `[✓] ${csvFile.name}` : "[ SELECT CSV OR IPBENCH LOG ]"}
+              </label>
+              <input
+                id="csv-upload"
+                type="file"
+                accept=".csv,.log,.txt"
+                onChange={handleCsvFileSelect}
+                disabled={uploading}
+                style={{ display: "none" }}
+              />
+            </div>
+
+            <div>
+              <label
+                htmlFor="json-upload"
+                style={{
+                  display: "block",
+                  fontSize: "0.65rem",
+                  fontWeight: "700",
+                  color: "#191918",
+                  marginBottom: "0.4rem",
+                  textTransform: "uppercase",
+                  letterSpacing: "0.8px",
+                }}
+              >
+                [2] CPU Data *
+              </label>
+              <label
                 htmlFor="json-upload"
                 style={{
                   display: "block",
@@ -1779,12 +3116,12 @@ function App() {
                   }
                 }}
               >
-                {jsonFile ? `[✓] ${jsonFile.name}` : "[ SELECT JSON FILE ]"}
+                {jsonFile ? `[✓] ${jsonFile.name}` : "[ SELECT JSON OR SERIAL LOG ]"}
               </label>
               <input
                 id="json-upload"
                 type="file"
-                accept=".json"
+                accept=".json,.log,.txt"
                 onChange={handleJsonFileSelect}
                 disabled={uploading}
                 style={{ display: "none" }}
@@ -1917,6 +3254,63 @@ function App() {
                   }}
                 />
               </div>
+              <div style={{ marginBottom: "0.6rem" }}>
+                <label style={{
+                  display: "block",
+                  fontSize: "0.65rem",
+                  fontWeight: "700",
+                  color: "#191918",
+                  marginBottom: "0.3rem",
+                  textTransform: "uppercase",
+                  letterSpacing: "0.5px",
+                }}>
+                  Tags
+                </label>
+                <input
+                  type="text"
+                  value={newRunMetadata.tags}
+                  onChange={(e) => setNewRunMetadata({ ...newRunMetadata, tags: e.target.value })}
+                  placeholder="baseline, lto"
+                  style={{
+                    width: "100%",
+                    padding: "0.45rem",
+                    border: "1px solid #c0c0b8",
+                    borderRadius: "0",
+                    fontSize: "0.75rem",
+                    fontFamily: "monospace",
+                    background: "#fafaf8"
+                  }}
+                />
+              </div>
+              <div style={{ marginBottom: "0.6rem" }}>
+                <label style={{
+                  display: "block",
+                  fontSize: "0.65rem",
+                  fontWeight: "700",
+                  color: "#191918",
+                  marginBottom: "0.3rem",
+                  textTransform: "uppercase",
+                  letterSpacing: "0.5px",
+                }}>
+                  Fields (key=value per line)
+                </label>
+                <textarea
+                  value={newRunMetadata.fields}
+                  onChange={(e) => setNewRunMetadata({ ...newRunMetadata, fields: e.target.value })}
+                  placeholder={"nic=i225\ncompiler=clang 18\nsddf_branch=main"}
+                  rows={3}
+                  style={{
+                    width: "100%",
+                    padding: "0.45rem",
+                    border: "1px solid #c0c0b8",
+                    borderRadius: "0",
+                    fontSize: "0.75rem",
+                    resize: "vertical",
+                    fontFamily: "monospace",
+                    background: "#fafaf8"
+                  }}
+                />
+              </div>
               <div>
                 <label style={{
                   display: "block",
@@ -1956,11 +3350,53 @@ function App() {
           >
             {uploading ? "[...] Adding..." : "[→] Add Run"}
           </button>
+          {uploadProgress && (
+            <div style={{ marginTop: "0.5rem" }}>
+              <div style={{ height: "6px", border: "1px solid #c0c0b8", background: "#fafaf8" }}>
+                <div
+                  style={{
+                    width: `${uploadProgress.total > 0 ? (uploadProgress.sent / uploadProgress.total) * 100 : 100}%`,
+                    height: "100%",
+                    background: "#191918",
+                    transition: "width 0.15s"
+                  }}
+                />
+              </div>
+              <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginTop: "0.25rem", fontFamily: "monospace" }}>
+                {uploadProgress.sent < uploadProgress.total
+                  ? `Uploading ${formatBytes(uploadProgress.sent)} of ${formatBytes(uploadProgress.total)}`
+                  : "Saving run..."}
+              </div>
+            </div>
+          )}
         </div>
 
         {runs.length > 0 && (
           <div className="runs-list">
             <h2>Loaded Runs ({runs.length})</h2>
+            <input
+              type="text"
+              value={runFilter}
+              onChange={(e) => setRunFilter(e.target.value)}
+              placeholder="Filter: lto #baseline nic=i225"
+              title="Terms must all match: a tag or run name, #tag for an exact tag, key=value for a metadata field"
+              style={{
+                width: "100%",
+                boxSizing: "border-box",
+                padding: "0.4rem 0.5rem",
+                marginBottom: "0.5rem",
+                background: "#fff",
+                border: "1px solid #c0c0b8",
+                borderRadius: "0",
+                fontSize: "0.75rem",
+                fontFamily: "monospace"
+              }}
+            />
+            {runFilter.trim() && !runs.some((run) => matchesMetadataFilter(run, runFilter)) && (
+              <div style={{ padding: "0.25rem", fontSize: "0.7rem", color: "#6b6b68" }}>
+                No runs match "{runFilter}"
+              </div>
+            )}
             <DndContext
               sensors={sensors}
               collisionDetection={closestCenter}
@@ -1968,11 +3404,11 @@ function App() {
               modifiers={[restrictToVerticalAxis, restrictToParentElement]}
             >
               <SortableContext
-                items={runs.map(r => r.id)}
+                items={runs.filter((run) => matchesMetadataFilter(run, runFilter)).map(r => r.id)}
                 strategy={verticalListSortingStrategy}
               >
                 <ul>
-                  {runs.map((run, index) => (
+                  {runs.map((run, index) => matchesMetadataFilter(run, runFilter) && (
                     <SortableRunItem
                       key={run.id}
                       run={run}
@@ -2020,7 +3456,7 @@ function App() {
               </button>
               {runs.some(
                 (run) =>
-                  run.cpuData?.tests?.[0]?.cores?.[0]?.protection_domains?.[0],
+                  testProtectionDomains(run.cpuData?.tests?.[0]).length > 0,
               ) && (
                 <button
                   className={`tab ${activeTab === "protection-domains" ? "active" : ""}`}
@@ -2045,21 +3481,24 @@ function App() {
                       plot={plot}
                       activeTab={activeTab}
                       onTabClick={() => setActiveTab(`custom-${plot.id}`)}
-                      onDelete={() => deleteCustomPlot(plot.id)}
+                      onDelete={SHARE_TOKEN ? undefined : () => deleteCustomPlot(plot.id)}
+                      onShare={canEditSession ? () => openShareDialog(plot) : undefined}
                     />
                   ))}
                 </SortableContext>
               </DndContext>
-              <button
-                className="tab add-tab"
-                onClick={() => {
-                  setEditingPlotId(null);
-                  setShowPlotDialog(true);
-                }}
-                title="Add custom plot"
-              >
-                +
-              </button>
+              {!SHARE_TOKEN && (
+                <button
+                  className="tab add-tab"
+                  onClick={() => {
+                    setEditingPlotId(null);
+                    setShowPlotDialog(true);
+                  }}
+                  title="Add custom plot"
+                >
+                  +
+                </button>
+              )}
             </div>
 
             {activeTab === "throughput" && (
@@ -2359,10 +3798,11 @@ function App() {
                 // Throughput + CPU plot
                 const activeCpuType = customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total";
                 const getCpuValue = (test) => {
-                  if (!test.system) return 0;
-                  if (activeCpuType === "kernel") return test.system.kernel_cpu_utilization || 0;
-                  if (activeCpuType === "user") return test.system.user_cpu_utilization || 0;
-                  return test.system.cpu_utilization || 0;
+                  const cpu = testCpu(test, coreSelection);
+                  if (!cpu) return 0;
+                  if (activeCpuType === "kernel") return cpu.kernel_cpu_utilization || 0;
+                  if (activeCpuType === "user") return cpu.user_cpu_utilization || 0;
+                  return cpu.cpu_utilization || 0;
                 };
                 const cpuTypeLabel = activeCpuType.charAt(0).toUpperCase() + activeCpuType.slice(1);
 
@@ -2608,7 +4048,7 @@ function App() {
                 // Collect all unique PDs from selected runs
                 const allUniquePDs = new Map();
                 selectedRunsData.forEach((run) => {
-                  run.cpuData?.tests?.[0]?.cores?.[0]?.protection_domains?.forEach(
+                  testProtectionDomains(run.cpuData?.tests?.[0], coreSelection).forEach(
                     (pd) => {
                       if (!allUniquePDs.has(pd.name)) {
                         allUniquePDs.set(pd.name, true);
@@ -2650,21 +4090,13 @@ function App() {
                     const baselineSuffix = getBaselineSuffix(run.id);
 
                     if (run.cpuData?.tests) {
-                      const runPDs =
-                        run.cpuData.tests[0]?.cores?.[0]?.protection_domains ||
-                        [];
-                      const pdIndexInRun = runPDs.findIndex(
-                        (p) => p.name === pdName,
-                      );
-
-                      if (pdIndexInRun !== -1) {
+                      if (findProtectionDomain(run.cpuData.tests[0], pdName, coreSelection)) {
                         const activeCpuType =
                           customPlotCpuTypes[customPlot.id] ||
                           customPlot.cpuType ||
                           "total";
                         const getCpuValue = (test) => {
-                          const pd =
-                            test.cores?.[0]?.protection_domains?.[pdIndexInRun];
+                          const pd = findProtectionDomain(test, pdName, coreSelection);
                           if (!pd) return 0;
                           if (activeCpuType === "kernel")
                             return pd.kernel_cpu_utilization || 0;
@@ -2949,10 +4381,8 @@ function App() {
                         const throughputMbps = Math.round(d.Requested_Throughput / 1000000);
                         const jsonTest = jsonDataMap.get(throughputMbps);
 
-                        if (jsonTest?.cores?.[0]?.protection_domains) {
-                          const pd = jsonTest.cores[0].protection_domains.find(
-                            p => p.name === customPlot.miscPD
-                          );
+                        if (jsonTest) {
+                          const pd = findProtectionDomain(jsonTest, customPlot.miscPD, coreSelection);
 
                           if (pd) {
                             metricSource = `${customPlot.miscPD}`;
@@ -2976,10 +4406,8 @@ function App() {
 
                       if (customPlot.miscPD) {
                         // Per-PD kernel entries
-                        if (jsonTest?.cores?.[0]?.protection_domains) {
-                          const pd = jsonTest.cores[0].protection_domains.find(
-                            p => p.name === customPlot.miscPD
-                          );
+                        if (jsonTest) {
+                          const pd = findProtectionDomain(jsonTest, customPlot.miscPD, coreSelection);
                           if (pd) {
                             kernelEntries = pd.kernel_entries || 0;
                             metricSource = `${customPlot.miscPD}`;
@@ -2987,8 +4415,8 @@ function App() {
                         }
                       } else {
                         // System total - sum all PD kernel entries
-                        if (jsonTest?.cores?.[0]?.protection_domains) {
-                          kernelEntries = jsonTest.cores[0].protection_domains.reduce(
+                        if (jsonTest) {
+                          kernelEntries = testProtectionDomains(jsonTest, coreSelection).reduce(
                             (sum, pd) => sum + (pd.kernel_entries || 0), 0
                           );
                           metricSource = "System Total";
@@ -3167,145 +4595,38 @@ function App() {
                 };
               }
 
+              // Statistics against the baseline run; point matching lives in shared/compare.js
+              const statsBaselineRun = selectedRunsData[0];
+              const statsCompareRuns = selectedRunsData.slice(1);
+              const statsCpuType = customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total";
+
               // Calculate statistics for misc plots
               const calculateMiscStats = () => {
                 if (customPlot.plotType !== "misc" || selectedRunsData.length < 2) return null;
 
-                const activeCycleType = customPlotMiscCycleTypes[customPlot.id] || "total";
-                const miscMetric = customPlot.miscMetric || "cycles";
-                const baselineRun = selectedRunsData[0];
-                const stats = { comparisons: [] };
-
-                // Helper function to calculate metric per packet
-                const getMetricPerPacket = (run, dataPoint) => {
-                  const packetsSent = 200000;
-                  const warmup = 10;
-                  const cooldown = 10;
-                  const packetSizeBytes = dataPoint.Packet_Size || 1472;
-                  const packetSizeBits = packetSizeBytes * 8;
-                  const packetRate = dataPoint.Receive_Throughput / packetSizeBits;
-                  const totalPackets = packetsSent + (warmup + cooldown) * packetRate;
-
-                  let metricValue = 0;
-
-                  if (miscMetric === "cycles") {
-                    let cycles = dataPoint.Total_Cycles;
-
-                    // If a PD is selected, use PD cycles from JSON data
-                    if (customPlot.miscPD && run.cpuData?.tests) {
-                      const throughputMbps = Math.round(dataPoint.Requested_Throughput / 1000000);
-                      const jsonTest = run.cpuData.tests.find(test => test.throughput_mbps === throughputMbps);
-
-                      if (jsonTest?.cores?.[0]?.protection_domains) {
-                        const pd = jsonTest.cores[0].protection_domains.find(p => p.name === customPlot.miscPD);
-
-                        if (pd) {
-                          if (activeCycleType === "kernel") {
-                            cycles = pd.kernel_cycles || 0;
-                          } else if (activeCycleType === "user") {
-                            cycles = pd.user_cycles || 0;
-                          } else {
-                            cycles = pd.total_cycles || 0;
-                          }
-                        }
-                      }
-                    }
-                    metricValue = cycles / totalPackets;
-                  } else if (miscMetric === "kernel_entries") {
-                    let kernelEntries = 0;
-
-                    if (run.cpuData?.tests) {
-                      const throughputMbps = Math.round(dataPoint.Requested_Throughput / 1000000);
-                      const jsonTest = run.cpuData.tests.find(test => test.throughput_mbps === throughputMbps);
-
-                      if (customPlot.miscPD) {
-                        // Per-PD kernel entries
-                        if (jsonTest?.cores?.[0]?.protection_domains) {
-                          const pd = jsonTest.cores[0].protection_domains.find(p => p.name === customPlot.miscPD);
-                          if (pd) {
-                            kernelEntries = pd.kernel_entries || 0;
-                          }
-                        }
-                      } else {
-                        // System total - sum all PD kernel entries
-                        if (jsonTest?.cores?.[0]?.protection_domains) {
-                          kernelEntries = jsonTest.cores[0].protection_domains.reduce(
-                            (sum, pd) => sum + (pd.kernel_entries || 0), 0
-                          );
-                        }
-                      }
-                    }
-                    metricValue = kernelEntries / totalPackets;
-                  } else if (miscMetric === "l1_i_misses" || miscMetric === "l1_d_misses") {
-                    // Get L1 cache misses from PMU data
-                    const cacheMetricName = miscMetric === "l1_i_misses" ? "L1 i-cache misses" : "L1 d-cache misses";
-
-                    if (run.cpuData?.pmu_data?.[cacheMetricName]) {
-                      const throughputMbps = Math.round(dataPoint.Requested_Throughput / 1000000);
-                      const throughputs = run.cpuData.metadata?.test_throughputs || [];
-                      const idx = throughputs.indexOf(throughputMbps);
-
-                      if (idx !== -1 && run.cpuData.pmu_data[cacheMetricName][idx] !== undefined) {
-                        const cacheMisses = run.cpuData.pmu_data[cacheMetricName][idx];
-                        metricValue = cacheMisses / totalPackets;
-                      }
-                    }
-                  }
-
-                  return metricValue;
+                const target = {
+                  metric: "misc",
+                  core: coreSelection,
+                  misc: {
+                    miscMetric: customPlot.miscMetric || "cycles",
+                    miscPD: customPlot.miscPD,
+                    cycleType: customPlotMiscCycleTypes[customPlot.id] || "total",
+                  },
                 };
-
-                // Get baseline data points
-                const baselinePoints = baselineRun.data
-                  .filter(filterByThroughputRange)
-                  .map(d => ({
-                    throughput: d.Requested_Throughput,
-                    metricPerPacket: getMetricPerPacket(baselineRun, d)
+                const comparisons = statsCompareRuns
+                  .map((compareRun) => ({
+                    compareRun,
+                    summary: compareRuns(statsBaselineRun, compareRun, target, throughputRange).summary,
+                  }))
+                  .filter(({ summary }) => summary.meanRelDelta !== null)
+                  .map(({ compareRun, summary }) => ({
+                    runName: compareRun.name,
+                    baselineName: statsBaselineRun.name,
+                    meanRel: summary.meanRelDelta,
+                    meanAbs: summary.meanAbsDelta
                   }));
 
-                // Compare each other run
-                for (let i = 1; i < selectedRunsData.length; i++) {
-                  const compareRun = selectedRunsData[i];
-
-                  const comparePoints = compareRun.data
-                    .filter(filterByThroughputRange)
-                    .map(d => ({
-                      throughput: d.Requested_Throughput,
-                      metricPerPacket: getMetricPerPacket(compareRun, d)
-                    }));
-
-                  // Match points and calculate diffs
-                  const diffs = [];
-                  const absDiffs = [];
-
-                  baselinePoints.forEach(basePt => {
-                    const matchPt = comparePoints.find(pt => pt.throughput === basePt.throughput);
-
-                    if (matchPt) {
-                      const baseVal = basePt.metricPerPacket;
-                      const matchVal = matchPt.metricPerPacket;
-
-                      if (baseVal > 0) {
-                        diffs.push(((matchVal - baseVal) / baseVal) * 100);
-                      }
-                      absDiffs.push(matchVal - baseVal);
-                    }
-                  });
-
-                  if (diffs.length > 0) {
-                    const meanRel = diffs.reduce((a, b) => a + b, 0) / diffs.length;
-                    const meanAbs = absDiffs.reduce((a, b) => a + b, 0) / absDiffs.length;
-
-                    stats.comparisons.push({
-                      runName: compareRun.name,
-                      baselineName: baselineRun.name,
-                      meanRel,
-                      meanAbs
-                    });
-                  }
-                }
-
-                return stats.comparisons.length > 0 ? stats : null;
+                return comparisons.length > 0 ? { comparisons } : null;
               };
 
               const miscStats = customPlot.plotType === "misc" ? calculateMiscStats() : null;
@@ -3314,93 +4635,24 @@ function App() {
               const calculatePDStats = () => {
                 if (customPlot.plotType !== "pds" || selectedRunsData.length < 2) return null;
 
-                const activeCpuType = customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total";
-                const baselineRun = selectedRunsData[0];
-                const stats = [];
-
-                customPlot.selectedPDs.forEach(pdName => {
-                  const pdStats = { pdName, comparisons: [] };
-
-                  // Get baseline data
-                  const baselinePoints = [];
-                  baselineRun.cpuData?.tests?.forEach((test, testIdx) => {
-                    const pd = test.cores?.[0]?.protection_domains?.find(p => p.name === pdName);
-                    if (pd) {
-                      const throughput = baselineRun.data[testIdx]?.Receive_Throughput || 0;
-                      // Filter by throughput range
-                      const inRange = filterByThroughputRange({ Requested_Throughput: throughput });
-                      if (inRange) {
-                        baselinePoints.push({
-                          throughput: throughput / 1e6,
-                          total: pd.cpu_utilization || 0,
-                          kernel: pd.kernel_cpu_utilization || 0,
-                          user: pd.user_cpu_utilization || 0
-                        });
-                      }
-                    }
-                  });
-
-                  // Compare each other run
-                  for (let i = 1; i < selectedRunsData.length; i++) {
-                    const compareRun = selectedRunsData[i];
-                    const comparePoints = [];
-
-                    compareRun.cpuData?.tests?.forEach((test, testIdx) => {
-                      const pd = test.cores?.[0]?.protection_domains?.find(p => p.name === pdName);
-                      if (pd) {
-                        const throughput = compareRun.data[testIdx]?.Receive_Throughput || 0;
-                        // Filter by throughput range
-                        const inRange = filterByThroughputRange({ Requested_Throughput: throughput });
-                        if (inRange) {
-                          comparePoints.push({
-                            throughput: throughput / 1e6,
-                            total: pd.cpu_utilization || 0,
-                            kernel: pd.kernel_cpu_utilization || 0,
-                            user: pd.user_cpu_utilization || 0
-                          });
-                        }
-                      }
-                    });
-
-                    // Match points and calculate diffs
-                    const diffs = [];
-                    const absDiffs = [];
-
-                    baselinePoints.forEach(basePt => {
-                      const matchPt = comparePoints.reduce((closest, pt) => {
-                        const diff = Math.abs(pt.throughput - basePt.throughput);
-                        const closestDiff = Math.abs(closest.throughput - basePt.throughput);
-                        return diff < closestDiff ? pt : closest;
-                      }, comparePoints[0]);
-
-                      if (matchPt && Math.abs(matchPt.throughput - basePt.throughput) < 1.0) {
-                        const baseVal = basePt[activeCpuType];
-                        const matchVal = matchPt[activeCpuType];
-
-                        if (baseVal > 0) {
-                          diffs.push(((matchVal - baseVal) / baseVal) * 100);
-                        }
-                        absDiffs.push(matchVal - baseVal);
-                      }
-                    });
-
-                    if (diffs.length > 0) {
-                      const meanRel = diffs.reduce((a, b) => a + b, 0) / diffs.length;
-                      const meanAbs = absDiffs.reduce((a, b) => a + b, 0) / absDiffs.length;
-
-                      pdStats.comparisons.push({
+                const stats = customPlot.selectedPDs
+                  .map((pdName) => {
+                    const target = { metric: "pd", pd: pdName, cpuType: statsCpuType, core: coreSelection };
+                    const comparisons = statsCompareRuns
+                      .map((compareRun) => ({
+                        compareRun,
+                        summary: compareRuns(statsBaselineRun, compareRun, target, throughputRange).summary,
+                      }))
+                      .filter(({ summary }) => summary.meanRelDelta !== null)
+                      .map(({ compareRun, summary }) => ({
                         runName: compareRun.name,
-                        baselineName: baselineRun.name,
-                        meanRel,
-                        meanAbs
-                      });
-                    }
-                  }
-
-                  if (pdStats.comparisons.length > 0) {
-                    stats.push(pdStats);
-                  }
-                });
+                        baselineName: statsBaselineRun.name,
+                        meanRel: summary.meanRelDelta,
+                        meanAbs: summary.meanAbsDelta
+                      }));
+                    return { pdName, comparisons };
+                  })
+                  .filter((pdStats) => pdStats.comparisons.length > 0);
 
                 return stats.length > 0 ? stats : null;
               };
@@ -3411,75 +4663,26 @@ function App() {
               const calculateCacheStats = () => {
                 if (customPlot.plotType !== "cache" || selectedRunsData.length < 2) return null;
 
-                const baselineRun = selectedRunsData[0];
-                const stats = [];
-
-                customPlot.cacheMetrics.forEach(metricName => {
-                  const metricStats = { metricName, comparisons: [] };
-
-                  const baselineData = baselineRun.cpuData?.pmu_data?.[metricName] || [];
-
-                  // Compare each other run
-                  for (let i = 1; i < selectedRunsData.length; i++) {
-                    const compareRun = selectedRunsData[i];
-                    const compareData = compareRun.cpuData?.pmu_data?.[metricName] || [];
-
-                    if (baselineData.length > 0 && compareData.length > 0) {
-                      const minLength = Math.min(baselineData.length, compareData.length);
-                      const relDiffs = [];
-                      const absDiffs = [];
-
-                      // Calculate point-by-point differences
-                      for (let j = 0; j < minLength; j++) {
-                        // Filter by throughput range - check if this test index is within range
-                        const baselineThroughput = baselineRun.data[j]?.Requested_Throughput;
-                        const compareThroughput = compareRun.data[j]?.Requested_Throughput;
-
-                        const baselineInRange = baselineThroughput ? filterByThroughputRange({ Requested_Throughput: baselineThroughput }) : false;
-                        const compareInRange = compareThroughput ? filterByThroughputRange({ Requested_Throughput: compareThroughput }) : false;
-
-                        if (!baselineInRange || !compareInRange) continue;
-
-                        const baseline = baselineData[j];
-                        const compare = compareData[j];
-
-                        if (baseline > 0) {
-                          relDiffs.push(((compare - baseline) / baseline) * 100);
-                        }
-                        absDiffs.push(compare - baseline);
-                      }
-
-                      // Calculate averages for display (only for points within range)
-                      const baselineFiltered = baselineData.filter((_, idx) => {
-                        const throughput = baselineRun.data[idx]?.Requested_Throughput;
-                        return throughput && filterByThroughputRange({ Requested_Throughput: throughput });
-                      });
-                      const compareFiltered = compareData.filter((_, idx) => {
-                        const throughput = compareRun.data[idx]?.Requested_Throughput;
-                        return throughput && filterByThroughputRange({ Requested_Throughput: throughput });
-                      });
-                      const baselineAvg = baselineFiltered.length > 0 ? baselineFiltered.reduce((a, b) => a + b, 0) / baselineFiltered.length : 0;
-                      const compareAvg = compareFiltered.length > 0 ? compareFiltered.reduce((a, b) => a + b, 0) / compareFiltered.length : 0;
-
-                      // Mean of point-by-point relative differences
-                      const meanRelDiff = relDiffs.length > 0 ? relDiffs.reduce((a, b) => a + b, 0) / relDiffs.length : 0;
-                      const meanAbsDiff = absDiffs.length > 0 ? absDiffs.reduce((a, b) => a + b, 0) / absDiffs.length : 0;
-
-                      metricStats.comparisons.push({
-                        runName: compareRun.name,
-                        baselineName: baselineRun.name,
-                        baselineAvg,
-                        compareAvg,
-                        relDiff: meanRelDiff,
-                        absDiff: meanAbsDiff
-                      });
-                    }
-                  }
-
-                  if (metricStats.comparisons.length > 0) {
-                    stats.push(metricStats);
-                  }
-                });
+                const stats = customPlot.cacheMetrics
+                  .map((metricName) => {
+                    const target = { metric: "pmu", pmu: metricName };
+                    const hasData = (run) => (run.cpuData?.pmu_data?.[metricName] || []).length > 0;
+                    const comparisons = hasData(statsBaselineRun)
+                      ? statsCompareRuns.filter(hasData).map((compareRun) => {
+                          const { summary } = compareRuns(statsBaselineRun, compareRun, target, throughputRange);
+                          return {
+                            runName: compareRun.name,
+                            baselineName: statsBaselineRun.name,
+                            baselineAvg: summary.baselineMean ?? 0,
+                            compareAvg: summary.compareMean ?? 0,
+                            relDiff: summary.meanRelDelta ?? 0,
+                            absDiff: summary.meanAbsDelta ?? 0
+                          };
+                        })
+                      : [];
+                    return { metricName, comparisons };
+                  })
+                  .filter((metricStats) => metricStats.comparisons.length > 0);
 
                 return stats.length > 0 ? stats : null;
               };
@@ -3490,104 +4693,26 @@ function App() {
               const calculateXputCpuStats = () => {
                 if (customPlot.plotType !== "xput-cpu" || selectedRunsData.length < 2) return null;
 
-                const baselineRun = selectedRunsData[0];
-                const activeCpuType = customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total";
-
-                const getCpuValue = (test) => {
-                  if (!test.system) return 0;
-                  if (activeCpuType === "kernel") return test.system.kernel_cpu_utilization || 0;
-                  if (activeCpuType === "user") return test.system.user_cpu_utilization || 0;
-                  return test.system.cpu_utilization || 0;
-                };
+                const summarize = (target) =>
+                  statsCompareRuns
+                    .map((compareRun) => ({
+                      compareRun,
+                      summary: compareRuns(statsBaselineRun, compareRun, target, throughputRange).summary,
+                    }))
+                    .filter(({ summary }) => summary.meanRelDelta !== null)
+                    .map(({ compareRun, summary }) => ({
+                      runName: compareRun.name,
+                      baselineName: statsBaselineRun.name,
+                      baselineAvg: summary.baselineMean,
+                      compareAvg: summary.compareMean,
+                      relDiff: summary.meanRelDelta
+                    }));
 
                 const stats = {
-                  throughput: { comparisons: [] },
-                  cpu: { comparisons: [] }
+                  throughput: { comparisons: summarize({ metric: "throughput" }) },
+                  cpu: { comparisons: summarize({ metric: "cpu", cpuType: statsCpuType, core: coreSelection }) }
                 };
 
-                // Get baseline data (filtered by throughput range)
-                const baselineThroughputData = baselineRun.data
-                  .filter(filterByThroughputRange)
-                  .map(d => d.Receive_Throughput);
-                const baselineCpuData = baselineRun.cpuData?.tests
-                  ?.filter((test, idx) => {
-                    const throughput = test.throughput_mbps * 1e6;
-                    return filterByThroughputRange({ Requested_Throughput: throughput });
-                  })
-                  .map(getCpuValue) || [];
-
-                // Compare each other run
-                for (let i = 1; i < selectedRunsData.length; i++) {
-                  const compareRun = selectedRunsData[i];
-
-                  // Throughput comparison (filtered by throughput range)
-                  const compareThroughputData = compareRun.data
-                    .filter(filterByThroughputRange)
-                    .map(d => d.Receive_Throughput);
-                  if (baselineThroughputData.length > 0 && compareThroughputData.length > 0) {
-                    const minLength = Math.min(baselineThroughputData.length, compareThroughputData.length);
-                    const relDiffs = [];
-
-                    for (let j = 0; j < minLength; j++) {
-                      const baseline = baselineThroughputData[j];
-                      const compare = compareThroughputData[j];
-
-                      if (baseline > 0) {
-                        relDiffs.push(((compare - baseline) / baseline) * 100);
-                      }
-                    }
-
-                    if (relDiffs.length > 0) {
-                      const baselineAvg = baselineThroughputData.reduce((a, b) => a + b, 0) / baselineThroughputData.length;
-                      const compareAvg = compareThroughputData.reduce((a, b) => a + b, 0) / compareThroughputData.length;
-                      const meanRelDiff = relDiffs.reduce((a, b) => a + b, 0) / relDiffs.length;
-
-                      stats.throughput.comparisons.push({
-                        runName: compareRun.name,
-                        baselineName: baselineRun.name,
-                        baselineAvg,
-                        compareAvg,
-                        relDiff: meanRelDiff
-                      });
-                    }
-                  }
-
-                  // CPU comparison (filtered by throughput range)
-                  const compareCpuData = compareRun.cpuData?.tests
-                    ?.filter((test, idx) => {
-                      const throughput = test.throughput_mbps * 1e6;
-                      return filterByThroughputRange({ Requested_Throughput: throughput });
-                    })
-                    .map(getCpuValue) || [];
-                  if (baselineCpuData.length > 0 && compareCpuData.length > 0) {
-                    const minLength = Math.min(baselineCpuData.length, compareCpuData.length);
-                    const relDiffs = [];
-
-                    for (let j = 0; j < minLength; j++) {
-                      const baseline = baselineCpuData[j];
-                      const compare = compareCpuData[j];
-
-                      if (baseline > 0) {
-                        relDiffs.push(((compare - baseline) / baseline) * 100);
-                      }
-                    }
-
-                    if (relDiffs.length > 0) {
-                      const baselineAvg = baselineCpuData.reduce((a, b) => a + b, 0) / baselineCpuData.length;
-                      const compareAvg = compareCpuData.reduce((a, b) => a + b, 0) / compareCpuData.length;
-                      const meanRelDiff = relDiffs.reduce((a, b) => a + b, 0) / relDiffs.length;
-
-                      stats.cpu.comparisons.push({
-                        runName: compareRun.name,
-                        baselineName: baselineRun.name,
-                        baselineAvg,
-                        compareAvg,
-                        relDiff: meanRelDiff
-                      });
-                    }
-                  }
-                }
-
                 return (stats.throughput.comparisons.length > 0 || stats.cpu.comparisons.length > 0) ? stats : null;
               };
 
@@ -3910,32 +5035,34 @@ function App() {
                         </div>
                       )}
                     </div>
-                    <button
-                      onClick={() => editCustomPlot(customPlot)}
-                      style={{
-                        padding: "0.35rem 0.75rem",
-                        borderRadius: "0",
-                        border: "1px solid #c0c0b8",
-                        fontSize: "0.7rem",
-                        fontWeight: "700",
-                        backgroundColor: "#ffffff",
-                        color: "#191918",
-                        cursor: "pointer",
-                        transition: "all 0.15s",
-                        textTransform: "uppercase",
-                        letterSpacing: "0.5px",
-                      }}
-                      onMouseEnter={(e) => {
-                        e.currentTarget.style.background = "#f4f4f2";
-                        e.currentTarget.style.borderColor = "#191918";
-                      }}
-                      onMouseLeave={(e) => {
-                        e.currentTarget.style.background = "#ffffff";
-                        e.currentTarget.style.borderColor = "#c0c0b8";
-                      }}
-                    >
-                      ✎ Edit Plot
-                    </button>
+                    {!SHARE_TOKEN && (
+                      <button
+                        onClick={() => editCustomPlot(customPlot)}
+                        style={{
+                          padding: "0.35rem 0.75rem",
+                          borderRadius: "0",
+                          border: "1px solid #c0c0b8",
+                          fontSize: "0.7rem",
+                          fontWeight: "700",
+                          backgroundColor: "#ffffff",
+                          color: "#191918",
+                          cursor: "pointer",
+                          transition: "all 0.15s",
+                          textTransform: "uppercase",
+                          letterSpacing: "0.5px",
+                        }}
+                        onMouseEnter={(e) => {
+                          e.currentTarget.style.background = "#f4f4f2";
+                          e.currentTarget.style.borderColor = "#191918";
+                        }}
+                        onMouseLeave={(e) => {
+                          e.currentTarget.style.background = "#ffffff";
+                          e.currentTarget.style.borderColor = "#c0c0b8";
+                        }}
+                      >
+                        ✎ Edit Plot
+                      </button>
+                    )}
                   </div>
                   <div className="chart-section" style={{ height: (pdStats || cacheStats || xputCpuStats) ? "calc(100vh - 320px)" : "calc(100vh - 220px)", minHeight: "500px" }}>
                     <Plot
@@ -4076,567 +5203,1492 @@ function App() {
                         </div>
                       </div>
 
-                      {pdStats.map(({ pdName, comparisons }) => (
-                        <div key={pdName} style={{ marginBottom: "0.75rem" }}>
-                          <div style={{
-                            fontWeight: "700",
-                            color: "#191918",
-                            marginBottom: "0.35rem",
-                            fontSize: "0.7rem",
-                            textTransform: "uppercase",
-                            letterSpacing: "0.5px"
-                          }}>
-                            [{pdName}]
-                          </div>
-                          {comparisons.map((comp, idx) => (
-                            <div key={idx} style={{
-                              marginLeft: "1rem",
-                              color: "#191918",
-                              lineHeight: "1.7",
-                              fontFamily: "monospace",
-                              fontSize: "0.7rem"
-                            }}>
-                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.meanRel >= 0 ? "#8b0000" : "#006400" }}>{comp.meanRel >= 0 ? '+' : ''}{comp.meanRel.toFixed(1)}%</span> ({comp.meanAbs >= 0 ? '+' : ''}{comp.meanAbs.toFixed(2)}pp)
-                            </div>
-                          ))}
-                        </div>
-                      ))}
-                    </div>
-                  )}
-                  {cacheStats && (
-                    <div style={{
-                      padding: "1rem 1.5rem",
-                      background: "#fafaf8",
-                      borderTop: "2px solid #191918",
-                      fontSize: "0.75rem",
-                      maxHeight: "200px",
-                      overflowY: "auto"
-                    }}>
-                      <div style={{
-                        fontWeight: "700",
-                        marginBottom: "0.75rem",
-                        color: "#191918",
-                        fontSize: "0.7rem",
-                        textTransform: "uppercase",
-                        letterSpacing: "0.8px"
-                      }}>
-                        Cache Metrics Comparison vs Baseline
+                      {pdStats.map(({ pdName, comparisons }) => (
+                        <div key={pdName} style={{ marginBottom: "0.75rem" }}>
+                          <div style={{
+                            fontWeight: "700",
+                            color: "#191918",
+                            marginBottom: "0.35rem",
+                            fontSize: "0.7rem",
+                            textTransform: "uppercase",
+                            letterSpacing: "0.5px"
+                          }}>
+                            [{pdName}]
+                          </div>
+                          {comparisons.map((comp, idx) => (
+                            <div key={idx} style={{
+                              marginLeft: "1rem",
+                              color: "#191918",
+                              lineHeight: "1.7",
+                              fontFamily: "monospace",
+                              fontSize: "0.7rem"
+                            }}>
+                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.meanRel >= 0 ? "#8b0000" : "#006400" }}>{comp.meanRel >= 0 ? '+' : ''}{comp.meanRel.toFixed(1)}%</span> ({comp.meanAbs >= 0 ? '+' : ''}{comp.meanAbs.toFixed(2)}pp)
+                            </div>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {cacheStats && (
+                    <div style={{
+                      padding: "1rem 1.5rem",
+                      background: "#fafaf8",
+                      borderTop: "2px solid #191918",
+                      fontSize: "0.75rem",
+                      maxHeight: "200px",
+                      overflowY: "auto"
+                    }}>
+                      <div style={{
+                        fontWeight: "700",
+                        marginBottom: "0.75rem",
+                        color: "#191918",
+                        fontSize: "0.7rem",
+                        textTransform: "uppercase",
+                        letterSpacing: "0.8px"
+                      }}>
+                        Cache Metrics Comparison vs Baseline
+                      </div>
+
+                      {/* Formula Display */}
+                      <div style={{
+                        background: "#ffffff",
+                        border: "2px solid #191918",
+                        padding: "0.75rem",
+                        marginBottom: "1rem",
+                        fontFamily: "monospace",
+                        fontSize: "0.7rem",
+                        lineHeight: "1.5"
+                      }}>
+                        <div style={{ color: "#6b6b68", marginBottom: "0.4rem", fontWeight: "700", letterSpacing: "0.5px" }}>
+                          CALCULATION:
+                        </div>
+                        <div style={{ color: "#191918" }}>
+                          <div>For each data point i:</div>
+                          <div style={{ marginLeft: "1rem", marginTop: "0.2rem" }}>
+                            RelDiff[i] = ((Compare[i] - Baseline[i]) / Baseline[i]) × 100
+                          </div>
+                          <div style={{ marginLeft: "1rem" }}>
+                            AbsDiff[i] = Compare[i] - Baseline[i]
+                          </div>
+                          <div style={{ marginTop: "0.4rem" }}>
+                            Result = Arithmetic Mean of differences
+                          </div>
+                        </div>
+                      </div>
+
+                      {cacheStats.map(({ metricName, comparisons }) => (
+                        <div key={metricName} style={{ marginBottom: "0.75rem" }}>
+                          <div style={{
+                            fontWeight: "700",
+                            color: "#191918",
+                            marginBottom: "0.35rem",
+                            fontSize: "0.7rem",
+                            textTransform: "uppercase",
+                            letterSpacing: "0.5px"
+                          }}>
+                            [{metricName}]
+                          </div>
+                          {comparisons.map((comp, idx) => (
+                            <div key={idx} style={{
+                              marginLeft: "1rem",
+                              color: "#191918",
+                              lineHeight: "1.7",
+                              fontFamily: "monospace",
+                              fontSize: "0.7rem"
+                            }}>
+                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.relDiff >= 0 ? "#8b0000" : "#006400" }}>{comp.relDiff >= 0 ? '+' : ''}{comp.relDiff.toFixed(1)}%</span>
+                              <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginTop: "0.2rem" }}>
+                                Baseline: {comp.baselineAvg.toLocaleString('en-AU', {maximumFractionDigits: 0})} | Compare: {comp.compareAvg.toLocaleString('en-AU', {maximumFractionDigits: 0})}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {xputCpuStats && (
+                    <div style={{
+                      padding: "1rem 1.5rem",
+                      background: "#fafaf8",
+                      borderTop: "2px solid #191918",
+                      fontSize: "0.75rem",
+                      maxHeight: "200px",
+                      overflowY: "auto"
+                    }}>
+                      <div style={{
+                        fontWeight: "700",
+                        marginBottom: "0.75rem",
+                        color: "#191918",
+                        fontSize: "0.7rem",
+                        textTransform: "uppercase",
+                        letterSpacing: "0.8px"
+                      }}>
+                        Throughput + CPU Comparison vs Baseline
+                      </div>
+
+                      {/* Formula Display */}
+                      <div style={{
+                        background: "#ffffff",
+                        border: "2px solid #191918",
+                        padding: "0.75rem",
+                        marginBottom: "1rem",
+                        fontFamily: "monospace",
+                        fontSize: "0.7rem",
+                        lineHeight: "1.5"
+                      }}>
+                        <div style={{ color: "#6b6b68", marginBottom: "0.4rem", fontWeight: "700", letterSpacing: "0.5px" }}>
+                          CALCULATION:
+                        </div>
+                        <div style={{ color: "#191918" }}>
+                          <div>For each data point i:</div>
+                          <div style={{ marginLeft: "1rem", marginTop: "0.2rem" }}>
+                            RelDiff[i] = ((Compare[i] - Baseline[i]) / Baseline[i]) × 100
+                          </div>
+                          <div style={{ marginTop: "0.4rem" }}>
+                            Result = Arithmetic Mean of differences
+                          </div>
+                        </div>
+                      </div>
+
+                      {xputCpuStats.throughput.comparisons.length > 0 && (
+                        <div style={{ marginBottom: "0.75rem" }}>
+                          <div style={{
+                            fontWeight: "700",
+                            color: "#191918",
+                            marginBottom: "0.35rem",
+                            fontSize: "0.7rem",
+                            textTransform: "uppercase",
+                            letterSpacing: "0.5px"
+                          }}>
+                            [Throughput]
+                          </div>
+                          {xputCpuStats.throughput.comparisons.map((comp, idx) => (
+                            <div key={idx} style={{
+                              marginLeft: "1rem",
+                              color: "#191918",
+                              lineHeight: "1.7",
+                              fontFamily: "monospace",
+                              fontSize: "0.7rem"
+                            }}>
+                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.relDiff >= 0 ? "#8b0000" : "#006400" }}>{comp.relDiff >= 0 ? '+' : ''}{comp.relDiff.toFixed(1)}%</span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {xputCpuStats.cpu.comparisons.length > 0 && (
+                        <div style={{ marginBottom: "0.75rem" }}>
+                          <div style={{
+                            fontWeight: "700",
+                            color: "#191918",
+                            marginBottom: "0.35rem",
+                            fontSize: "0.7rem",
+                            textTransform: "uppercase",
+                            letterSpacing: "0.5px"
+                          }}>
+                            [CPU Utilization ({(customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total").charAt(0).toUpperCase() + (customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total").slice(1)})]
+                          </div>
+                          {xputCpuStats.cpu.comparisons.map((comp, idx) => (
+                            <div key={idx} style={{
+                              marginLeft: "1rem",
+                              color: "#191918",
+                              lineHeight: "1.7",
+                              fontFamily: "monospace",
+                              fontSize: "0.7rem"
+                            }}>
+                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.relDiff >= 0 ? "#8b0000" : "#006400" }}>{comp.relDiff >= 0 ? '+' : ''}{comp.relDiff.toFixed(1)}%</span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </>
+        ) : (
+          <div className="empty-state">
+            <h2>No Data Yet</h2>
+            <p>Upload a CSV file or paste data to get started</p>
+          </div>
+        )}
+      </div>
+
+      {showPlotDialog && (
+        <div
+          className="dialog-overlay"
+          onClick={() => {
+            setShowPlotDialog(false);
+            setEditingPlotId(null);
+            setNewPlot({
+              name: "",
+              selectedRuns: [],
+              plotType: "xput-cpu",
+              selectedPDs: [],
+              cpuType: "total",
+              cacheMetrics: [],
+              baselineRunId: null,
+              miscPD: null,
+              miscMetric: "cycles",
+            });
+          }}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>{editingPlotId ? "Edit Custom Plot" : "Create Custom Plot"}</h2>
+
+            <div className="dialog-field">
+              <label>Plot Name:</label>
+              <input
+                type="text"
+                value={newPlot.name}
+                onChange={(e) =>
+                  setNewPlot({ ...newPlot, name: e.target.value })
+                }
+                placeholder="Enter plot name"
+              />
+            </div>
+
+            <div className="dialog-field">
+              <label>Plot Type:</label>
+              <select
+                value={newPlot.plotType}
+                onChange={(e) =>
+                  setNewPlot({ ...newPlot, plotType: e.target.value })
+                }
+              >
+                <option value="xput-cpu">Throughput + CPU</option>
+                <option value="rtt">Round-Trip Time (RTT)</option>
+                <option value="pds">Protection Domains</option>
+                <option value="cache">Cache Metrics</option>
+                <option value="misc">Misc (Cycles per Packet)</option>
+              </select>
+            </div>
+
+            <div className="dialog-field">
+              <label>Select Runs:</label>
+              <div style={{ display: "flex", gap: "0.5rem", marginBottom: "0.5rem" }}>
+                <input
+                  type="text"
+                  value={plotRunFilter}
+                  onChange={(e) => setPlotRunFilter(e.target.value)}
+                  placeholder="Filter: lto #baseline nic=i225"
+                  style={{ flex: 1 }}
+                />
+                <button
+                  type="button"
+                  onClick={selectFilteredRuns}
+                  className="btn-cancel"
+                  disabled={!plotRunFilter.trim()}
+                  title="Select every run matching the filter"
+                >
+                  Select All
+                </button>
+              </div>
+              <div className="checkbox-list">
+                {runs
+                  .filter((run) => matchesMetadataFilter(run, plotRunFilter))
+                  .map((run) => (
+                    <label key={run.id} className="checkbox-item" title={describeMetadata(run.metadata) || undefined}>
+                      <input
+                        type="checkbox"
+                        checked={newPlot.selectedRuns.includes(run.id)}
+                        onChange={() => toggleRunSelection(run.id)}
+                      />
+                      {run.name}
+                      {run.metadata?.tags?.length > 0 && (
+                        <span style={{ color: "#6b6b68", marginLeft: "0.4rem" }}>
+                          {run.metadata.tags.map((tag) => `#${tag}`).join(" ")}
+                        </span>
+                      )}
+                    </label>
+                  ))}
+              </div>
+            </div>
+
+            {newPlot.selectedRuns.length > 0 && (
+              <div className="dialog-field">
+                <label>Baseline Run (optional):</label>
+                <select
+                  value={newPlot.baselineRunId || ""}
+                  onChange={(e) =>
+                    setNewPlot({
+                      ...newPlot,
+                      baselineRunId: e.target.value ? Number(e.target.value) : null
+                    })
+                  }
+                >
+                  <option value="">Default ordering</option>
+                  {runs
+                    .filter((run) => newPlot.selectedRuns.includes(run.id))
+                    .map((run) => (
+                      <option key={run.id} value={run.id}>
+                        {run.name}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            )}
+
+            {newPlot.plotType === "pds" &&
+              (() => {
+                // Collect all unique protection domains from runs with CPU data
+                const availablePDs = new Map();
+                runs.forEach((run) => {
+                  testProtectionDomains(run.cpuData?.tests?.[0]).forEach(
+                    (pd) => {
+                      if (!availablePDs.has(pd.name)) {
+                        availablePDs.set(pd.name, true);
+                      }
+                    },
+                  );
+                });
+                const pdList = Array.from(availablePDs.keys());
+
+                return pdList.length > 0 ? (
+                  <div className="dialog-field">
+                    <label>Select Protection Domains:</label>
+                    <div className="checkbox-list">
+                      {pdList.map((pdName) => (
+                        <label key={pdName} className="checkbox-item">
+                          <input
+                            type="checkbox"
+                            checked={newPlot.selectedPDs.includes(pdName)}
+                            onChange={() => togglePDSelection(pdName)}
+                          />
+                          {pdName}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="dialog-field">
+                    <p style={{ color: "#999", fontSize: "0.9rem" }}>
+                      No protection domain data available. Upload runs with JSON
+                      files to enable this option.
+                    </p>
+                  </div>
+                );
+              })()}
+
+            {newPlot.plotType === "cache" &&
+              (() => {
+                // Get available cache metrics from first run with PMU data
+                const cacheMetrics = ["L1 i-cache misses", "L1 d-cache misses", "L1 i-tlb misses", "L1 d-tlb misses", "Instructions", "Branch mispredictions"];
+                const hasPMUData = runs.some((run) => run.cpuData?.pmu_data);
+
+                return hasPMUData ? (
+                  <div className="dialog-field">
+                    <label>Select Cache Metrics:</label>
+                    <div className="checkbox-list">
+                      {cacheMetrics.map((metricName) => (
+                        <label key={metricName} className="checkbox-item">
+                          <input
+                            type="checkbox"
+                            checked={newPlot.cacheMetrics.includes(metricName)}
+                            onChange={() => toggleCacheMetricSelection(metricName)}
+                          />
+                          {metricName}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="dialog-field">
+                    <p style={{ color: "#999", fontSize: "0.9rem" }}>
+                      No cache/PMU data available. Upload runs with PMU data to enable this option.
+                    </p>
+                  </div>
+                );
+              })()}
+
+            {newPlot.plotType === "misc" && (
+              <>
+                <div className="dialog-field">
+                  <label>Select Metric:</label>
+                  <select
+                    value={newPlot.miscMetric || "cycles"}
+                    onChange={(e) =>
+                      setNewPlot({
+                        ...newPlot,
+                        miscMetric: e.target.value
+                      })
+                    }
+                  >
+                    <option value="cycles">Cycles per Packet</option>
+                    <option value="kernel_entries">Kernel Entries per Packet</option>
+                    <option value="l1_i_misses">L1 I-Cache Misses per Packet</option>
+                    <option value="l1_d_misses">L1 D-Cache Misses per Packet</option>
+                  </select>
+                </div>
+
+                {(() => {
+                  const metricType = newPlot.miscMetric || "cycles";
+                  const isCacheMetric = metricType === "l1_i_misses" || metricType === "l1_d_misses";
+
+                  // Cache metrics are system-wide only, no PD selection
+                  if (isCacheMetric) {
+                    return null;
+                  }
+
+                  // Collect all unique protection domains from runs with CPU data
+                  const availablePDs = new Map();
+                  runs.forEach((run) => {
+                    testProtectionDomains(run.cpuData?.tests?.[0]).forEach(
+                      (pd) => {
+                        if (!availablePDs.has(pd.name)) {
+                          availablePDs.set(pd.name, true);
+                        }
+                      },
+                    );
+                  });
+                  const pdList = Array.from(availablePDs.keys());
+                  const systemLabel = metricType === "cycles" ? "System Total Cycles" : "System Total";
+
+                  return pdList.length > 0 ? (
+                    <div className="dialog-field">
+                      <label>Select Protection Domain (optional):</label>
+                      <select
+                        value={newPlot.miscPD || ""}
+                        onChange={(e) =>
+                          setNewPlot({
+                            ...newPlot,
+                            miscPD: e.target.value || null
+                          })
+                        }
+                      >
+                        <option value="">{systemLabel}</option>
+                        {pdList.map((pdName) => (
+                          <option key={pdName} value={pdName}>
+                            {pdName}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ) : (
+                    <div className="dialog-field">
+                      <p style={{ color: "#999", fontSize: "0.9rem" }}>
+                        No protection domain data available. {systemLabel} will be used.
+                      </p>
+                    </div>
+                  );
+                })()}
+              </>
+            )}
+
+            <div className="dialog-actions">
+              <button
+                onClick={() => {
+                  setShowPlotDialog(false);
+                  setEditingPlotId(null);
+                  setNewPlot({
+                    name: "",
+                    selectedRuns: [],
+                    plotType: "xput-cpu",
+                    selectedPDs: [],
+                    cpuType: "total",
+                    cacheMetrics: [],
+                    baselineRunId: null,
+                    miscPD: null,
+                    miscMetric: "cycles",
+                  });
+                }}
+                className="btn-cancel"
+              >
+                Cancel
+              </button>
+              <button onClick={handleAddCustomPlot} className="btn-create">
+                {editingPlotId ? "Save Changes" : "Create Plot"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showTableView && selectedRunForTable && (
+        <RunDataTable
+          run={selectedRunForTable}
+          core={coreSelection}
+          onClose={() => {
+            setShowTableView(false);
+            setSelectedRunForTable(null);
+          }}
+          onUpdateMetadata={updateRunMetadata}
+        />
+      )}
+
+      {/* Rename Session Dialog */}
+      {showRenameDialog && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setShowRenameDialog(false)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Rename Session</h2>
+            <div className="dialog-field">
+              <label>Session Name:</label>
+              <input
+                type="text"
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                placeholder="Enter session name"
+                autoFocus
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') renameSession();
+                  if (e.key === 'Escape') setShowRenameDialog(false);
+                }}
+              />
+            </div>
+            <div className="dialog-actions">
+              <button
+                onClick={() => setShowRenameDialog(false)}
+                className="btn-cancel"
+              >
+                Cancel
+              </button>
+              <button onClick={renameSession} className="btn-create">
+                Rename
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Session Tags Dialog */}
+      {sessionDetails && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setSessionDetails(null)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Session Tags</h2>
+            <div className="dialog-field">
+              <label>Tags (comma separated):</label>
+              <input
+                type="text"
+                value={sessionDetails.tags}
+                onChange={(e) => setSessionDetails({ ...sessionDetails, tags: e.target.value })}
+                placeholder="nightly, imx8"
+                autoFocus
+              />
+            </div>
+            <div className="dialog-field">
+              <label>Fields (key=value per line):</label>
+              <textarea
+                value={sessionDetails.fields}
+                onChange={(e) => setSessionDetails({ ...sessionDetails, fields: e.target.value })}
+                placeholder={"sddf_branch=main\nkernel_config=smp"}
+                rows={4}
+                style={{ fontFamily: "monospace", fontSize: "0.75rem" }}
+              />
+            </div>
+            <div className="dialog-actions">
+              <button onClick={() => setSessionDetails(null)} className="btn-cancel">
+                Cancel
+              </button>
+              <button onClick={saveSessionDetails} className="btn-create">
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Rename Run Dialog */}
+      {showRunRenameDialog && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setShowRunRenameDialog(false)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Rename Run</h2>
+            <div className="dialog-field">
+              <label>Run Name:</label>
+              <input
+                type="text"
+                value={runRenameValue}
+                onChange={(e) => setRunRenameValue(e.target.value)}
+                placeholder="Enter run name"
+                autoFocus
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') renameRun();
+                  if (e.key === 'Escape') setShowRunRenameDialog(false);
+                }}
+              />
+            </div>
+            <div className="dialog-actions">
+              <button
+                onClick={() => setShowRunRenameDialog(false)}
+                className="btn-cancel"
+              >
+                Cancel
+              </button>
+              <button onClick={renameRun} className="btn-create">
+                Rename
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Session History Dialog */}
+      {sessionHistory && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setSessionHistory(null)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Session History</h2>
+            {!sessionHistory.entries ? (
+              <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>Loading history...</p>
+            ) : (
+              <div style={{ fontFamily: "monospace" }}>
+                {sessionHistory.entries.map((entry) => (
+                  <div
+                    key={entry.revision}
+                    style={{
+                      padding: "0.65rem 0.75rem",
+                      margin: "0.35rem 0",
+                      border: entry.current ? "1px solid #191918" : "1px solid #e0e0d8",
+                      background: entry.current ? "#f4f4f2" : "transparent",
+                      display: "flex",
+                      alignItems: "flex-start",
+                      gap: "0.75rem"
+                    }}
+                  >
+                    <div style={{ flex: 1 }}>
+                      <div style={{ fontWeight: "700", fontSize: "0.8rem", color: "#191918", marginBottom: "0.25rem" }}>
+                        Revision {entry.revision}
+                        {entry.current && (
+                          <span style={{ marginLeft: "0.5rem", fontSize: "0.6rem", color: "#6b6b68", fontWeight: "500", textTransform: "uppercase" }}>
+                            [current]
+                          </span>
+                        )}
                       </div>
-
-                      {/* Formula Display */}
-                      <div style={{
-                        background: "#ffffff",
-                        border: "2px solid #191918",
-                        padding: "0.75rem",
-                        marginBottom: "1rem",
-                        fontFamily: "monospace",
-                        fontSize: "0.7rem",
-                        lineHeight: "1.5"
-                      }}>
-                        <div style={{ color: "#6b6b68", marginBottom: "0.4rem", fontWeight: "700", letterSpacing: "0.5px" }}>
-                          CALCULATION:
-                        </div>
-                        <div style={{ color: "#191918" }}>
-                          <div>For each data point i:</div>
-                          <div style={{ marginLeft: "1rem", marginTop: "0.2rem" }}>
-                            RelDiff[i] = ((Compare[i] - Baseline[i]) / Baseline[i]) × 100
-                          </div>
-                          <div style={{ marginLeft: "1rem" }}>
-                            AbsDiff[i] = Compare[i] - Baseline[i]
-                          </div>
-                          <div style={{ marginTop: "0.4rem" }}>
-                            Result = Arithmetic Mean of differences
-                          </div>
-                        </div>
+                      <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginBottom: "0.35rem" }}>
+                        {entry.name} • {entry.runCount} run{entry.runCount !== 1 ? 's' : ''} • {entry.plotCount} plot{entry.plotCount !== 1 ? 's' : ''}
+                        {entry.updatedAt && ` • ${new Date(entry.updatedAt).toLocaleString('en-AU', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`}
                       </div>
-
-                      {cacheStats.map(({ metricName, comparisons }) => (
-                        <div key={metricName} style={{ marginBottom: "0.75rem" }}>
-                          <div style={{
-                            fontWeight: "700",
-                            color: "#191918",
-                            marginBottom: "0.35rem",
-                            fontSize: "0.7rem",
-                            textTransform: "uppercase",
-                            letterSpacing: "0.5px"
-                          }}>
-                            [{metricName}]
-                          </div>
-                          {comparisons.map((comp, idx) => (
-                            <div key={idx} style={{
-                              marginLeft: "1rem",
-                              color: "#191918",
-                              lineHeight: "1.7",
-                              fontFamily: "monospace",
-                              fontSize: "0.7rem"
-                            }}>
-                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.relDiff >= 0 ? "#8b0000" : "#006400" }}>{comp.relDiff >= 0 ? '+' : ''}{comp.relDiff.toFixed(1)}%</span>
-                              <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginTop: "0.2rem" }}>
-                                Baseline: {comp.baselineAvg.toLocaleString('en-AU', {maximumFractionDigits: 0})} | Compare: {comp.compareAvg.toLocaleString('en-AU', {maximumFractionDigits: 0})}
-                              </div>
-                            </div>
-                          ))}
+                      {formatSessionChanges(entry.changes).map((line) => (
+                        <div key={line} style={{ fontSize: "0.7rem", color: "#191918" }}>
+                          {line}
                         </div>
                       ))}
                     </div>
-                  )}
-                  {xputCpuStats && (
-                    <div style={{
-                      padding: "1rem 1.5rem",
-                      background: "#fafaf8",
-                      borderTop: "2px solid #191918",
-                      fontSize: "0.75rem",
-                      maxHeight: "200px",
-                      overflowY: "auto"
-                    }}>
-                      <div style={{
-                        fontWeight: "700",
-                        marginBottom: "0.75rem",
-                        color: "#191918",
-                        fontSize: "0.7rem",
-                        textTransform: "uppercase",
-                        letterSpacing: "0.8px"
-                      }}>
-                        Throughput + CPU Comparison vs Baseline
-                      </div>
+                    {!entry.current && (
+                      <button
+                        onClick={() => restoreSessionRevision(entry.revision)}
+                        className="btn-cancel"
+                        style={{ padding: "0.35rem 0.6rem", fontSize: "0.65rem" }}
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="dialog-actions">
+              <button onClick={() => setSessionHistory(null)} className="btn-cancel">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
 
-                      {/* Formula Display */}
-                      <div style={{
-                        background: "#ffffff",
-                        border: "2px solid #191918",
-                        padding: "0.75rem",
-                        marginBottom: "1rem",
-                        fontFamily: "monospace",
-                        fontSize: "0.7rem",
-                        lineHeight: "1.5"
-                      }}>
-                        <div style={{ color: "#6b6b68", marginBottom: "0.4rem", fontWeight: "700", letterSpacing: "0.5px" }}>
-                          CALCULATION:
-                        </div>
-                        <div style={{ color: "#191918" }}>
-                          <div>For each data point i:</div>
-                          <div style={{ marginLeft: "1rem", marginTop: "0.2rem" }}>
-                            RelDiff[i] = ((Compare[i] - Baseline[i]) / Baseline[i]) × 100
-                          </div>
-                          <div style={{ marginTop: "0.4rem" }}>
-                            Result = Arithmetic Mean of differences
-                          </div>
-                        </div>
+      {/* Trash Dialog */}
+      {trash && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setTrash(null)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Trash</h2>
+            {!trash.entries ? (
+              <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>Loading trash...</p>
+            ) : (
+              <div style={{ fontFamily: "monospace" }}>
+                <p style={{ color: "#6b6b68", fontSize: "0.75rem", margin: "0 0 0.5rem" }}>
+                  Deleted sessions, runs and plots are kept for {trash.retentionDays} day{trash.retentionDays !== 1 ? 's' : ''}, then removed for good.
+                </p>
+                {trash.entries.length === 0 && (
+                  <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>The trash is empty.</p>
+                )}
+                {trash.entries.map((entry) => (
+                  <div
+                    key={entry.id}
+                    style={{
+                      padding: "0.65rem 0.75rem",
+                      margin: "0.35rem 0",
+                      border: "1px solid #e0e0d8",
+                      display: "flex",
+                      alignItems: "flex-start",
+                      gap: "0.75rem"
+                    }}
+                  >
+                    <div style={{ flex: 1 }}>
+                      <div style={{ fontWeight: "700", fontSize: "0.8rem", color: "#191918", marginBottom: "0.25rem" }}>
+                        {entry.name}
+                        <span style={{ marginLeft: "0.5rem", fontSize: "0.6rem", color: "#6b6b68", fontWeight: "500", textTransform: "uppercase" }}>
+                          [{TRASH_TYPE_LABELS[entry.type] || entry.type}]
+                        </span>
                       </div>
+                      <div style={{ fontSize: "0.65rem", color: "#6b6b68" }}>
+                        {entry.type !== "session" && `${entry.sessionName} • `}
+                        Deleted {new Date(entry.deletedAt).toLocaleString('en-AU', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                        {entry.deletedBy && ` by ${entry.deletedBy}`}
+                        {` • Expires ${new Date(entry.expiresAt).toLocaleDateString('en-AU', { month: 'short', day: 'numeric' })}`}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => restoreFromTrash(entry.id)}
+                      className="btn-cancel"
+                      style={{ padding: "0.35rem 0.6rem", fontSize: "0.65rem" }}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => purgeFromTrash(entry)}
+                      className="btn-cancel"
+                      style={{ padding: "0.35rem 0.6rem", fontSize: "0.65rem", color: "#8b0000" }}
+                    >
+                      Purge
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="dialog-actions">
+              <button onClick={() => setTrash(null)} className="btn-cancel">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
 
-                      {xputCpuStats.throughput.comparisons.length > 0 && (
-                        <div style={{ marginBottom: "0.75rem" }}>
-                          <div style={{
-                            fontWeight: "700",
-                            color: "#191918",
-                            marginBottom: "0.35rem",
-                            fontSize: "0.7rem",
-                            textTransform: "uppercase",
-                            letterSpacing: "0.5px"
-                          }}>
-                            [Throughput]
-                          </div>
-                          {xputCpuStats.throughput.comparisons.map((comp, idx) => (
-                            <div key={idx} style={{
-                              marginLeft: "1rem",
-                              color: "#191918",
-                              lineHeight: "1.7",
-                              fontFamily: "monospace",
-                              fontSize: "0.7rem"
-                            }}>
-                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.relDiff >= 0 ? "#8b0000" : "#006400" }}>{comp.relDiff >= 0 ? '+' : ''}{comp.relDiff.toFixed(1)}%</span>
-                            </div>
-                          ))}
-                        </div>
-                      )}
+      {/* Undo Toast */}
+      {undoToast && (
+        <div style={{
+          position: "fixed",
+          bottom: "1.5rem",
+          left: "50%",
+          transform: "translateX(-50%)",
+          zIndex: 1100,
+          display: "flex",
+          alignItems: "center",
+          gap: "1rem",
+          padding: "0.65rem 1rem",
+          background: "#191918",
+          color: "#f4f4f2",
+          border: "2px solid #191918",
+          boxShadow: "4px 4px 0 rgba(25, 25, 24, 0.15)",
+          fontFamily: "monospace",
+          fontSize: "0.75rem"
+        }}>
+          <span>{undoToast.message}</span>
+          <button
+            onClick={() => restoreFromTrash(undoToast.entryId)}
+            style={{
+              padding: "0.3rem 0.6rem",
+              background: "transparent",
+              color: "#f4f4f2",
+              border: "1px solid #f4f4f2",
+              borderRadius: "0",
+              fontSize: "0.65rem",
+              fontWeight: "600",
+              cursor: "pointer",
+              textTransform: "uppercase",
+              letterSpacing: "0.3px"
+            }}
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => setUndoToast(null)}
+            style={{ background: "none", border: "none", color: "#f4f4f2", cursor: "pointer", fontSize: "0.9rem", padding: 0 }}
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
 
-                      {xputCpuStats.cpu.comparisons.length > 0 && (
-                        <div style={{ marginBottom: "0.75rem" }}>
-                          <div style={{
-                            fontWeight: "700",
-                            color: "#191918",
-                            marginBottom: "0.35rem",
-                            fontSize: "0.7rem",
-                            textTransform: "uppercase",
-                            letterSpacing: "0.5px"
-                          }}>
-                            [CPU Utilization ({(customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total").charAt(0).toUpperCase() + (customPlotCpuTypes[customPlot.id] || customPlot.cpuType || "total").slice(1)})]
-                          </div>
-                          {xputCpuStats.cpu.comparisons.map((comp, idx) => (
-                            <div key={idx} style={{
-                              marginLeft: "1rem",
-                              color: "#191918",
-                              lineHeight: "1.7",
-                              fontFamily: "monospace",
-                              fontSize: "0.7rem"
-                            }}>
-                              {comp.runName} vs {comp.baselineName}: <span style={{ fontWeight: "700", color: comp.relDiff >= 0 ? "#8b0000" : "#006400" }}>{comp.relDiff >= 0 ? '+' : ''}{comp.relDiff.toFixed(1)}%</span>
-                            </div>
-                          ))}
-                        </div>
+      {/* Session Members Dialog */}
+      {sessionMembers && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setSessionMembers(null)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Session Members</h2>
+            {!sessionMembers.members ? (
+              <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>Loading members...</p>
+            ) : (
+              <>
+                <p style={{ color: "#555", fontSize: "0.75rem", lineHeight: 1.5, marginTop: 0 }}>
+                  Viewers can only look at the session. Editors can also add, change and
+                  remove runs and plots. The owner can also delete the session and manage members.
+                </p>
+                <div style={{ fontFamily: "monospace" }}>
+                  {sessionMembers.members.map((member) => (
+                    <div
+                      key={member.userId}
+                      style={{
+                        padding: "0.5rem 0.75rem",
+                        margin: "0.35rem 0",
+                        border: "1px solid #e0e0d8",
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "0.75rem"
+                      }}
+                    >
+                      <span style={{ flex: 1, fontSize: "0.8rem", fontWeight: "600" }}>
+                        {member.username || member.userId}
+                      </span>
+                      {(sessions[sessionMembers.sessionId]?.role ?? "owner") === "owner" && member.role !== "owner" ? (
+                        <>
+                          <select
+                            value={member.role}
+                            onChange={(e) => changeSessionMember(member.username, e.target.value)}
+                            style={{ fontSize: "0.7rem", fontFamily: "monospace" }}
+                          >
+                            <option value="viewer">viewer</option>
+                            <option value="editor">editor</option>
+                            <option value="owner">owner</option>
+                          </select>
+                          <button
+                            onClick={() => changeSessionMember(member.username, null)}
+                            className="btn-cancel"
+                            style={{ padding: "0.3rem 0.5rem", fontSize: "0.65rem" }}
+                          >
+                            Remove
+                          </button>
+                        </>
+                      ) : (
+                        <span style={{ fontSize: "0.7rem", color: "#6b6b68", textTransform: "uppercase" }}>
+                          {member.role}
+                        </span>
                       )}
                     </div>
-                  )}
+                  ))}
                 </div>
-              );
-            })}
-          </>
-        ) : (
-          <div className="empty-state">
-            <h2>No Data Yet</h2>
-            <p>Upload a CSV file or paste data to get started</p>
+                {(sessions[sessionMembers.sessionId]?.role ?? "owner") === "owner" && (
+                  <div style={{ display: "flex", gap: "0.5rem", marginTop: "1rem" }} className="dialog-field">
+                    <input
+                      type="text"
+                      placeholder="Username"
+                      value={newMember.username}
+                      onChange={(e) => setNewMember({ ...newMember, username: e.target.value })}
+                    />
+                    <select
+                      value={newMember.role}
+                      onChange={(e) => setNewMember({ ...newMember, role: e.target.value })}
+                      style={{ width: "auto" }}
+                    >
+                      <option value="viewer">viewer</option>
+                      <option value="editor">editor</option>
+                    </select>
+                    <button
+                      onClick={() => changeSessionMember(newMember.username.trim(), newMember.role)}
+                      className="btn-create"
+                      disabled={!newMember.username.trim()}
+                    >
+                      Add
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+            <div className="dialog-actions">
+              <button onClick={() => setSessionMembers(null)} className="btn-cancel">
+                Close
+              </button>
+            </div>
           </div>
-        )}
-      </div>
+        </div>
+      )}
 
-      {showPlotDialog && (
+      {/* Merge Into Session Dialog */}
+      {mergeDialog && (
         <div
           className="dialog-overlay"
-          onClick={() => {
-            setShowPlotDialog(false);
-            setEditingPlotId(null);
-            setNewPlot({
-              name: "",
-              selectedRuns: [],
-              plotType: "xput-cpu",
-              selectedPDs: [],
-              cpuType: "total",
-              cacheMetrics: [],
-              baselineRunId: null,
-              miscPD: null,
-              miscMetric: "cycles",
-            });
-          }}
+          onClick={() => setMergeDialog(null)}
         >
           <div className="dialog" onClick={(e) => e.stopPropagation()}>
-            <h2>{editingPlotId ? "Edit Custom Plot" : "Create Custom Plot"}</h2>
-
-            <div className="dialog-field">
-              <label>Plot Name:</label>
-              <input
-                type="text"
-                value={newPlot.name}
-                onChange={(e) =>
-                  setNewPlot({ ...newPlot, name: e.target.value })
-                }
-                placeholder="Enter plot name"
-              />
-            </div>
-
+            <h2>Merge into Session</h2>
+            <p style={{ color: "#555", fontSize: "0.75rem", lineHeight: 1.5, marginTop: 0 }}>
+              Copies the selected runs and plots of "{sessions[currentSessionId]?.name}" into another
+              session. Runs it already has (same name and metadata) are not copied again; copied plots
+              use them instead. Names that are already taken must be changed before merging.
+            </p>
             <div className="dialog-field">
-              <label>Plot Type:</label>
+              <label>Target session</label>
               <select
-                value={newPlot.plotType}
-                onChange={(e) =>
-                  setNewPlot({ ...newPlot, plotType: e.target.value })
-                }
+                value={mergeDialog.targetSessionId}
+                onChange={(e) => updateMergeDialog({ targetSessionId: e.target.value, plan: null })}
               >
-                <option value="xput-cpu">Throughput + CPU</option>
-                <option value="rtt">Round-Trip Time (RTT)</option>
-                <option value="pds">Protection Domains</option>
-                <option value="cache">Cache Metrics</option>
-                <option value="misc">Misc (Cycles per Packet)</option>
+                <option value="">Choose a session...</option>
+                {sessionListing.ids
+                  .filter((id) => id !== currentSessionId && sessions[id] && (sessions[id].role ?? "owner") !== "viewer")
+                  .map((id) => (
+                    <option key={id} value={id}>{sessions[id].name}</option>
+                  ))}
               </select>
             </div>
-
-            <div className="dialog-field">
-              <label>Select Runs:</label>
-              <div className="checkbox-list">
-                {runs.map((run) => (
-                  <label key={run.id} className="checkbox-item">
-                    <input
-                      type="checkbox"
-                      checked={newPlot.selectedRuns.includes(run.id)}
-                      onChange={() => toggleRunSelection(run.id)}
-                    />
-                    {run.name}
-                  </label>
-                ))}
-              </div>
-            </div>
-
-            {newPlot.selectedRuns.length > 0 && (
-              <div className="dialog-field">
-                <label>Baseline Run (optional):</label>
-                <select
-                  value={newPlot.baselineRunId || ""}
-                  onChange={(e) =>
-                    setNewPlot({
-                      ...newPlot,
-                      baselineRunId: e.target.value ? Number(e.target.value) : null
-                    })
-                  }
-                >
-                  <option value="">Default ordering</option>
-                  {runs
-                    .filter((run) => newPlot.selectedRuns.includes(run.id))
-                    .map((run) => (
-                      <option key={run.id} value={run.id}>
-                        {run.name}
-                      </option>
-                    ))}
-                </select>
-              </div>
-            )}
-
-            {newPlot.plotType === "pds" &&
-              (() => {
-                // Collect all unique protection domains from runs with CPU data
-                const availablePDs = new Map();
-                runs.forEach((run) => {
-                  run.cpuData?.tests?.[0]?.cores?.[0]?.protection_domains?.forEach(
-                    (pd) => {
-                      if (!availablePDs.has(pd.name)) {
-                        availablePDs.set(pd.name, true);
-                      }
-                    },
-                  );
-                });
-                const pdList = Array.from(availablePDs.keys());
-
-                return pdList.length > 0 ? (
-                  <div className="dialog-field">
-                    <label>Select Protection Domains:</label>
-                    <div className="checkbox-list">
-                      {pdList.map((pdName) => (
-                        <label key={pdName} className="checkbox-item">
+            {[
+              { title: "Runs", field: "runIds", kind: "runs", items: runs },
+              { title: "Plots", field: "plotIds", kind: "plots", items: customPlots },
+            ].map(({ title, field, kind, items }) => (
+              <div key={kind} className="dialog-field">
+                <label>{title}</label>
+                {items.length === 0 && (
+                  <p style={{ color: "#6b6b68", fontSize: "0.8rem", margin: 0 }}>None in this session.</p>
+                )}
+                <div style={{ fontFamily: "monospace", maxHeight: "200px", overflowY: "auto" }}>
+                  {items.map((item) => {
+                    const planned = mergeDialog.plan?.[kind].find((entry) => entry.sourceId === item.id);
+                    const rename = mergeDialog.renames[kind][item.id];
+                    const selected = mergeDialog[field].includes(item.id);
+                    return (
+                      <div
+                        key={item.id}
+                        style={{
+                          padding: "0.35rem 0.5rem",
+                          margin: "0.25rem 0",
+                          border: `1px solid ${planned?.clash && !mergeDialog.stale ? "#c0392b" : "#e0e0d8"}`,
+                          fontSize: "0.75rem"
+                        }}
+                      >
+                        <label style={{ display: "flex", alignItems: "center", gap: "0.5rem", cursor: "pointer" }}>
                           <input
                             type="checkbox"
-                            checked={newPlot.selectedPDs.includes(pdName)}
-                            onChange={() => togglePDSelection(pdName)}
+                            checked={selected}
+                            onChange={() => toggleMergeItem(field, item.id)}
                           />
-                          {pdName}
+                          <span style={{ flex: 1 }}>{item.name}</span>
+                          {selected && planned?.duplicateOf != null && (
+                            <span style={{ fontSize: "0.65rem", color: "#6b6b68", textTransform: "uppercase" }}>
+                              Already there
+                            </span>
+                          )}
+                          {selected && planned?.clash && (
+                            <span style={{ fontSize: "0.65rem", color: "#c0392b", textTransform: "uppercase" }}>
+                              Name taken
+                            </span>
+                          )}
                         </label>
-                      ))}
-                    </div>
-                  </div>
-                ) : (
-                  <div className="dialog-field">
-                    <p style={{ color: "#999", fontSize: "0.9rem" }}>
-                      No protection domain data available. Upload runs with JSON
-                      files to enable this option.
-                    </p>
-                  </div>
-                );
-              })()}
-
-            {newPlot.plotType === "cache" &&
-              (() => {
-                // Get available cache metrics from first run with PMU data
-                const cacheMetrics = ["L1 i-cache misses", "L1 d-cache misses", "L1 i-tlb misses", "L1 d-tlb misses", "Instructions", "Branch mispredictions"];
-                const hasPMUData = runs.some((run) => run.cpuData?.pmu_data);
-
-                return hasPMUData ? (
-                  <div className="dialog-field">
-                    <label>Select Cache Metrics:</label>
-                    <div className="checkbox-list">
-                      {cacheMetrics.map((metricName) => (
-                        <label key={metricName} className="checkbox-item">
+                        {selected && (planned?.clash || planned?.duplicateOf != null || rename !== undefined) && (
                           <input
-                            type="checkbox"
-                            checked={newPlot.cacheMetrics.includes(metricName)}
-                            onChange={() => toggleCacheMetricSelection(metricName)}
+                            type="text"
+                            value={rename ?? ""}
+                            placeholder={planned?.duplicateOf != null ? "New name to copy it anyway" : "New name"}
+                            onChange={(e) => renameMergeItem(kind, item.id, e.target.value)}
+                            style={{ marginTop: "0.35rem", width: "100%", fontSize: "0.75rem" }}
                           />
-                          {metricName}
-                        </label>
-                      ))}
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+            {mergeDialog.plan && !mergeDialog.stale && (
+              <p style={{ fontSize: "0.75rem", color: mergeDialog.plan.errors.length > 0 ? "#c0392b" : "#555" }}>
+                {mergeDialog.plan.errors.length > 0
+                  ? `${mergeDialog.plan.errors.length} names must be changed before merging.`
+                  : `Ready to copy ${mergeDialog.plan.runs.filter((run) => run.duplicateOf === null).length} runs and ${mergeDialog.plan.plots.length} plots.`}
+              </p>
+            )}
+            <div className="dialog-actions">
+              <button onClick={() => setMergeDialog(null)} className="btn-cancel">
+                Cancel
+              </button>
+              {!mergeDialog.plan || mergeDialog.stale ? (
+                <button
+                  onClick={checkMerge}
+                  className="btn-create"
+                  disabled={!mergeDialog.targetSessionId || (mergeDialog.runIds.length === 0 && mergeDialog.plotIds.length === 0)}
+                >
+                  Check
+                </button>
+              ) : (
+                <button
+                  onClick={commitMerge}
+                  className="btn-create"
+                  disabled={mergeDialog.plan.errors.length > 0}
+                >
+                  Merge
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* API Tokens Dialog */}
+      {apiTokens && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setApiTokens(null)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>API Tokens</h2>
+            <p style={{ color: "#555", fontSize: "0.75rem", lineHeight: 1.5, marginTop: 0 }}>
+              Upload scripts and CI jobs send a token as <code>Authorization: Bearer &lt;token&gt;</code>{" "}
+              and act as you.
+            </p>
+            {createdApiToken && (
+              <div style={{ padding: "0.65rem 0.75rem", border: "1px solid #191918", background: "#f4f4f2", marginBottom: "0.75rem" }}>
+                <div style={{ fontSize: "0.7rem", fontWeight: "700", marginBottom: "0.35rem", textTransform: "uppercase" }}>
+                  Copy this token now; it will not be shown again
+                </div>
+                <code style={{ fontSize: "0.75rem", wordBreak: "break-all" }}>{createdApiToken}</code>
+              </div>
+            )}
+            <div style={{ fontFamily: "monospace" }}>
+              {apiTokens.length === 0 && (
+                <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>No API tokens yet.</p>
+              )}
+              {apiTokens.map((token) => (
+                <div
+                  key={token.id}
+                  style={{
+                    padding: "0.5rem 0.75rem",
+                    margin: "0.35rem 0",
+                    border: "1px solid #e0e0d8",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "0.75rem"
+                  }}
+                >
+                  <div style={{ flex: 1 }}>
+                    <div style={{ fontSize: "0.8rem", fontWeight: "600" }}>{token.name}</div>
+                    <div style={{ fontSize: "0.65rem", color: "#6b6b68" }}>
+                      Created {new Date(token.createdAt).toLocaleDateString("en-AU")}
+                      {" • "}
+                      {token.expiresAt ? `expires ${new Date(token.expiresAt).toLocaleDateString("en-AU")}` : "never expires"}
+                      {" • "}
+                      {token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleDateString("en-AU")}` : "never used"}
                     </div>
                   </div>
-                ) : (
-                  <div className="dialog-field">
-                    <p style={{ color: "#999", fontSize: "0.9rem" }}>
-                      No cache/PMU data available. Upload runs with PMU data to enable this option.
-                    </p>
-                  </div>
-                );
-              })()}
-
-            {newPlot.plotType === "misc" && (
-              <>
-                <div className="dialog-field">
-                  <label>Select Metric:</label>
-                  <select
-                    value={newPlot.miscMetric || "cycles"}
-                    onChange={(e) =>
-                      setNewPlot({
-                        ...newPlot,
-                        miscMetric: e.target.value
-                      })
-                    }
+                  <button
+                    onClick={() => revokeApiToken(token)}
+                    className="btn-cancel"
+                    style={{ padding: "0.3rem 0.5rem", fontSize: "0.65rem" }}
                   >
-                    <option value="cycles">Cycles per Packet</option>
-                    <option value="kernel_entries">Kernel Entries per Packet</option>
-                    <option value="l1_i_misses">L1 I-Cache Misses per Packet</option>
-                    <option value="l1_d_misses">L1 D-Cache Misses per Packet</option>
-                  </select>
+                    Revoke
+                  </button>
                 </div>
+              ))}
+            </div>
+            <div style={{ display: "flex", gap: "0.5rem", marginTop: "1rem" }} className="dialog-field">
+              <input
+                type="text"
+                placeholder="Token name, e.g. CI uploader"
+                value={newApiToken.name}
+                onChange={(e) => setNewApiToken({ ...newApiToken, name: e.target.value })}
+              />
+              <select
+                value={newApiToken.expiresInDays}
+                onChange={(e) => setNewApiToken({ ...newApiToken, expiresInDays: e.target.value })}
+                style={{ width: "auto" }}
+              >
+                <option value="">No expiry</option>
+                <option value="30">30 days</option>
+                <option value="90">90 days</option>
+                <option value="365">1 year</option>
+              </select>
+              <button
+                onClick={createApiToken}
+                className="btn-create"
+                disabled={!newApiToken.name.trim()}
+              >
+                Create
+              </button>
+            </div>
+            <div className="dialog-actions">
+              <button onClick={() => setApiTokens(null)} className="btn-cancel">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
 
-                {(() => {
-                  const metricType = newPlot.miscMetric || "cycles";
-                  const isCacheMetric = metricType === "l1_i_misses" || metricType === "l1_d_misses";
-
-                  // Cache metrics are system-wide only, no PD selection
-                  if (isCacheMetric) {
-                    return null;
-                  }
-
-                  // Collect all unique protection domains from runs with CPU data
-                  const availablePDs = new Map();
-                  runs.forEach((run) => {
-                    run.cpuData?.tests?.[0]?.cores?.[0]?.protection_domains?.forEach(
-                      (pd) => {
-                        if (!availablePDs.has(pd.name)) {
-                          availablePDs.set(pd.name, true);
-                        }
-                      },
-                    );
-                  });
-                  const pdList = Array.from(availablePDs.keys());
-                  const systemLabel = metricType === "cycles" ? "System Total Cycles" : "System Total";
-
-                  return pdList.length > 0 ? (
-                    <div className="dialog-field">
-                      <label>Select Protection Domain (optional):</label>
-                      <select
-                        value={newPlot.miscPD || ""}
-                        onChange={(e) =>
-                          setNewPlot({
-                            ...newPlot,
-                            miscPD: e.target.value || null
-                          })
-                        }
-                      >
-                        <option value="">{systemLabel}</option>
-                        {pdList.map((pdName) => (
-                          <option key={pdName} value={pdName}>
-                            {pdName}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
-                  ) : (
-                    <div className="dialog-field">
-                      <p style={{ color: "#999", fontSize: "0.9rem" }}>
-                        No protection domain data available. {systemLabel} will be used.
-                      </p>
+      {/* Share Links Dialog */}
+      {shareDialog && (
+        <div
+          className="dialog-overlay"
+          onClick={() => setShareDialog(null)}
+        >
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Share {shareDialog.title}</h2>
+            <p style={{ color: "#555", fontSize: "0.75rem", lineHeight: 1.5, marginTop: 0 }}>
+              Anyone with a link can view {shareDialog.plotId !== null ? "this plot and the runs it shows" : "this session"}{" "}
+              without logging in, but cannot change anything. New links are copied to the clipboard.
+            </p>
+            {!shareDialog.shares ? (
+              <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>Loading share links...</p>
+            ) : (
+              <div style={{ fontFamily: "monospace" }}>
+                {shareDialog.shares.length === 0 && (
+                  <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>No share links yet.</p>
+                )}
+                {shareDialog.shares.map((share) => (
+                  <div
+                    key={share.token}
+                    style={{
+                      padding: "0.5rem 0.75rem",
+                      margin: "0.35rem 0",
+                      border: "1px solid #e0e0d8",
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "0.75rem"
+                    }}
+                  >
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <input
+                        type="text"
+                        readOnly
+                        value={shareUrl(share.token)}
+                        onFocus={(e) => e.target.select()}
+                        style={{ width: "100%", fontSize: "0.7rem", fontFamily: "monospace", border: "1px solid #c0c0b8", padding: "0.25rem" }}
+                      />
+                      <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginTop: "0.25rem" }}>
+                        Created {new Date(share.createdAt).toLocaleDateString("en-AU")}
+                        {" • "}
+                        {share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleDateString("en-AU")}` : "never expires"}
+                      </div>
                     </div>
-                  );
-                })()}
-              </>
+                    <button
+                      onClick={() => revokeShareLink(share.token)}
+                      className="btn-cancel"
+                      style={{ padding: "0.3rem 0.5rem", fontSize: "0.65rem" }}
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                ))}
+              </div>
             )}
-
             <div className="dialog-actions">
-              <button
-                onClick={() => {
-                  setShowPlotDialog(false);
-                  setEditingPlotId(null);
-                  setNewPlot({
-                    name: "",
-                    selectedRuns: [],
-                    plotType: "xput-cpu",
-                    selectedPDs: [],
-                    cpuType: "total",
-                    cacheMetrics: [],
-                    baselineRunId: null,
-                    miscPD: null,
-                    miscMetric: "cycles",
-                  });
-                }}
-                className="btn-cancel"
+              <select
+                value={shareExpiresInDays}
+                onChange={(e) => setShareExpiresInDays(e.target.value)}
+                style={{ fontSize: "0.7rem", fontFamily: "monospace", marginRight: "auto" }}
               >
-                Cancel
+                <option value="">No expiry</option>
+                <option value="1">1 day</option>
+                <option value="7">7 days</option>
+                <option value="30">30 days</option>
+              </select>
+              <button onClick={() => setShareDialog(null)} className="btn-cancel">
+                Close
               </button>
-              <button onClick={handleAddCustomPlot} className="btn-create">
-                {editingPlotId ? "Save Changes" : "Create Plot"}
+              <button onClick={createShareLink} className="btn-create" disabled={!shareDialog.shares}>
+                Create Link
               </button>
             </div>
           </div>
         </div>
       )}
 
-      {showTableView && selectedRunForTable && (
-        <RunDataTable
-          run={selectedRunForTable}
-          onClose={() => {
-            setShowTableView(false);
-            setSelectedRunForTable(null);
-          }}
-          onUpdateMetadata={(runId, metadata) => {
-            setRuns(runs.map(run =>
-              run.id === runId ? { ...run, metadata } : run
-            ));
-          }}
-        />
-      )}
-
-      {/* Rename Session Dialog */}
-      {showRenameDialog && (
+      {/* Webhooks Dialog */}
+      {webhookDialog && (
         <div
           className="dialog-overlay"
-          onClick={() => setShowRenameDialog(false)}
+          onClick={() => setWebhookDialog(null)}
         >
           <div className="dialog" onClick={(e) => e.stopPropagation()}>
-            <h2>Rename Session</h2>
+            <h2>Webhooks</h2>
+            <p style={{ color: "#555", fontSize: "0.75rem", lineHeight: 1.5, marginTop: 0 }}>
+              The backend POSTs a JSON payload to each URL when runs are added to or deleted from this
+              session. Payloads are signed with the webhook secret (X-Sddf-Bench-Signature: sha256=HMAC of
+              the body) and retried until the receiver answers with a 2xx.
+            </p>
+            {webhookDialog.createdSecret && (
+              <div className="dialog-field">
+                <label>Secret of the new webhook (shown only once):</label>
+                <input
+                  type="text"
+                  readOnly
+                  value={webhookDialog.createdSecret}
+                  onFocus={(e) => e.target.select()}
+                  style={{ fontFamily: "monospace" }}
+                />
+              </div>
+            )}
+            {!webhookDialog.webhooks ? (
+              <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>Loading webhooks...</p>
+            ) : (
+              <div style={{ fontFamily: "monospace" }}>
+                {webhookDialog.webhooks.length === 0 && (
+                  <p style={{ color: "#6b6b68", fontSize: "0.8rem" }}>No webhooks yet.</p>
+                )}
+                {webhookDialog.webhooks.map((webhook) => (
+                  <div
+                    key={webhook.id}
+                    style={{
+                      padding: "0.5rem 0.75rem",
+                      margin: "0.35rem 0",
+                      border: "1px solid #e0e0d8",
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "0.75rem"
+                    }}
+                  >
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontSize: "0.75rem", fontWeight: "600", overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {webhook.url}
+                      </div>
+                      <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginTop: "0.25rem" }}>
+                        {webhook.events.map((event) => WEBHOOK_EVENT_LABELS[event]).join(", ")}
+                        {webhook.rules && ` • ${webhook.rules.length} regression rules`}
+                      </div>
+                      <div style={{ fontSize: "0.65rem", color: webhook.lastDelivery?.error ? "#8b0000" : "#6b6b68", marginTop: "0.15rem" }}>
+                        {webhook.lastDelivery
+                          ? `Last delivery ${new Date(webhook.lastDelivery.at).toLocaleString("en-AU")}: ${webhook.lastDelivery.error || "OK"}${webhook.lastDelivery.gaveUp ? " (gave up)" : ""}`
+                          : "Nothing delivered yet"}
+                        {webhook.queued > 0 && ` • ${webhook.queued} queued`}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => deleteWebhook(webhook.id)}
+                      className="btn-cancel"
+                      style={{ padding: "0.3rem 0.5rem", fontSize: "0.65rem" }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="dialog-field">
-              <label>Session Name:</label>
+              <label>URL:</label>
               <input
                 type="text"
-                value={renameValue}
-                onChange={(e) => setRenameValue(e.target.value)}
-                placeholder="Enter session name"
-                autoFocus
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter') renameSession();
-                  if (e.key === 'Escape') setShowRenameDialog(false);
-                }}
+                value={newWebhook.url}
+                onChange={(e) => setNewWebhook({ ...newWebhook, url: e.target.value })}
+                placeholder="https://ci.example.com/hooks/sddf-bench"
               />
             </div>
+            <div className="dialog-field">
+              <label>Events:</label>
+              <div className="checkbox-list">
+                {Object.entries(WEBHOOK_EVENT_LABELS).map(([event, label]) => (
+                  <label key={event} className="checkbox-item">
+                    <input
+                      type="checkbox"
+                      checked={newWebhook.events.includes(event)}
+                      onChange={() => toggleWebhookEvent(event)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            {newWebhook.events.includes("regression") && (
+              <div className="dialog-field">
+                <label>Regression rules (JSON, same format as the regression gate):</label>
+                <textarea
+                  value={newWebhook.rules}
+                  onChange={(e) => setNewWebhook({ ...newWebhook, rules: e.target.value })}
+                  placeholder='[{ "metric": "pd", "pd": "ethernet_driver", "maxIncreasePct": 5 }]'
+                  rows={4}
+                  style={{ fontFamily: "monospace", fontSize: "0.7rem" }}
+                />
+              </div>
+            )}
+            <div className="dialog-field">
+              <label>Baseline Run:</label>
+              <select
+                value={newWebhook.baselineRunId}
+                onChange={(e) => setNewWebhook({ ...newWebhook, baselineRunId: e.target.value })}
+              >
+                <option value="">First run of the session</option>
+                {runs.map((run) => (
+                  <option key={run.id} value={run.id}>
+                    {run.name}
+                  </option>
+                ))}
+              </select>
+            </div>
             <div className="dialog-actions">
+              <button onClick={() => setWebhookDialog(null)} className="btn-cancel">
+                Close
+              </button>
               <button
-                onClick={() => setShowRenameDialog(false)}
-                className="btn-cancel"
+                onClick={createWebhook}
+                className="btn-create"
+                disabled={!webhookDialog.webhooks || !newWebhook.url.trim() || newWebhook.events.length === 0}
               >
-                Cancel
-              </button>
-              <button onClick={renameSession} className="btn-create">
-                Rename
+                Add Webhook
               </button>
             </div>
           </div>
         </div>
       )}
 
-      {/* Rename Run Dialog */}
-      {showRunRenameDialog && (
+      {/* Run Search Dialog */}
+      {runSearch && (
         <div
           className="dialog-overlay"
-          onClick={() => setShowRunRenameDialog(false)}
+          onClick={() => setRunSearch(null)}
         >
-          <div className="dialog" onClick={(e) => e.stopPropagation()}>
-            <h2>Rename Run</h2>
-            <div className="dialog-field">
-              <label>Run Name:</label>
-              <input
-                type="text"
-                value={runRenameValue}
-                onChange={(e) => setRunRenameValue(e.target.value)}
-                placeholder="Enter run name"
-                autoFocus
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter') renameRun();
-                  if (e.key === 'Escape') setShowRunRenameDialog(false);
-                }}
-              />
+          <div className="dialog" onClick={(e) => e.stopPropagation()} style={{ width: "640px", maxWidth: "90vw" }}>
+            <h2>Search Runs</h2>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                searchRuns();
+              }}
+            >
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0 0.75rem" }}>
+                {[
+                  ["hardware", "Hardware", "e.g. MAAXBOARD"],
+                  ["commit", "Commit (prefix)", "e.g. a1b2c3"],
+                  ["from", "From", "2025-10-01"],
+                  ["to", "To", "2025-10-31 or 2025-10"],
+                  ["name", "Run Name", "e.g. baseline"],
+                  ["notes", "Notes", "Text in the notes"],
+                ].map(([field, label, placeholder]) => (
+                  <div key={field} className="dialog-field">
+                    <label>{label}:</label>
+                    <input
+                      type="text"
+                      value={runSearchFilters[field]}
+                      onChange={(e) => setRunSearchFilters({ ...runSearchFilters, [field]: e.target.value })}
+                      placeholder={placeholder}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="dialog-actions">
+                <button type="button" onClick={() => setRunSearchFilters(EMPTY_RUN_SEARCH)} className="btn-cancel">
+                  Clear
+                </button>
+                <button type="submit" className="btn-create" disabled={runSearch.loading}>
+                  {runSearch.loading ? "Searching..." : "Search"}
+                </button>
+              </div>
+            </form>
+            {runSearch.results && (
+              <div style={{ fontFamily: "monospace", maxHeight: "45vh", overflowY: "auto", marginTop: "1rem" }}>
+                <p style={{ color: "#6b6b68", fontSize: "0.75rem", margin: "0 0 0.5rem" }}>
+                  {runSearch.total === 0
+                    ? "No matching runs."
+                    : `Showing ${runSearch.results.length} of ${runSearch.total} matching runs`}
+                </p>
+                {runSearch.results.map((result) => {
+                  const { run } = result;
+                  const inCurrentSession = result.sessionId === currentSessionId;
+                  return (
+                    <div
+                      key={`${result.sessionId}/${run.id}`}
+                      style={{
+                        padding: "0.5rem 0.75rem",
+                        margin: "0.35rem 0",
+                        border: "1px solid #e0e0d8",
+                        display: "flex",
+                        alignItems: "center",
+                        gap: "0.75rem"
+                      }}
+                    >
+                      <div style={{ flex: 1, minWidth: 0 }}>
+                        <div style={{ fontSize: "0.75rem", fontWeight: "600", overflow: "hidden", textOverflow: "ellipsis" }}>
+                          {run.name}
+                        </div>
+                        <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginTop: "0.25rem" }}>
+                          {result.sessionName}
+                          {run.metadata.hardware && ` • ${run.metadata.hardware}`}
+                          {run.metadata.commit && ` • ${run.metadata.commit.slice(0, 10)}`}
+                          {run.metadata.dateTime && ` • ${run.metadata.dateTime.replace("T", " ")}`}
+                        </div>
+                        {run.metadata.notes && (
+                          <div style={{ fontSize: "0.65rem", color: "#6b6b68", marginTop: "0.15rem", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                            {run.metadata.notes}
+                          </div>
+                        )}
+                      </div>
+                      {!inCurrentSession && currentSessionId && canEditSession && (
+                        <button
+                          onClick={() => addSearchResult(result)}
+                          className="btn-create"
+                          style={{ padding: "0.3rem 0.5rem", fontSize: "0.65rem" }}
+                          title="Copy this run into the current session"
+                        >
+                          Add
+                        </button>
+                      )}
+                      <button
+                        onClick={() => openSearchResult(result)}
+                        className="btn-cancel"
+                        style={{ padding: "0.3rem 0.5rem", fontSize: "0.65rem" }}
+                        title="Open the session this run belongs to"
+                      >
+                        {inCurrentSession ? "Current" : "Open"}
+                      </button>
+                    </div>
+                  );
+                })}
+                {runSearch.results.length < runSearch.total && (
+                  <button
+                    onClick={() => searchRuns(runSearch.results.length)}
+                    className="btn-cancel"
+                    disabled={runSearch.loading}
+                    style={{ width: "100%", marginTop: "0.35rem" }}
+                  >
+                    Load More
+                  </button>
+                )}
+              </div>
+            )}
+            <div className="dialog-actions">
+              <button onClick={() => setRunSearch(null)} className="btn-cancel">
+                Close
+              </button>
             </div>
+          </div>
+        </div>
+      )}
+
+      {/* Session Conflict Dialog */}
+      {sessionConflict && sessionConflict.sessionId === currentSessionId && (
+        <div className="dialog-overlay">
+          <div className="dialog" onClick={(e) => e.stopPropagation()}>
+            <h2>Session Changed Elsewhere</h2>
+            <p style={{ color: "#555", lineHeight: 1.5 }}>
+              "{sessionConflict.server.name}" was saved by someone else (revision{" "}
+              {sessionConflict.server.revision}) since you loaded it. The server copy has{" "}
+              {(sessionConflict.server.runs || []).length} runs and{" "}
+              {(sessionConflict.server.customPlots || []).length} custom plots; yours has{" "}
+              {runs.length} runs and {customPlots.length} custom plots.
+            </p>
+            <p style={{ color: "#555", lineHeight: 1.5 }}>
+              Merge keeps everything from the server and adds your runs and plots that
+              are missing there.
+            </p>
             <div className="dialog-actions">
               <button
-                onClick={() => setShowRunRenameDialog(false)}
+                onClick={() => resolveSessionConflict("reload")}
                 className="btn-cancel"
               >
-                Cancel
+                Reload Server Copy
               </button>
-              <button onClick={renameRun} className="btn-create">
-                Rename
+              <button
+                onClick={() => resolveSessionConflict("overwrite")}
+                className="btn-cancel"
+              >
+                Keep Mine
+              </button>
+              <button
+                onClick={() => resolveSessionConflict("merge")}
+                className="btn-create"
+              >
+                Merge
               </button>
             </div>
           </div>
@@ -0,0 +1,78 @@
+import { useState } from "react";
+import * as api from "../utils/api";
+
+/**
+ * LoginScreen Component
+ *
+ * Shown instead of the app while the backend requires a login. On a fresh
+ * install (no accounts yet) it creates the first administrator instead.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.needsSetup - No account exists yet
+ * @param {Function} props.onLoggedIn - Called with the user once logged in
+ * @returns {JSX.Element} The login form
+ */
+function LoginScreen({ needsSetup, onLoggedIn }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const result = needsSetup
+        ? await api.register(username.trim(), password)
+        : await api.login(username.trim(), password);
+      onLoggedIn(result.user);
+    } catch (err) {
+      const details = err.data?.errors?.map(({ path, message }) => `${path} ${message}`);
+      setError(details ? details.join("\n") : err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-screen">
+      <form className="dialog" onSubmit={handleSubmit}>
+        <h2>{needsSetup ? "Create Administrator" : "Log In"}</h2>
+        {needsSetup && (
+          <p style={{ color: "#555", fontSize: "0.8rem", lineHeight: 1.5, marginTop: 0 }}>
+            No accounts exist yet. The first account is an administrator and can
+            see every session and create accounts for others.
+          </p>
+        )}
+        {error && <p className="login-error">{error}</p>}
+        <div className="dialog-field">
+          <label>Username</label>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+          />
+        </div>
+        <div className="dialog-field">
+          <label>Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={needsSetup ? "new-password" : "current-password"}
+          />
+        </div>
+        <div className="dialog-actions">
+          <button type="submit" className="btn-create" disabled={submitting || !username.trim() || !password}>
+            {submitting ? "Please wait..." : needsSetup ? "Create Account" : "Log In"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -6,6 +6,18 @@ import {
   flexRender,
 } from "@tanstack/react-table";
 import { prepareTableData, formatters } from "../utils/tableData.js";
+import { formatFields, formatTags, parseFields, parseTags, withTagsAndFields } from "../utils/metadata.js";
+import { ALL_CORES, runCoreIds } from "../../../shared/cores.js";
+
+// Editable copy of a run's metadata; tags and fields are edited as text
+const editableMetadata = (metadata) => ({
+  commit: metadata?.commit || "",
+  hardware: metadata?.hardware || "",
+  dateTime: metadata?.dateTime || new Date().toISOString().slice(0, 16),
+  notes: metadata?.notes || "",
+  tags: formatTags(metadata?.tags),
+  fields: formatFields(metadata?.fields),
+});
 
 /**
  * RunDataTable Component
@@ -15,22 +27,22 @@ import { prepareTableData, formatters } from "../utils/tableData.js";
  *
  * @param {Object} props - Component props
  * @param {Object} props.run - The run object containing data and cpuData
+ * @param {number|string} [props.core] - Core whose CPU and PD data are shown, or ALL_CORES
  * @param {Function} props.onClose - Callback function to close the table view
  * @param {Function} props.onUpdateMetadata - Callback to update run metadata
  * @returns {JSX.Element} The table component
  */
-function RunDataTable({ run, onClose, onUpdateMetadata }) {
+function RunDataTable({ run, core = ALL_CORES, onClose, onUpdateMetadata }) {
   const [expanded, setExpanded] = useState({});
   const [isEditingMetadata, setIsEditingMetadata] = useState(false);
-  const [metadata, setMetadata] = useState({
-    commit: run.metadata?.commit || "",
-    hardware: run.metadata?.hardware || "",
-    dateTime: run.metadata?.dateTime || new Date().toISOString().slice(0, 16),
-    notes: run.metadata?.notes || "",
-  });
+  const [metadata, setMetadata] = useState(() => editableMetadata(run.metadata));
 
   // Prepare table data from run object
-  const data = useMemo(() => prepareTableData(run), [run]);
+  const data = useMemo(() => prepareTableData(run, core), [run, core]);
+
+  // Per-core columns are only worth showing when the run used several cores
+  const coreIds = useMemo(() => runCoreIds(run), [run]);
+  const multiCore = coreIds.length > 1;
 
   // Define table columns
   const columns = useMemo(
@@ -116,8 +128,20 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
         },
         size: 100,
       },
+      ...(multiCore
+        ? coreIds.map((id) => ({
+            id: `core-${id}`,
+            accessorFn: (row) => row.cores.find((entry) => entry.id === id)?.cpu ?? null,
+            header: `Core ${id} %`,
+            cell: ({ getValue }) => {
+              const value = getValue();
+              return value !== null ? formatters.percentage(value) : "-";
+            },
+            size: 100,
+          }))
+        : []),
     ],
-    []
+    [coreIds, multiCore]
   );
 
   // Initialize table
@@ -134,19 +158,23 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
   });
 
   const handleSaveMetadata = () => {
+    const { fields, invalid } = parseFields(metadata.fields);
+    if (invalid.length > 0) {
+      alert(`Fields must be written as key=value, one per line:\n\n${invalid.join("\n")}`);
+      return;
+    }
     if (onUpdateMetadata) {
-      onUpdateMetadata(run.id, metadata);
+      const { commit, hardware, dateTime, notes } = metadata;
+      onUpdateMetadata(
+        run.id,
+        withTagsAndFields({ ...run.metadata, commit, hardware, dateTime, notes }, parseTags(metadata.tags), fields)
+      );
     }
     setIsEditingMetadata(false);
   };
 
   const handleCancelMetadata = () => {
-    setMetadata({
-      commit: run.metadata?.commit || "",
-      hardware: run.metadata?.hardware || "",
-      dateTime: run.metadata?.dateTime || new Date().toISOString().slice(0, 16),
-      notes: run.metadata?.notes || "",
-    });
+    setMetadata(editableMetadata(run.metadata));
     setIsEditingMetadata(false);
   };
 
@@ -197,6 +225,7 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
               <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.875rem", color: "#666" }}>
                 {data.length} test{data.length !== 1 ? "s" : ""}
                 {run.cpuData ? " with CPU data" : ""}
+                {multiCore ? ` (${core === ALL_CORES ? "all cores" : `core ${core}`})` : ""}
               </p>
             </div>
           <div style={{ display: "flex", gap: "0.5rem", alignItems: "center" }}>
@@ -226,11 +255,13 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                   "Bad Packets",
                   "Total CPU %",
                   "Kernel CPU %",
-                  "User CPU %"
+                  "User CPU %",
+                  ...(multiCore ? coreIds.map(id => `Core ${id} CPU %`) : [])
                 ];
 
                 // Add PD-specific columns for each protection domain
                 const pdHeaders = sortedPDNames.flatMap(pdName => [
+                  ...(multiCore ? [`${pdName} - Cores`] : []),
                   `${pdName} - Total CPU %`,
                   `${pdName} - Kernel CPU %`,
                   `${pdName} - User CPU %`,
@@ -258,7 +289,8 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                     row.badPackets,
                     row.totalCPU ?? "N/A",
                     row.kernelCPU ?? "N/A",
-                    row.userCPU ?? "N/A"
+                    row.userCPU ?? "N/A",
+                    ...(multiCore ? coreIds.map(id => row.cores.find(entry => entry.id === id)?.cpu ?? "N/A") : [])
                   ];
 
                   // Add PD data for each protection domain
@@ -266,6 +298,8 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                     const pd = row.protectionDomains?.find(p => p.name === pdName);
                     if (pd) {
                       return [
+                        // Core ids are space separated to keep them in one CSV cell
+                        ...(multiCore ? [pd.coreIds.join(" ")] : []),
                         pd.cpuUtilization ?? "N/A",
                         pd.kernelCpuUtilization ?? "N/A",
                         pd.userCpuUtilization ?? "N/A",
@@ -277,7 +311,7 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                       ];
                     } else {
                       // If PD doesn't exist for this test, fill with N/A
-                      return ["N/A", "N/A", "N/A", "N/A", "N/A", "N/A", "N/A", "N/A"];
+                      return [...(multiCore ? ["N/A"] : []), "N/A", "N/A", "N/A", "N/A", "N/A", "N/A", "N/A", "N/A"];
                     }
                   });
 
@@ -465,6 +499,44 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                     }}
                   />
                 </div>
+                <div>
+                  <label style={{ display: "block", marginBottom: "0.25rem", fontWeight: "500", color: "#555" }}>
+                    Tags
+                  </label>
+                  <input
+                    type="text"
+                    value={metadata.tags}
+                    onChange={(e) => setMetadata({ ...metadata, tags: e.target.value })}
+                    placeholder="e.g., baseline, lto"
+                    style={{
+                      width: "100%",
+                      padding: "0.5rem",
+                      border: "1px solid #d0d0d0",
+                      borderRadius: "4px",
+                      fontSize: "0.85rem",
+                    }}
+                  />
+                </div>
+                <div style={{ gridColumn: "1 / -1" }}>
+                  <label style={{ display: "block", marginBottom: "0.25rem", fontWeight: "500", color: "#555" }}>
+                    Fields (key=value per line)
+                  </label>
+                  <textarea
+                    value={metadata.fields}
+                    onChange={(e) => setMetadata({ ...metadata, fields: e.target.value })}
+                    placeholder={"e.g., nic=i225\ncompiler=clang 18"}
+                    rows={3}
+                    style={{
+                      width: "100%",
+                      padding: "0.5rem",
+                      border: "1px solid #d0d0d0",
+                      borderRadius: "4px",
+                      fontSize: "0.85rem",
+                      resize: "vertical",
+                      fontFamily: "monospace",
+                    }}
+                  />
+                </div>
                 <div style={{ gridColumn: "1 / -1" }}>
                   <label style={{ display: "block", marginBottom: "0.25rem", fontWeight: "500", color: "#555" }}>
                     Notes
@@ -502,6 +574,16 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                     {metadata.dateTime ? new Date(metadata.dateTime).toLocaleString() : "Not set"}
                   </span>
                 </div>
+                <div>
+                  <span style={{ fontWeight: "500", color: "#666" }}>Tags: </span>
+                  <span style={{ color: "#333" }}>{metadata.tags || "None"}</span>
+                </div>
+                {Object.entries(parseFields(metadata.fields).fields).map(([key, value]) => (
+                  <div key={key}>
+                    <span style={{ fontWeight: "500", color: "#666" }}>{key}: </span>
+                    <span style={{ color: "#333" }}>{value}</span>
+                  </div>
+                ))}
                 <div style={{ gridColumn: "1 / -1" }}>
                   <span style={{ fontWeight: "500", color: "#666" }}>Notes: </span>
                   <span style={{ color: "#333" }}>{metadata.notes || "No notes"}</span>
@@ -650,6 +732,20 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                                   >
                                     Protection Domain
                                   </th>
+                                  {multiCore && (
+                                    <th
+                                      style={{
+                                        padding: "0.5rem",
+                                        textAlign: "left",
+                                        borderBottom: "1px solid #d0d0d0",
+                                        backgroundColor: "white",
+                                        fontWeight: "600",
+                                        color: "#555",
+                                      }}
+                                    >
+                                      Cores
+                                    </th>
+                                  )}
                                   <th
                                     style={{
                                       padding: "0.5rem",
@@ -705,6 +801,16 @@ function RunDataTable({ run, onClose, onUpdateMetadata }) {
                                     >
                                       {pd.name}
                                     </td>
+                                    {multiCore && (
+                                      <td
+                                        style={{
+                                          padding: "0.5rem",
+                                          borderBottom: "1px solid #e8e8e8",
+                                        }}
+                                      >
+                                        {pd.coreIds.join(", ")}
+                                      </td>
+                                    )}
                                     <td
                                       style={{
                                         padding: "0.5rem",
@@ -0,0 +1,617 @@
+/**
+ * Thin wrappers around the backend REST API.
+ * Every function resolves with the parsed JSON response and rejects with an
+ * Error carrying the HTTP status when the backend reports a failure.
+ * Requests carry the login token, if any, as a bearer token, and the id of
+ * this tab so that live session events caused by it can be told apart.
+ */
+
+export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+const AUTH_TOKEN_KEY = "sddf-bench-auth-token";
+
+let authToken = localStorage.getItem(AUTH_TOKEN_KEY);
+let unauthorizedHandler = null;
+
+// Identifies this tab in the X-Client-Id header
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Delay before following a session again after its event stream dropped
+const EVENT_RETRY_MS = 5000;
+
+// Times a chunk of an upload is sent before giving up
+const CHUNK_ATTEMPTS = 3;
+
+/**
+ * Remember the login token for later requests, or forget it when null
+ * @param {string|null} token - Token returned by login or register
+ */
+export const setAuthToken = (token) => {
+  authToken = token;
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
+
+/**
+ * Register a callback for requests rejected with 401 (missing or expired token)
+ * @param {Function|null} handler - Called with the rejected Error
+ */
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+const requestHeaders = () => {
+  const headers = { "X-Client-Id": CLIENT_ID };
+  if (authToken) {
+    headers.Authorization = `Bearer ${authToken}`;
+  }
+  return headers;
+};
+
+/**
+ * Send a request to the backend and parse the JSON response
+ * @param {string} path - API path starting with "/api"
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method="GET"] - HTTP method
+ * @param {Object|Blob} [options.body] - JSON body to send, or raw bytes
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<Object>} Parsed response body
+ */
+export const apiRequest = async (path, { method = "GET", body, headers: extraHeaders } = {}) => {
+  const headers = { ...requestHeaders(), ...extraHeaders };
+  const raw = body instanceof Blob;
+  if (body !== undefined) {
+    headers["Content-Type"] = raw ? "application/octet-stream" : "application/json";
+  }
+
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body === undefined || raw ? body : JSON.stringify(body),
+  });
+
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const error = new Error(data?.error || `Request failed with status ${res.status}`);
+    error.status = res.status;
+    error.data = data;
+    if (res.status === 401 && unauthorizedHandler) {
+      unauthorizedHandler(error);
+    }
+    throw error;
+  }
+  return data;
+};
+
+const sessionPath = (sessionId) => `/api/sessions/${encodeURIComponent(sessionId)}`;
+
+/**
+ * Fetch whether authentication is enabled and who is logged in
+ * @returns {Promise<Object>} { enabled, needsSetup, user }
+ */
+export const fetchAuthStatus = () => apiRequest("/api/auth/status");
+
+/**
+ * Log in and remember the returned token
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ */
+export const login = async (username, password) => {
+  const result = await apiRequest("/api/auth/login", { method: "POST", body: { username, password } });
+  setAuthToken(result.token);
+  return result;
+};
+
+/**
+ * Create an account. Creating the first account logs it in as administrator.
+ * @param {string} username - Username
+ * @param {string} password - Password (at least 8 characters)
+ * @param {boolean} [admin=false] - Make the new user an administrator
+ * @returns {Promise<Object>} { user, token? }
+ */
+export const register = async (username, password, admin = false) => {
+  const result = await apiRequest("/api/auth/register", {
+    method: "POST",
+    body: { username, password, admin },
+  });
+  if (result.token) {
+    setAuthToken(result.token);
+  }
+  return result;
+};
+
+/**
+ * Revoke the current login token and forget it
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  try {
+    await apiRequest("/api/auth/logout", { method: "POST" });
+  } finally {
+    setAuthToken(null);
+  }
+};
+
+/**
+ * Fetch the API tokens of the logged-in user (without the secrets)
+ * @returns {Promise<Array>} Token records { id, name, createdAt, expiresAt, lastUsedAt }
+ */
+export const fetchApiTokens = () => apiRequest("/api/auth/tokens");
+
+/**
+ * Create an API token for scripts and CI uploaders
+ * @param {string} name - What the token is used for
+ * @param {number} [expiresInDays] - Lifetime in days; never expires when omitted
+ * @returns {Promise<Object>} Token record including the secret `token`, shown only once
+ */
+export const createApiToken = (name, expiresInDays) =>
+  apiRequest("/api/auth/tokens", { method: "POST", body: { name, expiresInDays } });
+
+/**
+ * Revoke an API token
+ * @param {string} tokenId - Token record id
+ * @returns {Promise<Object>} Revoke result
+ */
+export const revokeApiToken = (tokenId) =>
+  apiRequest(`/api/auth/tokens/${encodeURIComponent(tokenId)}`, { method: "DELETE" });
+
+/**
+ * Fetch every stored session keyed by id
+ * @returns {Promise<Object>} Map of session id to session
+ */
+export const fetchSessions = () => apiRequest("/api/sessions");
+
+/**
+ * Fetch one page of session summaries (no run data)
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.q] - Case-insensitive session name search
+ * @param {string} [options.sort="updatedAt"] - updatedAt, createdAt, name, runCount or plotCount
+ * @param {string} [options.order="desc"] - asc or desc
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=50] - Sessions per page
+ * @returns {Promise<Object>} { sessions, total, page, pageSize }
+ */
+export const fetchSessionIndex = ({ q, sort, order, page, pageSize } = {}) => {
+  const params = new URLSearchParams();
+  Object.entries({ q, sort, order, page, pageSize }).forEach(([key, value]) => {
+    if (value !== undefined && value !== "") {
+      params.set(key, value);
+    }
+  });
+  return apiRequest(`/api/sessions/index?${params}`);
+};
+
+/**
+ * Search runs by name and metadata across every session the user can see
+ * @param {Object} [filters] - Search filters
+ * @param {string} [filters.hardware] - Hardware substring
+ * @param {string} [filters.commit] - Commit hash prefix
+ * @param {string} [filters.from] - Earliest run date, e.g. 2025-10-01
+ * @param {string} [filters.to] - Latest run date or prefix, e.g. 2025-10
+ * @param {string} [filters.notes] - Notes substring
+ * @param {string} [filters.name] - Run name substring
+ * @param {number} [filters.limit=100] - Results per page (at most 500)
+ * @param {number} [filters.offset=0] - Results to skip
+ * @returns {Promise<Object>} { runs: [{ sessionId, sessionName, run }], total, limit, offset }
+ */
+export const searchRuns = (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== "") {
+      params.set(key, value);
+    }
+  });
+  return apiRequest(`/api/runs/search?${params}`);
+};
+
+/**
+ * Fetch a single session with all runs and custom plots
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} The session
+ */
+export const fetchSession = (sessionId) => apiRequest(sessionPath(sessionId));
+
+// Split a chunk of an event stream into complete messages and call onEvent
+// for each; returns the incomplete remainder
+const dispatchEvents = (buffer, onEvent) => {
+  const messages = buffer.split("\n\n");
+  const rest = messages.pop();
+  messages.forEach((message) => {
+    let event = "message";
+    const data = [];
+    message.split("\n").forEach((line) => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      if (line.startsWith("data:")) data.push(line.slice(5).trim());
+    });
+    if (data.length > 0) {
+      onEvent(event, JSON.parse(data.join("\n")));
+    }
+  });
+  return rest;
+};
+
+/**
+ * Follow the live changes to a session (Server-Sent Events). The stream is
+ * read with fetch rather than EventSource so it can carry the bearer token,
+ * and reopened after it drops; every (re)connection starts with a "ready"
+ * event carrying the current revision.
+ * @param {string} sessionId - Session id
+ * @param {Function} onEvent - Called with the event name and its payload
+ * @returns {Function} Stops following the session
+ */
+export const subscribeSessionEvents = (sessionId, onEvent) => {
+  const controller = new AbortController();
+  let retryTimer = null;
+
+  const connect = async () => {
+    try {
+      const res = await fetch(`${API_URL}${sessionPath(sessionId)}/events`, {
+        headers: requestHeaders(),
+        signal: controller.signal,
+      });
+      // Gone or forbidden; retrying will not help
+      if (res.status >= 400 && res.status < 500) {
+        console.warn(`[EVENTS] Not following session ${sessionId}: HTTP ${res.status}`);
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer = dispatchEvents(buffer + value, onEvent);
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.warn(`[EVENTS] Lost events of session ${sessionId}:`, err.message);
+    }
+    if (!controller.signal.aborted) {
+      retryTimer = setTimeout(connect, EVENT_RETRY_MS);
+    }
+  };
+
+  connect();
+  return () => {
+    controller.abort();
+    clearTimeout(retryTimer);
+  };
+};
+
+/**
+ * Compare runs of a session against a baseline run
+ * @param {string} sessionId - Session id
+ * @param {Object} options - Comparison options
+ * @param {number} options.baseline - Baseline run id
+ * @param {Array<number>} [options.runs] - Runs to compare (default: all other runs)
+ * @param {Array<string>} [options.metric] - throughput, rtt, cpu, pd, pmu and/or misc (default: all)
+ * @param {string} [options.cpuType] - total, kernel or user
+ * @param {number|string} [options.core] - Core id, or "all" (default) for every core
+ * @param {number} [options.min] - Lowest requested throughput (bits/s)
+ * @param {number} [options.max] - Highest requested throughput (bits/s)
+ * @returns {Promise<Object>} { baseline, options, comparisons: [{ run, metrics }] }
+ */
+export const fetchComparison = (sessionId, options) => {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      params.set(key, Array.isArray(value) ? value.join(",") : value);
+    }
+  });
+  return apiRequest(`${sessionPath(sessionId)}/compare?${params}`);
+};
+
+// Only write if the server copy is still at `revision`; a 409 error carries
+// the server copy as `error.data.current`
+const ifMatch = (revision) =>
+  revision !== undefined ? { "If-Match": `"${revision}"` } : undefined;
+
+/**
+ * Create a session, or replace it entirely if it already exists
+ * @param {Object} session - Complete session object
+ * @param {number} [revision] - Expected server revision (sent as If-Match)
+ * @returns {Promise<Object>} Save result containing the saved session
+ */
+export const saveSession = (session, revision) =>
+  apiRequest("/api/sessions", { method: "POST", body: session, headers: ifMatch(revision) });
+
+/**
+ * Update session-level fields without sending run data
+ * @param {string} sessionId - Session id
+ * @param {Object} updates - Any of { name, metadata, runOrder, plotOrder }
+ * @param {number} [revision] - Expected server revision (sent as If-Match)
+ * @returns {Promise<Object>} Update result containing the new revision
+ */
+export const updateSession = (sessionId, updates, revision) =>
+  apiRequest(sessionPath(sessionId), { method: "PATCH", body: updates, headers: ifMatch(revision) });
+
+/**
+ * Move a session to the trash
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} Delete result with the trash entry id (trashId)
+ */
+export const deleteSession = (sessionId) =>
+  apiRequest(sessionPath(sessionId), { method: "DELETE" });
+
+/**
+ * Export a session as a portable bundle, with the original files of its runs
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} Bundle, see backend/sessionBundle.js
+ */
+export const exportSession = (sessionId) => apiRequest(`${sessionPath(sessionId)}/export`);
+
+/**
+ * Import a session bundle as a new session
+ * @param {Object} bundle - Bundle from exportSession
+ * @returns {Promise<Object>} { sessionId, revision, runIds, plotIds, views }
+ */
+export const importSession = (bundle) =>
+  apiRequest("/api/sessions/import", { method: "POST", body: bundle });
+
+/**
+ * Copy runs and custom plots of one session into another. Runs already in the
+ * target (same name and metadata) are skipped; clashing names must be renamed.
+ * @param {string} targetSessionId - Session to copy into
+ * @param {Object} merge - { sourceSessionId, runIds, plotIds, renames: { runs, plots }, dryRun }
+ * @param {number} [revision] - Expected target revision (sent as If-Match)
+ * @returns {Promise<Object>} Plan { targetRevision, runs, plots, errors }; after
+ *   the merge also { revision, runIds, plotIds }
+ */
+export const mergeIntoSession = (targetSessionId, merge, revision) =>
+  apiRequest(`${sessionPath(targetSessionId)}/merge`, { method: "POST", body: merge, headers: ifMatch(revision) });
+
+/**
+ * Fetch the owner and members of a session
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} { sessionId, members: [{ userId, username, role }] }
+ */
+export const fetchMembers = (sessionId) => apiRequest(`${sessionPath(sessionId)}/members`);
+
+/**
+ * Give a user a role on a session; "owner" transfers ownership
+ * @param {string} sessionId - Session id
+ * @param {string} username - Username of the member
+ * @param {string} role - "viewer", "editor" or "owner"
+ * @returns {Promise<Object>} { sessionId, members }
+ */
+export const setMemberRole = (sessionId, username, role) =>
+  apiRequest(`${sessionPath(sessionId)}/members/${encodeURIComponent(username)}`, {
+    method: "PUT",
+    body: { role },
+  });
+
+/**
+ * Remove a member from a session
+ * @param {string} sessionId - Session id
+ * @param {string} username - Username of the member
+ * @returns {Promise<Object>} { sessionId, members }
+ */
+export const removeMember = (sessionId, username) =>
+  apiRequest(`${sessionPath(sessionId)}/members/${encodeURIComponent(username)}`, { method: "DELETE" });
+
+/**
+ * Fetch what a read-only share link points at. Works without logging in.
+ * @param {string} token - Share token from a /share/<token> URL
+ * @returns {Promise<Object>} { share: { sessionId, plotId, expiresAt }, session }
+ */
+export const fetchShare = (token) => apiRequest(`/api/share/${encodeURIComponent(token)}`);
+
+/**
+ * Fetch the share links of a session and its plots
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} { sessionId, shares: [{ token, plotId, createdAt, expiresAt }] }
+ */
+export const fetchShares = (sessionId) => apiRequest(`${sessionPath(sessionId)}/shares`);
+
+/**
+ * Create a read-only share link for a session or one of its custom plots
+ * @param {string} sessionId - Session id
+ * @param {Object} [options] - Share options
+ * @param {number} [options.plotId] - Only share this custom plot
+ * @param {number} [options.expiresInDays] - Lifetime in days; never expires when omitted
+ * @returns {Promise<Object>} The share { token, sessionId, plotId, createdAt, expiresAt }
+ */
+export const createShare = (sessionId, { plotId, expiresInDays } = {}) =>
+  apiRequest(`${sessionPath(sessionId)}/shares`, { method: "POST", body: { plotId, expiresInDays } });
+
+/**
+ * Revoke a share link
+ * @param {string} sessionId - Session id
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} Revoke result
+ */
+export const revokeShare = (sessionId, token) =>
+  apiRequest(`${sessionPath(sessionId)}/shares/${encodeURIComponent(token)}`, { method: "DELETE" });
+
+/**
+ * Fetch the webhooks of a session (without their secrets)
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} { sessionId, webhooks: [{ id, url, events, rules, lastDelivery, queued }] }
+ */
+export const fetchWebhooks = (sessionId) => apiRequest(`${sessionPath(sessionId)}/webhooks`);
+
+/**
+ * Create a webhook. The secret is only returned here.
+ * @param {string} sessionId - Session id
+ * @param {Object} webhook - Webhook settings
+ * @param {string} webhook.url - http(s) URL to POST events to
+ * @param {Array<string>} webhook.events - run.added, run.deleted and/or regression
+ * @param {string} [webhook.secret] - Signing secret; generated when omitted
+ * @param {Array<Object>} [webhook.rules] - Regression gate rules, for regression events
+ * @param {number} [webhook.baselineRunId] - Baseline run (default: first run of the session)
+ * @returns {Promise<Object>} { webhook } including its secret
+ */
+export const createWebhook = (sessionId, webhook) =>
+  apiRequest(`${sessionPath(sessionId)}/webhooks`, { method: "POST", body: webhook });
+
+/**
+ * Delete a webhook and its pending deliveries
+ * @param {string} sessionId - Session id
+ * @param {string} webhookId - Webhook id
+ * @returns {Promise<Object>} Delete result
+ */
+export const deleteWebhook = (sessionId, webhookId) =>
+  apiRequest(`${sessionPath(sessionId)}/webhooks/${encodeURIComponent(webhookId)}`, { method: "DELETE" });
+
+/**
+ * Fetch the revision history of a session, newest first, with the changes
+ * each revision made
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object>} { sessionId, history: [{ revision, current, name, changes, ... }] }
+ */
+export const fetchHistory = (sessionId) => apiRequest(`${sessionPath(sessionId)}/history`);
+
+/**
+ * Restore an archived revision of a session (saved as a new revision)
+ * @param {string} sessionId - Session id
+ * @param {number} revision - Archived revision to restore
+ * @param {number} [currentRevision] - Expected current revision (sent as If-Match)
+ * @returns {Promise<Object>} Save result containing the restored session
+ */
+export const restoreRevision = (sessionId, revision, currentRevision) =>
+  apiRequest(`${sessionPath(sessionId)}/history/${revision}/restore`, {
+    method: "POST",
+    headers: ifMatch(currentRevision),
+  });
+
+/**
+ * Append a run to a session
+ * @param {string} sessionId - Session id
+ * @param {Object} run - Run object (id, name, data, cpuData, metadata)
+ * @returns {Promise<Object>} Result containing the stored run
+ */
+export const addRun = (sessionId, run) =>
+  apiRequest(`${sessionPath(sessionId)}/runs`, { method: "POST", body: run });
+
+/**
+ * Upload a file in chunks. After a failed chunk the upload carries on from
+ * where the server stands, so only the lost chunk is sent again.
+ * @param {File} file - File to upload
+ * @param {Function} [onProgress] - Called with the bytes received so far
+ * @returns {Promise<string>} Upload id, for addRunFromUploads
+ */
+export const uploadFile = async (file, onProgress) => {
+  const upload = await apiRequest("/api/uploads", { method: "POST", body: { name: file.name, size: file.size } });
+  const uploadPath = `/api/uploads/${encodeURIComponent(upload.id)}`;
+
+  let received = 0;
+  let failures = 0;
+  while (received < file.size) {
+    try {
+      ({ received } = await apiRequest(`${uploadPath}?offset=${received}`, {
+        method: "PUT",
+        body: file.slice(received, received + upload.chunkSize),
+      }));
+      failures = 0;
+    } catch (error) {
+      // Limits, permissions and lost uploads do not change by sending again
+      const retryable = error.status === undefined || error.status === 409 || error.status >= 500;
+      if (!retryable || ++failures >= CHUNK_ATTEMPTS) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, failures * 1000));
+      ({ received } = await apiRequest(uploadPath));
+    }
+    onProgress?.(received);
+  }
+  return upload.id;
+};
+
+/**
+ * Append a run made of uploaded files, which the server parses like a
+ * dataset upload and keeps for exports
+ * @param {string} sessionId - Session id
+ * @param {Object} run - Run without data (id, name, metadata)
+ * @param {Array<string>} uploadIds - Ids from uploadFile, one or two files
+ * @returns {Promise<Object>} Result containing the stored run
+ */
+export const addRunFromUploads = (sessionId, run, uploadIds) =>
+  apiRequest(`${sessionPath(sessionId)}/runs/from-uploads`, {
+    method: "POST",
+    body: { ...run, files: uploadIds.map((uploadId) => ({ uploadId })) },
+  });
+
+/**
+ * Fetch a single run with its data
+ * @param {string} sessionId - Session id
+ * @param {number} runId - Run id
+ * @returns {Promise<Object>} The run
+ */
+export const fetchRun = (sessionId, runId) =>
+  apiRequest(`${sessionPath(sessionId)}/runs/${runId}`);
+
+/**
+ * Update fields of a run
+ * @param {string} sessionId - Session id
+ * @param {number} runId - Run id
+ * @param {Object} updates - Run fields to change (e.g. name, metadata)
+ * @returns {Promise<Object>} Result containing the updated run
+ */
+export const updateRun = (sessionId, runId, updates) =>
+  apiRequest(`${sessionPath(sessionId)}/runs/${runId}`, { method: "PATCH", body: updates });
+
+/**
+ * Move a run of a session to the trash
+ * @param {string} sessionId - Session id
+ * @param {number} runId - Run id
+ * @returns {Promise<Object>} Delete result with the trash entry id (trashId)
+ */
+export const deleteRun = (sessionId, runId) =>
+  apiRequest(`${sessionPath(sessionId)}/runs/${runId}`, { method: "DELETE" });
+
+/**
+ * Add a custom plot to a session
+ * @param {string} sessionId - Session id
+ * @param {Object} plot - Custom plot definition
+ * @returns {Promise<Object>} Result containing the stored plot
+ */
+export const addPlot = (sessionId, plot) =>
+  apiRequest(`${sessionPath(sessionId)}/plots`, { method: "POST", body: plot });
+
+/**
+ * Update fields of a custom plot
+ * @param {string} sessionId - Session id
+ * @param {number} plotId - Plot id
+ * @param {Object} updates - Plot fields to change
+ * @returns {Promise<Object>} Result containing the updated plot
+ */
+export const updatePlot = (sessionId, plotId, updates) =>
+  apiRequest(`${sessionPath(sessionId)}/plots/${plotId}`, { method: "PATCH", body: updates });
+
+/**
+ * Move a custom plot of a session to the trash
+ * @param {string} sessionId - Session id
+ * @param {number} plotId - Plot id
+ * @returns {Promise<Object>} Delete result with the trash entry id (trashId)
+ */
+export const deletePlot = (sessionId, plotId) =>
+  apiRequest(`${sessionPath(sessionId)}/plots/${plotId}`, { method: "DELETE" });
+
+/**
+ * List the deleted sessions, runs and plots the user can restore
+ * @returns {Promise<Object>} { entries, retentionDays }
+ */
+export const fetchTrash = () => apiRequest("/api/trash");
+
+/**
+ * Restore a deleted session, run or plot to where it was
+ * @param {string} entryId - Trash entry id
+ * @returns {Promise<Object>} { restored, revision }
+ */
+export const restoreTrash = (entryId) =>
+  apiRequest(`/api/trash/${encodeURIComponent(entryId)}/restore`, { method: "POST" });
+
+/**
+ * Delete a trash entry for good
+ * @param {string} entryId - Trash entry id
+ * @returns {Promise<Object>} Purge result
+ */
+export const purgeTrash = (entryId) =>
+  apiRequest(`/api/trash/${encodeURIComponent(entryId)}`, { method: "DELETE" });
@@ -120,3 +120,27 @@ export const formatCycles = (cycles) => {
   // For values less than 1000, show without suffix
   return `${cycles.toFixed(0)}`;
 };
+
+/**
+ * Describe the changes a session revision made as short readable lines
+ * @param {Object|null} changes - Change summary from the session history API
+ * @returns {string[]} One line per kind of change (e.g., "Runs added: baseline, lto")
+ */
+export const formatSessionChanges = (changes) => {
+  if (!changes) return ['Oldest kept revision'];
+
+  const names = (items) => items.map((item) => item.name || item.id).join(', ');
+  const lines = [];
+
+  if (changes.renamed) lines.push(`Renamed: "${changes.renamed.from}" → "${changes.renamed.to}"`);
+  if (changes.runsAdded.length) lines.push(`Runs added: ${names(changes.runsAdded)}`);
+  if (changes.runsRemoved.length) lines.push(`Runs removed: ${names(changes.runsRemoved)}`);
+  if (changes.runsModified.length) lines.push(`Runs edited: ${names(changes.runsModified)}`);
+  if (changes.runsReordered) lines.push('Runs reordered');
+  if (changes.plotsAdded.length) lines.push(`Plots added: ${names(changes.plotsAdded)}`);
+  if (changes.plotsRemoved.length) lines.push(`Plots removed: ${names(changes.plotsRemoved)}`);
+  if (changes.plotsModified.length) lines.push(`Plots edited: ${names(changes.plotsModified)}`);
+  if (changes.plotsReordered) lines.push('Plots reordered');
+
+  return lines.length ? lines : ['No changes to runs, plots or name'];
+};
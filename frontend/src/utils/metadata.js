@@ -0,0 +1,130 @@
+/**
+ * Helpers for the free-form metadata on runs and sessions, used by the
+ * metadata editors and the run filters. The stored shape is validated in
+ * shared/schema.js.
+ *
+ * Next to the fixed run fields (commit, hardware, dateTime, notes) a
+ * `metadata` object may hold:
+ *
+ *   tags    ["baseline", "lto"]
+ *   fields  { nic: "i225", kernel_config: "smp", compiler: "clang 18" }
+ *
+ * Sessions carry the same `metadata: { tags, fields }`.
+ *
+ * Filters are whitespace-separated terms that must all match:
+ *
+ *   lto             a tag containing "lto", or the item name containing it
+ *   #lto            exactly the tag "lto"
+ *   compiler=clang  a field (or fixed run field) whose value contains "clang"
+ */
+
+const FIXED_FIELDS = ["commit", "hardware", "dateTime", "notes"];
+
+/**
+ * Parse a comma- or space-separated list of tags
+ * @param {string} text - e.g. "baseline, lto"
+ * @returns {Array<string>} Unique tags in input order
+ */
+export const parseTags = (text) => [...new Set(text.split(/[,\s]+/).filter(Boolean))];
+
+/**
+ * Format tags for a text input
+ * @param {Array<string>} [tags] - Tags
+ * @returns {string} Comma-separated tags
+ */
+export const formatTags = (tags = []) => tags.join(", ");
+
+/**
+ * Parse key/value fields written one "key=value" per line
+ * @param {string} text - Field lines; blank lines are ignored
+ * @returns {{fields: Object, invalid: Array<string>}} Fields, and the lines without a key
+ */
+export function parseFields(text) {
+  const fields = {};
+  const invalid = [];
+  text.split("\n").forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const separator = trimmed.indexOf("=");
+    if (separator <= 0) {
+      invalid.push(trimmed);
+      return;
+    }
+    fields[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+  });
+  return { fields, invalid };
+}
+
+/**
+ * Format fields for a textarea, one "key=value" per line
+ * @param {Object} [fields] - Key/value fields
+ * @returns {string} Field lines
+ */
+export const formatFields = (fields = {}) =>
+  Object.entries(fields)
+    .map(([key, value]) => `${key}=${value}`)
+    .join("\n");
+
+/**
+ * Metadata with its tags and fields replaced; empty ones are left out
+ * @param {?Object} metadata - Existing metadata
+ * @param {Array<string>} tags - New tags
+ * @param {Object} fields - New key/value fields
+ * @returns {Object} Updated metadata
+ */
+export function withTagsAndFields(metadata, tags, fields) {
+  const updated = { ...metadata, tags, fields };
+  if (tags.length === 0) delete updated.tags;
+  if (Object.keys(fields).length === 0) delete updated.fields;
+  return updated;
+}
+
+/**
+ * Readable summary of run or session metadata, e.g. for a hover title
+ * @param {?Object} metadata - Run or session metadata
+ * @returns {string} One "label: value" per line
+ */
+export function describeMetadata(metadata) {
+  if (!metadata) return "";
+  return [
+    metadata.commit && `Commit: ${metadata.commit}`,
+    metadata.hardware && `Hardware: ${metadata.hardware}`,
+    metadata.dateTime && `Date: ${metadata.dateTime.replace("T", " ")}`,
+    metadata.tags?.length > 0 && `Tags: ${formatTags(metadata.tags)}`,
+    ...Object.entries(metadata.fields || {}).map(([key, value]) => `${key}: ${value}`),
+    metadata.notes && `Notes: ${metadata.notes}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Whether a run or session matches a metadata filter (see above)
+ * @param {{name: string, metadata: Object}} item - Run or session
+ * @param {string} filter - Filter terms
+ * @returns {boolean} True when every term matches
+ */
+export function matchesMetadataFilter({ name, metadata }, filter) {
+  metadata = metadata || {};
+  const terms = filter.toLowerCase().split(/\s+/).filter(Boolean);
+  const tags = (metadata.tags || []).map((tag) => tag.toLowerCase());
+  const fields = Object.entries({
+    ...Object.fromEntries(FIXED_FIELDS.map((field) => [field, metadata[field]])),
+    ...metadata.fields,
+  })
+    .filter(([, value]) => typeof value === "string")
+    .map(([key, value]) => [key.toLowerCase(), value.toLowerCase()]);
+
+  return terms.every((term) => {
+    if (term.startsWith("#")) {
+      return tags.includes(term.slice(1));
+    }
+    const separator = term.indexOf("=");
+    if (separator > 0) {
+      const key = term.slice(0, separator);
+      const value = term.slice(separator + 1);
+      return fields.some(([fieldKey, fieldValue]) => fieldKey === key && fieldValue.includes(value));
+    }
+    return tags.some((tag) => tag.includes(term)) || (name || "").toLowerCase().includes(term);
+  });
+}
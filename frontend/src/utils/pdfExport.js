@@ -1,6 +1,7 @@
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
 import Plotly from "plotly.js-basic-dist-min";
+import { ALL_CORES, findProtectionDomain, testCpu, testProtectionDomains } from "../../../shared/cores.js";
 
 // Simpler monochrome color scheme
 const colors = {
@@ -26,7 +27,7 @@ function formatThroughput(bps) {
 /**
  * Calculate run statistics for summary
  */
-function calculateRunStatistics(run) {
+function calculateRunStatistics(run, core = ALL_CORES) {
   const throughputs = run.data.map(d => d.Receive_Throughput);
   const rtts = run.data.map(d => d.Average_RTT).filter(Boolean);
 
@@ -40,7 +41,7 @@ function calculateRunStatistics(run) {
   };
 
   if (stats.hasCPU) {
-    const cpuValues = run.cpuData.tests.map(t => t.system?.cpu_utilization || 0);
+    const cpuValues = run.cpuData.tests.map(t => testCpu(t, core)?.cpu_utilization || 0);
     stats.minCPU = Math.min(...cpuValues);
     stats.maxCPU = Math.max(...cpuValues);
     stats.avgCPU = cpuValues.reduce((a, b) => a + b, 0) / cpuValues.length;
@@ -52,13 +53,13 @@ function calculateRunStatistics(run) {
 /**
  * Calculate average protection domain statistics across all tests
  */
-function calculatePDAverages(run) {
+function calculatePDAverages(run, core = ALL_CORES) {
   if (!run.cpuData?.tests) return [];
 
   const pdMap = new Map();
 
   run.cpuData.tests.forEach(test => {
-    const pds = test.cores?.[0]?.protection_domains || [];
+    const pds = testProtectionDomains(test, core);
     pds.forEach(pd => {
       if (!pdMap.has(pd.name)) {
         pdMap.set(pd.name, {
@@ -88,7 +89,7 @@ function calculatePDAverages(run) {
 /**
  * Create simple title page with teletype style
  */
-function createTitlePage(pdf, runs, pageWidth, pageHeight, margin) {
+function createTitlePage(pdf, runs, pageWidth, pageHeight, margin, core) {
   let yPos = margin + 10;
 
   // Main title - teletype style
@@ -108,7 +109,8 @@ function createTitlePage(pdf, runs, pageWidth, pageHeight, margin) {
     `Generated: ${new Date().toISOString()}`,
     `Total Runs: ${runs.length}`,
     `Tests per Run: ${runs[0]?.data.length || 0}`,
-    `CPU Monitoring: ${runs.some(r => r.cpuData) ? 'YES' : 'NO'}`
+    `CPU Monitoring: ${runs.some(r => r.cpuData) ? 'YES' : 'NO'}`,
+    `CPU Cores: ${core === ALL_CORES ? 'ALL' : core}`
   ];
 
   metadata.forEach(line => {
@@ -126,7 +128,7 @@ function createTitlePage(pdf, runs, pageWidth, pageHeight, margin) {
       sum + d.Receive_Throughput, 0) / run.data.length;
     const avgCPU = run.cpuData?.tests ?
       run.cpuData.tests.reduce((sum, t) =>
-        sum + (t.system?.cpu_utilization || 0), 0) / run.cpuData.tests.length : null;
+        sum + (testCpu(t, core)?.cpu_utilization || 0), 0) / run.cpuData.tests.length : null;
 
     pdf.text(
       `${run.name}: ${formatThroughput(avgThroughput)}` +
@@ -243,7 +245,7 @@ function addSectionHeader(pdf, title, pageWidth, margin) {
 /**
  * Create PD comparison plot for a specific protection domain across all runs
  */
-async function createPDComparisonPlot(runs, pdName) {
+async function createPDComparisonPlot(runs, pdName, core) {
   const traces = [];
 
   runs.forEach((run, runIdx) => {
@@ -255,7 +257,7 @@ async function createPDComparisonPlot(runs, pdName) {
     const userCPU = [];
 
     run.cpuData.tests.forEach((test, testIdx) => {
-      const pd = test.cores?.[0]?.protection_domains?.find(p => p.name === pdName);
+      const pd = findProtectionDomain(test, pdName, core);
       if (pd) {
         const throughput = run.data[testIdx]?.Receive_Throughput || 0;
         throughputs.push(throughput / 1e6); // Convert to Mbps
@@ -401,11 +403,11 @@ async function addGeneratedPlotToPDF(pdf, imgData, title, yPosition, pageWidth,
 /**
  * Get all unique protection domains across all runs
  */
-function getAllProtectionDomains(runs) {
+function getAllProtectionDomains(runs, core) {
   const pdSet = new Set();
   runs.forEach(run => {
-    if (run.cpuData?.tests?.[0]?.cores?.[0]?.protection_domains) {
-      run.cpuData.tests[0].cores[0].protection_domains.forEach(pd => {
+    if (run.cpuData?.tests?.[0]) {
+      testProtectionDomains(run.cpuData.tests[0], core).forEach(pd => {
         pdSet.add(pd.name);
       });
     }
@@ -415,8 +417,11 @@ function getAllProtectionDomains(runs) {
 
 /**
  * Export benchmark report as PDF with plots only (no tables)
+ * @param {Array<Object>} runs - Runs to report on
+ * @param {Array<Object>} customPlots - Custom plots of the session
+ * @param {number|string} [core] - Core whose CPU and PD data are reported, or ALL_CORES
  */
-export async function exportBenchmarkReport(runs, customPlots) {
+export async function exportBenchmarkReport(runs, customPlots, core = ALL_CORES) {
   try {
     if (!runs || runs.length === 0) {
       throw new Error("No run data available to export");
@@ -429,7 +434,7 @@ export async function exportBenchmarkReport(runs, customPlots) {
     const margin = 15;
 
     // ===== TITLE PAGE =====
-    createTitlePage(pdf, runs, pageWidth, pageHeight, margin);
+    createTitlePage(pdf, runs, pageWidth, pageHeight, margin, core);
 
     // ===== METADATA PAGE =====
     pdf.addPage('l');
@@ -462,7 +467,7 @@ export async function exportBenchmarkReport(runs, customPlots) {
       runs.forEach(run => {
         if (run.cpuData?.tests) {
           const avgCPU = run.cpuData.tests.reduce((sum, t) =>
-            sum + (t.system?.cpu_utilization || 0), 0) / run.cpuData.tests.length;
+            sum + (testCpu(t, core)?.cpu_utilization || 0), 0) / run.cpuData.tests.length;
           const avgThroughput = run.data.reduce((sum, d) =>
             sum + d.Receive_Throughput, 0) / run.data.length;
 
@@ -477,7 +482,7 @@ export async function exportBenchmarkReport(runs, customPlots) {
     }
 
     // ===== SECTION 2: PROTECTION DOMAIN COMPARISON PLOTS =====
-    const allPDs = getAllProtectionDomains(runs);
+    const allPDs = getAllProtectionDomains(runs, core);
 
     if (allPDs.length > 0) {
       for (const pdName of allPDs) {
@@ -490,7 +495,7 @@ export async function exportBenchmarkReport(runs, customPlots) {
         yPosition += 8;
 
         try {
-          const imgData = await createPDComparisonPlot(runs, pdName);
+          const imgData = await createPDComparisonPlot(runs, pdName, core);
           yPosition = await addGeneratedPlotToPDF(
             pdf,
             imgData,
@@ -521,7 +526,7 @@ export async function exportBenchmarkReport(runs, customPlots) {
             let totalSum = 0, kernelSum = 0, userSum = 0, count = 0;
 
             run.cpuData.tests.forEach(test => {
-              const pd = test.cores?.[0]?.protection_domains?.find(p => p.name === pdName);
+              const pd = findProtectionDomain(test, pdName, core);
               if (pd) {
                 totalSum += pd.cpu_utilization || 0;
                 kernelSum += pd.kernel_cpu_utilization || 0;
@@ -561,7 +566,7 @@ export async function exportBenchmarkReport(runs, customPlots) {
             // Build baseline data points
             const baselinePoints = [];
             baselineRun.cpuData.tests.forEach((test, testIdx) => {
-              const pd = test.cores?.[0]?.protection_domains?.find(p => p.name === pdName);
+              const pd = findProtectionDomain(test, pdName, core);
               if (pd) {
                 const throughput = baselineRun.data[testIdx]?.Receive_Throughput || 0;
                 baselinePoints.push({
@@ -581,7 +586,7 @@ export async function exportBenchmarkReport(runs, customPlots) {
               // Build comparison data points
               const comparePoints = [];
               compareRun.cpuData.tests.forEach((test, testIdx) => {
-                const pd = test.cores?.[0]?.protection_domains?.find(p => p.name === pdName);
+                const pd = findProtectionDomain(test, pdName, core);
                 if (pd) {
                   const throughput = compareRun.data[testIdx]?.Receive_Throughput || 0;
                   comparePoints.push({
@@ -0,0 +1,46 @@
+/**
+ * Helpers for reconciling a locally edited session with a newer server copy.
+ */
+
+/**
+ * Merge two lists of items keyed by `id`.
+ *
+ * Items present on both sides take the server version (run and plot edits are
+ * saved individually, so the server already holds them) but follow the local
+ * ordering. Items only present locally are kept so no work is lost, and items
+ * only present on the server are appended in server order.
+ *
+ * @param {Array<Object>} localItems - Items from the local copy
+ * @param {Array<Object>} serverItems - Items from the server copy
+ * @returns {Array<Object>} Merged list of items
+ */
+export function mergeItemsById(localItems = [], serverItems = []) {
+  const serverById = new Map(serverItems.map((item) => [item.id, item]));
+  const localIds = new Set(localItems.map((item) => item.id));
+
+  return [
+    ...localItems.map((item) => serverById.get(item.id) || item),
+    ...serverItems.filter((item) => !localIds.has(item.id)),
+  ];
+}
+
+/**
+ * Merge a locally edited session into the server copy of the same session.
+ *
+ * @param {Object} local - Local copy of the session
+ * @param {Object} server - Server copy returned with a 409 conflict
+ * @returns {Object} Merged session based on the server copy, keeping the local
+ *   name and ordering plus any runs or custom plots missing on the server
+ *
+ * @example
+ * const merged = mergeSessions(localSession, error.data.current);
+ * await saveSession(merged, error.data.current.revision);
+ */
+export function mergeSessions(local, server) {
+  return {
+    ...server,
+    name: local.name,
+    runs: mergeItemsById(local.runs, server.runs),
+    customPlots: mergeItemsById(local.customPlots, server.customPlots),
+  };
+}
@@ -11,6 +11,7 @@ import {
   formatNumber,
   formatCycles,
 } from './formatters.js';
+import { ALL_CORES, runCoreIds, testCpu, testProtectionDomains } from '../../../shared/cores.js';
 
 /**
  * Prepares table data from a run object by combining CSV and JSON data.
@@ -22,6 +23,8 @@ import {
  *
  * The function matches CSV rows with JSON test data by converting the CSV throughput
  * from bits per second to megabits per second and finding the corresponding test.
+ * CPU and protection domain figures are those of the selected core, or of all
+ * cores; the utilisation of every core is listed separately.
  *
  * @param {Object} run - The run object containing test data
  * @param {number} run.id - Unique identifier for the run
@@ -44,6 +47,7 @@ import {
  * @param {number} run.cpuData.tests[].system.user_cpu_utilization - User CPU utilization percentage
  * @param {Array<Object>} run.cpuData.tests[].cores - Array of core objects
  * @param {Array<Object>} run.cpuData.tests[].cores[].protection_domains - Array of PD objects
+ * @param {number|string} [core=ALL_CORES] - Core id to show, or ALL_CORES
  *
  * @returns {Array<Object>} Array of row objects for table display
  * @returns {number} return[].testNumber - Test number (1-indexed)
@@ -59,7 +63,8 @@ import {
  * @returns {number|null} return[].totalCPU - Total CPU utilization percentage (null if no JSON data)
  * @returns {number|null} return[].kernelCPU - Kernel CPU utilization percentage (null if no JSON data)
  * @returns {number|null} return[].userCPU - User CPU utilization percentage (null if no JSON data)
- * @returns {Array<Object>} return[].protectionDomains - Array of protection domain objects (empty if no JSON data)
+ * @returns {Array<Object>} return[].cores - Per-core CPU utilization ({id, cpu, kernelCPU, userCPU}), empty if no JSON data
+ * @returns {Array<Object>} return[].protectionDomains - Array of protection domain objects with the ids of their cores (empty if no JSON data)
  *
  * @example
  * const run = {
@@ -80,7 +85,7 @@ import {
  * const tableData = prepareTableData(run);
  * // Returns array of row objects with combined CSV and JSON data
  */
-export function prepareTableData(run) {
+export function prepareTableData(run, core = ALL_CORES) {
   if (!run || !run.data || !Array.isArray(run.data)) {
     return [];
   }
@@ -94,6 +99,8 @@ export function prepareTableData(run) {
     });
   }
 
+  const coreIds = runCoreIds(run);
+
   // Transform CSV data into table rows
   return run.data.map((csvRow, index) => {
     // Convert CSV throughput from bps to Mbps for matching with JSON data
@@ -110,9 +117,10 @@ export function prepareTableData(run) {
 
     // Extract protection domains if available
     let protectionDomains = [];
-    if (jsonTest?.cores?.[0]?.protection_domains) {
-      protectionDomains = jsonTest.cores[0].protection_domains.map((pd) => ({
+    if (jsonTest) {
+      protectionDomains = testProtectionDomains(jsonTest, core).map((pd) => ({
         name: pd.name,
+        coreIds: pd.core_ids,
         totalCycles: pd.total_cycles,
         kernelCycles: pd.kernel_cycles,
         userCycles: pd.user_cycles,
@@ -124,6 +132,20 @@ export function prepareTableData(run) {
       }));
     }
 
+    // Utilisation of each core, whichever core is selected
+    const cores = jsonTest
+      ? coreIds.map((id) => {
+          const cpu = testCpu(jsonTest, id);
+          return {
+            id,
+            cpu: cpu?.cpu_utilization ?? null,
+            kernelCPU: cpu?.kernel_cpu_utilization ?? null,
+            userCPU: cpu?.user_cpu_utilization ?? null,
+          };
+        })
+      : [];
+    const system = testCpu(jsonTest, core);
+
     return {
       testNumber: index + 1,
       requestedThroughput: csvRow.Requested_Throughput,
@@ -135,9 +157,10 @@ export function prepareTableData(run) {
       stdevRTT: csvRow.Stdev_RTT,
       medianRTT: csvRow.Median_RTT,
       badPackets: csvRow.Bad_Packets,
-      totalCPU: jsonTest?.system?.cpu_utilization ?? null,
-      kernelCPU: jsonTest?.system?.kernel_cpu_utilization ?? null,
-      userCPU: jsonTest?.system?.user_cpu_utilization ?? null,
+      totalCPU: system?.cpu_utilization ?? null,
+      kernelCPU: system?.kernel_cpu_utilization ?? null,
+      userCPU: system?.user_cpu_utilization ?? null,
+      cores: cores,
       protectionDomains: protectionDomains,
     };
   });
@@ -6,5 +6,9 @@ export default defineConfig({
   server: {
     host: "0.0.0.0",
     port: 5173,
+    fs: {
+      // The schema in ../shared is imported by both the frontend and backend
+      allow: [".", "../shared"],
+    },
   },
 });
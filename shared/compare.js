@@ -0,0 +1,350 @@
+/**
+ * Baseline comparison of benchmark runs, shared by the statistics under the
+ * custom plots in the frontend and `GET /api/sessions/:id/compare` so both
+ * pair points and compute deltas the same way.
+ *
+ * A series is a list of `{ throughput, value }` points of one run, limited to
+ * a requested throughput range. Each metric pairs the points of two series
+ * with the rule its plot statistics have always used:
+ *
+ * - throughput, system CPU: in order, after range filtering
+ * - RTT, per-packet metrics: exact Requested_Throughput match
+ * - per-PD CPU: closest Receive_Throughput within 1 Mbps
+ * - PMU counters: same test index
+ *
+ * CPU and PD metrics read one core or all cores of each test, see cores.js.
+ */
+
+import { ALL_CORES, testCpu, testProtectionDomains } from "./cores.js";
+
+export const COMPARE_METRICS = ["throughput", "rtt", "cpu", "pd", "pmu", "misc"];
+export const RTT_STATS = ["Average_RTT", "Median_RTT", "Minimum_RTT", "Maximum_RTT"];
+
+// Per-PD points further apart than this (in Mbps) are not compared
+export const PD_MATCH_TOLERANCE_MBPS = 1.0;
+
+// Constants of the benchmark traffic generator, used for per-packet metrics
+const PACKETS_SENT = 200000;
+const WARMUP_SECONDS = 10;
+const COOLDOWN_SECONDS = 10;
+const DEFAULT_PACKET_SIZE = 1472;
+
+const PMU_MISS_METRICS = {
+  l1_i_misses: "L1 i-cache misses",
+  l1_d_misses: "L1 d-cache misses",
+};
+
+const UTILISATION_FIELDS = {
+  total: "cpu_utilization",
+  kernel: "kernel_cpu_utilization",
+  user: "user_cpu_utilization",
+};
+
+const CYCLE_FIELDS = {
+  total: "total_cycles",
+  kernel: "kernel_cycles",
+  user: "user_cycles",
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The CPU test recorded at a CSV row's requested throughput
+const testForRow = (run, row) => {
+  const throughputMbps = Math.round(row.Requested_Throughput / 1000000);
+  return run.cpuData?.tests?.find((test) => test.throughput_mbps === throughputMbps);
+};
+
+/**
+ * Whether a requested throughput (bits/s) lies in a range; null bounds are open
+ * @param {number} throughput - Requested throughput in bits/s
+ * @param {{min: ?number, max: ?number}} [range] - Throughput range
+ * @returns {boolean} True when inside the range
+ */
+export const inThroughputRange = (throughput, range = {}) =>
+  (range.min == null || throughput >= range.min) && (range.max == null || throughput <= range.max);
+
+/**
+ * Receive throughput of each CSV row
+ * @param {Object} run - Run with CSV `data`
+ * @param {Object} [range] - Requested throughput range
+ * @returns {Array<{throughput: number, value: number}>} Series
+ */
+export const throughputSeries = (run, range) =>
+  (run.data || [])
+    .filter((row) => inThroughputRange(row.Requested_Throughput, range))
+    .map((row) => ({ throughput: row.Requested_Throughput, value: row.Receive_Throughput }));
+
+/**
+ * One RTT statistic of each CSV row that has it
+ * @param {Object} run - Run with CSV `data`
+ * @param {string} [column] - One of RTT_STATS
+ * @param {Object} [range] - Requested throughput range
+ * @returns {Array<{throughput: number, value: number}>} Series
+ */
+export const rttSeries = (run, column = "Average_RTT", range) =>
+  (run.data || [])
+    .filter((row) => typeof row[column] === "number" && inThroughputRange(row.Requested_Throughput, range))
+    .map((row) => ({ throughput: row.Requested_Throughput, value: row[column] }));
+
+/**
+ * System CPU utilisation of each CPU test
+ * @param {Object} run - Run with `cpuData`
+ * @param {string} [cpuType] - "total", "kernel" or "user"
+ * @param {Object} [range] - Requested throughput range
+ * @param {number|string} [core] - Core id, or ALL_CORES for the whole system
+ * @returns {Array<{throughput: number, value: number}>} Series
+ */
+export const systemCpuSeries = (run, cpuType = "total", range, core = ALL_CORES) =>
+  (run.cpuData?.tests || [])
+    .filter((test) => inThroughputRange(test.throughput_mbps * 1e6, range))
+    .map((test) => ({
+      throughput: test.throughput_mbps * 1e6,
+      value: testCpu(test, core)?.[UTILISATION_FIELDS[cpuType]] || 0,
+    }));
+
+/**
+ * CPU utilisation of one protection domain, placed at the receive throughput
+ * of the CSV row with the same index as its test
+ * @param {Object} run - Run with CSV `data` and `cpuData`
+ * @param {string} pdName - Protection domain name
+ * @param {string} [cpuType] - "total", "kernel" or "user"
+ * @param {Object} [range] - Throughput range, applied to the receive throughput
+ * @param {number|string} [core] - Core id, or ALL_CORES
+ * @returns {Array<{throughput: number, value: number}>} Series, throughput in Mbps
+ */
+export const pdCpuSeries = (run, pdName, cpuType = "total", range, core = ALL_CORES) => {
+  const points = [];
+  (run.cpuData?.tests || []).forEach((test, testIdx) => {
+    const pd = testProtectionDomains(test, core).find((p) => p.name === pdName);
+    const throughput = run.data?.[testIdx]?.Receive_Throughput || 0;
+    if (pd && inThroughputRange(throughput, range)) {
+      points.push({ throughput: throughput / 1e6, value: pd[UTILISATION_FIELDS[cpuType]] || 0 });
+    }
+  });
+  return points;
+};
+
+/**
+ * One PMU counter per test, keeping the test `index` for pairing. Tests whose
+ * CSV row is missing or outside the range are left out.
+ * @param {Object} run - Run with CSV `data` and `cpuData.pmu_data`
+ * @param {string} metricName - PMU counter name, e.g. "L1 d-cache misses"
+ * @param {Object} [range] - Requested throughput range
+ * @returns {Array<{index: number, throughput: number, value: number}>} Series
+ */
+export const pmuSeries = (run, metricName, range) => {
+  const points = [];
+  (run.cpuData?.pmu_data?.[metricName] || []).forEach((value, index) => {
+    const throughput = run.data?.[index]?.Requested_Throughput;
+    if (throughput && inThroughputRange(throughput, range)) {
+      points.push({ index, throughput, value });
+    }
+  });
+  return points;
+};
+
+/**
+ * Cycles, kernel entries or L1 misses per packet of a CSV row
+ * @param {Object} run - Run with CSV `data` and `cpuData`
+ * @param {Object} row - CSV row
+ * @param {Object} [options] - Misc plot settings
+ * @param {string} [options.miscMetric] - "cycles", "kernel_entries", "l1_i_misses" or "l1_d_misses"
+ * @param {string} [options.miscPD] - Protection domain, or null for the system total
+ * @param {string} [options.cycleType] - "total", "kernel" or "user" PD cycles
+ * @param {number|string} [options.core] - Core id, or ALL_CORES, to read PDs from
+ * @returns {number} Metric per packet
+ */
+export const metricPerPacket = (
+  run,
+  row,
+  { miscMetric = "cycles", miscPD = null, cycleType = "total", core = ALL_CORES } = {}
+) => {
+  const packetRate = row.Receive_Throughput / ((row.Packet_Size || DEFAULT_PACKET_SIZE) * 8);
+  const totalPackets = PACKETS_SENT + (WARMUP_SECONDS + COOLDOWN_SECONDS) * packetRate;
+
+  if (miscMetric === "cycles") {
+    let cycles = row.Total_Cycles;
+    if (miscPD) {
+      const pd = testProtectionDomains(testForRow(run, row), core).find((p) => p.name === miscPD);
+      if (pd) {
+        cycles = pd[CYCLE_FIELDS[cycleType]] || 0;
+      }
+    }
+    return cycles / totalPackets;
+  }
+
+  if (miscMetric === "kernel_entries") {
+    const pds = testProtectionDomains(testForRow(run, row), core);
+    const kernelEntries = miscPD
+      ? pds.find((p) => p.name === miscPD)?.kernel_entries || 0
+      : pds.reduce((sum, pd) => sum + (pd.kernel_entries || 0), 0);
+    return kernelEntries / totalPackets;
+  }
+
+  const misses = run.cpuData?.pmu_data?.[PMU_MISS_METRICS[miscMetric]];
+  if (misses) {
+    const idx = (run.cpuData.metadata?.test_throughputs || []).indexOf(Math.round(row.Requested_Throughput / 1000000));
+    if (idx !== -1 && misses[idx] !== undefined) {
+      return misses[idx] / totalPackets;
+    }
+  }
+  return 0;
+};
+
+/**
+ * A per-packet metric of each CSV row
+ * @param {Object} run - Run with CSV `data` and `cpuData`
+ * @param {Object} [options] - Misc plot settings, see metricPerPacket
+ * @param {Object} [range] - Requested throughput range
+ * @returns {Array<{throughput: number, value: number}>} Series
+ */
+export const perPacketSeries = (run, options, range) =>
+  (run.data || [])
+    .filter((row) => inThroughputRange(row.Requested_Throughput, range))
+    .map((row) => ({ throughput: row.Requested_Throughput, value: metricPerPacket(run, row, options) }));
+
+/**
+ * Pair the i-th baseline point with the i-th compared point
+ * @param {Array<Object>} baseline - Baseline series
+ * @param {Array<Object>} compare - Compared series
+ * @returns {Array<[Object, Object]>} Point pairs
+ */
+export const pairInOrder = (baseline, compare) =>
+  baseline.slice(0, compare.length).map((point, i) => [point, compare[i]]);
+
+/**
+ * Pair points with the same value of `key`
+ * @param {Array<Object>} baseline - Baseline series
+ * @param {Array<Object>} compare - Compared series
+ * @param {string} [key] - Point field to match on
+ * @returns {Array<[Object, Object]>} Point pairs
+ */
+export const pairByKey = (baseline, compare, key = "throughput") =>
+  baseline
+    .map((point) => [point, compare.find((candidate) => candidate[key] === point[key])])
+    .filter(([, match]) => match);
+
+/**
+ * Pair each baseline point with the compared point of closest throughput,
+ * dropping matches that are `tolerance` or further away
+ * @param {Array<Object>} baseline - Baseline series
+ * @param {Array<Object>} compare - Compared series
+ * @param {number} tolerance - Largest throughput difference, exclusive
+ * @returns {Array<[Object, Object]>} Point pairs
+ */
+export const pairByNearestThroughput = (baseline, compare, tolerance) =>
+  baseline
+    .map((point) => [
+      point,
+      compare.reduce(
+        (closest, candidate) =>
+          Math.abs(candidate.throughput - point.throughput) < Math.abs(closest.throughput - point.throughput)
+            ? candidate
+            : closest,
+        compare[0]
+      ),
+    ])
+    .filter(([point, match]) => match && Math.abs(match.throughput - point.throughput) < tolerance);
+
+/**
+ * Deltas of paired points and their summary. Relative deltas are in percent
+ * and skip points where the baseline is not positive.
+ * @param {Array<Object>} baseline - Baseline series, for the baseline mean
+ * @param {Array<Object>} compare - Compared series, for the compared mean
+ * @param {Array<[Object, Object]>} pairs - Point pairs from one of the pair functions
+ * @returns {{points: Array<Object>, summary: Object}} Matched points and summary
+ */
+export const compareSeries = (baseline, compare, pairs) => {
+  const points = pairs.map(([base, match]) => ({
+    throughput: base.throughput,
+    ...(match.throughput !== base.throughput && { compareThroughput: match.throughput }),
+    baseline: base.value,
+    value: match.value,
+    absDelta: match.value - base.value,
+    relDelta: base.value > 0 ? ((match.value - base.value) / base.value) * 100 : null,
+  }));
+  const absDeltas = points.map((point) => point.absDelta);
+  const relDeltas = points.map((point) => point.relDelta).filter((delta) => delta !== null);
+
+  return {
+    points,
+    summary: {
+      matched: points.length,
+      baselineMean: mean(baseline.map((point) => point.value)),
+      compareMean: mean(compare.map((point) => point.value)),
+      meanAbsDelta: mean(absDeltas),
+      medianAbsDelta: median(absDeltas),
+      meanRelDelta: mean(relDeltas),
+      medianRelDelta: median(relDeltas),
+    },
+  };
+};
+
+/**
+ * Series of one metric for a run, and how to pair it
+ * @param {Object} run - Run
+ * @param {Object} target - What to compare
+ * @param {string} target.metric - One of COMPARE_METRICS
+ * @param {string} [target.cpuType] - For "cpu" and "pd"
+ * @param {number|string} [target.core] - Core id or ALL_CORES, for "cpu", "pd" and "misc"
+ * @param {string} [target.pd] - Protection domain, for "pd"
+ * @param {string} [target.pmu] - PMU counter, for "pmu"
+ * @param {string} [target.rtt] - One of RTT_STATS, for "rtt"
+ * @param {Object} [target.misc] - Misc plot settings, for "misc"
+ * @param {Object} [range] - Requested throughput range
+ * @returns {{series: Array<Object>, pair: Function}} Series and pair function
+ */
+const metricSeries = (run, target, range) => {
+  switch (target.metric) {
+    case "throughput":
+      return { series: throughputSeries(run, range), pair: pairInOrder };
+    case "rtt":
+      return { series: rttSeries(run, target.rtt, range), pair: pairByKey };
+    case "cpu":
+      return { series: systemCpuSeries(run, target.cpuType, range, target.core), pair: pairInOrder };
+    case "pd":
+      return {
+        series: pdCpuSeries(run, target.pd, target.cpuType, range, target.core),
+        pair: (baseline, compare) => pairByNearestThroughput(baseline, compare, PD_MATCH_TOLERANCE_MBPS),
+      };
+    case "pmu":
+      return { series: pmuSeries(run, target.pmu, range), pair: (baseline, compare) => pairByKey(baseline, compare, "index") };
+    case "misc":
+      return { series: perPacketSeries(run, { core: target.core, ...target.misc }, range), pair: pairByKey };
+    default:
+      throw new Error(`Unknown comparison metric "${target.metric}"`);
+  }
+};
+
+/**
+ * Compare one metric of a run against a baseline run
+ * @param {Object} baselineRun - Baseline run
+ * @param {Object} compareRun - Compared run
+ * @param {Object} target - What to compare, see metricSeries
+ * @param {Object} [range] - Requested throughput range
+ * @returns {{points: Array<Object>, summary: Object}} Matched points and summary
+ */
+export const compareRuns = (baselineRun, compareRun, target, range) => {
+  const { series: baseline, pair } = metricSeries(baselineRun, target, range);
+  const { series: compare } = metricSeries(compareRun, target, range);
+  return compareSeries(baseline, compare, pair(baseline, compare));
+};
+
+/**
+ * Protection domain names that appear in a run's CPU tests
+ * @param {Object} run - Run with `cpuData`
+ * @param {number|string} [core] - Core id, or ALL_CORES
+ * @returns {Array<string>} PD names in first-seen order
+ */
+export const runPDNames = (run, core = ALL_CORES) => {
+  const names = new Set();
+  (run.cpuData?.tests || []).forEach((test) => testProtectionDomains(test, core).forEach((pd) => names.add(pd.name)));
+  return [...names];
+};
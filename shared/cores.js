@@ -0,0 +1,102 @@
+/**
+ * Per-core views of the CPU utilisation JSON. Every test lists its cores,
+ * each with its own counters and the protection domains pinned to it. PD
+ * data is read either from one core or from all of them ("all"), so PDs on
+ * cores other than core 0 are never dropped.
+ *
+ * In the "all" view the system counters are those of the whole test and a PD
+ * that appears on several cores (e.g. a per-core idle thread) is merged by
+ * summing its counters, so its utilisation is in percent of one core.
+ */
+
+export const ALL_CORES = "all";
+
+const PD_COUNTERS = [
+  "total_cycles",
+  "kernel_cycles",
+  "user_cycles",
+  "kernel_entries",
+  "schedules",
+  "cpu_utilization",
+  "kernel_cpu_utilization",
+  "user_cpu_utilization",
+];
+
+// Cores without a core_id are numbered by their position
+const coreId = (core, index) => core.core_id ?? index;
+
+/**
+ * Core ids that appear in a run's CPU tests
+ * @param {Object} run - Run with `cpuData`
+ * @returns {Array<number>} Core ids in ascending order
+ */
+export const runCoreIds = (run) => {
+  const ids = new Set();
+  (run.cpuData?.tests || []).forEach((test) => (test.cores || []).forEach((core, index) => ids.add(coreId(core, index))));
+  return [...ids].sort((a, b) => a - b);
+};
+
+/**
+ * Counters of one core of a test, or of the whole test
+ * @param {Object} test - CPU test
+ * @param {number|string} [core] - Core id, or ALL_CORES
+ * @returns {?Object} total_cycles, cpu_utilization, ... or null when the core is absent
+ */
+export const testCpu = (test, core = ALL_CORES) => {
+  if (core === ALL_CORES) {
+    return test?.system || null;
+  }
+  return (test?.cores || []).find((candidate, index) => coreId(candidate, index) === core) || null;
+};
+
+/**
+ * Protection domains of one core of a test, or of all its cores, each with
+ * the ids of the cores it ran on
+ * @param {Object} test - CPU test
+ * @param {number|string} [core] - Core id, or ALL_CORES
+ * @returns {Array<Object>} PDs with `core_ids`, in first-seen order
+ */
+export const testProtectionDomains = (test, core = ALL_CORES) => {
+  const byName = new Map();
+  (test?.cores || []).forEach((candidate, index) => {
+    const id = coreId(candidate, index);
+    if (core !== ALL_CORES && id !== core) return;
+
+    (candidate.protection_domains || []).forEach((pd) => {
+      const merged = byName.get(pd.name);
+      if (!merged) {
+        byName.set(pd.name, { ...pd, core_ids: [id] });
+        return;
+      }
+      PD_COUNTERS.forEach((counter) => {
+        if (typeof pd[counter] === "number") {
+          merged[counter] = (merged[counter] || 0) + pd[counter];
+        }
+      });
+      merged.core_ids.push(id);
+    });
+  });
+  return [...byName.values()];
+};
+
+/**
+ * One protection domain of a test
+ * @param {Object} test - CPU test
+ * @param {string} pdName - Protection domain name
+ * @param {number|string} [core] - Core id, or ALL_CORES
+ * @returns {?Object} The PD, or null when it did not run there
+ */
+export const findProtectionDomain = (test, pdName, core = ALL_CORES) =>
+  testProtectionDomains(test, core).find((pd) => pd.name === pdName) || null;
+
+/**
+ * Parse a core selection as given in a query string or a select box
+ * @param {?string} value - "all", a core id, or empty for all cores
+ * @returns {number|string|undefined} Core id or ALL_CORES; undefined when invalid
+ */
+export const parseCoreSelection = (value) => {
+  if (value === undefined || value === null || value === "" || value === ALL_CORES) {
+    return ALL_CORES;
+  }
+  return /^\d+$/.test(String(value)) ? Number(value) : undefined;
+};
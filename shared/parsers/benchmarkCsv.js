@@ -0,0 +1,70 @@
+import { REQUIRED_CSV_COLUMNS } from "../schema.js";
+
+/**
+ * Benchmark CSV, as written by the sDDF benchmark scripts: a header row with
+ * the run data columns (Requested_Throughput, Receive_Throughput, ...
+ * Total_Cycles) and one row per requested throughput. Numeric cells become
+ * numbers; other cells, including empty ones, are kept as strings.
+ */
+
+// Split a CSV line into cells, honouring double-quoted cells
+export function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+const castCell = (value) => (value !== "" && !Number.isNaN(Number(value)) ? Number(value) : value);
+
+const dataLines = (text) => text.split(/\r?\n/).filter((line) => line.trim() !== "");
+
+export const benchmarkCsv = {
+  id: "benchmark-csv",
+  label: "Benchmark CSV",
+  produces: "data",
+
+  detect(text) {
+    const [header = ""] = dataLines(text);
+    const columns = splitCsvLine(header);
+    return REQUIRED_CSV_COLUMNS.every((column) => columns.includes(column));
+  },
+
+  parse(text) {
+    const [header, ...lines] = dataLines(text);
+    if (!header || lines.length === 0) {
+      throw new Error("CSV must have headers and data");
+    }
+
+    const columns = splitCsvLine(header);
+    const data = lines.map((line, index) => {
+      const cells = splitCsvLine(line);
+      if (cells.length !== columns.length) {
+        throw new Error(`Row ${index + 1} has ${cells.length} cells, expected ${columns.length}`);
+      }
+      return Object.fromEntries(columns.map((column, cell) => [column, castCell(cells[cell])]));
+    });
+    return { data };
+  },
+};
@@ -0,0 +1,80 @@
+import { benchmarkCsv } from "./benchmarkCsv.js";
+import { ipbenchLog } from "./ipbenchLog.js";
+import { sddfJson } from "./sddfJson.js";
+import { sddfSerial } from "./sddfSerial.js";
+
+/**
+ * Ingestion parsers for raw benchmark output, shared by the backend upload
+ * routes and the frontend add-run form so a file reads the same wherever it
+ * is uploaded.
+ *
+ * Each format module turns the text of one file into part of a run, either
+ * its throughput rows (`{ data }`) or its CPU utilisation (`{ cpuData }`):
+ *
+ *   { id, label, produces: "data" | "cpuData", detect(text), parse(text, options) }
+ *
+ * parse() throws an Error describing what is wrong with the file. To support
+ * another format, add a module and list it in PARSERS; auto-detection picks
+ * the first parser whose detect() accepts the text.
+ */
+
+export const PARSERS = [benchmarkCsv, ipbenchLog, sddfJson, sddfSerial];
+
+export const PARSER_IDS = PARSERS.map((parser) => parser.id);
+
+/**
+ * Look up a parser by id
+ * @param {string} id - Parser id, e.g. "ipbench-log"
+ * @returns {?Object} The parser, or null when there is none
+ */
+export const getParser = (id) => PARSERS.find((parser) => parser.id === id) || null;
+
+/**
+ * Guess the format of a file from its contents
+ * @param {string} text - File contents
+ * @returns {?Object} The first parser that accepts the text, or null
+ */
+export const detectFormat = (text) => PARSERS.find((parser) => parser.detect(text)) || null;
+
+/**
+ * Parse the files of one run. Throughput data is parsed first so CPU data
+ * formats that need the requested throughputs (sDDF serial output) get them.
+ * @param {Array<{text: string, name?: string, format?: string}>} files - File
+ *   contents, with an optional parser id to skip auto-detection
+ * @returns {{data: ?Array<Object>, cpuData: ?Object, formats: Object, files: Array<Object>}}
+ *   The parsed run parts (null when no file provided them), the parser id used
+ *   for each, and the files as `{part, name, format, text, index}`, index being
+ *   the file's position in `files`
+ */
+export function parseRunFiles(files) {
+  const inputs = files.map((file, index) => {
+    const name = file.name || "file";
+    const parser = file.format ? getParser(file.format) : detectFormat(file.text);
+    if (!parser) {
+      throw new Error(
+        file.format
+          ? `${name}: unknown format "${file.format}", expected one of ${PARSER_IDS.join(", ")}`
+          : `${name}: unrecognised format, expected one of ${PARSERS.map((other) => other.label).join(", ")}`
+      );
+    }
+    return { name, text: file.text, parser, index };
+  });
+
+  const run = { data: null, cpuData: null, formats: {}, files: [] };
+  for (const part of ["data", "cpuData"]) {
+    for (const { name, text, parser, index } of inputs.filter((input) => input.parser.produces === part)) {
+      if (run[part]) {
+        throw new Error(`${name}: more than one file provides the ${part === "data" ? "throughput" : "CPU"} data`);
+      }
+      const throughputs = run.data?.map((row) => row.Requested_Throughput / 1e6);
+      try {
+        run[part] = parser.parse(text, { throughputs })[part];
+      } catch (error) {
+        throw new Error(`${name} (${parser.label}): ${error.message}`);
+      }
+      run.formats[part] = parser.id;
+      run.files.push({ part, name, format: parser.id, text, index });
+    }
+  }
+  return run;
+}
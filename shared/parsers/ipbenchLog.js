@@ -0,0 +1,66 @@
+import { benchmarkCsv } from "./benchmarkCsv.js";
+
+/**
+ * Raw ipbench client log. Between its progress messages, the ipbench latency
+ * test prints one comma-separated result line per requested throughput:
+ *
+ *   requested, received, sent, packet size, min, avg, max, stdev, median RTT
+ *
+ * optionally followed by the bad packet count and, with the cpu_target_lukem
+ * target test, the idle and total cycles of the target. Each result line
+ * becomes a row with the benchmark CSV columns; every other line is ignored.
+ */
+
+const LATENCY_COLUMNS = [
+  "Requested_Throughput",
+  "Receive_Throughput",
+  "Send_Throughput",
+  "Packet_Size",
+  "Minimum_RTT",
+  "Average_RTT",
+  "Maximum_RTT",
+  "Stdev_RTT",
+  "Median_RTT",
+];
+
+// Columns of a result line, by the number of values on it
+const COLUMNS_BY_LENGTH = {
+  9: LATENCY_COLUMNS,
+  10: [...LATENCY_COLUMNS, "Bad_Packets"],
+  11: [...LATENCY_COLUMNS, "Idle_Cycles", "Total_Cycles"],
+  12: [...LATENCY_COLUMNS, "Bad_Packets", "Idle_Cycles", "Total_Cycles"],
+};
+
+const NUMBER = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+// The values of a result line, or null for any other line
+function resultValues(line) {
+  const values = line.split(",").map((value) => value.trim());
+  if (!COLUMNS_BY_LENGTH[values.length] || !values.every((value) => NUMBER.test(value))) {
+    return null;
+  }
+  return values.map(Number);
+}
+
+const resultLines = (text) => text.split(/\r?\n/).map(resultValues).filter(Boolean);
+
+export const ipbenchLog = {
+  id: "ipbench-log",
+  label: "ipbench client log",
+  produces: "data",
+
+  // A benchmark CSV has the same lines under a header; leave it to that parser
+  detect: (text) => !benchmarkCsv.detect(text) && resultLines(text).length > 0,
+
+  parse(text) {
+    const results = resultLines(text);
+    if (results.length === 0) {
+      throw new Error("No ipbench result lines found");
+    }
+    const data = results.map((values) => {
+      const columns = COLUMNS_BY_LENGTH[values.length];
+      return Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+    });
+    return { data };
+  },
+};
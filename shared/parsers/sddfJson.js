@@ -0,0 +1,16 @@
+/**
+ * sDDF benchmark JSON: the CPU utilisation of every test, per core and per
+ * protection domain, with optional PMU counters. This is already the shape
+ * of a run's cpuData, see checkCpuData in schema.js.
+ */
+
+export const sddfJson = {
+  id: "sddf-json",
+  label: "sDDF benchmark JSON",
+  produces: "cpuData",
+
+  // Cheap check; the parse reports a malformed file
+  detect: (text) => text.trimStart().startsWith("{") && text.includes('"tests"'),
+
+  parse: (text) => ({ cpuData: JSON.parse(text) }),
+};
@@ -0,0 +1,177 @@
+/**
+ * Serial output of the sDDF benchmark PD. At the end of every test it prints
+ * the cycles counted on its core, then those of each protection domain:
+ *
+ *   Total utilisation details:
+ *   {
+ *   KernelUtilisation:  0x96103d39
+ *   KernelEntries:  0x45f0b3
+ *   NumberSchedules:  0x3512b9
+ *   TotalUtilisation:  0x3b98c1f44c
+ *   }
+ *   Utilisation details for PD: ethernet_driver ( 1)
+ *   { ...the same four fields... }
+ *
+ * Values may be hex or decimal and lines may carry a console prefix. On
+ * multicore systems each core prints its own blocks, after a "core <n>" line
+ * or with "core <n>" on its "Total utilisation details" line; a test ends
+ * when a core that already reported in it reports again.
+ *
+ * The log does not say which throughput a test ran at, so parsing needs the
+ * requested throughputs of the run data (Mbps), one per test.
+ */
+
+const TOTAL_HEADER = /Total utilisation details/i;
+const PD_HEADER = /Utilisation details for PD:\s*([^\s(]+)/i;
+const FIELD = /(KernelUtilisation|KernelEntries|NumberSchedules|TotalUtilisation):\s*(0x[0-9a-f]+|\d+)/i;
+const CORE_LINE = /^\W*core\s*(\d+)\W*$/i;
+const CORE_MARKER = /\bcore\s*(\d+)/i;
+
+const COUNTERS = {
+  kernelutilisation: "kernel",
+  kernelentries: "entries",
+  numberschedules: "schedules",
+  totalutilisation: "total",
+};
+
+// Group the counter blocks of the log into tests -> cores -> PDs
+function readTests(text) {
+  const tests = [];
+  let test = null;
+  let core = null;
+  let counts = null;
+  let coreId = 0;
+
+  for (const line of text.split(/\r?\n/)) {
+    const pd = line.match(PD_HEADER);
+    if (pd) {
+      if (!core) {
+        throw new Error(`PD ${pd[1]} is reported before any "Total utilisation details"`);
+      }
+      counts = {};
+      core.pds.push({ name: pd[1], counts });
+      continue;
+    }
+
+    if (TOTAL_HEADER.test(line)) {
+      const id = Number(line.match(CORE_MARKER)?.[1] ?? coreId);
+      if (!test || test.cores.some((other) => other.id === id)) {
+        test = { cores: [] };
+        tests.push(test);
+      }
+      counts = {};
+      core = { id, counts, pds: [] };
+      test.cores.push(core);
+      continue;
+    }
+
+    const field = line.match(FIELD);
+    if (field && counts) {
+      counts[COUNTERS[field[1].toLowerCase()]] = Number(field[2]);
+      continue;
+    }
+
+    const coreLine = line.match(CORE_LINE);
+    if (coreLine) {
+      coreId = Number(coreLine[1]);
+    }
+  }
+  return tests;
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+const utilisation = (total, kernel, elapsed) => ({
+  cpu_utilization: percent(total, elapsed),
+  kernel_cpu_utilization: percent(kernel, elapsed),
+  user_cpu_utilization: percent(total - kernel, elapsed),
+});
+
+const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+function protectionDomain({ name, counts }, elapsed) {
+  const total = counts.total ?? 0;
+  const kernel = counts.kernel ?? 0;
+  return {
+    name,
+    total_cycles: total,
+    kernel_cycles: kernel,
+    user_cycles: total - kernel,
+    kernel_entries: counts.entries ?? 0,
+    schedules: counts.schedules ?? 0,
+    ...utilisation(total, kernel, elapsed),
+  };
+}
+
+// System-wide counters of a core, or of all cores when given their sums
+function systemCounters(elapsed, pdTotal, pdKernel, entries, schedules) {
+  return {
+    total_cycles: elapsed,
+    pd_total_cycles: pdTotal,
+    pd_kernel_cycles: pdKernel,
+    pd_user_cycles: pdTotal - pdKernel,
+    kernel_entries: entries,
+    schedules,
+    ...utilisation(pdTotal, pdKernel, elapsed),
+  };
+}
+
+function coreEntry({ id, counts, pds }) {
+  const elapsed = counts.total ?? 0;
+  const protectionDomains = pds.map((pd) => protectionDomain(pd, elapsed));
+  return {
+    core_id: id,
+    ...systemCounters(
+      elapsed,
+      sum(protectionDomains, "total_cycles"),
+      sum(protectionDomains, "kernel_cycles"),
+      counts.entries ?? 0,
+      counts.schedules ?? 0
+    ),
+    protection_domains: protectionDomains,
+  };
+}
+
+export const sddfSerial = {
+  id: "sddf-serial",
+  label: "sDDF benchmark serial output",
+  produces: "cpuData",
+
+  detect: (text) => TOTAL_HEADER.test(text) && FIELD.test(text),
+
+  parse(text, { throughputs } = {}) {
+    const tests = readTests(text);
+    if (tests.length === 0) {
+      throw new Error('No "Total utilisation details" found');
+    }
+    if (!throughputs) {
+      throw new Error("Needs the throughput data of the run to tell which throughput each test ran at");
+    }
+    if (throughputs.length !== tests.length) {
+      throw new Error(`Found ${tests.length} tests but the throughput data has ${throughputs.length} rows`);
+    }
+
+    const coreIds = new Set(tests.flatMap((test) => test.cores.map((core) => core.id)));
+    return {
+      cpuData: {
+        metadata: { num_cores: coreIds.size, test_throughputs: throughputs },
+        tests: tests.map((test, index) => {
+          const cores = test.cores.map(coreEntry);
+          return {
+            test_number: index + 1,
+            throughput_mbps: throughputs[index],
+            active_cores: cores.length,
+            system: systemCounters(
+              sum(cores, "total_cycles"),
+              sum(cores, "pd_total_cycles"),
+              sum(cores, "pd_kernel_cycles"),
+              sum(cores, "kernel_entries"),
+              sum(cores, "schedules")
+            ),
+            cores,
+          };
+        }),
+      },
+    };
+  },
+};
@@ -0,0 +1,441 @@
+/**
+ * Schema for sessions, runs, custom plots, benchmark CSV rows and the CPU
+ * utilisation JSON, shared by the backend (write routes) and the frontend
+ * (run upload).
+ *
+ * Every validator returns a list of `{ path, message }` errors, where `path`
+ * points at the offending field, e.g. `runs[2].data[0].Receive_Throughput`.
+ * An empty list means the value is valid.
+ */
+
+export const PLOT_TYPES = ["xput-cpu", "rtt", "pds", "cache", "misc"];
+export const CPU_TYPES = ["total", "kernel", "user"];
+export const MISC_METRICS = ["cycles", "kernel_entries", "l1_i_misses", "l1_d_misses"];
+
+// Columns the plots read from every CSV row
+export const REQUIRED_CSV_COLUMNS = ["Requested_Throughput", "Receive_Throughput"];
+
+// Columns that must be numeric when present; other columns are kept as-is
+export const NUMERIC_CSV_COLUMNS = [
+  ...REQUIRED_CSV_COLUMNS,
+  "Send_Throughput",
+  "Packet_Size",
+  "Minimum_RTT",
+  "Average_RTT",
+  "Maximum_RTT",
+  "Stdev_RTT",
+  "Median_RTT",
+  "Bad_Packets",
+  "Idle_Cycles",
+  "Total_Cycles",
+];
+
+const UTILISATION_FIELDS = ["cpu_utilization", "kernel_cpu_utilization", "user_cpu_utilization"];
+const SYSTEM_FIELDS = [
+  "total_cycles",
+  "pd_total_cycles",
+  "pd_kernel_cycles",
+  "pd_user_cycles",
+  "kernel_entries",
+  "schedules",
+  ...UTILISATION_FIELDS,
+];
+const PD_FIELDS = ["total_cycles", "kernel_cycles", "user_cycles", "kernel_entries", "schedules", ...UTILISATION_FIELDS];
+const METADATA_FIELDS = ["commit", "hardware", "dateTime", "notes"];
+
+// Session ids name files and directories in the file storage
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Stop collecting after this many errors so a bad multi-megabyte upload
+// does not produce an equally large response
+export const MAX_ERRORS = 50;
+
+const joinPath = (base, key) =>
+  typeof key === "number" ? `${base}[${key}]` : base ? `${base}.${key}` : key;
+
+const describe = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value);
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+// Run and plot ids are millisecond timestamps, but older sessions use strings
+const isItemId = (value) => isNumber(value) || isNonEmptyString(value);
+
+// Collects errors up to MAX_ERRORS
+class Errors {
+  constructor() {
+    this.list = [];
+  }
+
+  get full() {
+    return this.list.length >= MAX_ERRORS;
+  }
+
+  add(path, message) {
+    if (!this.full) {
+      this.list.push({ path, message });
+    }
+  }
+
+  // Record an error unless `ok`; returns `ok`
+  check(ok, path, message) {
+    if (!ok) {
+      this.add(path, message);
+    }
+    return ok;
+  }
+
+  object(value, path) {
+    return this.check(isObject(value), path, `must be an object, got ${describe(value)}`);
+  }
+
+  array(value, path) {
+    return this.check(Array.isArray(value), path, `must be an array, got ${describe(value)}`);
+  }
+
+  number(value, path) {
+    return this.check(isNumber(value), path, `must be a number, got ${describe(value)}`);
+  }
+
+  string(value, path) {
+    return this.check(typeof value === "string", path, `must be a string, got ${describe(value)}`);
+  }
+
+  nonEmptyString(value, path) {
+    return this.check(isNonEmptyString(value), path, "must be a non-empty string");
+  }
+
+  itemId(value, path) {
+    return this.check(isItemId(value), path, "must be a number or a non-empty string");
+  }
+
+  oneOf(value, allowed, path) {
+    return this.check(allowed.includes(value), path, `must be one of: ${allowed.join(", ")}`);
+  }
+
+  // Numeric fields of `object` listed in `fields`, checked only when present
+  optionalNumbers(object, fields, path) {
+    for (const field of fields) {
+      if (object[field] !== undefined) {
+        this.number(object[field], joinPath(path, field));
+      }
+    }
+  }
+
+  // Validate each element of an array, stopping once the error list is full
+  each(items, path, validate) {
+    for (let index = 0; index < items.length && !this.full; index++) {
+      validate(items[index], joinPath(path, index));
+    }
+  }
+}
+
+function checkCsvRow(errors, row, path) {
+  if (!errors.object(row, path)) return;
+
+  for (const column of REQUIRED_CSV_COLUMNS) {
+    if (row[column] === undefined) {
+      errors.add(joinPath(path, column), "is required");
+    }
+  }
+  for (const column of NUMERIC_CSV_COLUMNS) {
+    // Empty cells are allowed in the optional columns
+    const value = row[column];
+    if (value !== undefined && !(value === "" && !REQUIRED_CSV_COLUMNS.includes(column))) {
+      errors.number(value, joinPath(path, column));
+    }
+  }
+}
+
+function checkCsvRows(errors, rows, path) {
+  if (!errors.array(rows, path)) return;
+  if (!errors.check(rows.length > 0, path, "must contain at least one row")) return;
+  errors.each(rows, path, (row, rowPath) => checkCsvRow(errors, row, rowPath));
+}
+
+function checkProtectionDomain(errors, pd, path) {
+  if (!errors.object(pd, path)) return;
+  errors.nonEmptyString(pd.name, joinPath(path, "name"));
+  errors.optionalNumbers(pd, PD_FIELDS, path);
+}
+
+function checkCore(errors, core, path) {
+  if (!errors.object(core, path)) return;
+  errors.optionalNumbers(core, ["core_id", ...SYSTEM_FIELDS], path);
+
+  const pdsPath = joinPath(path, "protection_domains");
+  if (core.protection_domains !== undefined && errors.array(core.protection_domains, pdsPath)) {
+    errors.each(core.protection_domains, pdsPath, (pd, pdPath) => checkProtectionDomain(errors, pd, pdPath));
+  }
+}
+
+function checkTest(errors, test, path) {
+  if (!errors.object(test, path)) return;
+  errors.number(test.throughput_mbps, joinPath(path, "throughput_mbps"));
+  errors.optionalNumbers(test, ["test_number", "active_cores"], path);
+
+  const systemPath = joinPath(path, "system");
+  if (test.system !== undefined && errors.object(test.system, systemPath)) {
+    errors.optionalNumbers(test.system, SYSTEM_FIELDS, systemPath);
+  }
+
+  const coresPath = joinPath(path, "cores");
+  if (errors.array(test.cores, coresPath)) {
+    errors.each(test.cores, coresPath, (core, corePath) => checkCore(errors, core, corePath));
+  }
+}
+
+function checkCpuData(errors, cpuData, path) {
+  // Runs uploaded without a CPU JSON have no cpuData
+  if (cpuData === null || cpuData === undefined) return;
+  if (!errors.object(cpuData, path)) return;
+
+  const metadataPath = joinPath(path, "metadata");
+  if (cpuData.metadata !== undefined && errors.object(cpuData.metadata, metadataPath)) {
+    errors.optionalNumbers(cpuData.metadata, ["num_cores"], metadataPath);
+    const throughputsPath = joinPath(metadataPath, "test_throughputs");
+    const throughputs = cpuData.metadata.test_throughputs;
+    if (throughputs !== undefined && errors.array(throughputs, throughputsPath)) {
+      errors.each(throughputs, throughputsPath, (value, valuePath) => errors.number(value, valuePath));
+    }
+  }
+
+  const testsPath = joinPath(path, "tests");
+  if (errors.array(cpuData.tests, testsPath)) {
+    errors.each(cpuData.tests, testsPath, (test, testPath) => checkTest(errors, test, testPath));
+  }
+
+  // pmu_data maps a counter name to one value per test
+  const pmuPath = joinPath(path, "pmu_data");
+  if (cpuData.pmu_data !== undefined && errors.object(cpuData.pmu_data, pmuPath)) {
+    for (const [metric, values] of Object.entries(cpuData.pmu_data)) {
+      const metricPath = `${pmuPath}["${metric}"]`;
+      if (errors.array(values, metricPath)) {
+        errors.each(values, metricPath, (value, valuePath) => errors.number(value, valuePath));
+      }
+    }
+  }
+}
+
+// Free-form tags and key/value fields, allowed on run and session metadata
+function checkTagsAndFields(errors, metadata, path) {
+  const tagsPath = joinPath(path, "tags");
+  if (metadata.tags !== undefined && errors.array(metadata.tags, tagsPath)) {
+    errors.each(metadata.tags, tagsPath, (tag, tagPath) => errors.nonEmptyString(tag, tagPath));
+  }
+
+  const fieldsPath = joinPath(path, "fields");
+  if (metadata.fields !== undefined && errors.object(metadata.fields, fieldsPath)) {
+    for (const [key, value] of Object.entries(metadata.fields)) {
+      const fieldPath = `${fieldsPath}["${key}"]`;
+      if (errors.check(key.trim() !== "", fieldPath, "must have a non-empty key")) {
+        errors.string(value, fieldPath);
+      }
+    }
+  }
+}
+
+function checkRunMetadata(errors, metadata, path) {
+  if (metadata === undefined || metadata === null) return;
+  if (!errors.object(metadata, path)) return;
+  for (const field of METADATA_FIELDS) {
+    if (metadata[field] !== undefined && metadata[field] !== null) {
+      errors.string(metadata[field], joinPath(path, field));
+    }
+  }
+  checkTagsAndFields(errors, metadata, path);
+}
+
+function checkSessionMetadata(errors, metadata, path) {
+  if (metadata === undefined || metadata === null) return;
+  if (errors.object(metadata, path)) {
+    checkTagsAndFields(errors, metadata, path);
+  }
+}
+
+// Run fields other than the id; with `partial` only the given fields are checked
+function checkRunFields(errors, run, path, { partial = false } = {}) {
+  if (!partial || run.name !== undefined) {
+    errors.nonEmptyString(run.name, joinPath(path, "name"));
+  }
+  if (!partial || run.data !== undefined) {
+    checkCsvRows(errors, run.data, joinPath(path, "data"));
+  }
+  checkCpuData(errors, run.cpuData, joinPath(path, "cpuData"));
+  checkRunMetadata(errors, run.metadata, joinPath(path, "metadata"));
+}
+
+function checkRun(errors, run, path) {
+  if (!errors.object(run, path)) return;
+  errors.itemId(run.id, joinPath(path, "id"));
+  checkRunFields(errors, run, path);
+}
+
+function checkIdList(errors, ids, path) {
+  if (errors.array(ids, path)) {
+    errors.each(ids, path, (id, idPath) => errors.itemId(id, idPath));
+  }
+}
+
+function checkStringList(errors, values, path) {
+  if (errors.array(values, path)) {
+    errors.each(values, path, (value, valuePath) => errors.string(value, valuePath));
+  }
+}
+
+// Plot fields other than the id; with `partial` only the given fields are checked
+function checkPlotFields(errors, plot, path, { partial = false } = {}) {
+  const field = (name) => joinPath(path, name);
+  const present = (name) => plot[name] !== undefined && plot[name] !== null;
+
+  if (!partial || plot.name !== undefined) {
+    errors.nonEmptyString(plot.name, field("name"));
+  }
+  if (!partial || plot.selectedRuns !== undefined) {
+    checkIdList(errors, plot.selectedRuns, field("selectedRuns"));
+  }
+  if (!partial || plot.plotType !== undefined) {
+    errors.oneOf(plot.plotType, PLOT_TYPES, field("plotType"));
+  }
+  if (present("selectedPDs")) checkStringList(errors, plot.selectedPDs, field("selectedPDs"));
+  if (present("cacheMetrics")) checkStringList(errors, plot.cacheMetrics, field("cacheMetrics"));
+  if (present("cpuType")) errors.oneOf(plot.cpuType, CPU_TYPES, field("cpuType"));
+  if (present("miscCycleType")) errors.oneOf(plot.miscCycleType, CPU_TYPES, field("miscCycleType"));
+  if (present("miscMetric")) errors.oneOf(plot.miscMetric, MISC_METRICS, field("miscMetric"));
+  if (present("miscPD")) errors.string(plot.miscPD, field("miscPD"));
+  if (present("baselineRunId")) errors.itemId(plot.baselineRunId, field("baselineRunId"));
+}
+
+function checkPlot(errors, plot, path) {
+  if (!errors.object(plot, path)) return;
+  errors.itemId(plot.id, joinPath(path, "id"));
+  checkPlotFields(errors, plot, path);
+}
+
+// Flag items that share an id with an earlier item in the same list
+function checkUniqueIds(errors, items, path) {
+  const seen = new Set();
+  items.forEach((item, index) => {
+    if (!isObject(item) || item.id === undefined) return;
+    errors.check(!seen.has(item.id), joinPath(joinPath(path, index), "id"), `duplicates id ${item.id}`);
+    seen.add(item.id);
+  });
+}
+
+function checkTimestamp(errors, value, path) {
+  if (value !== undefined && value !== null && errors.string(value, path)) {
+    errors.check(!Number.isNaN(Date.parse(value)), path, "must be an ISO date");
+  }
+}
+
+const collect = (check) => {
+  const errors = new Errors();
+  check(errors);
+  return errors.list;
+};
+
+/**
+ * Validate a complete session as sent to `POST /api/sessions`
+ * @param {Object} session - Session with id, name, runs and customPlots
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validateSession = (session) =>
+  collect((errors) => {
+    if (!errors.object(session, "")) return;
+    errors.check(
+      typeof session.id === "string" && SESSION_ID_PATTERN.test(session.id),
+      "id",
+      "must only contain letters, digits, _ and -"
+    );
+    errors.nonEmptyString(session.name, "name");
+    checkTimestamp(errors, session.createdAt, "createdAt");
+    checkTimestamp(errors, session.updatedAt, "updatedAt");
+    checkSessionMetadata(errors, session.metadata, "metadata");
+
+    for (const [key, checkItem] of [["runs", checkRun], ["customPlots", checkPlot]]) {
+      const items = session[key];
+      if (items === undefined || !errors.array(items, key)) continue;
+      errors.each(items, key, (item, itemPath) => checkItem(errors, item, itemPath));
+      checkUniqueIds(errors, items, key);
+    }
+  });
+
+/**
+ * Validate session metadata (tags and key/value fields)
+ * @param {Object|null} metadata - Session metadata; null clears it
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validateSessionMetadata = (metadata) =>
+  collect((errors) => checkSessionMetadata(errors, metadata, "metadata"));
+
+/**
+ * Validate a run, including its CSV rows and CPU utilisation JSON
+ * @param {Object} run - Run with id, name, data, cpuData and metadata
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validateRun = (run) => collect((errors) => checkRun(errors, run, ""));
+
+/**
+ * Validate the fields of a run update; absent fields are not checked
+ * @param {Object} updates - Subset of run fields
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validateRunUpdate = (updates) =>
+  collect((errors) => {
+    if (errors.object(updates, "")) {
+      checkRunFields(errors, updates, "", { partial: true });
+    }
+  });
+
+/**
+ * Validate a custom plot definition
+ * @param {Object} plot - Plot with id, name, plotType and selectedRuns
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validatePlot = (plot) => collect((errors) => checkPlot(errors, plot, ""));
+
+/**
+ * Validate the fields of a custom plot update; absent fields are not checked
+ * @param {Object} updates - Subset of plot fields
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validatePlotUpdate = (updates) =>
+  collect((errors) => {
+    if (errors.object(updates, "")) {
+      checkPlotFields(errors, updates, "", { partial: true });
+    }
+  });
+
+/**
+ * Validate parsed benchmark CSV rows
+ * @param {Array<Object>} rows - One object per CSV line keyed by column header
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validateCsvRows = (rows) => collect((errors) => checkCsvRows(errors, rows, ""));
+
+/**
+ * Validate a CPU utilisation JSON (tests, cores, protection domains, PMU counters)
+ * @param {Object|null} cpuData - Parsed JSON; null means no CPU data
+ * @returns {Array<{path: string, message: string}>} Validation errors
+ */
+export const validateCpuData = (cpuData) => collect((errors) => checkCpuData(errors, cpuData, ""));
+
+/**
+ * Prefix the paths of validation errors, e.g. to place CSV row errors under "csv"
+ * @param {Array<{path: string, message: string}>} errors - Validation errors
+ * @param {string} prefix - Path of the validated value
+ * @returns {Array<{path: string, message: string}>} Errors with prefixed paths
+ */
+export const prefixErrors = (errors, prefix) =>
+  errors.map(({ path, message }) => ({
+    path: !path ? prefix : path.startsWith("[") ? `${prefix}${path}` : `${prefix}.${path}`,
+    message,
+  }));
+
+/**
+ * Format validation errors one per line, e.g. for an alert
+ * @param {Array<{path: string, message: string}>} errors - Validation errors
+ * @returns {string} Formatted errors
+ */
+export const formatValidationErrors = (errors) =>
+  errors.map(({ path, message }) => `${path || "(root)"} ${message}`).join("\n");